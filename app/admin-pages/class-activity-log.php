@@ -0,0 +1,220 @@
+<?php
+/**
+ * Activity Log Admin Page
+ *
+ * Shows the audit log of Drive and maintenance actions. Entries come
+ * from Audit_Log_REST.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @author        WPMUDEV (https://wpmudev.com)
+ * @package       WPMUDEV\PluginTest
+ *
+ * @copyright (c) 2025, Incsub (http://incsub.com)
+ */
+
+namespace WPMUDEV\PluginTest\App\Admin_Pages;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+use WPMUDEV\PluginTest\Base;
+
+/**
+ * Class Activity_Log
+ *
+ * Handles the Activity Log admin page.
+ *
+ * @package WPMUDEV\PluginTest\App\Admin_Pages
+ */
+class Activity_Log extends Base {
+
+	/**
+	 * The page title.
+	 *
+	 * @var string
+	 */
+	private $page_title;
+
+	/**
+	 * The page slug.
+	 *
+	 * @var string
+	 */
+	private $page_slug = 'wpmudev_plugintest_activity_log';
+
+	/**
+	 * Page assets.
+	 *
+	 * @var array
+	 */
+	private $page_scripts = array();
+
+	/**
+	 * Assets version.
+	 *
+	 * @var string
+	 */
+	private $assets_version = '';
+
+	/**
+	 * Unique DOM id.
+	 *
+	 * @var string
+	 */
+	private $unique_id = '';
+
+	/**
+	 * Initializes the page.
+	 *
+	 * @return void
+	 * @since 1.0.0
+	 */
+	public function init() {
+		$this->page_title = __( 'Activity Log', 'wpmudev-plugin-test' );
+
+		add_action( 'admin_menu', array( $this, 'register_admin_page' ) );
+		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
+
+		// Asset data.
+		$this->assets_version = ! empty( $this->script_data( 'version' ) ) ? $this->script_data( 'version' ) : WPMUDEV_PLUGINTEST_VERSION;
+		$this->unique_id      = "wpmudev_plugintest_activity_log_wrap-{$this->assets_version}";
+	}
+
+	/**
+	 * Register admin page.
+	 *
+	 * @return void
+	 */
+	public function register_admin_page() {
+		$page = add_submenu_page(
+			'wpmudev_plugintest_drive',
+			$this->page_title,
+			$this->page_title,
+			'manage_options',
+			$this->page_slug,
+			array( $this, 'callback' )
+		);
+
+		add_action( 'load-' . $page, array( $this, 'prepare_assets' ) );
+	}
+
+	/**
+	 * The admin page callback method.
+	 *
+	 * @return void
+	 */
+	public function callback() {
+		$this->view();
+	}
+
+	/**
+	 * Prepare assets.
+	 *
+	 * @return void
+	 */
+	public function prepare_assets() {
+		if ( ! is_array( $this->page_scripts ) ) {
+			$this->page_scripts = array();
+		}
+
+		$handle       = 'wpmudev_plugintest_activity_log';
+		$src          = WPMUDEV_PLUGINTEST_ASSETS_URL . '/js/activitylog.min.js';
+		$style_src    = WPMUDEV_PLUGINTEST_ASSETS_URL . '/css/activitylog.min.css';
+		$dependencies = ! empty( $this->script_data( 'dependencies' ) )
+			? $this->script_data( 'dependencies' )
+			: array(
+				'react',
+				'wp-api-fetch',
+				'wp-components',
+				'wp-element',
+				'wp-i18n',
+				'wp-polyfill',
+			);
+
+		$this->page_scripts[ $handle ] = array(
+			'src'       => $src,
+			'style_src' => $style_src,
+			'deps'      => $dependencies,
+			'ver'       => $this->assets_version,
+			'strategy'  => true,
+			'localize'  => array(
+				'restUrl'              => rest_url(),
+				'dom_element_id'       => $this->unique_id,
+				'restEndpointLog'      => 'wpmudev/v1/audit-log',
+				'restEndpointExport'   => 'wpmudev/v1/audit-log/export',
+				'restEndpointSettings' => 'wpmudev/v1/audit-log/settings',
+				'nonce'                => wp_create_nonce( 'wp_rest' ),
+			),
+		);
+	}
+
+	/**
+	 * Enqueue assets.
+	 *
+	 * @return void
+	 */
+	public function enqueue_assets() {
+		$screen = get_current_screen();
+		if ( ! $screen || $screen->id !== 'google-drive-test_page_' . $this->page_slug ) {
+			return;
+		}
+
+		foreach ( $this->page_scripts as $handle => $page_script ) {
+			wp_register_script(
+				$handle,
+				$page_script['src'],
+				$page_script['deps'],
+				$page_script['ver'],
+				$page_script['strategy']
+			);
+
+			if ( ! empty( $page_script['localize'] ) ) {
+				wp_localize_script( $handle, 'wpmudevActivityLog', $page_script['localize'] );
+			}
+
+			wp_enqueue_script( $handle );
+
+			if ( ! empty( $page_script['style_src'] ) ) {
+				wp_enqueue_style( $handle, $page_script['style_src'], array(), $this->assets_version );
+			}
+		}
+	}
+
+	/**
+	 * Prints the admin page view.
+	 *
+	 * @return void
+	 */
+	protected function view() {
+		echo '<div id="' . esc_attr( $this->unique_id ) . '" class="sui-wrap"></div>';
+	}
+
+	/**
+	 * Gets assets data for given key.
+	 *
+	 * @param string $key Key.
+	 * @return string|array
+	 */
+	protected function script_data( string $key = '' ) {
+		$raw_script_data = $this->raw_script_data();
+
+		return ! empty( $key ) && ! empty( $raw_script_data[ $key ] ) ? $raw_script_data[ $key ] : '';
+	}
+
+	/**
+	 * Gets the script data from assets php file.
+	 *
+	 * @return array
+	 */
+	protected function raw_script_data(): array {
+		static $script_data = null;
+
+		if ( is_null( $script_data ) && file_exists( WPMUDEV_PLUGINTEST_DIR . 'assets/js/activitylog.min.asset.php' ) ) {
+			$script_data = include WPMUDEV_PLUGINTEST_DIR . 'assets/js/activitylog.min.asset.php';
+		}
+
+		return (array) $script_data;
+	}
+}
@@ -17,6 +17,9 @@ namespace WPMUDEV\PluginTest\App\Admin_Pages;
 defined( 'WPINC' ) || die;
 
 use WPMUDEV\PluginTest\Base;
+use WPMUDEV\PluginTest\Capabilities;
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_API;
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_Media_REST;
 
 class Google_Drive extends Base {
 	/**
@@ -93,7 +96,7 @@ class Google_Drive extends Base {
 		$page = add_menu_page(
 			'Google Drive Test',
 			$this->page_title,
-			'manage_options',
+			'wpmudev_drive_view',
 			$this->page_slug,
 			array( $this, 'callback' ),
 			'dashicons-cloud',
@@ -145,30 +148,64 @@ class Google_Drive extends Base {
 				'dom_element_id'       => $this->unique_id,
 				'restUrl'              => rest_url(),
 				'restEndpointSave'     => 'wpmudev/v1/drive/save-credentials',
+				'restEndpointSaveServiceAccount' => 'wpmudev/v1/drive/save-service-account',
 				'restEndpointAuth'     => 'wpmudev/v1/drive/auth',
 				'restEndpointFiles'    => 'wpmudev/v1/drive/files',
+				'restEndpointDrives'   => 'wpmudev/v1/drive/drives',
 				'restEndpointUpload'   => 'wpmudev/v1/drive/upload',
+				'restEndpointUploadSession' => 'wpmudev/v1/drive/upload-session',
+				'restEndpointUploadChunk'   => 'wpmudev/v1/drive/upload-chunk',
+				'restEndpointUploadQuota'   => 'wpmudev/v1/drive/upload-quota',
+				'restEndpointRateLimits'    => 'wpmudev/v1/drive/rate-limits',
 				'restEndpointDownload' => 'wpmudev/v1/drive/download',
 				'restEndpointCreate'   => 'wpmudev/v1/drive/create-folder',
+				'restEndpointRename'   => 'wpmudev/v1/drive/rename',
+				'restEndpointMove'     => 'wpmudev/v1/drive/move',
+				'restEndpointCopy'     => 'wpmudev/v1/drive/copy',
+				'restEndpointTrash'    => 'wpmudev/v1/drive/trash',
+				'restEndpointRestore'  => 'wpmudev/v1/drive/restore',
+				'restEndpointDelete'   => 'wpmudev/v1/drive/delete',
+				'restEndpointBulk'     => 'wpmudev/v1/drive/bulk',
+				'restEndpointPermissions' => 'wpmudev/v1/drive/permissions',
+				'restEndpointPreview'  => 'wpmudev/v1/drive/preview',
+				'restEndpointImportMedia' => 'wpmudev/v1/drive/import-media',
+				'restEndpointMediaFolder' => 'wpmudev/v1/drive/media-folder',
+				'restEndpointHealth'   => 'wpmudev/v1/drive/health',
+				'restEndpointHealthTest' => 'wpmudev/v1/drive/health/test',
+				'restEndpointSyncStatus'   => 'wpmudev/v1/drive-sync/status',
+				'restEndpointSyncSettings' => 'wpmudev/v1/drive-sync/settings',
+				'restEndpointSyncRun'      => 'wpmudev/v1/drive-sync/run',
+				'restEndpointSyncResolve'  => 'wpmudev/v1/drive-sync/resolve',
 				'restEndpointDisconnect' => 'wpmudev/v1/drive/disconnect',
 				'nonce'                => wp_create_nonce( 'wp_rest' ),
 				'authStatus'           => $this->get_auth_status(),
+				'connection'           => Drive_API::instance()->get_connection_status( get_current_user_id() ),
+				'siteConnection'       => Drive_API::instance()->get_connection_status( 0 ),
+				'capabilities'         => Capabilities::instance()->get_user_capabilities(),
 				'redirectUri'          => home_url( '/wp-json/wpmudev/v1/drive/callback' ),
-				'hasCredentials'       => ! empty( $this->creds['client_id'] ) && ! empty( $this->creds['client_secret'] ),
+				'hasCredentials'       => ( ! empty( $this->creds['client_id'] ) && ! empty( $this->creds['client_secret'] ) ) || 'service_account' === Drive_API::instance()->get_auth_mode(),
+				'authMode'             => Drive_API::instance()->get_auth_mode(),
+				'mediaFolder'          => $this->get_media_folder_path(),
 			),
 		);
 	}
 
 	/**
-	 * Checks if user is authenticated with Google Drive.
+	 * Gets the Drive folder path that Media Library files are sent to.
+	 *
+	 * @return array
+	 */
+	private function get_media_folder_path() {
+		return Drive_Media_REST::instance()->get_media_folder( get_current_user_id() )['path'];
+	}
+
+	/**
+	 * Checks if the current user has connected their Google Drive.
 	 *
 	 * @return bool
 	 */
 	private function get_auth_status() {
-		$access_token = get_option( 'wpmudev_drive_access_token', '' );
-		$expires_at   = get_option( 'wpmudev_drive_token_expires', 0 );
-		
-		return ! empty( $access_token ) && time() < $expires_at;
+		return Drive_API::instance()->get_connection_status( get_current_user_id() )['connected'];
 	}
 
 	/**
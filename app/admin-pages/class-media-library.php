@@ -0,0 +1,357 @@
+<?php
+/**
+ * Media Library integration.
+ *
+ * Adds "Send to Google Drive" to the Media Library: a row action and a bulk
+ * action in list mode, a bulk button in grid mode and a Google Drive field
+ * in the attachment details. The Drive work itself is done by Drive_Media_REST.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @author        WPMUDEV (https://wpmudev.com)
+ * @package       WPMUDEV\PluginTest
+ *
+ * @copyright (c) 2025, Incsub (http://incsub.com)
+ */
+
+namespace WPMUDEV\PluginTest\App\Admin_Pages;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+use WPMUDEV\PluginTest\Base;
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_Media_REST;
+
+class Media_Library extends Base {
+	/**
+	 * Row and bulk action name.
+	 *
+	 * @var string
+	 */
+	private $push_action = 'wpmudev_drive_push';
+
+	/**
+	 * Script handle.
+	 *
+	 * @var string
+	 */
+	private $handle = 'wpmudev_plugintest_medialibrary';
+
+	/**
+	 * Initializes the integration.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		add_filter( 'media_row_actions', array( $this, 'add_row_action' ), 10, 2 );
+		add_filter( 'bulk_actions-upload', array( $this, 'add_bulk_action' ) );
+		add_filter( 'handle_bulk_actions-upload', array( $this, 'handle_bulk_action' ), 10, 3 );
+		add_action( 'admin_post_' . $this->push_action, array( $this, 'handle_row_action' ) );
+		add_action( 'admin_notices', array( $this, 'show_notice' ) );
+		add_filter( 'attachment_fields_to_edit', array( $this, 'add_drive_field' ), 10, 2 );
+		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
+		add_action( 'wp_enqueue_media', array( $this, 'enqueue_script' ) );
+	}
+
+	/**
+	 * Adds "Send to Google Drive" (or a link to the Drive copy) to list rows.
+	 *
+	 * @param array    $actions Row actions.
+	 * @param \WP_Post $post    Attachment.
+	 *
+	 * @return array
+	 */
+	public function add_row_action( $actions, $post ) {
+		if ( ! current_user_can( 'wpmudev_drive_upload' ) ) {
+			return $actions;
+		}
+
+		$status = Drive_Media_REST::instance()->get_attachment_drive_status( $post->ID );
+
+		if ( 'sent' === $status['state'] && ! empty( $status['webViewLink'] ) ) {
+			$actions['wpmudev_drive'] = sprintf(
+				'<a href="%s" target="_blank" rel="noopener noreferrer">%s</a>',
+				esc_url( $status['webViewLink'] ),
+				esc_html__( 'View in Google Drive', 'wpmudev-plugin-test' )
+			);
+
+			return $actions;
+		}
+
+		$url = wp_nonce_url(
+			add_query_arg(
+				array(
+					'action'        => $this->push_action,
+					'attachment_id' => $post->ID,
+				),
+				admin_url( 'admin-post.php' )
+			),
+			$this->push_action . '_' . $post->ID
+		);
+
+		$actions['wpmudev_drive'] = sprintf(
+			'<a href="%s">%s</a>',
+			esc_url( $url ),
+			esc_html__( 'Send to Google Drive', 'wpmudev-plugin-test' )
+		);
+
+		return $actions;
+	}
+
+	/**
+	 * Sends one attachment from its row action.
+	 *
+	 * @return void
+	 */
+	public function handle_row_action() {
+		$attachment_id = isset( $_GET['attachment_id'] ) ? absint( $_GET['attachment_id'] ) : 0; // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Checked below.
+
+		check_admin_referer( $this->push_action . '_' . $attachment_id );
+
+		if ( ! current_user_can( 'wpmudev_drive_upload' ) ) {
+			wp_die( esc_html__( 'Insufficient permissions.', 'wpmudev-plugin-test' ), 403 );
+		}
+
+		$this->save_notice( Drive_Media_REST::instance()->send_attachments( array( $attachment_id ) ) );
+
+		$redirect = wp_get_referer();
+		wp_safe_redirect( $redirect ? $redirect : admin_url( 'upload.php' ) );
+		exit;
+	}
+
+	/**
+	 * Adds "Send to Google Drive" to the list mode bulk actions.
+	 *
+	 * @param array $actions Bulk actions.
+	 *
+	 * @return array
+	 */
+	public function add_bulk_action( $actions ) {
+		if ( current_user_can( 'wpmudev_drive_upload' ) ) {
+			$actions[ $this->push_action ] = __( 'Send to Google Drive', 'wpmudev-plugin-test' );
+		}
+
+		return $actions;
+	}
+
+	/**
+	 * Sends (or queues) the attachments picked for the bulk action.
+	 *
+	 * @param string $redirect Redirect URL.
+	 * @param string $action   Bulk action.
+	 * @param array  $post_ids Selected attachment IDs.
+	 *
+	 * @return string
+	 */
+	public function handle_bulk_action( $redirect, $action, $post_ids ) {
+		if ( $this->push_action !== $action || ! current_user_can( 'wpmudev_drive_upload' ) ) {
+			return $redirect;
+		}
+
+		$this->save_notice( Drive_Media_REST::instance()->send_attachments( array_map( 'absint', (array) $post_ids ) ) );
+
+		return $redirect;
+	}
+
+	/**
+	 * Keeps the outcome of a push for the next Media Library page load.
+	 *
+	 * @param array|\WP_Error $outcome Result of Drive_Media_REST::send_attachments().
+	 *
+	 * @return void
+	 */
+	private function save_notice( $outcome ) {
+		if ( is_wp_error( $outcome ) ) {
+			$notice = array(
+				'type'     => 'error',
+				'message'  => $outcome->get_error_message(),
+				'failures' => array(),
+			);
+		} else {
+			$failures = array();
+			foreach ( $outcome['results'] as $result ) {
+				if ( ! $result['success'] ) {
+					$failures[] = get_the_title( $result['id'] ) . ' - ' . $result['message'];
+				}
+			}
+
+			$notice = array(
+				'type'     => empty( $failures ) ? 'success' : 'warning',
+				'message'  => $outcome['message'],
+				'failures' => $failures,
+			);
+		}
+
+		set_transient( 'wpmudev_drive_media_notice_' . get_current_user_id(), $notice, 5 * MINUTE_IN_SECONDS );
+	}
+
+	/**
+	 * Shows the outcome of the last push on the Media Library screen.
+	 *
+	 * @return void
+	 */
+	public function show_notice() {
+		$screen = get_current_screen();
+		if ( ! $screen || 'upload' !== $screen->id ) {
+			return;
+		}
+
+		$key    = 'wpmudev_drive_media_notice_' . get_current_user_id();
+		$notice = get_transient( $key );
+
+		if ( empty( $notice ) ) {
+			return;
+		}
+
+		delete_transient( $key );
+
+		echo '<div class="notice notice-' . esc_attr( $notice['type'] ) . ' is-dismissible"><p>' . esc_html( $notice['message'] ) . '</p>';
+
+		if ( ! empty( $notice['failures'] ) ) {
+			echo '<ul>';
+			foreach ( $notice['failures'] as $failure ) {
+				echo '<li>' . esc_html( $failure ) . '</li>';
+			}
+			echo '</ul>';
+		}
+
+		echo '</div>';
+	}
+
+	/**
+	 * Adds a Google Drive field to the attachment details.
+	 *
+	 * Shows the Drive file ID and link once the attachment is in Drive, the
+	 * queue state while it waits, and a send button otherwise.
+	 *
+	 * @param array    $form_fields Attachment fields.
+	 * @param \WP_Post $post        Attachment.
+	 *
+	 * @return array
+	 */
+	public function add_drive_field( $form_fields, $post ) {
+		if ( ! current_user_can( 'wpmudev_drive_upload' ) ) {
+			return $form_fields;
+		}
+
+		$status = Drive_Media_REST::instance()->get_attachment_drive_status( $post->ID );
+
+		switch ( $status['state'] ) {
+			case 'sent':
+				$html = sprintf(
+					'<code>%s</code>',
+					esc_html( $status['id'] )
+				);
+
+				if ( ! empty( $status['webViewLink'] ) ) {
+					$html .= sprintf(
+						'<br><a href="%s" target="_blank" rel="noopener noreferrer">%s</a>',
+						esc_url( $status['webViewLink'] ),
+						esc_html__( 'View in Google Drive', 'wpmudev-plugin-test' )
+					);
+				}
+				break;
+
+			case 'queued':
+				$html = esc_html__( 'Queued for upload.', 'wpmudev-plugin-test' );
+				break;
+
+			default:
+				$html = sprintf(
+					'<button type="button" class="button wpmudev-drive-push-button" data-attachment-id="%d">%s</button> <span class="wpmudev-drive-push-status" role="status">%s</span>',
+					$post->ID,
+					'failed' === $status['state'] ? esc_html__( 'Try again', 'wpmudev-plugin-test' ) : esc_html__( 'Send to Google Drive', 'wpmudev-plugin-test' ),
+					esc_html( $status['message'] )
+				);
+		}
+
+		$form_fields['wpmudev_drive'] = array(
+			'label'         => __( 'Google Drive', 'wpmudev-plugin-test' ),
+			'input'         => 'html',
+			'html'          => $html,
+			'show_in_edit'  => true,
+			'show_in_modal' => true,
+		);
+
+		return $form_fields;
+	}
+
+	/**
+	 * Enqueues the script on the Media Library and attachment edit screens.
+	 *
+	 * @param string $hook_suffix Current admin page.
+	 *
+	 * @return void
+	 */
+	public function enqueue_assets( $hook_suffix ) {
+		if ( 'upload.php' === $hook_suffix || ( 'post.php' === $hook_suffix && 'attachment' === get_post_type() ) ) {
+			$this->enqueue_script();
+		}
+	}
+
+	/**
+	 * Enqueues the script that sends files from the media views.
+	 *
+	 * @return void
+	 */
+	public function enqueue_script() {
+		if ( ! is_admin() || ! current_user_can( 'wpmudev_drive_upload' ) || wp_script_is( $this->handle ) ) {
+			return;
+		}
+
+		$dependencies = ! empty( $this->script_data( 'dependencies' ) )
+			? $this->script_data( 'dependencies' )
+			: array(
+				'wp-api-fetch',
+				'wp-i18n',
+				'wp-polyfill',
+			);
+
+		wp_register_script(
+			$this->handle,
+			WPMUDEV_PLUGINTEST_ASSETS_URL . '/js/medialibrary.min.js',
+			array_merge( $dependencies, array( 'jquery', 'media-views' ) ),
+			! empty( $this->script_data( 'version' ) ) ? $this->script_data( 'version' ) : WPMUDEV_PLUGINTEST_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			$this->handle,
+			'wpmudevDriveMedia',
+			array(
+				'restEndpointPushMedia' => 'wpmudev/v1/drive/push-media',
+			)
+		);
+
+		wp_enqueue_script( $this->handle );
+	}
+
+	/**
+	 * Gets assets data for given key.
+	 *
+	 * @param string $key
+	 *
+	 * @return string|array
+	 */
+	protected function script_data( string $key = '' ) {
+		$raw_script_data = $this->raw_script_data();
+
+		return ! empty( $key ) && ! empty( $raw_script_data[ $key ] ) ? $raw_script_data[ $key ] : '';
+	}
+
+	/**
+	 * Gets the script data from assets php file.
+	 *
+	 * @return array
+	 */
+	protected function raw_script_data(): array {
+		static $script_data = null;
+
+		if ( is_null( $script_data ) && file_exists( WPMUDEV_PLUGINTEST_DIR . 'assets/js/medialibrary.min.asset.php' ) ) {
+			$script_data = include WPMUDEV_PLUGINTEST_DIR . 'assets/js/medialibrary.min.asset.php';
+		}
+
+		return (array) $script_data;
+	}
+}
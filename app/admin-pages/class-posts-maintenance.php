@@ -105,7 +105,7 @@ class Posts_Maintenance extends Base {
 			'wpmudev_plugintest_drive',
 			$this->page_title,
 			$this->page_title,
-			'manage_options',
+			'wpmudev_run_maintenance',
 			$this->page_slug,
 			array( $this, 'callback' )
 		);
@@ -166,6 +166,9 @@ class Posts_Maintenance extends Base {
 				'dom_element_id'   => $this->unique_id,
 				'restEndpointScan' => 'wpmudev/v1/posts-maintenance/scan',
 				'restEndpointStatus' => 'wpmudev/v1/posts-maintenance/status',
+				'restEndpointPause'  => 'wpmudev/v1/posts-maintenance/pause',
+				'restEndpointResume' => 'wpmudev/v1/posts-maintenance/resume',
+				'restEndpointCancel' => 'wpmudev/v1/posts-maintenance/cancel',
 				'nonce'            => wp_create_nonce( 'wp_rest' ),
 				'lastScan'         => get_option( 'wpmudev_posts_maintenance_last_scan', '' ),
 				'savedPostTypes'   => array_values( $post_types ),
@@ -226,7 +229,7 @@ class Posts_Maintenance extends Base {
 	public function ajax_scan_posts() {
 		check_ajax_referer( 'wpmudev_scan_posts', 'nonce' );
 
-		if ( ! current_user_can( 'manage_options' ) ) {
+		if ( ! current_user_can( 'wpmudev_run_maintenance' ) ) {
 			wp_send_json_error( array( 'message' => __( 'Insufficient permissions.', 'wpmudev-plugin-test' ) ) );
 		}
 
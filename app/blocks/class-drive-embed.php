@@ -0,0 +1,451 @@
+<?php
+/**
+ * Google Drive block and shortcode.
+ *
+ * Embeds a file from the site's Drive account in a post - an image, a PDF
+ * viewer or a download button - or lists the files in a folder. The block
+ * and the [wpmudev_drive] shortcode render the same markup on the server.
+ * Files are served through Drive_API's embed route, so nothing has to be
+ * shared publicly in Drive.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @author        WPMUDEV (https://wpmudev.com)
+ * @package       WPMUDEV\PluginTest
+ *
+ * @copyright (c) 2025, Incsub (http://incsub.com)
+ */
+
+namespace WPMUDEV\PluginTest\App\Blocks;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+use WPMUDEV\PluginTest\Base;
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_API;
+use WP_Error;
+
+class Drive_Embed extends Base {
+	/**
+	 * Block name.
+	 *
+	 * @var string
+	 */
+	private $block_name = 'wpmudev/drive-embed';
+
+	/**
+	 * Shortcode tag.
+	 *
+	 * @var string
+	 */
+	private $shortcode = 'wpmudev_drive';
+
+	/**
+	 * Script and style handle.
+	 *
+	 * @var string
+	 */
+	private $handle = 'wpmudev_plugintest_driveblock';
+
+	/**
+	 * How a single file can be shown. "auto" picks from the file type.
+	 *
+	 * @var array
+	 */
+	private $displays = array( 'auto', 'image', 'pdf', 'download' );
+
+	/**
+	 * Initializes the block and shortcode.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		add_action( 'init', array( $this, 'register' ) );
+		add_action( 'wp_insert_post', array( $this, 'record_editor' ), 10, 2 );
+	}
+
+	/**
+	 * Remembers who last saved a post that embeds Drive files.
+	 *
+	 * Core doesn't set `_edit_last` on every kind of save (block editor saves
+	 * go through the REST API), and Drive_API::can_embed_in_post() relies on
+	 * it to check the editor as well as the author.
+	 *
+	 * @param int      $post_id Post ID.
+	 * @param \WP_Post $post    Post.
+	 *
+	 * @return void
+	 */
+	public function record_editor( $post_id, $post ) {
+		$user_id = get_current_user_id();
+
+		if ( ! $user_id || wp_is_post_revision( $post_id ) || wp_is_post_autosave( $post_id ) ) {
+			return;
+		}
+
+		if ( has_block( $this->block_name, $post ) || has_shortcode( $post->post_content, $this->shortcode ) ) {
+			update_post_meta( $post_id, '_edit_last', $user_id );
+		}
+	}
+
+	/**
+	 * Registers the block, its assets and the shortcode.
+	 *
+	 * @return void
+	 */
+	public function register() {
+		$dependencies = ! empty( $this->script_data( 'dependencies' ) )
+			? $this->script_data( 'dependencies' )
+			: array(
+				'react',
+				'wp-api-fetch',
+				'wp-block-editor',
+				'wp-blocks',
+				'wp-components',
+				'wp-element',
+				'wp-i18n',
+				'wp-polyfill',
+				'wp-server-side-render',
+			);
+		$version      = ! empty( $this->script_data( 'version' ) ) ? $this->script_data( 'version' ) : WPMUDEV_PLUGINTEST_VERSION;
+
+		wp_register_script(
+			$this->handle,
+			WPMUDEV_PLUGINTEST_ASSETS_URL . '/js/driveblock.min.js',
+			$dependencies,
+			$version,
+			true
+		);
+
+		wp_localize_script(
+			$this->handle,
+			'wpmudevDriveBlock',
+			array(
+				'restEndpointFiles' => 'wpmudev/v1/drive/files',
+				'canBrowse'         => current_user_can( 'wpmudev_drive_manage' ),
+			)
+		);
+
+		wp_register_style(
+			$this->handle,
+			WPMUDEV_PLUGINTEST_ASSETS_URL . '/css/driveblock.min.css',
+			array(),
+			$version
+		);
+
+		register_block_type(
+			$this->block_name,
+			array(
+				'api_version'     => 2,
+				'editor_script'   => $this->handle,
+				'style'           => $this->handle,
+				'attributes'      => array(
+					'fileId'   => array(
+						'type'    => 'string',
+						'default' => '',
+					),
+					'fileName' => array(
+						'type'    => 'string',
+						'default' => '',
+					),
+					'isFolder' => array(
+						'type'    => 'boolean',
+						'default' => false,
+					),
+					'display'  => array(
+						'type'    => 'string',
+						'default' => 'auto',
+						'enum'    => $this->displays,
+					),
+				),
+				'uses_context'    => array( 'postId' ),
+				'render_callback' => array( $this, 'render_block' ),
+			)
+		);
+
+		add_shortcode( $this->shortcode, array( $this, 'render_shortcode' ) );
+	}
+
+	/**
+	 * Renders the block.
+	 *
+	 * @param array          $attributes Block attributes.
+	 * @param string         $content    Block content (unused, the block is dynamic).
+	 * @param \WP_Block|null $block      Block instance.
+	 *
+	 * @return string
+	 */
+	public function render_block( $attributes, $content = '', $block = null ) {
+		$post_id = $block && ! empty( $block->context['postId'] ) ? $block->context['postId'] : get_the_ID();
+
+		return $this->render(
+			isset( $attributes['fileId'] ) ? $attributes['fileId'] : '',
+			isset( $attributes['display'] ) ? $attributes['display'] : 'auto',
+			$post_id,
+			true
+		);
+	}
+
+	/**
+	 * Renders the [wpmudev_drive id="..." display="..."] shortcode.
+	 *
+	 * @param array|string $atts Shortcode attributes.
+	 *
+	 * @return string
+	 */
+	public function render_shortcode( $atts ) {
+		$atts = shortcode_atts(
+			array(
+				'id'      => '',
+				'display' => 'auto',
+			),
+			$atts,
+			$this->shortcode
+		);
+
+		return $this->render( $atts['id'], $atts['display'], get_the_ID() );
+	}
+
+	/**
+	 * Renders an embedded file or folder.
+	 *
+	 * @param string $file_id  Drive file or folder ID.
+	 * @param string $display  One of $displays; ignored for folders.
+	 * @param int    $post_id  Post the file is embedded in.
+	 * @param bool   $is_block Whether the block is rendering, for its wrapper attributes.
+	 *
+	 * @return string HTML.
+	 */
+	public function render( $file_id, $display, $post_id, $is_block = false ) {
+		$post_id = absint( $post_id );
+
+		if ( empty( $post_id ) ) {
+			return $this->render_error(
+				new WP_Error( 'no_post', __( 'Google Drive files can only be embedded in posts and pages.', 'wpmudev-plugin-test' ) ),
+				$post_id
+			);
+		}
+
+		if ( ! Drive_API::instance()->can_embed_in_post( $post_id ) ) {
+			return $this->render_error(
+				new WP_Error( 'embed_not_allowed', __( 'Google Drive files can only be embedded by people allowed to manage Drive, and this post was written or last edited by someone who is not.', 'wpmudev-plugin-test' ) ),
+				$post_id
+			);
+		}
+
+		if ( empty( $file_id ) ) {
+			return $this->render_error(
+				new WP_Error( 'no_file', __( 'Choose a Google Drive file or folder to embed.', 'wpmudev-plugin-test' ) ),
+				$post_id
+			);
+		}
+
+		Drive_API::instance()->use_account( 0 );
+		$item = Drive_API::instance()->get_embed_item( (string) $file_id );
+		Drive_API::instance()->use_account( null );
+
+		if ( is_wp_error( $item ) ) {
+			return $this->render_error( $item, $post_id );
+		}
+
+		wp_enqueue_style( $this->handle );
+
+		if ( $item['isFolder'] ) {
+			return $this->render_folder( $item, $post_id, $is_block );
+		}
+
+		switch ( $this->get_display( $item, $display ) ) {
+			case 'image':
+				return sprintf(
+					'<figure %s><img src="%s" alt="%s" loading="lazy" decoding="async" /></figure>',
+					$this->wrapper_attributes( 'is-image', $is_block ),
+					esc_url( $this->get_link( $item, $post_id, true ) ),
+					esc_attr( $item['name'] )
+				);
+
+			case 'pdf':
+				return sprintf(
+					'<div %s><iframe src="%s" title="%s" loading="lazy"></iframe><p>%s</p></div>',
+					$this->wrapper_attributes( 'is-pdf', $is_block ),
+					esc_url( $this->get_link( $item, $post_id, true ) ),
+					esc_attr( $item['name'] ),
+					$this->render_download_link( $item, $post_id )
+				);
+
+			default:
+				return sprintf(
+					'<div %s>%s</div>',
+					$this->wrapper_attributes( 'is-download', $is_block ),
+					$this->render_download_link( $item, $post_id, 'wp-element-button' )
+				);
+		}
+	}
+
+	/**
+	 * Works out how to show a single file.
+	 *
+	 * An explicit display is only honoured when the file can be shown that
+	 * way; anything else falls back to a download button.
+	 *
+	 * @param array  $item    Item from Drive_API::get_embed_item().
+	 * @param string $display Requested display.
+	 *
+	 * @return string "image", "pdf" or "download".
+	 */
+	private function get_display( array $item, $display ) {
+		$display = in_array( $display, $this->displays, true ) ? $display : 'auto';
+
+		if ( 'download' === $display ) {
+			return 'download';
+		}
+
+		if ( in_array( $item['previewKind'], array( 'image', 'pdf' ), true ) && ( 'auto' === $display || $display === $item['previewKind'] ) ) {
+			return $item['previewKind'];
+		}
+
+		return 'download';
+	}
+
+	/**
+	 * Renders a folder as a list of download links.
+	 *
+	 * @param array $item     Folder from Drive_API::get_embed_item().
+	 * @param int   $post_id  Post the folder is embedded in.
+	 * @param bool  $is_block Whether the block is rendering.
+	 *
+	 * @return string HTML.
+	 */
+	private function render_folder( array $item, $post_id, $is_block ) {
+		$html = sprintf(
+			'<div %s><p class="wpmudev-drive-embed-title">%s</p>',
+			$this->wrapper_attributes( 'is-folder', $is_block ),
+			esc_html( $item['name'] )
+		);
+
+		if ( empty( $item['files'] ) ) {
+			return $html . '<p>' . esc_html__( 'This folder is empty.', 'wpmudev-plugin-test' ) . '</p></div>';
+		}
+
+		$html .= '<ul class="wpmudev-drive-embed-files">';
+		foreach ( $item['files'] as $file ) {
+			$html .= '<li>' . $this->render_download_link( $file, $post_id ) . '</li>';
+		}
+
+		return $html . '</ul></div>';
+	}
+
+	/**
+	 * Renders a download link with the file size.
+	 *
+	 * @param array  $item    Item from Drive_API::get_embed_item().
+	 * @param int    $post_id Post the file is embedded in.
+	 * @param string $class   Extra link class.
+	 *
+	 * @return string HTML.
+	 */
+	private function render_download_link( array $item, $post_id, $class = '' ) {
+		$name = $item['name'] . ( '' !== $item['format'] ? '.' . $item['format'] : '' );
+
+		$html = sprintf(
+			'<a class="%s" href="%s">%s</a>',
+			esc_attr( trim( 'wpmudev-drive-embed-download ' . $class ) ),
+			esc_url( $this->get_link( $item, $post_id ) ),
+			esc_html( $name )
+		);
+
+		if ( ! empty( $item['size'] ) ) {
+			$html .= sprintf( ' <span class="wpmudev-drive-embed-size">%s</span>', esc_html( size_format( $item['size'] ) ) );
+		}
+
+		return $html;
+	}
+
+	/**
+	 * Builds the link the browser fetches a file from.
+	 *
+	 * @param array $item    Item from Drive_API::get_embed_item().
+	 * @param int   $post_id Post the file is embedded in.
+	 * @param bool  $inline  Show the file in the browser instead of downloading it.
+	 *
+	 * @return string URL.
+	 */
+	private function get_link( array $item, $post_id, $inline = false ) {
+		$url = Drive_API::instance()->get_embed_link( $item['id'], $item['format'], $post_id, $inline );
+
+		// Drafts and private posts are only readable when logged in, and REST
+		// requests only see the login cookie with a nonce. Public posts go
+		// without, so the links keep working from a page cache.
+		if ( is_user_logged_in() && ! is_post_publicly_viewable( $post_id ) ) {
+			$url = add_query_arg( '_wpnonce', wp_create_nonce( 'wp_rest' ), $url );
+		}
+
+		return $url;
+	}
+
+	/**
+	 * Explains why nothing is embedded, to people who can edit the post.
+	 *
+	 * Visitors get nothing rather than an error about the site's Drive.
+	 *
+	 * @param WP_Error $error   What went wrong.
+	 * @param int      $post_id Post the file is embedded in.
+	 *
+	 * @return string HTML.
+	 */
+	private function render_error( WP_Error $error, $post_id ) {
+		$can_edit = $post_id ? current_user_can( 'edit_post', $post_id ) : current_user_can( 'edit_posts' );
+
+		if ( ! $can_edit ) {
+			return '';
+		}
+
+		return '<p class="wpmudev-drive-embed-error">' . esc_html( $error->get_error_message() ) . '</p>';
+	}
+
+	/**
+	 * Builds the wrapper element's attributes.
+	 *
+	 * @param string $modifier Class for the kind of embed.
+	 * @param bool   $is_block Whether the block is rendering.
+	 *
+	 * @return string
+	 */
+	private function wrapper_attributes( $modifier, $is_block ) {
+		$class = 'wpmudev-drive-embed ' . $modifier;
+
+		if ( $is_block ) {
+			return get_block_wrapper_attributes( array( 'class' => $class ) );
+		}
+
+		return 'class="' . esc_attr( $class ) . '"';
+	}
+
+	/**
+	 * Gets assets data for given key.
+	 *
+	 * @param string $key
+	 *
+	 * @return string|array
+	 */
+	protected function script_data( string $key = '' ) {
+		$raw_script_data = $this->raw_script_data();
+
+		return ! empty( $key ) && ! empty( $raw_script_data[ $key ] ) ? $raw_script_data[ $key ] : '';
+	}
+
+	/**
+	 * Gets the script data from assets php file.
+	 *
+	 * @return array
+	 */
+	protected function raw_script_data(): array {
+		static $script_data = null;
+
+		if ( is_null( $script_data ) && file_exists( WPMUDEV_PLUGINTEST_DIR . 'assets/js/driveblock.min.asset.php' ) ) {
+			$script_data = include WPMUDEV_PLUGINTEST_DIR . 'assets/js/driveblock.min.asset.php';
+		}
+
+		return (array) $script_data;
+	}
+}
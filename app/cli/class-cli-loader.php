@@ -44,6 +44,22 @@ class CLI_Loader extends Base {
 				'shortdesc' => __( 'Manage posts maintenance operations.', 'wpmudev-plugin-test' ),
 			)
 		);
+
+		\WP_CLI::add_command(
+			'wpmudev drive',
+			'WPMUDEV\\PluginTest\\App\\CLI\\Drive_Command',
+			array(
+				'shortdesc' => __( 'Browse and manage Google Drive.', 'wpmudev-plugin-test' ),
+			)
+		);
+
+		\WP_CLI::add_command(
+			'wpmudev log',
+			'WPMUDEV\\PluginTest\\App\\CLI\\Log_Command',
+			array(
+				'shortdesc' => __( 'Query the activity audit log.', 'wpmudev-plugin-test' ),
+			)
+		);
 	}
 }
 
@@ -0,0 +1,430 @@
+<?php
+/**
+ * WP-CLI Commands for Google Drive
+ *
+ * Works with the same Drive client as the REST endpoints, so connections,
+ * Shared Drive handling and error messages match the admin page. Commands
+ * run as the site account unless WP-CLI's --user points at a user with
+ * their own connection.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @author        WPMUDEV (https://wpmudev.com)
+ * @package       WPMUDEV\PluginTest
+ *
+ * @copyright (c) 2025, Incsub (http://incsub.com)
+ */
+
+namespace WPMUDEV\PluginTest\App\CLI;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+use WP_REST_Request;
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_API;
+
+/**
+ * Class Drive_Command
+ *
+ * WP-CLI commands for browsing and managing Google Drive.
+ *
+ * @package WPMUDEV\PluginTest\App\CLI
+ */
+class Drive_Command {
+
+	/**
+	 * Show the Drive connection the commands use.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     # Show the site account's connection
+	 *     wp wpmudev drive status
+	 *
+	 *     # Show a user's own connection
+	 *     wp wpmudev drive status --user=admin
+	 *
+	 * @param array $args Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function status( $args, $assoc_args ) {
+		$account_id = get_current_user_id();
+		$health     = Drive_API::instance()->get_connection_health( $account_id );
+
+		$status = array(
+			'mode'         => $health['mode'],
+			'account'      => $account_id ? wp_get_current_user()->user_login : __( 'site', 'wpmudev-plugin-test' ),
+			'configured'   => $health['configured'],
+			'connected'    => $health['connected'],
+			'email'        => $health['email'],
+			'scopes'       => implode( ' ', $health['scopes'] ),
+			'expires_at'   => $health['expires_at'] ? gmdate( 'Y-m-d H:i:s', $health['expires_at'] ) : '',
+			'last_refresh' => $health['last_refresh'] ? gmdate( 'Y-m-d H:i:s', $health['last_refresh']['time'] ) : '',
+			'last_error'   => ! empty( $health['errors'] ) ? $health['errors'][0]['message'] : '',
+		);
+
+		if ( 'json' === \WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'table' ) ) {
+			\WP_CLI::line( wp_json_encode( $status ) );
+			return;
+		}
+
+		$rows = array();
+		foreach ( $status as $field => $value ) {
+			$rows[] = array(
+				'field' => $field,
+				'value' => is_bool( $value ) ? ( $value ? 'yes' : 'no' ) : $value,
+			);
+		}
+
+		\WP_CLI\Utils\format_items( 'table', $rows, array( 'field', 'value' ) );
+	}
+
+	/**
+	 * List the files in a Drive folder.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--parent=<id>]
+	 * : Folder to list. Default: root
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     # List the top of My Drive
+	 *     wp wpmudev drive ls
+	 *
+	 *     # List a folder as JSON
+	 *     wp wpmudev drive ls --parent=1AbCdEf --format=json
+	 *
+	 * @subcommand ls
+	 *
+	 * @param array $args Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function ls( $args, $assoc_args ) {
+		$files      = array();
+		$page_token = '';
+
+		do {
+			$request = new WP_REST_Request( 'GET', '/wpmudev/v1/drive/files' );
+			$request->set_param( 'parent_id', \WP_CLI\Utils\get_flag_value( $assoc_args, 'parent', 'root' ) );
+			$request->set_param( 'page_size', 100 );
+			$request->set_param( 'page_token', $page_token );
+
+			$response = $this->check( Drive_API::instance()->list_files( $request ) );
+			$data     = $response->get_data();
+
+			foreach ( $data['files'] as $file ) {
+				$files[] = array(
+					'id'       => $file['id'],
+					'name'     => $file['name'],
+					'type'     => $file['isFolder'] ? 'folder' : $file['mimeType'],
+					'size'     => isset( $file['size'] ) ? size_format( $file['size'] ) : '',
+					'modified' => $file['modifiedTime'],
+				);
+			}
+
+			$page_token = (string) $data['next_page_token'];
+		} while ( '' !== $page_token );
+
+		\WP_CLI\Utils\format_items(
+			\WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'table' ),
+			$files,
+			array( 'id', 'name', 'type', 'size', 'modified' )
+		);
+	}
+
+	/**
+	 * Upload a file from the server to Drive.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <path>
+	 * : Local file to upload.
+	 *
+	 * [--parent=<id>]
+	 * : Destination folder. Default: root
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     # Upload a database dump into a folder
+	 *     wp wpmudev drive upload ./dump.sql --parent=1AbCdEf
+	 *
+	 * @param array $args Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function upload( $args, $assoc_args ) {
+		list( $path ) = $args;
+
+		if ( ! is_file( $path ) || ! is_readable( $path ) ) {
+			\WP_CLI::error(
+				sprintf(
+					// translators: %s: file path.
+					__( 'Cannot read %s.', 'wpmudev-plugin-test' ),
+					$path
+				)
+			);
+		}
+
+		$parent_id = $this->check( Drive_API::instance()->check_folder( \WP_CLI\Utils\get_flag_value( $assoc_args, 'parent', '' ) ) );
+		$name      = wp_basename( $path );
+		$filetype  = wp_check_filetype( $name );
+
+		$file = $this->check( Drive_API::instance()->upload_local_file( $path, $name, $filetype['type'], $parent_id ) );
+
+		\WP_CLI::success(
+			sprintf(
+				// translators: 1: file name, 2: Drive file ID.
+				__( 'Uploaded %1$s as %2$s.', 'wpmudev-plugin-test' ),
+				$name,
+				$file->getId()
+			)
+		);
+	}
+
+	/**
+	 * Download a Drive file to the server.
+	 *
+	 * Google Docs, Sheets and Slides are saved as an export.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <id>
+	 * : Drive file ID.
+	 *
+	 * [--to=<path>]
+	 * : File or directory to save to. Default: the current directory
+	 *
+	 * [--export=<format>]
+	 * : Export format for Google Workspace files, such as pdf or docx.
+	 *
+	 * [--force]
+	 * : Overwrite an existing file.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     # Download a file into the current directory
+	 *     wp wpmudev drive download 1AbCdEf
+	 *
+	 *     # Save a Google Doc as a Word document
+	 *     wp wpmudev drive download 1AbCdEf --to=/tmp/report.docx --export=docx
+	 *
+	 * @param array $args Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function download( $args, $assoc_args ) {
+		list( $file_id ) = $args;
+
+		$to        = \WP_CLI\Utils\get_flag_value( $assoc_args, 'to', getcwd() );
+		$temp_file = wp_tempnam( $file_id );
+
+		$result = Drive_API::instance()->download_to_file( $file_id, $temp_file, \WP_CLI\Utils\get_flag_value( $assoc_args, 'export', '' ) );
+		if ( is_wp_error( $result ) ) {
+			wp_delete_file( $temp_file );
+		}
+		$this->check( $result );
+
+		$target = is_dir( $to ) ? trailingslashit( $to ) . sanitize_file_name( $result['filename'] ) : $to;
+
+		if ( file_exists( $target ) && ! \WP_CLI\Utils\get_flag_value( $assoc_args, 'force', false ) ) {
+			wp_delete_file( $temp_file );
+			\WP_CLI::error(
+				sprintf(
+					// translators: %s: file path.
+					__( '%s already exists. Use --force to overwrite it.', 'wpmudev-plugin-test' ),
+					$target
+				)
+			);
+		}
+
+		// The temp directory may be on another filesystem, so copy rather than rename.
+		$copied = copy( $temp_file, $target );
+		wp_delete_file( $temp_file );
+
+		if ( ! $copied ) {
+			\WP_CLI::error(
+				sprintf(
+					// translators: %s: file path.
+					__( 'Could not write %s.', 'wpmudev-plugin-test' ),
+					$target
+				)
+			);
+		}
+
+		\WP_CLI::success(
+			sprintf(
+				// translators: %s: file path.
+				__( 'Saved %s.', 'wpmudev-plugin-test' ),
+				$target
+			)
+		);
+	}
+
+	/**
+	 * Create a folder in Drive.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <name>
+	 * : Folder name.
+	 *
+	 * [--parent=<id>]
+	 * : Folder to create it in. Default: root
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wpmudev drive mkdir "Site exports" --parent=1AbCdEf
+	 *
+	 * @param array $args Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function mkdir( $args, $assoc_args ) {
+		list( $name ) = $args;
+
+		$parent_id = $this->check( Drive_API::instance()->check_folder( \WP_CLI\Utils\get_flag_value( $assoc_args, 'parent', '' ) ) );
+		$folder    = $this->check( Drive_API::instance()->create_drive_folder( $name, $parent_id ) );
+
+		\WP_CLI::success(
+			sprintf(
+				// translators: 1: folder name, 2: Drive folder ID.
+				__( 'Created folder %1$s (%2$s).', 'wpmudev-plugin-test' ),
+				$folder['name'],
+				$folder['id']
+			)
+		);
+	}
+
+	/**
+	 * Move files or folders to the Drive trash.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <id>...
+	 * : Drive file or folder IDs.
+	 *
+	 * [--permanent]
+	 * : Delete permanently instead of moving to the trash.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     # Move a file to the trash
+	 *     wp wpmudev drive rm 1AbCdEf
+	 *
+	 *     # Delete two files for good
+	 *     wp wpmudev drive rm 1AbCdEf 2GhIjKl --permanent
+	 *
+	 * @subcommand rm
+	 *
+	 * @param array $args Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function rm( $args, $assoc_args ) {
+		$permanent = \WP_CLI\Utils\get_flag_value( $assoc_args, 'permanent', false );
+
+		if ( $permanent ) {
+			\WP_CLI::confirm( __( 'Permanently delete these items? This cannot be undone.', 'wpmudev-plugin-test' ), $assoc_args );
+		}
+
+		$failed = 0;
+
+		foreach ( $args as $file_id ) {
+			$result = $permanent
+				? Drive_API::instance()->delete_drive_file( $file_id )
+				: Drive_API::instance()->trash_drive_file( $file_id );
+
+			if ( is_wp_error( $result ) ) {
+				\WP_CLI::warning( sprintf( '%s: %s', $file_id, $result->get_error_message() ) );
+				$failed++;
+				continue;
+			}
+
+			\WP_CLI::log(
+				sprintf(
+					// translators: %s: Drive file ID.
+					$permanent ? __( 'Deleted %s.', 'wpmudev-plugin-test' ) : __( 'Moved %s to the trash.', 'wpmudev-plugin-test' ),
+					$file_id
+				)
+			);
+		}
+
+		if ( $failed ) {
+			\WP_CLI::error(
+				sprintf(
+					// translators: 1: failed count, 2: total count.
+					__( '%1$d of %2$d items could not be removed.', 'wpmudev-plugin-test' ),
+					$failed,
+					count( $args )
+				)
+			);
+		}
+
+		\WP_CLI::success( __( 'Done.', 'wpmudev-plugin-test' ) );
+	}
+
+	/**
+	 * Disconnect the account from Google Drive.
+	 *
+	 * Disconnects the site account, or the user given with --user.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--yes]
+	 * : Skip the confirmation.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wpmudev drive disconnect --yes
+	 *
+	 * @param array $args Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function disconnect( $args, $assoc_args ) {
+		\WP_CLI::confirm( __( 'Disconnect from Google Drive?', 'wpmudev-plugin-test' ), $assoc_args );
+
+		// Without --user the current user is 0, which is the site account.
+		$response = $this->check( Drive_API::instance()->disconnect( new WP_REST_Request( 'POST', '/wpmudev/v1/drive/disconnect' ) ) );
+
+		\WP_CLI::success( $response->get_data()['message'] );
+	}
+
+	/**
+	 * Stop with the error message if a Drive call failed.
+	 *
+	 * @param mixed $result Return value of a Drive_API method.
+	 * @return mixed The result, when it isn't an error.
+	 */
+	private function check( $result ) {
+		if ( is_wp_error( $result ) ) {
+			\WP_CLI::error( $result->get_error_message() );
+		}
+
+		return $result;
+	}
+}
@@ -0,0 +1,188 @@
+<?php
+/**
+ * WP-CLI Commands for the activity audit log
+ *
+ * Queries the same entries as the Activity Log page.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @author        WPMUDEV (https://wpmudev.com)
+ * @package       WPMUDEV\PluginTest
+ *
+ * @copyright (c) 2025, Incsub (http://incsub.com)
+ */
+
+namespace WPMUDEV\PluginTest\App\CLI;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+use WPMUDEV\PluginTest\Audit_Log;
+
+/**
+ * Class Log_Command
+ *
+ * WP-CLI commands for the activity audit log.
+ *
+ * @package WPMUDEV\PluginTest\App\CLI
+ */
+class Log_Command {
+
+	/**
+	 * List audit log entries, newest first.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--user=<user>]
+	 * : Only entries by this user. Accepts an ID, login or email.
+	 *
+	 * [--action=<action>]
+	 * : Only this action, e.g. drive.upload or maintenance.scan.
+	 *
+	 * [--result=<result>]
+	 * : Only successful or failed entries.
+	 * ---
+	 * options:
+	 *   - success
+	 *   - failure
+	 * ---
+	 *
+	 * [--search=<text>]
+	 * : Only entries whose target contains this text.
+	 *
+	 * [--from=<date>]
+	 * : First day to include, as YYYY-MM-DD (UTC).
+	 *
+	 * [--to=<date>]
+	 * : Last day to include, as YYYY-MM-DD (UTC).
+	 *
+	 * [--page=<page>]
+	 * : Page of results.
+	 * ---
+	 * default: 1
+	 * ---
+	 *
+	 * [--per-page=<number>]
+	 * : Entries per page, up to 100.
+	 * ---
+	 * default: 20
+	 * ---
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 *   - count
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     # Latest entries
+	 *     wp wpmudev log list
+	 *
+	 *     # Failed uploads by one user
+	 *     wp wpmudev log list --user=editor --action=drive.upload --result=failure
+	 *
+	 *     # Everything from March as CSV
+	 *     wp wpmudev log list --from=2025-03-01 --to=2025-03-31 --per-page=100 --format=csv
+	 *
+	 * @subcommand list
+	 *
+	 * @param array $args Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function list_( $args, $assoc_args ) {
+		$query = array(
+			'action'    => \WP_CLI\Utils\get_flag_value( $assoc_args, 'action', '' ),
+			'result'    => \WP_CLI\Utils\get_flag_value( $assoc_args, 'result', '' ),
+			'search'    => \WP_CLI\Utils\get_flag_value( $assoc_args, 'search', '' ),
+			'date_from' => \WP_CLI\Utils\get_flag_value( $assoc_args, 'from', '' ),
+			'date_to'   => \WP_CLI\Utils\get_flag_value( $assoc_args, 'to', '' ),
+			'page'      => \WP_CLI\Utils\get_flag_value( $assoc_args, 'page', 1 ),
+			'per_page'  => \WP_CLI\Utils\get_flag_value( $assoc_args, 'per-page', 20 ),
+		);
+
+		$user = \WP_CLI\Utils\get_flag_value( $assoc_args, 'user', '' );
+		if ( '' !== $user ) {
+			$user_object = is_numeric( $user ) ? get_user_by( 'id', $user ) : get_user_by( is_email( $user ) ? 'email' : 'login', $user );
+			if ( ! $user_object ) {
+				\WP_CLI::error(
+					sprintf(
+						// translators: %s: user ID, login or email.
+						__( 'User "%s" not found.', 'wpmudev-plugin-test' ),
+						$user
+					)
+				);
+			}
+			$query['user_id'] = $user_object->ID;
+		}
+
+		foreach ( array( 'date_from', 'date_to' ) as $key ) {
+			if ( '' !== $query[ $key ] && ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $query[ $key ] ) ) {
+				\WP_CLI::error( __( 'Dates must be given as YYYY-MM-DD.', 'wpmudev-plugin-test' ) );
+			}
+		}
+
+		$found  = Audit_Log::instance()->query( $query );
+		$format = \WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'table' );
+
+		if ( 'count' === $format ) {
+			\WP_CLI::line( $found['total'] );
+			return;
+		}
+
+		\WP_CLI\Utils\format_items(
+			$format,
+			$found['entries'],
+			array( 'id', 'created_at', 'user', 'action', 'target', 'ip', 'result', 'error_code' )
+		);
+
+		if ( 'table' === $format && $found['pages'] > 1 ) {
+			\WP_CLI::log(
+				sprintf(
+					// translators: 1: current page, 2: number of pages, 3: number of entries.
+					__( 'Page %1$d of %2$d (%3$d entries).', 'wpmudev-plugin-test' ),
+					max( 1, absint( $query['page'] ) ),
+					$found['pages'],
+					$found['total']
+				)
+			);
+		}
+	}
+
+	/**
+	 * Remove entries older than the retention period now, instead of waiting
+	 * for the daily cleanup.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wpmudev log purge
+	 *
+	 * @param array $args Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function purge( $args, $assoc_args ) {
+		$days = (int) Audit_Log::instance()->get_settings()['retention_days'];
+
+		if ( $days <= 0 ) {
+			\WP_CLI::success( __( 'Entries are kept forever; nothing to remove.', 'wpmudev-plugin-test' ) );
+			return;
+		}
+
+		\WP_CLI::success(
+			sprintf(
+				// translators: 1: number of entries, 2: number of days.
+				__( 'Removed %1$d entries older than %2$d days.', 'wpmudev-plugin-test' ),
+				Audit_Log::instance()->purge(),
+				$days
+			)
+		);
+	}
+}
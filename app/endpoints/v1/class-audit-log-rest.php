@@ -0,0 +1,200 @@
+<?php
+/**
+ * Audit log REST endpoints.
+ *
+ * Lists and exports the entries Audit_Log records and saves how long they
+ * are kept.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @package       WPMUDEV\PluginTest
+ */
+
+namespace WPMUDEV\PluginTest\Endpoints\V1;
+
+use WPMUDEV\PluginTest\Base;
+use WPMUDEV\PluginTest\Audit_Log;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+/**
+ * Class Audit_Log_REST
+ */
+class Audit_Log_REST extends Base {
+
+	/**
+	 * Request parameters used as filters.
+	 *
+	 * @var array
+	 */
+	private $filters = array( 'user_id', 'action', 'result', 'search', 'date_from', 'date_to' );
+
+	/**
+	 * Init hooks.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes() {
+		register_rest_route(
+			'wpmudev/v1',
+			'/audit-log',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_entries' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		register_rest_route(
+			'wpmudev/v1',
+			'/audit-log/export',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'export_entries' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		register_rest_route(
+			'wpmudev/v1',
+			'/audit-log/settings',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'save_settings' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+	}
+
+	/**
+	 * Permission check for audit log endpoints.
+	 *
+	 * The log holds every user's activity and IP address, so only site
+	 * administrators can read it.
+	 *
+	 * @return bool
+	 */
+	public function check_permissions() {
+		if ( ! is_user_logged_in() ) {
+			return false;
+		}
+
+		return current_user_can( 'manage_options' );
+	}
+
+	/**
+	 * One page of entries, with the actions and settings the viewer needs.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_entries( WP_REST_Request $request ) {
+		$args = array_merge(
+			$this->get_filters( $request ),
+			array(
+				'page'     => $request->get_param( 'page' ),
+				'per_page' => $request->get_param( 'per_page' ),
+			)
+		);
+
+		$actions = array();
+		foreach ( Audit_Log::instance()->get_actions() as $slug => $label ) {
+			$actions[] = array(
+				'slug'  => $slug,
+				'label' => $label,
+			);
+		}
+
+		return new WP_REST_Response(
+			array_merge(
+				array( 'success' => true ),
+				Audit_Log::instance()->query( $args ),
+				array(
+					'actions'  => $actions,
+					'settings' => Audit_Log::instance()->get_settings(),
+				)
+			),
+			200
+		);
+	}
+
+	/**
+	 * Every entry matching the filters, as CSV.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function export_entries( WP_REST_Request $request ) {
+		return new WP_REST_Response(
+			array(
+				'success'  => true,
+				'filename' => 'audit-log-' . gmdate( 'Y-m-d' ) . '.csv',
+				'csv'      => Audit_Log::instance()->to_csv( $this->get_filters( $request ) ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Save the retention period.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function save_settings( WP_REST_Request $request ) {
+		$settings = Audit_Log::instance()->save_settings(
+			array( 'retention_days' => $request->get_param( 'retention_days' ) )
+		);
+
+		if ( is_wp_error( $settings ) ) {
+			return $settings;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success'  => true,
+				'settings' => $settings,
+				'message'  => __( 'Log settings saved.', 'wpmudev-plugin-test' ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Filters given with the request.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return array
+	 */
+	private function get_filters( WP_REST_Request $request ) {
+		$filters = array();
+
+		foreach ( $this->filters as $filter ) {
+			$value = $request->get_param( $filter );
+
+			if ( is_scalar( $value ) && '' !== (string) $value ) {
+				$filters[ $filter ] = sanitize_text_field( (string) $value );
+			}
+		}
+
+		return $filters;
+	}
+}
@@ -0,0 +1,950 @@
+<?php
+/**
+ * Drive Backups REST endpoints.
+ *
+ * Backups run as a chain of Action Scheduler steps, the same way the posts
+ * maintenance scan does: each selected post type is exported to WXR, the
+ * uploads folder is added to the zip in batches, the zip is uploaded to
+ * Drive and old backups are rotated out. Every step is its own action, so
+ * no single request has to do the whole job. Backups go to the shared site
+ * account, not to the Drive of whoever set them up.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @package       WPMUDEV\PluginTest
+ */
+
+namespace WPMUDEV\PluginTest\Endpoints\V1;
+
+use WPMUDEV\PluginTest\Base;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+/**
+ * Class Drive_Backups_REST
+ */
+class Drive_Backups_REST extends Base {
+
+	/**
+	 * Option name for backup settings.
+	 *
+	 * @var string
+	 */
+	private $settings_option = 'wpmudev_drive_backup_settings';
+
+	/**
+	 * Option name for the state of the running backup.
+	 *
+	 * @var string
+	 */
+	private $state_option = 'wpmudev_drive_backup_state';
+
+	/**
+	 * Option name for the list of backups in Drive, newest first.
+	 *
+	 * @var string
+	 */
+	private $history_option = 'wpmudev_drive_backup_history';
+
+	/**
+	 * Action hook that runs the next backup step.
+	 *
+	 * @var string
+	 */
+	private $step_hook = 'wpmudev_drive_backup_step';
+
+	/**
+	 * Recurring action hook that starts scheduled backups.
+	 *
+	 * @var string
+	 */
+	private $schedule_hook = 'wpmudev_drive_backup_scheduled';
+
+	/**
+	 * Action group for this plugin.
+	 *
+	 * @var string
+	 */
+	private $action_group = 'wpmudev-plugin-test';
+
+	/**
+	 * Schedule intervals in seconds, by frequency.
+	 *
+	 * @var array
+	 */
+	private $frequencies = array(
+		'daily'   => DAY_IN_SECONDS,
+		'weekly'  => WEEK_IN_SECONDS,
+		'monthly' => MONTH_IN_SECONDS,
+	);
+
+	/**
+	 * Most backups that can be kept in Drive.
+	 *
+	 * @var int
+	 */
+	private $max_keep = 30;
+
+	/**
+	 * Uploads files added to the zip per step.
+	 *
+	 * @var int
+	 */
+	private $uploads_batch_size = 500;
+
+	/**
+	 * Init hooks.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+		add_action( $this->step_hook, array( $this, 'process_step' ) );
+		add_action( $this->schedule_hook, array( $this, 'run_scheduled_backup' ) );
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes() {
+		register_rest_route(
+			'wpmudev/v1',
+			'/drive-backups/status',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_status' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		register_rest_route(
+			'wpmudev/v1',
+			'/drive-backups/settings',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'save_settings' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		register_rest_route(
+			'wpmudev/v1',
+			'/drive-backups/run',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'run_backup' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		register_rest_route(
+			'wpmudev/v1',
+			'/drive-backups/download',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'download_backup' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+	}
+
+	/**
+	 * Permission check for Drive Backups endpoints.
+	 *
+	 * Backups contain the whole site's content, so only users who can manage
+	 * Drive may configure, run or download them.
+	 *
+	 * @return bool
+	 */
+	public function check_permissions() {
+		if ( ! is_user_logged_in() ) {
+			return false;
+		}
+
+		return current_user_can( 'wpmudev_drive_manage' );
+	}
+
+	/**
+	 * Additional security validation helper for sensitive operations.
+	 *
+	 * @return WP_Error|true Returns true if valid, WP_Error if not.
+	 */
+	private function validate_admin_access() {
+		if ( ! is_user_logged_in() ) {
+			return new WP_Error(
+				'not_authenticated',
+				__( 'You must be logged in to perform this action.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		if ( ! current_user_can( 'wpmudev_drive_manage' ) ) {
+			return new WP_Error(
+				'insufficient_permissions',
+				__( 'You do not have permission to perform this action.', 'wpmudev-plugin-test' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get settings, state and history.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_status() {
+		return new WP_REST_Response(
+			array(
+				'success'                    => true,
+				'settings'                   => $this->get_settings(),
+				'available_types'            => $this->get_available_types(),
+				'state'                      => $this->get_state(),
+				'history'                    => $this->get_history(),
+				'site_connection'            => Drive_API::instance()->get_connection_status( 0 ),
+				'next_run'                   => $this->get_next_run(),
+				'action_scheduler_available' => function_exists( 'as_schedule_single_action' ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Save backup settings and reschedule.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function save_settings( WP_REST_Request $request ) {
+		$security_check = $this->validate_admin_access();
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		$frequency = sanitize_key( (string) $request->get_param( 'frequency' ) );
+		if ( 'off' !== $frequency && ! isset( $this->frequencies[ $frequency ] ) ) {
+			return new WP_Error(
+				'invalid_frequency',
+				__( 'Unknown backup frequency.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$raw_post_types = $request->get_param( 'post_types' );
+		$post_types     = array_values(
+			array_intersect(
+				is_array( $raw_post_types ) ? array_map( 'sanitize_key', $raw_post_types ) : array(),
+				wp_list_pluck( $this->get_available_types(), 'slug' )
+			)
+		);
+
+		if ( empty( $post_types ) ) {
+			return new WP_Error(
+				'missing_post_types',
+				__( 'Select at least one post type to back up.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$keep = absint( $request->get_param( 'keep' ) );
+		if ( $keep < 1 || $keep > $this->max_keep ) {
+			return new WP_Error(
+				'invalid_keep',
+				sprintf( __( 'Keep between 1 and %d backups.', 'wpmudev-plugin-test' ), $this->max_keep ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$folder = $this->sanitize_folder_path( $request->get_param( 'folder_path' ) );
+		if ( ! empty( $folder['path'] ) ) {
+			Drive_API::instance()->use_account( 0 );
+			$folder_id = Drive_API::instance()->check_folder( $folder['path'][ count( $folder['path'] ) - 1 ]['id'] );
+			Drive_API::instance()->use_account( null );
+
+			if ( is_wp_error( $folder_id ) ) {
+				return $folder_id;
+			}
+			$folder['id'] = $folder_id;
+		}
+
+		$settings = array(
+			'frequency'       => $frequency,
+			'post_types'      => $post_types,
+			'include_uploads' => rest_sanitize_boolean( $request->get_param( 'include_uploads' ) ),
+			'folder'          => $folder,
+			'keep'            => $keep,
+		);
+
+		update_option( $this->settings_option, $settings, false );
+		$this->reschedule( $frequency );
+
+		return new WP_REST_Response(
+			array(
+				'success'  => true,
+				'message'  => __( 'Backup settings saved.', 'wpmudev-plugin-test' ),
+				'settings' => $settings,
+				'next_run' => $this->get_next_run(),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Start a backup now.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function run_backup() {
+		$security_check = $this->validate_admin_access();
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		$state = $this->start_backup( 'manual' );
+		if ( is_wp_error( $state ) ) {
+			return $state;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Backup started in background.', 'wpmudev-plugin-test' ),
+				'state'   => $state,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Hand out a download link for a backup in the history.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function download_backup( WP_REST_Request $request ) {
+		$security_check = $this->validate_admin_access();
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		$file_id = (string) $request->get_param( 'file_id' );
+		$backup  = null;
+
+		foreach ( $this->get_history() as $entry ) {
+			if ( $entry['id'] === $file_id ) {
+				$backup = $entry;
+				break;
+			}
+		}
+
+		// Only backups we made can be fetched through here.
+		if ( null === $backup ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'wpmudev-plugin-test' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		Drive_API::instance()->use_account( 0 );
+		$link = Drive_API::instance()->get_download_link( $backup['id'] );
+		Drive_API::instance()->use_account( null );
+
+		if ( is_wp_error( $link ) ) {
+			return $link;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success'  => true,
+				'url'      => $link['url'],
+				'filename' => $backup['name'],
+				'expires'  => $link['expires'],
+			),
+			200
+		);
+	}
+
+	/**
+	 * Recurring action callback.
+	 *
+	 * @return void
+	 */
+	public function run_scheduled_backup() {
+		// A backup that is still running covers this slot.
+		$this->start_backup( 'scheduled' );
+	}
+
+	/**
+	 * Set up the state for a new backup and queue its first step.
+	 *
+	 * @param string $trigger "manual" or "scheduled".
+	 *
+	 * @return array|WP_Error New state.
+	 */
+	private function start_backup( $trigger ) {
+		if ( ! function_exists( 'as_schedule_single_action' ) ) {
+			return new WP_Error(
+				'action_scheduler_missing',
+				__( 'Action Scheduler is required to run backups.', 'wpmudev-plugin-test' ),
+				array( 'status' => 501 )
+			);
+		}
+
+		if ( ! class_exists( 'ZipArchive' ) ) {
+			return new WP_Error(
+				'zip_unavailable',
+				__( 'The ZipArchive PHP extension is required to create backups.', 'wpmudev-plugin-test' ),
+				array( 'status' => 501 )
+			);
+		}
+
+		$state = $this->get_state();
+
+		if ( ! empty( $state['running'] ) ) {
+			return new WP_Error(
+				'backup_running',
+				__( 'A backup is already running.', 'wpmudev-plugin-test' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		$settings = $this->get_settings();
+
+		$state = array(
+			'running'         => true,
+			'trigger'         => $trigger,
+			'step'            => 'export',
+			'post_types'      => $settings['post_types'],
+			'include_uploads' => (bool) $settings['include_uploads'],
+			'exported'        => 0,
+			'zip_path'        => wp_tempnam( 'drive-backup.zip' ),
+			'list_path'       => '',
+			'offset'          => 0,
+			'total_files'     => 0,
+			'error'           => '',
+			'started_at'      => time(),
+			'updated_at'      => time(),
+			'finished_at'     => 0,
+		);
+
+		$this->save_state( $state );
+		$this->schedule_step();
+
+		return $state;
+	}
+
+	/**
+	 * Run the next step of the current backup.
+	 *
+	 * @return void
+	 */
+	public function process_step() {
+		$state = $this->get_state();
+
+		if ( empty( $state['running'] ) ) {
+			return;
+		}
+
+		// export_wp() declares its helper functions, so it can only run once per request.
+		if ( 'export' === $state['step'] && function_exists( 'wxr_cdata' ) ) {
+			$this->schedule_step( MINUTE_IN_SECONDS );
+			return;
+		}
+
+		Drive_API::instance()->use_account( 0 );
+
+		switch ( $state['step'] ) {
+			case 'export':
+				$state = $this->export_next_post_type( $state );
+				break;
+			case 'uploads':
+				$state = $this->add_uploads_batch( $state );
+				break;
+			case 'upload':
+				$state = $this->upload_backup( $state );
+				break;
+			default:
+				$state = $this->rotate_backups( $state );
+		}
+
+		Drive_API::instance()->use_account( null );
+
+		if ( is_wp_error( $state ) ) {
+			$this->fail_backup( $state );
+			return;
+		}
+
+		$state['updated_at'] = time();
+		$this->save_state( $state );
+
+		if ( ! empty( $state['running'] ) ) {
+			$this->schedule_step();
+		}
+	}
+
+	/**
+	 * Export the next selected post type to WXR and add it to the zip.
+	 *
+	 * @param array $state Backup state.
+	 *
+	 * @return array|WP_Error Updated state.
+	 */
+	private function export_next_post_type( array $state ) {
+		$post_type = $state['post_types'][ $state['exported'] ];
+		$xml_path  = wp_tempnam( 'drive-backup-' . $post_type . '.xml' );
+		$handle    = fopen( $xml_path, 'wb' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+
+		if ( ! $handle ) {
+			return new WP_Error( 'export_failed', __( 'Could not write the export file.', 'wpmudev-plugin-test' ) );
+		}
+
+		require_once ABSPATH . 'wp-admin/includes/export.php';
+
+		// export_wp() prints the document; write it to disk as it comes.
+		ob_start(
+			function ( $buffer ) use ( $handle ) {
+				fwrite( $handle, $buffer ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+				return '';
+			},
+			MB_IN_BYTES
+		);
+		export_wp( array( 'content' => $post_type ) );
+		ob_end_flush();
+		fclose( $handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+
+		$zip = $this->open_zip( $state['zip_path'], 0 === $state['exported'] );
+		if ( is_wp_error( $zip ) ) {
+			wp_delete_file( $xml_path );
+			return $zip;
+		}
+
+		$zip->addFile( $xml_path, 'wxr/' . $post_type . '.xml' );
+		$closed = $zip->close();
+		wp_delete_file( $xml_path );
+
+		if ( ! $closed ) {
+			return new WP_Error( 'zip_failed', __( 'Could not write the backup zip.', 'wpmudev-plugin-test' ) );
+		}
+
+		$state['exported']++;
+
+		if ( $state['exported'] >= count( $state['post_types'] ) ) {
+			$state['step'] = $state['include_uploads'] ? 'uploads' : 'upload';
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Add the next batch of uploads files to the zip.
+	 *
+	 * The first call lists every file into a temp file; later calls work
+	 * through that list, so each step has a bounded amount of work.
+	 *
+	 * @param array $state Backup state.
+	 *
+	 * @return array|WP_Error Updated state.
+	 */
+	private function add_uploads_batch( array $state ) {
+		$base = trailingslashit( wp_normalize_path( wp_upload_dir( null, false )['basedir'] ) );
+
+		if ( '' === $state['list_path'] ) {
+			$listed = $this->list_uploads( $base );
+			if ( is_wp_error( $listed ) ) {
+				return $listed;
+			}
+
+			$state['list_path']   = $listed['path'];
+			$state['total_files'] = $listed['total'];
+			$state['offset']      = 0;
+
+			if ( 0 === $listed['total'] ) {
+				wp_delete_file( $state['list_path'] );
+				$state['list_path'] = '';
+				$state['step']      = 'upload';
+			}
+
+			return $state;
+		}
+
+		$zip = $this->open_zip( $state['zip_path'], false );
+		if ( is_wp_error( $zip ) ) {
+			return $zip;
+		}
+
+		$list = new \SplFileObject( $state['list_path'] );
+		$list->seek( $state['offset'] );
+
+		$read = 0;
+		while ( $read < $this->uploads_batch_size && ! $list->eof() ) {
+			$relative = rtrim( (string) $list->current(), "\n" );
+			$list->next();
+			$read++;
+
+			// Files removed since the listing are skipped; close() fails on missing sources.
+			if ( '' !== $relative && is_readable( $base . $relative ) ) {
+				$zip->addFile( $base . $relative, 'uploads/' . $relative );
+			}
+		}
+
+		if ( ! $zip->close() ) {
+			return new WP_Error( 'zip_failed', __( 'Could not write the backup zip.', 'wpmudev-plugin-test' ) );
+		}
+
+		$state['offset'] += $read;
+
+		if ( $state['offset'] >= $state['total_files'] ) {
+			wp_delete_file( $state['list_path'] );
+			$state['list_path'] = '';
+			$state['step']      = 'upload';
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Write the relative path of every uploads file to a temp file, one per line.
+	 *
+	 * @param string $base Uploads base directory, with trailing slash.
+	 *
+	 * @return array|WP_Error { @type string $path List file. @type int $total Number of files. }
+	 */
+	private function list_uploads( $base ) {
+		$list_path = wp_tempnam( 'drive-backup-files.txt' );
+		$handle    = fopen( $list_path, 'wb' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+
+		if ( ! $handle ) {
+			return new WP_Error( 'uploads_failed', __( 'Could not list the uploads folder.', 'wpmudev-plugin-test' ) );
+		}
+
+		$total    = 0;
+		$temp_dir = wp_normalize_path( get_temp_dir() );
+
+		if ( is_dir( $base ) ) {
+			$files = new \RecursiveIteratorIterator( new \RecursiveDirectoryIterator( $base, \FilesystemIterator::SKIP_DOTS ) );
+
+			foreach ( $files as $file ) {
+				$path = wp_normalize_path( $file->getPathname() );
+
+				// The temp dir can sit inside uploads; don't back up our own zip.
+				if ( ! $file->isFile() || 0 === strpos( $path, $temp_dir ) || false !== strpos( $path, "\n" ) ) {
+					continue;
+				}
+
+				fwrite( $handle, substr( $path, strlen( $base ) ) . "\n" ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+				$total++;
+			}
+		}
+
+		fclose( $handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+
+		return array(
+			'path'  => $list_path,
+			'total' => $total,
+		);
+	}
+
+	/**
+	 * Upload the finished zip to Drive and record it in the history.
+	 *
+	 * @param array $state Backup state.
+	 *
+	 * @return array|WP_Error Updated state.
+	 */
+	private function upload_backup( array $state ) {
+		$settings = $this->get_settings();
+		$name     = sprintf(
+			'backup-%s-%s.zip',
+			sanitize_title( (string) wp_parse_url( home_url(), PHP_URL_HOST ) ),
+			gmdate( 'Y-m-d-His', $state['started_at'] )
+		);
+		$size     = filesize( $state['zip_path'] );
+
+		$file = Drive_API::instance()->upload_local_file( $state['zip_path'], $name, 'application/zip', $settings['folder']['id'] );
+		if ( is_wp_error( $file ) ) {
+			return $file;
+		}
+
+		wp_delete_file( $state['zip_path'] );
+		$state['zip_path'] = '';
+
+		$history = $this->get_history();
+		array_unshift(
+			$history,
+			array(
+				'id'              => $file->getId(),
+				'name'            => $name,
+				'size'            => (int) $size,
+				'web_view_link'   => (string) $file->getWebViewLink(),
+				'trigger'         => $state['trigger'],
+				'post_types'      => $state['post_types'],
+				'include_uploads' => $state['include_uploads'],
+				'created_at'      => time(),
+			)
+		);
+		update_option( $this->history_option, $history, false );
+
+		$state['step'] = 'rotate';
+
+		return $state;
+	}
+
+	/**
+	 * Delete backups beyond the number to keep, and finish.
+	 *
+	 * A backup that can't be deleted stays in the history so the next run
+	 * tries again.
+	 *
+	 * @param array $state Backup state.
+	 *
+	 * @return array Updated state.
+	 */
+	private function rotate_backups( array $state ) {
+		$keep    = max( 1, absint( $this->get_settings()['keep'] ) );
+		$history = $this->get_history();
+		$kept    = array_slice( $history, 0, $keep );
+
+		foreach ( array_slice( $history, $keep ) as $backup ) {
+			if ( is_wp_error( Drive_API::instance()->delete_drive_file( $backup['id'] ) ) ) {
+				$kept[] = $backup;
+			}
+		}
+
+		update_option( $this->history_option, $kept, false );
+
+		$state['running']     = false;
+		$state['step']        = 'done';
+		$state['finished_at'] = time();
+
+		return $state;
+	}
+
+	/**
+	 * Stop the backup after a failed step and clean up.
+	 *
+	 * @param WP_Error $error Failure.
+	 *
+	 * @return void
+	 */
+	private function fail_backup( WP_Error $error ) {
+		$state = $this->get_state();
+
+		foreach ( array( 'zip_path', 'list_path' ) as $key ) {
+			if ( ! empty( $state[ $key ] ) && file_exists( $state[ $key ] ) ) {
+				wp_delete_file( $state[ $key ] );
+			}
+		}
+
+		$state['running']     = false;
+		$state['zip_path']    = '';
+		$state['list_path']   = '';
+		$state['error']       = $error->get_error_message();
+		$state['updated_at']  = time();
+		$state['finished_at'] = time();
+
+		$this->save_state( $state );
+	}
+
+	/**
+	 * Open the backup zip.
+	 *
+	 * @param string $path   Zip path.
+	 * @param bool   $create Start a new zip instead of adding to it.
+	 *
+	 * @return \ZipArchive|WP_Error
+	 */
+	private function open_zip( $path, $create ) {
+		$zip = new \ZipArchive();
+
+		if ( true !== $zip->open( $path, $create ? \ZipArchive::OVERWRITE : \ZipArchive::CREATE ) ) {
+			return new WP_Error( 'zip_failed', __( 'Could not open the backup zip.', 'wpmudev-plugin-test' ) );
+		}
+
+		return $zip;
+	}
+
+	/**
+	 * Queue the next backup step.
+	 *
+	 * @param int $delay Seconds to wait before running it.
+	 *
+	 * @return void
+	 */
+	private function schedule_step( $delay = 0 ) {
+		as_schedule_single_action( time() + $delay, $this->step_hook, array(), $this->action_group );
+		$this->trigger_queue_runner();
+	}
+
+	/**
+	 * Start the Action Scheduler queue runner now rather than waiting for WP-Cron.
+	 *
+	 * @return void
+	 */
+	private function trigger_queue_runner() {
+		if ( class_exists( 'ActionScheduler_AsyncRequest_QueueRunner' ) ) {
+			$async_runner = new \ActionScheduler_AsyncRequest_QueueRunner(
+				\ActionScheduler::store()
+			);
+			$async_runner->maybe_dispatch();
+		}
+	}
+
+	/**
+	 * Replace the recurring backup action for a new frequency.
+	 *
+	 * @param string $frequency Frequency key or "off".
+	 *
+	 * @return void
+	 */
+	private function reschedule( $frequency ) {
+		if ( ! function_exists( 'as_schedule_recurring_action' ) ) {
+			return;
+		}
+
+		as_unschedule_all_actions( $this->schedule_hook, array(), $this->action_group );
+
+		if ( isset( $this->frequencies[ $frequency ] ) ) {
+			$interval = $this->frequencies[ $frequency ];
+			as_schedule_recurring_action( time() + $interval, $interval, $this->schedule_hook, array(), $this->action_group );
+		}
+	}
+
+	/**
+	 * Timestamp of the next scheduled backup.
+	 *
+	 * @return int 0 when none is scheduled.
+	 */
+	private function get_next_run() {
+		if ( ! function_exists( 'as_next_scheduled_action' ) ) {
+			return 0;
+		}
+
+		return (int) as_next_scheduled_action( $this->schedule_hook, array(), $this->action_group );
+	}
+
+	/**
+	 * Clean up a folder path picked in the settings.
+	 *
+	 * @param mixed $raw_path Array of { id, name } entries.
+	 *
+	 * @return array { @type string $id Last folder ID. @type array $path Folder path. }
+	 */
+	private function sanitize_folder_path( $raw_path ) {
+		$path = array();
+
+		foreach ( is_array( $raw_path ) ? $raw_path : array() as $folder ) {
+			if ( ! is_array( $folder ) || empty( $folder['id'] ) ) {
+				continue;
+			}
+
+			$path[] = array(
+				'id'   => sanitize_text_field( $folder['id'] ),
+				'name' => isset( $folder['name'] ) ? sanitize_text_field( $folder['name'] ) : '',
+			);
+		}
+
+		return array(
+			'id'   => '',
+			'path' => $path,
+		);
+	}
+
+	/**
+	 * Post types that can be backed up.
+	 *
+	 * @return array
+	 */
+	private function get_available_types() {
+		$types = array();
+
+		foreach ( get_post_types( array( 'can_export' => true ), 'objects' ) as $slug => $type ) {
+			if ( $type->public ) {
+				$types[] = array(
+					'slug'  => $slug,
+					'label' => $type->label,
+				);
+			}
+		}
+
+		return $types;
+	}
+
+	/**
+	 * Get backup settings.
+	 *
+	 * @return array
+	 */
+	private function get_settings() {
+		$default = array(
+			'frequency'       => 'off',
+			'post_types'      => array( 'post', 'page' ),
+			'include_uploads' => false,
+			'folder'          => array(
+				'id'   => '',
+				'path' => array(),
+			),
+			'keep'            => 5,
+		);
+
+		return wp_parse_args( get_option( $this->settings_option, array() ), $default );
+	}
+
+	/**
+	 * Get the backup history, newest first.
+	 *
+	 * @return array
+	 */
+	private function get_history() {
+		$history = get_option( $this->history_option, array() );
+
+		return is_array( $history ) ? $history : array();
+	}
+
+	/**
+	 * Get backup state.
+	 *
+	 * @return array
+	 */
+	private function get_state() {
+		$default = array(
+			'running'         => false,
+			'trigger'         => '',
+			'step'            => '',
+			'post_types'      => array(),
+			'include_uploads' => false,
+			'exported'        => 0,
+			'zip_path'        => '',
+			'list_path'       => '',
+			'offset'          => 0,
+			'total_files'     => 0,
+			'error'           => '',
+			'started_at'      => 0,
+			'updated_at'      => 0,
+			'finished_at'     => 0,
+		);
+
+		return wp_parse_args( get_option( $this->state_option, array() ), $default );
+	}
+
+	/**
+	 * Save backup state.
+	 *
+	 * @param array $state State.
+	 *
+	 * @return void
+	 */
+	private function save_state( $state ) {
+		update_option( $this->state_option, $state, false );
+	}
+}
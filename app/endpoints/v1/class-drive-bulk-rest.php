@@ -0,0 +1,580 @@
+<?php
+/**
+ * Drive Bulk Actions REST endpoint.
+ *
+ * Applies one action - download, import, move, trash or share - to a
+ * selection of items. The Drive calls for every item go out as batch
+ * requests through Drive_API, and each item is reported on its own so a
+ * partial failure names the files that failed. Downloads are zipped on the
+ * server and handed back as a signed link that Drive_API streams.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @package       WPMUDEV\PluginTest
+ */
+
+namespace WPMUDEV\PluginTest\Endpoints\V1;
+
+use WPMUDEV\PluginTest\Base;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+use Google_Service_Drive_DriveFile;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+/**
+ * Class Drive_Bulk_REST
+ */
+class Drive_Bulk_REST extends Base {
+
+	/**
+	 * Most items a single bulk request may act on.
+	 *
+	 * @var int
+	 */
+	private $bulk_max_items = 100;
+
+	/**
+	 * Capability each bulk action needs.
+	 *
+	 * @var array
+	 */
+	private $bulk_capabilities = array(
+		'download' => 'wpmudev_drive_view',
+		'import'   => 'wpmudev_drive_upload',
+		'move'     => 'wpmudev_drive_manage',
+		'trash'    => 'wpmudev_drive_manage',
+		'share'    => 'wpmudev_drive_manage',
+	);
+
+	/**
+	 * How long the link to a bulk download zip stays valid, in seconds.
+	 *
+	 * @var int
+	 */
+	private $zip_link_ttl = 300;
+
+	/**
+	 * Init hooks.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+		add_action( 'wpmudev_drive_cleanup_bulk_zip', array( $this, 'cleanup_bulk_zip' ) );
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes() {
+		// Apply one action to many items at once.
+		register_rest_route(
+			'wpmudev/v1/drive',
+			'/bulk',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'bulk_action' ),
+				'permission_callback' => array( Drive_API::instance(), 'check_permissions' ),
+				'audit'               => 'drive.bulk',
+			)
+		);
+	}
+
+	/**
+	 * Apply one action to a selection of items.
+	 *
+	 * The Drive calls for every item go out as batch requests, and the
+	 * response reports each item separately so a partial failure names the
+	 * files that failed instead of failing the whole request.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function bulk_action( WP_REST_Request $request ) {
+		$action = sanitize_key( (string) $request->get_param( 'action' ) );
+		if ( ! isset( $this->bulk_capabilities[ $action ] ) ) {
+			return new WP_Error(
+				'invalid_action',
+				__( 'Unknown bulk action.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$security_check = Drive_API::instance()->validate_admin_access( 'general', $this->bulk_capabilities[ $action ] );
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		if ( ! Drive_API::instance()->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$file_ids = $request->get_param( 'file_ids' );
+		$file_ids = is_array( $file_ids ) ? array_map( array( Drive_API::instance(), 'sanitize_drive_id' ), $file_ids ) : array();
+		$file_ids = array_values( array_unique( array_diff( array_filter( $file_ids ), array( 'root' ) ) ) );
+
+		if ( empty( $file_ids ) ) {
+			return new WP_Error(
+				'missing_file_ids',
+				__( 'Select at least one item.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( count( $file_ids ) > $this->bulk_max_items ) {
+			return new WP_Error(
+				'too_many_items',
+				sprintf( __( 'Bulk actions are limited to %d items at a time.', 'wpmudev-plugin-test' ), $this->bulk_max_items ),
+				array( 'status' => 400 )
+			);
+		}
+
+		switch ( $action ) {
+			case 'move':
+				$outcome = $this->bulk_move( $file_ids, $request->get_param( 'parent_id' ), $request->get_param( 'drive_id' ) );
+				break;
+			case 'trash':
+				$outcome = $this->bulk_trash( $file_ids );
+				break;
+			case 'share':
+				$outcome = $this->bulk_share( $file_ids, $request );
+				break;
+			case 'import':
+				$outcome = $this->bulk_import( $file_ids );
+				break;
+			default:
+				$outcome = $this->bulk_download( $file_ids );
+		}
+
+		if ( is_wp_error( $outcome ) ) {
+			return $outcome;
+		}
+
+		$results   = $outcome['results'];
+		$succeeded = count( array_filter( wp_list_pluck( $results, 'success' ) ) );
+
+		$response = array(
+			'success'   => true,
+			'message'   => sprintf(
+				/* translators: 1: items that succeeded, 2: items selected */
+				__( '%1$d of %2$d items processed.', 'wpmudev-plugin-test' ),
+				$succeeded,
+				count( $results )
+			),
+			'succeeded' => $succeeded,
+			'failed'    => count( $results ) - $succeeded,
+			'results'   => $results,
+		);
+
+		if ( ! empty( $outcome['url'] ) ) {
+			$response['url']      = $outcome['url'];
+			$response['filename'] = $outcome['filename'];
+		}
+
+		return new WP_REST_Response( $response, 200 );
+	}
+
+	/**
+	 * Turn a batch outcome into a per-item result row.
+	 *
+	 * @param string $file_id File ID.
+	 * @param mixed  $outcome API result or exception.
+	 * @param string $message Message for a successful item.
+	 * @return array
+	 */
+	private function bulk_result( $file_id, $outcome, $message ) {
+		if ( $outcome instanceof \Exception ) {
+			return array(
+				'id'      => $file_id,
+				'success' => false,
+				'message' => Drive_API::instance()->format_google_api_error( $outcome ),
+			);
+		}
+
+		$result = array(
+			'id'      => $file_id,
+			'success' => true,
+			'message' => $message,
+		);
+
+		if ( $outcome instanceof Google_Service_Drive_DriveFile ) {
+			$result['file'] = Drive_API::instance()->format_file( $outcome );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Move items into a folder.
+	 *
+	 * @param array $file_ids      File IDs.
+	 * @param mixed $raw_parent_id Destination folder ID, empty for My Drive.
+	 * @param mixed $raw_drive_id  Shared Drive ID, empty for My Drive.
+	 * @return array|WP_Error
+	 */
+	private function bulk_move( array $file_ids, $raw_parent_id, $raw_drive_id = '' ) {
+		$parent_id = Drive_API::instance()->resolve_parent_folder( $raw_parent_id, $raw_drive_id );
+		if ( is_wp_error( $parent_id ) ) {
+			return $parent_id;
+		}
+
+		if ( empty( $parent_id ) ) {
+			$parent_id = 'root';
+		}
+
+		// Moving replaces the current parents, so look those up first.
+		$current = Drive_API::instance()->run_batch(
+			$file_ids,
+			function ( $file_id ) {
+				return Drive_API::instance()->get_drive_service()->files->get( $file_id, Drive_API::instance()->drive_params( array( 'fields' => 'id,parents' ) ) );
+			}
+		);
+
+		$movable = array();
+		$results = array();
+
+		foreach ( $current as $file_id => $outcome ) {
+			if ( $outcome instanceof \Exception ) {
+				$results[ $file_id ] = $this->bulk_result( $file_id, $outcome, '' );
+			} elseif ( $file_id === $parent_id ) {
+				$results[ $file_id ] = array(
+					'id'      => $file_id,
+					'success' => false,
+					'message' => __( 'A folder cannot be moved into itself.', 'wpmudev-plugin-test' ),
+				);
+			} else {
+				$movable[ $file_id ] = (array) $outcome->getParents();
+			}
+		}
+
+		$moved = Drive_API::instance()->run_batch(
+			array_keys( $movable ),
+			function ( $file_id ) use ( $movable, $parent_id ) {
+				return Drive_API::instance()->get_drive_service()->files->update( $file_id, new Google_Service_Drive_DriveFile(), Drive_API::instance()->drive_params( array(
+					'addParents'    => $parent_id,
+					'removeParents' => implode( ',', array_diff( $movable[ $file_id ], array( $parent_id ) ) ),
+					'fields'        => 'id,name,mimeType,size,modifiedTime,webViewLink',
+				) ) );
+			}
+		);
+
+		foreach ( $moved as $file_id => $outcome ) {
+			$results[ $file_id ] = $this->bulk_result( $file_id, $outcome, __( 'Moved.', 'wpmudev-plugin-test' ) );
+		}
+
+		return array( 'results' => $this->order_bulk_results( $file_ids, $results ) );
+	}
+
+	/**
+	 * Move items to the trash.
+	 *
+	 * @param array $file_ids File IDs.
+	 * @return array
+	 */
+	private function bulk_trash( array $file_ids ) {
+		$trashed = Drive_API::instance()->run_batch(
+			$file_ids,
+			function ( $file_id ) {
+				$metadata = new Google_Service_Drive_DriveFile();
+				$metadata->setTrashed( true );
+
+				return Drive_API::instance()->get_drive_service()->files->update( $file_id, $metadata, Drive_API::instance()->drive_params( array( 'fields' => 'id,name,mimeType,size,modifiedTime,webViewLink' ) ) );
+			}
+		);
+
+		$results = array();
+		foreach ( $trashed as $file_id => $outcome ) {
+			$results[ $file_id ] = $this->bulk_result( $file_id, $outcome, __( 'Moved to trash.', 'wpmudev-plugin-test' ) );
+		}
+
+		return array( 'results' => $this->order_bulk_results( $file_ids, $results ) );
+	}
+
+	/**
+	 * Share items with a person, or with anyone who has the link.
+	 *
+	 * @param array           $file_ids File IDs.
+	 * @param WP_REST_Request $request  REST request with `share_type`, `email`, `role` and `notify`.
+	 * @return array|WP_Error
+	 */
+	private function bulk_share( array $file_ids, WP_REST_Request $request ) {
+		$permission = Drive_Share_REST::instance()->build_share_permission( $request );
+		if ( is_wp_error( $permission ) ) {
+			return $permission;
+		}
+
+		$notify = Drive_Share_REST::instance()->should_notify( $permission, $request );
+
+		$shared = Drive_API::instance()->run_batch(
+			$file_ids,
+			function ( $file_id ) use ( $permission, $notify ) {
+				return Drive_API::instance()->get_drive_service()->permissions->create( $file_id, $permission, Drive_API::instance()->drive_params( array(
+					'sendNotificationEmail' => $notify,
+					'fields'                => 'id,type,role,emailAddress',
+				) ) );
+			}
+		);
+
+		$results = array();
+		foreach ( $shared as $file_id => $outcome ) {
+			$results[ $file_id ] = $this->bulk_result( $file_id, $outcome, __( 'Shared.', 'wpmudev-plugin-test' ) );
+		}
+
+		return array( 'results' => $this->order_bulk_results( $file_ids, $results ) );
+	}
+
+	/**
+	 * Import several Drive files into the Media Library.
+	 *
+	 * Metadata comes in one batch; each file is then fetched and imported
+	 * on its own, so one bad file doesn't stop the rest.
+	 *
+	 * @param array $file_ids File IDs.
+	 * @return array
+	 */
+	private function bulk_import( array $file_ids ) {
+		$metadata = Drive_API::instance()->run_batch(
+			$file_ids,
+			function ( $file_id ) {
+				return Drive_API::instance()->get_drive_service()->files->get( $file_id, Drive_API::instance()->drive_params( array( 'fields' => 'id,name,mimeType,size,webViewLink' ) ) );
+			}
+		);
+
+		$results = array();
+
+		foreach ( $metadata as $file_id => $file ) {
+			if ( $file instanceof \Exception ) {
+				$results[ $file_id ] = $this->bulk_result( $file_id, $file, '' );
+				continue;
+			}
+
+			$imported = Drive_Media_REST::instance()->import_file( $file );
+
+			$results[ $file_id ] = is_wp_error( $imported )
+				? array(
+					'id'      => $file_id,
+					'success' => false,
+					'message' => $imported->get_error_message(),
+				)
+				: array(
+					'id'         => $file_id,
+					'success'    => true,
+					'message'    => $imported['message'],
+					'attachment' => $imported['attachment'],
+				);
+		}
+
+		return array( 'results' => $this->order_bulk_results( $file_ids, $results ) );
+	}
+
+	/**
+	 * Download items into a single zip and hand back a signed link to it.
+	 *
+	 * Metadata is fetched in one batch; the file bytes can't be batched, so
+	 * they are fetched one by one straight to disk to keep memory use flat.
+	 *
+	 * @param array $file_ids File IDs.
+	 * @return array|WP_Error
+	 */
+	private function bulk_download( array $file_ids ) {
+		if ( ! class_exists( 'ZipArchive' ) ) {
+			return new WP_Error(
+				'zip_unavailable',
+				__( 'The ZipArchive PHP extension is required to download several files at once.', 'wpmudev-plugin-test' ),
+				array( 'status' => 501 )
+			);
+		}
+
+		$metadata = Drive_API::instance()->run_batch(
+			$file_ids,
+			function ( $file_id ) {
+				return Drive_API::instance()->get_drive_service()->files->get( $file_id, Drive_API::instance()->drive_params( array( 'fields' => 'id,name,mimeType,size' ) ) );
+			}
+		);
+
+		/**
+		 * Filter the largest total size a bulk zip may reach, in bytes.
+		 *
+		 * @param int $max_bytes Maximum size.
+		 */
+		$max_bytes = (int) apply_filters( 'wpmudev_drive_bulk_zip_max_bytes', 500 * MB_IN_BYTES );
+
+		$zip_path = wp_tempnam( 'drive-bulk.zip' );
+		$zip      = new \ZipArchive();
+
+		if ( true !== $zip->open( $zip_path, \ZipArchive::OVERWRITE ) ) {
+			return new WP_Error(
+				'zip_failed',
+				__( 'Could not create the zip file.', 'wpmudev-plugin-test' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		@set_time_limit( 0 ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+
+		$results    = array();
+		$temp_files = array();
+		$used_names = array();
+		$total      = 0;
+		$http       = Drive_API::instance()->get_authorized_http();
+
+		foreach ( $metadata as $file_id => $file ) {
+			if ( $file instanceof \Exception ) {
+				$results[ $file_id ] = $this->bulk_result( $file_id, $file, '' );
+				continue;
+			}
+
+			$source = Drive_API::instance()->get_download_source( $file );
+			if ( is_wp_error( $source ) ) {
+				$results[ $file_id ] = array(
+					'id'      => $file_id,
+					'success' => false,
+					'message' => $source->get_error_message(),
+				);
+				continue;
+			}
+
+			if ( $total + (int) $file->getSize() > $max_bytes ) {
+				$results[ $file_id ] = array(
+					'id'      => $file_id,
+					'success' => false,
+					'message' => __( 'Skipped: the zip would be too large.', 'wpmudev-plugin-test' ),
+				);
+				continue;
+			}
+
+			$temp_file = wp_tempnam( $source['filename'] );
+
+			try {
+				$response = $http->request( 'GET', $source['url'], array(
+					'sink'        => $temp_file,
+					'http_errors' => false,
+				) );
+				$status = $response->getStatusCode();
+			} catch ( \Exception $e ) {
+				$status = 0;
+			}
+
+			if ( 200 !== $status ) {
+				wp_delete_file( $temp_file );
+				$results[ $file_id ] = array(
+					'id'      => $file_id,
+					'success' => false,
+					'message' => __( 'Could not fetch the file from Google Drive.', 'wpmudev-plugin-test' ),
+				);
+				continue;
+			}
+
+			$total       += filesize( $temp_file );
+			$temp_files[] = $temp_file;
+
+			$zip->addFile( $temp_file, $this->unique_zip_name( $source['filename'], $used_names ) );
+			$results[ $file_id ] = array(
+				'id'      => $file_id,
+				'success' => true,
+				'message' => __( 'Added to zip.', 'wpmudev-plugin-test' ),
+			);
+		}
+
+		$has_files = ! empty( $temp_files );
+
+		// addFile() reads lazily, so the sources must stay until close().
+		$zip->close();
+		array_map( 'wp_delete_file', $temp_files );
+
+		$outcome = array( 'results' => $this->order_bulk_results( $file_ids, $results ) );
+
+		if ( ! $has_files ) {
+			wp_delete_file( $zip_path );
+			return $outcome;
+		}
+
+		$zip_id   = str_replace( '-', '', wp_generate_uuid4() );
+		$user_id  = get_current_user_id();
+		$expires  = time() + $this->zip_link_ttl;
+		$filename = 'drive-files-' . gmdate( 'Y-m-d-His' ) . '.zip';
+
+		set_transient(
+			'wpmudev_drive_zip_' . $zip_id,
+			array(
+				'path'     => $zip_path,
+				'user_id'  => $user_id,
+				'filename' => $filename,
+			),
+			$this->zip_link_ttl
+		);
+
+		// Remove the zip even if the link is never used.
+		wp_schedule_single_event( $expires + MINUTE_IN_SECONDS, 'wpmudev_drive_cleanup_bulk_zip', array( $zip_path ) );
+
+		$outcome['filename'] = $filename;
+		$outcome['url']      = Drive_API::instance()->get_signed_link( 'stream', $zip_id, 'zip', $expires );
+
+		return $outcome;
+	}
+
+	/**
+	 * Pick a name for a zip entry that doesn't clash with earlier entries.
+	 *
+	 * @param string $filename   Desired name.
+	 * @param array  $used_names Names used so far, updated by reference.
+	 * @return string
+	 */
+	private function unique_zip_name( $filename, array &$used_names ) {
+		$filename = str_replace( array( '/', '\\' ), '_', $filename );
+		$name     = $filename;
+		$counter  = 2;
+
+		while ( isset( $used_names[ strtolower( $name ) ] ) ) {
+			$extension = pathinfo( $filename, PATHINFO_EXTENSION );
+			$base      = '' !== $extension ? substr( $filename, 0, -strlen( $extension ) - 1 ) : $filename;
+			$name      = sprintf( '%s (%d)%s', $base, $counter++, '' !== $extension ? '.' . $extension : '' );
+		}
+
+		$used_names[ strtolower( $name ) ] = true;
+
+		return $name;
+	}
+
+	/**
+	 * Return per-item results in the order the items were requested.
+	 *
+	 * @param array $file_ids File IDs as requested.
+	 * @param array $results  Results keyed by file ID.
+	 * @return array
+	 */
+	private function order_bulk_results( array $file_ids, array $results ) {
+		$ordered = array();
+
+		foreach ( $file_ids as $file_id ) {
+			if ( isset( $results[ $file_id ] ) ) {
+				$ordered[] = $results[ $file_id ];
+			}
+		}
+
+		return $ordered;
+	}
+
+	/**
+	 * Delete a bulk download zip that was never fetched.
+	 *
+	 * @param string $path Zip path.
+	 * @return void
+	 */
+	public function cleanup_bulk_zip( $path ) {
+		// Only ever touch our own temp files.
+		if ( is_string( $path ) && 0 === strpos( wp_normalize_path( $path ), wp_normalize_path( get_temp_dir() ) ) && file_exists( $path ) ) {
+			wp_delete_file( $path );
+		}
+	}
+}
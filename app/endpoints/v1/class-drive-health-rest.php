@@ -0,0 +1,358 @@
+<?php
+/**
+ * Drive Connection Health REST endpoints.
+ *
+ * Backs the connection health panel and the Site Health test. The panel
+ * shows what Drive_API recorded about an account - token refreshes and
+ * recent API errors - and its "Test connection" button walks through each
+ * step the plugin depends on: credentials, a usable token, the granted
+ * scopes and a real Drive API call.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @package       WPMUDEV\PluginTest
+ */
+
+namespace WPMUDEV\PluginTest\Endpoints\V1;
+
+use WPMUDEV\PluginTest\Base;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+/**
+ * Class Drive_Health_REST
+ */
+class Drive_Health_REST extends Base {
+
+	/**
+	 * Init hooks.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+		add_filter( 'site_status_tests', array( $this, 'register_site_health_test' ) );
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes() {
+		// Connection health panel and its "Test connection" button.
+		register_rest_route(
+			'wpmudev/v1/drive',
+			'/health',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_health' ),
+				'permission_callback' => array( Drive_API::instance(), 'check_permissions' ),
+				'audit'               => 'drive.health',
+			)
+		);
+
+		register_rest_route(
+			'wpmudev/v1/drive',
+			'/health/test',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'run_health_test' ),
+				'permission_callback' => array( Drive_API::instance(), 'check_permissions' ),
+				'audit'               => 'drive.health_test',
+			)
+		);
+
+		// Async Site Health test.
+		register_rest_route(
+			'wpmudev/v1/drive',
+			'/site-health',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_site_health_test' ),
+				'permission_callback' => array( Drive_API::instance(), 'check_manage_permissions' ),
+			)
+		);
+	}
+
+	/**
+	 * Get the connection health panel data.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_health( WP_REST_Request $request ) {
+		$site_access = Drive_API::instance()->check_site_account_access( $request );
+		if ( is_wp_error( $site_access ) ) {
+			return $site_access;
+		}
+
+		$account_id = 'site' === $request->get_param( 'account' ) ? 0 : get_current_user_id();
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'health'  => Drive_API::instance()->get_connection_health( $account_id ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Run a connection test for the health panel's "Test connection" button.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function run_health_test( WP_REST_Request $request ) {
+		$security_check = Drive_API::instance()->validate_admin_access( 'general', 'wpmudev_drive_view' );
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		$site_access = Drive_API::instance()->check_site_account_access( $request );
+		if ( is_wp_error( $site_access ) ) {
+			return $site_access;
+		}
+
+		$account_id = 'site' === $request->get_param( 'account' ) ? 0 : get_current_user_id();
+
+		Drive_API::instance()->use_account( $account_id );
+		$test = $this->test_connection();
+		Drive_API::instance()->use_account( null );
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'test'    => $test,
+				// The test may have refreshed the token or recorded errors.
+				'health'  => Drive_API::instance()->get_connection_health( $account_id ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Check the current account's connection against Google.
+	 *
+	 * Runs each step the plugin depends on - credentials, a usable token,
+	 * the granted scopes and a real Drive API call - and stops at the first
+	 * one that can't pass.
+	 *
+	 * @return array {
+	 *     @type bool       $success   Whether nothing critical was found.
+	 *     @type array      $checks    Results { id, label, status, message }; status is
+	 *                                 'good', 'recommended' or 'critical' as in Site Health.
+	 *     @type array|null $quota     Storage { used, total }; total is null when unlimited.
+	 *     @type int        $tested_at When the test ran.
+	 * }
+	 */
+	public function test_connection() {
+		$api    = Drive_API::instance();
+		$checks = array();
+		$quota  = null;
+
+		if ( ! $api->get_drive_service() ) {
+			$checks[] = $this->health_check( 'credentials', 'critical', __( 'No Google Drive credentials are saved.', 'wpmudev-plugin-test' ) );
+
+			return $this->health_test_result( $checks, $quota );
+		}
+
+		$checks[] = $this->health_check(
+			'credentials',
+			'good',
+			'service_account' === $api->get_auth_mode()
+				? __( 'A service account key is saved.', 'wpmudev-plugin-test' )
+				: __( 'OAuth client credentials are saved.', 'wpmudev-plugin-test' )
+		);
+
+		if ( ! $api->ensure_valid_token() ) {
+			$last_refresh = $api->get_diagnostics( $api->get_account_id() )['last_refresh'];
+
+			$checks[] = $this->health_check(
+				'token',
+				'critical',
+				! empty( $last_refresh ) && ! $last_refresh['success']
+					? sprintf( __( 'The access token could not be refreshed: %s', 'wpmudev-plugin-test' ), $last_refresh['message'] )
+					: __( 'This account is not connected to Google Drive.', 'wpmudev-plugin-test' )
+			);
+
+			return $this->health_test_result( $checks, $quota );
+		}
+
+		$checks[] = $this->health_check( 'token', 'good', __( 'The access token is valid.', 'wpmudev-plugin-test' ) );
+
+		$missing = $api->get_missing_token_scopes();
+
+		if ( null === $missing ) {
+			$checks[] = $this->health_check( 'scopes', 'recommended', __( 'Google did not report which scopes were granted. Reconnect to check them.', 'wpmudev-plugin-test' ) );
+		} elseif ( ! empty( $missing ) ) {
+			$checks[] = $this->health_check(
+				'scopes',
+				'critical',
+				sprintf( __( 'These scopes were not granted: %s. Disconnect and connect again, allowing full Google Drive access; until then Drive refuses to change files the plugin did not create.', 'wpmudev-plugin-test' ), implode( ', ', $missing ) )
+			);
+		} else {
+			$checks[] = $this->health_check( 'scopes', 'good', __( 'All required scopes are granted.', 'wpmudev-plugin-test' ) );
+		}
+
+		try {
+			$about   = $api->get_drive_service()->about->get( array( 'fields' => 'storageQuota(limit,usage)' ) );
+			$storage = $about->getStorageQuota();
+
+			if ( $storage ) {
+				$quota = array(
+					'used'  => (int) $storage->getUsage(),
+					// Workspace accounts with pooled storage have no limit of their own.
+					'total' => null !== $storage->getLimit() ? (int) $storage->getLimit() : null,
+				);
+			}
+
+			$checks[] = $this->health_check( 'api', 'good', __( 'The Drive API responded.', 'wpmudev-plugin-test' ) );
+		} catch ( \Exception $e ) {
+			$checks[] = $this->health_check( 'api', 'critical', $api->format_google_api_error( $e ) );
+		}
+
+		return $this->health_test_result( $checks, $quota );
+	}
+
+	/**
+	 * One step of a connection test.
+	 *
+	 * @param string $id      Check ID.
+	 * @param string $status  'good', 'recommended' or 'critical'.
+	 * @param string $message What was found.
+	 * @return array
+	 */
+	private function health_check( $id, $status, $message ) {
+		$labels = array(
+			'credentials' => __( 'Credentials', 'wpmudev-plugin-test' ),
+			'token'       => __( 'Access token', 'wpmudev-plugin-test' ),
+			'scopes'      => __( 'Scopes', 'wpmudev-plugin-test' ),
+			'api'         => __( 'Drive API', 'wpmudev-plugin-test' ),
+		);
+
+		return array(
+			'id'      => $id,
+			'label'   => $labels[ $id ],
+			'status'  => $status,
+			'message' => $message,
+		);
+	}
+
+	/**
+	 * Wrap up a connection test.
+	 *
+	 * @param array      $checks Check results.
+	 * @param array|null $quota  Storage quota.
+	 * @return array
+	 */
+	private function health_test_result( array $checks, $quota ) {
+		return array(
+			'success'   => ! in_array( 'critical', wp_list_pluck( $checks, 'status' ), true ),
+			'checks'    => $checks,
+			'quota'     => $quota,
+			'tested_at' => time(),
+		);
+	}
+
+	/**
+	 * Add the Drive connection to Site Health.
+	 *
+	 * It calls Google, so it runs as an async test.
+	 *
+	 * @param array $tests Site Health tests.
+	 * @return array
+	 */
+	public function register_site_health_test( $tests ) {
+		$tests['async']['wpmudev_drive_connection'] = array(
+			'label'             => __( 'Google Drive connection', 'wpmudev-plugin-test' ),
+			'test'              => rest_url( 'wpmudev/v1/drive/site-health' ),
+			'has_rest'          => true,
+			'async_direct_test' => array( $this, 'site_health_test' ),
+		);
+
+		return $tests;
+	}
+
+	/**
+	 * Site Health test for the account background jobs use.
+	 *
+	 * @return array Site Health test result.
+	 */
+	public function site_health_test() {
+		$result = array(
+			'label'       => __( 'Google Drive is connected', 'wpmudev-plugin-test' ),
+			'status'      => 'good',
+			'badge'       => array(
+				'label' => __( 'Google Drive', 'wpmudev-plugin-test' ),
+				'color' => 'blue',
+			),
+			'description' => '<p>' . esc_html__( 'Background jobs, such as scheduled backups, can reach Google Drive.', 'wpmudev-plugin-test' ) . '</p>',
+			'actions'     => sprintf(
+				'<p><a href="%s">%s</a></p>',
+				esc_url( admin_url( 'admin.php?page=wpmudev_plugintest_drive' ) ),
+				esc_html__( 'Open the Google Drive settings', 'wpmudev-plugin-test' )
+			),
+			'test'        => 'wpmudev_drive_connection',
+		);
+
+		if ( ! Drive_API::instance()->get_drive_service() ) {
+			$result['status']      = 'recommended';
+			$result['label']       = __( 'Google Drive is not set up', 'wpmudev-plugin-test' );
+			$result['description'] = '<p>' . esc_html__( 'No Google Drive credentials are saved, so nothing can be sent to Drive.', 'wpmudev-plugin-test' ) . '</p>';
+
+			return $result;
+		}
+
+		if ( ! Drive_API::instance()->get_connection_status( 0 )['connected'] ) {
+			$result['status']      = 'recommended';
+			$result['label']       = __( 'No site account is connected to Google Drive', 'wpmudev-plugin-test' );
+			$result['description'] = '<p>' . esc_html__( 'Background jobs, such as scheduled backups, run without a logged-in user and need the shared site account.', 'wpmudev-plugin-test' ) . '</p>';
+
+			return $result;
+		}
+
+		Drive_API::instance()->use_account( 0 );
+		$test = $this->test_connection();
+		Drive_API::instance()->use_account( null );
+
+		$problems = array_filter(
+			$test['checks'],
+			function ( $check ) {
+				return 'good' !== $check['status'];
+			}
+		);
+
+		if ( empty( $problems ) ) {
+			return $result;
+		}
+
+		$result['status'] = $test['success'] ? 'recommended' : 'critical';
+		$result['label']  = __( 'The Google Drive connection has problems', 'wpmudev-plugin-test' );
+		$result['badge']['color'] = $test['success'] ? 'orange' : 'red';
+
+		$items = '';
+		foreach ( $problems as $problem ) {
+			$items .= sprintf( '<li><strong>%s:</strong> %s</li>', esc_html( $problem['label'] ), esc_html( $problem['message'] ) );
+		}
+
+		$result['description'] = '<p>' . esc_html__( 'Background jobs, such as scheduled backups, may fail until this is fixed.', 'wpmudev-plugin-test' ) . '</p><ul>' . $items . '</ul>';
+
+		return $result;
+	}
+
+	/**
+	 * Site Health test over REST, for the async runner.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_site_health_test() {
+		return new WP_REST_Response( $this->site_health_test(), 200 );
+	}
+}
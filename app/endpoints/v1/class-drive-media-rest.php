@@ -0,0 +1,665 @@
+<?php
+/**
+ * Drive Media Library REST endpoints.
+ *
+ * Copies Drive files into the Media Library and sends attachments the other
+ * way, into a folder each account picks. Large selections are sent in the
+ * background, one Action Scheduler action per attachment. The Drive calls
+ * themselves go through Drive_API, so they run as the same account and
+ * share its token handling and error reporting.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @package       WPMUDEV\PluginTest
+ */
+
+namespace WPMUDEV\PluginTest\Endpoints\V1;
+
+use WPMUDEV\PluginTest\Base;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+/**
+ * Class Drive_Media_REST
+ */
+class Drive_Media_REST extends Base {
+
+	/**
+	 * Attachment meta key holding the Drive file an attachment came from.
+	 *
+	 * @var string
+	 */
+	private $media_meta_key = '_wpmudev_drive_file_id';
+
+	/**
+	 * Attachment meta key holding the Drive link of an attachment.
+	 *
+	 * @var string
+	 */
+	private $media_link_meta_key = '_wpmudev_drive_web_view_link';
+
+	/**
+	 * Attachment meta key holding the state of a queued or failed push.
+	 *
+	 * @var string
+	 */
+	private $media_push_status_meta_key = '_wpmudev_drive_push_status';
+
+	/**
+	 * Option (site account) or user meta key (user accounts) holding the
+	 * Drive folder Media Library files are sent to. Folders belong to one
+	 * Drive, so each account picks its own.
+	 *
+	 * @var string
+	 */
+	private $media_folder_option = 'wpmudev_drive_media_folder';
+
+	/**
+	 * Most attachments sent within one request; larger selections are queued.
+	 *
+	 * @var int
+	 */
+	private $media_push_sync_max = 5;
+
+	/**
+	 * Action hook that sends one queued attachment.
+	 *
+	 * @var string
+	 */
+	private $media_push_hook = 'wpmudev_drive_push_attachment';
+
+	/**
+	 * Action Scheduler group for this plugin.
+	 *
+	 * @var string
+	 */
+	private $action_group = 'wpmudev-plugin-test';
+
+	/**
+	 * Init hooks.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+		add_action( $this->media_push_hook, array( $this, 'process_media_push' ), 10, 2 );
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes() {
+		// Copy a Drive file into the Media Library.
+		register_rest_route(
+			'wpmudev/v1/drive',
+			'/import-media',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'import_to_media' ),
+				'permission_callback' => array( Drive_API::instance(), 'check_upload_permissions' ),
+				'audit'               => 'drive.import_media',
+			)
+		);
+
+		// Folder that Media Library files are sent to.
+		register_rest_route(
+			'wpmudev/v1/drive',
+			'/media-folder',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'save_media_folder' ),
+				'permission_callback' => array( Drive_API::instance(), 'check_upload_permissions' ),
+				'audit'               => 'drive.media_folder',
+			)
+		);
+
+		// Send Media Library attachments to Drive.
+		register_rest_route(
+			'wpmudev/v1/drive',
+			'/push-media',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'push_media' ),
+				'permission_callback' => array( Drive_API::instance(), 'check_upload_permissions' ),
+				'audit'               => 'drive.push_media',
+			)
+		);
+	}
+
+	/**
+	 * Import a Drive file into the Media Library.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function import_to_media( WP_REST_Request $request ) {
+		$file_id = Drive_API::instance()->prepare_item_action( $request, 'wpmudev_drive_upload' );
+		if ( is_wp_error( $file_id ) ) {
+			return $file_id;
+		}
+
+		try {
+			$file = Drive_API::instance()->get_drive_service()->files->get( $file_id, Drive_API::instance()->drive_params( array( 'fields' => 'id,name,mimeType,size,webViewLink' ) ) );
+		} catch ( \Exception $e ) {
+			return Drive_API::instance()->item_action_error( 'import_failed', __( 'Failed to import file: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		$imported = $this->import_file( $file );
+		if ( is_wp_error( $imported ) ) {
+			return $imported;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success'    => true,
+				'message'    => $imported['message'],
+				'existing'   => $imported['existing'],
+				'attachment' => $imported['attachment'],
+			),
+			200
+		);
+	}
+
+	/**
+	 * Copy one Drive file into the uploads folder and register it as an attachment.
+	 *
+	 * The bytes are streamed from Drive straight to a temp file and then
+	 * handed to media_handle_sideload(), which moves the file into
+	 * wp_upload_dir(), checks its real type and generates the sub-sizes.
+	 * Files that were imported before are returned as they are. The bulk
+	 * import calls this for each selected file.
+	 *
+	 * @param \Google_Service_Drive_DriveFile $file File metadata.
+	 * @return array|WP_Error {
+	 *     @type string $message    Result message.
+	 *     @type bool   $existing   Whether the file was already in the library.
+	 *     @type array  $attachment Attachment details.
+	 * }
+	 */
+	public function import_file( $file ) {
+		$attachment_id = $this->find_imported_attachment( $file->getId() );
+
+		if ( $attachment_id ) {
+			return array(
+				'message'    => __( 'Already in the Media Library.', 'wpmudev-plugin-test' ),
+				'existing'   => true,
+				'attachment' => $this->format_attachment( $attachment_id ),
+			);
+		}
+
+		// Google Docs and friends come in as their first export format.
+		$source = Drive_API::instance()->get_download_source( $file );
+		if ( is_wp_error( $source ) ) {
+			return $source;
+		}
+
+		$filetype = wp_check_filetype( $source['filename'] );
+		if ( empty( $filetype['type'] ) ) {
+			return new WP_Error(
+				'invalid_file_type',
+				__( 'This file type is not allowed in the Media Library.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		/**
+		 * Filter the largest Drive file that may be imported into the Media Library, in bytes.
+		 *
+		 * @param int $max_bytes Maximum size. Defaults to the site's upload limit.
+		 */
+		$max_bytes = (int) apply_filters( 'wpmudev_drive_import_max_bytes', wp_max_upload_size() );
+
+		if ( (int) $file->getSize() > $max_bytes ) {
+			return new WP_Error(
+				'file_too_large',
+				sprintf(
+					__( 'File is too large to import. Maximum size is %s.', 'wpmudev-plugin-test' ),
+					size_format( $max_bytes )
+				),
+				array( 'status' => 413 )
+			);
+		}
+
+		require_once ABSPATH . 'wp-admin/includes/file.php';
+		require_once ABSPATH . 'wp-admin/includes/media.php';
+		require_once ABSPATH . 'wp-admin/includes/image.php';
+
+		@set_time_limit( 0 ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+
+		$temp_file = wp_tempnam( $source['filename'] );
+
+		try {
+			$response = Drive_API::instance()->get_authorized_http()->request( 'GET', $source['url'], array(
+				'sink'        => $temp_file,
+				'http_errors' => false,
+			) );
+			$status = $response->getStatusCode();
+		} catch ( \Exception $e ) {
+			$status = 0;
+		}
+
+		if ( 200 !== $status ) {
+			wp_delete_file( $temp_file );
+
+			return new WP_Error(
+				'import_failed',
+				__( 'Could not fetch the file from Google Drive.', 'wpmudev-plugin-test' ),
+				array( 'status' => 502 )
+			);
+		}
+
+		// Exported files keep the Drive name as-is; others lose the extension.
+		$title = '' !== $source['format'] ? $file->getName() : preg_replace( '/\.[^.]+$/', '', $file->getName() );
+
+		$attachment_id = media_handle_sideload(
+			array(
+				'name'     => $source['filename'],
+				'tmp_name' => $temp_file,
+			),
+			0,
+			null,
+			array( 'post_title' => sanitize_text_field( $title ) )
+		);
+
+		if ( is_wp_error( $attachment_id ) ) {
+			wp_delete_file( $temp_file );
+
+			return new WP_Error(
+				'import_failed',
+				sprintf( __( 'Failed to import file: %s', 'wpmudev-plugin-test' ), $attachment_id->get_error_message() ),
+				array( 'status' => 500 )
+			);
+		}
+
+		update_post_meta( $attachment_id, $this->media_meta_key, $file->getId() );
+		update_post_meta( $attachment_id, $this->media_link_meta_key, esc_url_raw( (string) $file->getWebViewLink() ) );
+
+		return array(
+			'message'    => __( 'Imported to the Media Library.', 'wpmudev-plugin-test' ),
+			'existing'   => false,
+			'attachment' => $this->format_attachment( $attachment_id ),
+		);
+	}
+
+	/**
+	 * Find the attachment a Drive file was imported as.
+	 *
+	 * Trashed attachments don't count, so a file can be imported again
+	 * after its copy was thrown away.
+	 *
+	 * @param string $file_id Drive file ID.
+	 * @return int Attachment ID, 0 if the file hasn't been imported.
+	 */
+	private function find_imported_attachment( $file_id ) {
+		$attachments = get_posts(
+			array(
+				'post_type'      => 'attachment',
+				'post_status'    => 'any',
+				'meta_key'       => $this->media_meta_key, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+				'meta_value'     => $file_id, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_value
+				'fields'         => 'ids',
+				'posts_per_page' => 1,
+				'no_found_rows'  => true,
+			)
+		);
+
+		return ! empty( $attachments ) ? (int) $attachments[0] : 0;
+	}
+
+	/**
+	 * Format an attachment for API responses.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array
+	 */
+	private function format_attachment( $attachment_id ) {
+		return array(
+			'id'       => $attachment_id,
+			'title'    => get_the_title( $attachment_id ),
+			'url'      => wp_get_attachment_url( $attachment_id ),
+			'editLink' => get_edit_post_link( $attachment_id, 'raw' ),
+		);
+	}
+
+	/**
+	 * Save the folder Media Library files are sent to.
+	 *
+	 * The whole folder path is kept so the settings can show where files
+	 * go without asking Drive; only the last folder is checked and used.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function save_media_folder( WP_REST_Request $request ) {
+		$security_check = Drive_API::instance()->validate_admin_access( 'general', 'wpmudev_drive_upload' );
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		if ( ! Drive_API::instance()->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$raw_path = $request->get_param( 'path' );
+		$path     = array();
+
+		foreach ( is_array( $raw_path ) ? $raw_path : array() as $folder ) {
+			if ( ! is_array( $folder ) || empty( $folder['id'] ) ) {
+				continue;
+			}
+
+			$path[] = array(
+				'id'   => Drive_API::instance()->sanitize_drive_id( $folder['id'] ),
+				'name' => isset( $folder['name'] ) ? sanitize_text_field( $folder['name'] ) : '',
+			);
+		}
+
+		$folder_id = ! empty( $path ) ? Drive_API::instance()->resolve_parent_folder( $path[ count( $path ) - 1 ]['id'] ) : '';
+		if ( is_wp_error( $folder_id ) ) {
+			return $folder_id;
+		}
+
+		$folder     = array(
+			'id'   => $folder_id,
+			'path' => $path,
+		);
+		$account_id = Drive_API::instance()->get_account_id();
+
+		if ( $account_id ) {
+			update_user_meta( $account_id, $this->media_folder_option, $folder );
+		} else {
+			update_option( $this->media_folder_option, $folder, false );
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Media Library folder saved.', 'wpmudev-plugin-test' ),
+				'path'    => $path,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Send Media Library attachments to Drive.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function push_media( WP_REST_Request $request ) {
+		$security_check = Drive_API::instance()->validate_admin_access( 'general', 'wpmudev_drive_upload' );
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		$attachment_ids = $request->get_param( 'attachment_ids' );
+		$attachment_ids = is_array( $attachment_ids ) ? array_values( array_unique( array_filter( array_map( 'absint', $attachment_ids ) ) ) ) : array();
+
+		if ( empty( $attachment_ids ) ) {
+			return new WP_Error(
+				'missing_attachment_ids',
+				__( 'Select at least one file.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$outcome = $this->send_attachments( $attachment_ids );
+		if ( is_wp_error( $outcome ) ) {
+			return $outcome;
+		}
+
+		return new WP_REST_Response( array_merge( array( 'success' => true ), $outcome ), 200 );
+	}
+
+	/**
+	 * Send attachments to Drive, queueing them when there are many.
+	 *
+	 * A handful are sent straight away so the user sees the result; larger
+	 * selections go through Action Scheduler, one action per attachment, so
+	 * the request returns at once and one failure doesn't stop the rest.
+	 *
+	 * @param array $attachment_ids Attachment IDs.
+	 * @return array|WP_Error {
+	 *     @type string $message Summary message.
+	 *     @type int    $queued  Number of attachments queued.
+	 *     @type array  $results Per-attachment results for those sent now.
+	 * }
+	 */
+	public function send_attachments( array $attachment_ids ) {
+		if ( ! Drive_API::instance()->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		if ( count( $attachment_ids ) > $this->media_push_sync_max ) {
+			array_map( array( $this, 'queue_media_push' ), $attachment_ids );
+
+			return array(
+				'message' => sprintf(
+					/* translators: %d: number of files */
+					_n( '%d file queued for Google Drive.', '%d files queued for Google Drive.', count( $attachment_ids ), 'wpmudev-plugin-test' ),
+					count( $attachment_ids )
+				),
+				'queued'  => count( $attachment_ids ),
+				'results' => array(),
+			);
+		}
+
+		$results = array();
+
+		foreach ( $attachment_ids as $attachment_id ) {
+			$drive_file = $this->push_attachment( $attachment_id );
+
+			$results[] = is_wp_error( $drive_file )
+				? array(
+					'id'      => $attachment_id,
+					'success' => false,
+					'message' => $drive_file->get_error_message(),
+				)
+				: array(
+					'id'      => $attachment_id,
+					'success' => true,
+					'message' => $drive_file['existing'] ? __( 'Already in Google Drive.', 'wpmudev-plugin-test' ) : __( 'Sent to Google Drive.', 'wpmudev-plugin-test' ),
+					'drive'   => $drive_file,
+				);
+		}
+
+		return array(
+			'message' => sprintf(
+				/* translators: 1: files sent, 2: files selected */
+				__( '%1$d of %2$d files sent to Google Drive.', 'wpmudev-plugin-test' ),
+				count( array_filter( wp_list_pluck( $results, 'success' ) ) ),
+				count( $results )
+			),
+			'queued'  => 0,
+			'results' => $results,
+		);
+	}
+
+	/**
+	 * Get the Media Library folder of an account.
+	 *
+	 * @param int $account_id User ID, or 0 for the site account.
+	 * @return array { @type string $id Folder ID. @type array $path Folder path. }
+	 */
+	public function get_media_folder( $account_id ) {
+		$folder = $account_id
+			? get_user_meta( $account_id, $this->media_folder_option, true )
+			: get_option( $this->media_folder_option, array() );
+
+		return wp_parse_args(
+			is_array( $folder ) ? $folder : array(),
+			array(
+				'id'   => '',
+				'path' => array(),
+			)
+		);
+	}
+
+	/**
+	 * Queue one attachment to be sent to Drive in the background.
+	 *
+	 * The job remembers who queued it, so the file lands in their Drive.
+	 * Falls back to a WP-Cron event when Action Scheduler isn't loaded.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	private function queue_media_push( $attachment_id ) {
+		$args = array( $attachment_id, Drive_API::instance()->get_account_id() );
+
+		update_post_meta( $attachment_id, $this->media_push_status_meta_key, array( 'state' => 'queued' ) );
+
+		if ( function_exists( 'as_schedule_single_action' ) ) {
+			if ( ! as_has_scheduled_action( $this->media_push_hook, $args, $this->action_group ) ) {
+				as_schedule_single_action( time(), $this->media_push_hook, $args, $this->action_group );
+			}
+			return;
+		}
+
+		if ( ! wp_next_scheduled( $this->media_push_hook, $args ) ) {
+			wp_schedule_single_event( time(), $this->media_push_hook, $args );
+		}
+	}
+
+	/**
+	 * Send one queued attachment to Drive.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $account_id    Account that queued it, 0 for the site account.
+	 * @return void
+	 */
+	public function process_media_push( $attachment_id, $account_id = 0 ) {
+		$attachment_id = absint( $attachment_id );
+
+		Drive_API::instance()->use_account( $account_id );
+		$drive_file = $this->push_attachment( $attachment_id );
+		Drive_API::instance()->use_account( null );
+
+		// Keep the reason so the attachment details can show it.
+		if ( is_wp_error( $drive_file ) && 'attachment' === get_post_type( $attachment_id ) ) {
+			update_post_meta(
+				$attachment_id,
+				$this->media_push_status_meta_key,
+				array(
+					'state'   => 'failed',
+					'message' => $drive_file->get_error_message(),
+				)
+			);
+		}
+	}
+
+	/**
+	 * Upload the original file of an attachment to the Media Library folder.
+	 *
+	 * Attachments that already have a Drive copy (sent before, or imported
+	 * from Drive) are left alone.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|WP_Error {
+	 *     @type string $id          Drive file ID.
+	 *     @type string $webViewLink Link to the file in Drive.
+	 *     @type bool   $existing    Whether the attachment was already in Drive.
+	 * }
+	 */
+	private function push_attachment( $attachment_id ) {
+		if ( 'attachment' !== get_post_type( $attachment_id ) ) {
+			return new WP_Error(
+				'invalid_attachment',
+				__( 'Attachment not found.', 'wpmudev-plugin-test' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$drive_file = $this->get_attachment_drive_status( $attachment_id );
+		if ( 'sent' === $drive_file['state'] ) {
+			delete_post_meta( $attachment_id, $this->media_push_status_meta_key );
+
+			return array(
+				'id'          => $drive_file['id'],
+				'webViewLink' => $drive_file['webViewLink'],
+				'existing'    => true,
+			);
+		}
+
+		// Images over the big-image threshold are scaled down; send the original.
+		$path = wp_get_original_image_path( $attachment_id );
+		if ( ! $path ) {
+			$path = get_attached_file( $attachment_id );
+		}
+
+		if ( ! $path || ! is_readable( $path ) ) {
+			return new WP_Error(
+				'file_not_readable',
+				__( 'The attachment file is missing from the server.', 'wpmudev-plugin-test' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$folder = $this->get_media_folder( Drive_API::instance()->get_account_id() );
+		$result = Drive_API::instance()->upload_local_file(
+			$path,
+			wp_basename( $path ),
+			get_post_mime_type( $attachment_id ),
+			! empty( $folder['id'] ) ? $folder['id'] : ''
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		update_post_meta( $attachment_id, $this->media_meta_key, $result->getId() );
+		update_post_meta( $attachment_id, $this->media_link_meta_key, esc_url_raw( (string) $result->getWebViewLink() ) );
+		delete_post_meta( $attachment_id, $this->media_push_status_meta_key );
+
+		return array(
+			'id'          => $result->getId(),
+			'webViewLink' => $result->getWebViewLink(),
+			'existing'    => false,
+		);
+	}
+
+	/**
+	 * Describe where an attachment stands with Drive.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array {
+	 *     @type string $state       "sent", "queued", "failed" or empty if never sent.
+	 *     @type string $id          Drive file ID, when sent.
+	 *     @type string $webViewLink Link to the file in Drive, when sent.
+	 *     @type string $message     Why the last attempt failed.
+	 * }
+	 */
+	public function get_attachment_drive_status( $attachment_id ) {
+		$file_id = (string) get_post_meta( $attachment_id, $this->media_meta_key, true );
+		$status  = get_post_meta( $attachment_id, $this->media_push_status_meta_key, true );
+
+		if ( '' !== $file_id ) {
+			$state = 'sent';
+		} else {
+			$state = is_array( $status ) && ! empty( $status['state'] ) ? $status['state'] : '';
+		}
+
+		return array(
+			'state'       => $state,
+			'id'          => $file_id,
+			'webViewLink' => (string) get_post_meta( $attachment_id, $this->media_link_meta_key, true ),
+			'message'     => is_array( $status ) && ! empty( $status['message'] ) ? $status['message'] : '',
+		);
+	}
+}
@@ -0,0 +1,293 @@
+<?php
+/**
+ * Drive Sharing REST endpoints.
+ *
+ * Lists, grants and revokes the sharing permissions of Drive items. Access
+ * can go to a person, a group, a whole domain or anyone with the link, and
+ * Google emails people and groups unless asked not to. The bulk share action
+ * builds its permission here too, so both follow the same rules.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @package       WPMUDEV\PluginTest
+ */
+
+namespace WPMUDEV\PluginTest\Endpoints\V1;
+
+use WPMUDEV\PluginTest\Base;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+use Google_Service_Drive_Permission;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+/**
+ * Class Drive_Share_REST
+ */
+class Drive_Share_REST extends Base {
+
+	/**
+	 * Roles that can be granted when sharing.
+	 *
+	 * @var array
+	 */
+	private $share_roles = array( 'reader', 'commenter', 'writer' );
+
+	/**
+	 * Init hooks.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes() {
+		// List, grant and revoke sharing permissions on an item.
+		register_rest_route(
+			'wpmudev/v1/drive',
+			'/permissions',
+			array(
+				array(
+					'methods'             => 'GET',
+					'callback'            => array( $this, 'list_permissions' ),
+					'permission_callback' => array( Drive_API::instance(), 'check_permissions' ),
+					'audit'               => 'drive.list_permissions',
+				),
+				array(
+					'methods'             => 'POST',
+					'callback'            => array( $this, 'create_permission' ),
+					'permission_callback' => array( Drive_API::instance(), 'check_manage_permissions' ),
+					'audit'               => 'drive.share',
+				),
+				array(
+					'methods'             => 'DELETE',
+					'callback'            => array( $this, 'delete_permission' ),
+					'permission_callback' => array( Drive_API::instance(), 'check_manage_permissions' ),
+					'audit'               => 'drive.unshare',
+				),
+			)
+		);
+	}
+
+	/**
+	 * List who an item is shared with.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function list_permissions( WP_REST_Request $request ) {
+		$file_id = Drive_API::instance()->prepare_item_action( $request, 'wpmudev_drive_view' );
+		if ( is_wp_error( $file_id ) ) {
+			return $file_id;
+		}
+
+		try {
+			$file = Drive_API::instance()->get_drive_service()->files->get( $file_id, Drive_API::instance()->drive_params( array(
+				'fields' => 'id,name,webViewLink,permissions(id,type,role,emailAddress,domain,displayName)',
+			) ) );
+		} catch ( \Exception $e ) {
+			return Drive_API::instance()->item_action_error( 'permissions_failed', __( 'Failed to load sharing settings: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success'     => true,
+				'webViewLink' => $file->getWebViewLink(),
+				'permissions' => array_map( array( $this, 'format_permission' ), (array) $file->getPermissions() ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Share an item with a user, group, domain or anyone with the link.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function create_permission( WP_REST_Request $request ) {
+		$file_id = Drive_API::instance()->prepare_item_action( $request );
+		if ( is_wp_error( $file_id ) ) {
+			return $file_id;
+		}
+
+		$permission = $this->build_share_permission( $request );
+		if ( is_wp_error( $permission ) ) {
+			return $permission;
+		}
+
+		$notify = $this->should_notify( $permission, $request );
+
+		try {
+			$result = Drive_API::instance()->get_drive_service()->permissions->create( $file_id, $permission, Drive_API::instance()->drive_params( array(
+				'sendNotificationEmail' => $notify,
+				'fields'                => 'id,type,role,emailAddress,domain,displayName',
+			) ) );
+			$file   = Drive_API::instance()->get_drive_service()->files->get( $file_id, Drive_API::instance()->drive_params( array( 'fields' => 'webViewLink' ) ) );
+		} catch ( \Exception $e ) {
+			return Drive_API::instance()->item_action_error( 'share_failed', __( 'Failed to share item: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success'     => true,
+				'message'     => __( 'Item shared.', 'wpmudev-plugin-test' ),
+				'permission'  => $this->format_permission( $result ),
+				'webViewLink' => $file->getWebViewLink(),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Revoke a sharing permission.
+	 *
+	 * The owner's permission can't be removed - Drive would reject it anyway,
+	 * but this gives a clearer message.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function delete_permission( WP_REST_Request $request ) {
+		$file_id = Drive_API::instance()->prepare_item_action( $request );
+		if ( is_wp_error( $file_id ) ) {
+			return $file_id;
+		}
+
+		$permission_id = Drive_API::instance()->sanitize_drive_id( $request->get_param( 'permission_id' ) );
+		if ( empty( $permission_id ) ) {
+			return new WP_Error(
+				'missing_permission_id',
+				__( 'Permission ID is required.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		try {
+			$permission = Drive_API::instance()->get_drive_service()->permissions->get( $file_id, $permission_id, Drive_API::instance()->drive_params( array( 'fields' => 'id,role' ) ) );
+
+			if ( 'owner' === $permission->getRole() ) {
+				return new WP_Error(
+					'cannot_revoke_owner',
+					__( "The owner's access cannot be removed.", 'wpmudev-plugin-test' ),
+					array( 'status' => 400 )
+				);
+			}
+
+			Drive_API::instance()->get_drive_service()->permissions->delete( $file_id, $permission_id, Drive_API::instance()->drive_params() );
+		} catch ( \Exception $e ) {
+			return Drive_API::instance()->item_action_error( 'revoke_failed', __( 'Failed to remove access: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Access removed.', 'wpmudev-plugin-test' ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Build the permission to grant from a share request.
+	 *
+	 * @param WP_REST_Request $request REST request with `share_type`, `role`,
+	 *                                 and `email` (user/group) or `domain`.
+	 * @return Google_Service_Drive_Permission|WP_Error
+	 */
+	public function build_share_permission( WP_REST_Request $request ) {
+		$type = sanitize_key( (string) $request->get_param( 'share_type' ) );
+		$role = sanitize_key( (string) $request->get_param( 'role' ) );
+
+		if ( ! in_array( $type, array( 'user', 'group', 'domain', 'anyone' ), true ) ) {
+			return new WP_Error(
+				'invalid_share_type',
+				__( 'Invalid sharing type.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( ! in_array( $role, $this->share_roles, true ) ) {
+			return new WP_Error(
+				'invalid_role',
+				__( 'Invalid sharing role.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$permission = new Google_Service_Drive_Permission();
+		$permission->setType( $type );
+		$permission->setRole( $role );
+
+		if ( 'user' === $type || 'group' === $type ) {
+			$email = sanitize_email( (string) $request->get_param( 'email' ) );
+
+			if ( ! is_email( $email ) ) {
+				return new WP_Error(
+					'invalid_email',
+					__( 'Enter a valid email address to share with.', 'wpmudev-plugin-test' ),
+					array( 'status' => 400 )
+				);
+			}
+
+			$permission->setEmailAddress( $email );
+		}
+
+		if ( 'domain' === $type ) {
+			$domain = strtolower( trim( (string) $request->get_param( 'domain' ) ) );
+
+			if ( ! preg_match( '/^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/', $domain ) ) {
+				return new WP_Error(
+					'invalid_domain',
+					__( 'Enter a valid domain to share with.', 'wpmudev-plugin-test' ),
+					array( 'status' => 400 )
+				);
+			}
+
+			$permission->setDomain( $domain );
+		}
+
+		return $permission;
+	}
+
+	/**
+	 * Whether Google should email the people a permission is shared with.
+	 *
+	 * Only people and groups can be emailed; the `notify` parameter turns it
+	 * off and defaults to on.
+	 *
+	 * @param Google_Service_Drive_Permission $permission Permission being created.
+	 * @param WP_REST_Request                 $request    REST request.
+	 * @return bool
+	 */
+	public function should_notify( $permission, WP_REST_Request $request ) {
+		return in_array( $permission->getType(), array( 'user', 'group' ), true )
+			&& rest_sanitize_boolean( $request->get_param( 'notify' ) ?? true );
+	}
+
+	/**
+	 * Shape a Drive permission for REST responses.
+	 *
+	 * @param Google_Service_Drive_Permission $permission Permission.
+	 * @return array
+	 */
+	private function format_permission( $permission ) {
+		return array(
+			'id'           => $permission->getId(),
+			'type'         => $permission->getType(),
+			'role'         => $permission->getRole(),
+			'emailAddress' => $permission->getEmailAddress(),
+			'domain'       => $permission->getDomain(),
+			'displayName'  => $permission->getDisplayName(),
+		);
+	}
+}
@@ -0,0 +1,1624 @@
+<?php
+/**
+ * Drive Folder Sync REST endpoints.
+ *
+ * Mirrors a folder in the site account's Drive into a subdirectory of the
+ * uploads folder and, in two-way mode, sends local changes back. The first
+ * run walks the whole folder; after that only the Drive changes feed is
+ * read, starting from the token saved at the end of the previous run.
+ *
+ * A run is a chain of Action Scheduler steps, like the backups: collect the
+ * Drive changes a page at a time, compare the local directory, then apply
+ * the planned operations in batches. Files changed on both sides since the
+ * last run are left alone and recorded as conflicts to resolve by hand.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @package       WPMUDEV\PluginTest
+ */
+
+namespace WPMUDEV\PluginTest\Endpoints\V1;
+
+use WPMUDEV\PluginTest\Base;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+/**
+ * Class Drive_Sync_REST
+ */
+class Drive_Sync_REST extends Base {
+
+	/**
+	 * Option name for sync settings.
+	 *
+	 * @var string
+	 */
+	private $settings_option = 'wpmudev_drive_sync_settings';
+
+	/**
+	 * Option name for the state of the running sync.
+	 *
+	 * @var string
+	 */
+	private $state_option = 'wpmudev_drive_sync_state';
+
+	/**
+	 * Option name for the index of synced items and the changes token.
+	 *
+	 * @var string
+	 */
+	private $index_option = 'wpmudev_drive_sync_index';
+
+	/**
+	 * Option name for unresolved conflicts, by path.
+	 *
+	 * @var string
+	 */
+	private $conflicts_option = 'wpmudev_drive_sync_conflicts';
+
+	/**
+	 * Option name for the sync log, newest first.
+	 *
+	 * @var string
+	 */
+	private $log_option = 'wpmudev_drive_sync_log';
+
+	/**
+	 * Action hook that runs the next sync step.
+	 *
+	 * @var string
+	 */
+	private $step_hook = 'wpmudev_drive_sync_step';
+
+	/**
+	 * Recurring action hook that starts scheduled syncs.
+	 *
+	 * @var string
+	 */
+	private $schedule_hook = 'wpmudev_drive_sync_scheduled';
+
+	/**
+	 * Action group for this plugin.
+	 *
+	 * @var string
+	 */
+	private $action_group = 'wpmudev-plugin-test';
+
+	/**
+	 * Schedule intervals in seconds, by frequency.
+	 *
+	 * @var array
+	 */
+	private $frequencies = array(
+		'hourly'     => HOUR_IN_SECONDS,
+		'twicedaily' => 12 * HOUR_IN_SECONDS,
+		'daily'      => DAY_IN_SECONDS,
+	);
+
+	/**
+	 * Sync directions.
+	 *
+	 * @var array
+	 */
+	private $directions = array( 'download', 'two-way' );
+
+	/**
+	 * Operations applied per step.
+	 *
+	 * @var int
+	 */
+	private $batch_size = 20;
+
+	/**
+	 * Log entries kept.
+	 *
+	 * @var int
+	 */
+	private $max_log_entries = 100;
+
+	/**
+	 * Init hooks.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+		add_action( $this->step_hook, array( $this, 'process_step' ) );
+		add_action( $this->schedule_hook, array( $this, 'run_scheduled_sync' ) );
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes() {
+		register_rest_route(
+			'wpmudev/v1',
+			'/drive-sync/status',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_status' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		register_rest_route(
+			'wpmudev/v1',
+			'/drive-sync/settings',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'save_settings' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		register_rest_route(
+			'wpmudev/v1',
+			'/drive-sync/run',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'run_sync' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		register_rest_route(
+			'wpmudev/v1',
+			'/drive-sync/resolve',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'resolve_conflict' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+	}
+
+	/**
+	 * Permission check for sync endpoints.
+	 *
+	 * The sync writes to the uploads folder and the site's Drive, so only
+	 * users who can manage Drive may configure or run it.
+	 *
+	 * @return bool
+	 */
+	public function check_permissions() {
+		if ( ! is_user_logged_in() ) {
+			return false;
+		}
+
+		return current_user_can( 'wpmudev_drive_manage' );
+	}
+
+	/**
+	 * Additional security validation helper for sensitive operations.
+	 *
+	 * @return WP_Error|true Returns true if valid, WP_Error if not.
+	 */
+	private function validate_admin_access() {
+		if ( ! is_user_logged_in() ) {
+			return new WP_Error(
+				'not_authenticated',
+				__( 'You must be logged in to perform this action.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		if ( ! current_user_can( 'wpmudev_drive_manage' ) ) {
+			return new WP_Error(
+				'insufficient_permissions',
+				__( 'You do not have permission to perform this action.', 'wpmudev-plugin-test' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get settings, state, conflicts and the log.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_status() {
+		$settings = $this->get_settings();
+
+		return new WP_REST_Response(
+			array(
+				'success'                    => true,
+				'settings'                   => $settings,
+				'local_path'                 => str_replace( ABSPATH, '', $this->get_local_base( $settings ) ),
+				'state'                      => $this->get_public_state(),
+				'conflicts'                  => array_values( $this->get_conflicts() ),
+				'log'                        => $this->get_log(),
+				'site_connection'            => Drive_API::instance()->get_connection_status( 0 ),
+				'next_run'                   => $this->get_next_run(),
+				'action_scheduler_available' => function_exists( 'as_schedule_single_action' ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Save sync settings and reschedule.
+	 *
+	 * Pointing the sync at another folder or directory starts over: the
+	 * next run walks the whole folder again.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function save_settings( WP_REST_Request $request ) {
+		$security_check = $this->validate_admin_access();
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		$state = $this->get_state();
+		if ( ! empty( $state['running'] ) ) {
+			return new WP_Error(
+				'sync_running',
+				__( 'Wait for the running sync to finish before changing its settings.', 'wpmudev-plugin-test' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		$frequency = sanitize_key( (string) $request->get_param( 'frequency' ) );
+		if ( 'off' !== $frequency && ! isset( $this->frequencies[ $frequency ] ) ) {
+			return new WP_Error(
+				'invalid_frequency',
+				__( 'Unknown sync frequency.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$direction = sanitize_key( (string) $request->get_param( 'direction' ) );
+		if ( ! in_array( $direction, $this->directions, true ) ) {
+			return new WP_Error(
+				'invalid_direction',
+				__( 'Unknown sync direction.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$local_dir = $this->sanitize_local_dir( $request->get_param( 'local_dir' ) );
+		if ( '' === $local_dir ) {
+			return new WP_Error(
+				'invalid_local_dir',
+				__( 'Enter the uploads subdirectory to sync into.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$folder = $this->sanitize_folder_path( $request->get_param( 'folder_path' ) );
+		if ( empty( $folder['path'] ) ) {
+			return new WP_Error(
+				'missing_folder',
+				__( 'Choose the Drive folder to sync.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		Drive_API::instance()->use_account( 0 );
+		$folder_id = Drive_API::instance()->check_folder( $folder['path'][ count( $folder['path'] ) - 1 ]['id'] );
+		Drive_API::instance()->use_account( null );
+
+		if ( is_wp_error( $folder_id ) ) {
+			return $folder_id;
+		}
+		$folder['id'] = $folder_id;
+
+		$previous = $this->get_settings();
+		$settings = array(
+			'frequency' => $frequency,
+			'direction' => $direction,
+			'folder'    => $folder,
+			'local_dir' => $local_dir,
+		);
+
+		if ( $previous['folder']['id'] !== $folder_id || $previous['local_dir'] !== $local_dir ) {
+			delete_option( $this->index_option );
+			delete_option( $this->conflicts_option );
+		}
+
+		update_option( $this->settings_option, $settings, false );
+		$this->reschedule( $frequency );
+
+		return new WP_REST_Response(
+			array(
+				'success'  => true,
+				'message'  => __( 'Sync settings saved.', 'wpmudev-plugin-test' ),
+				'settings' => $settings,
+				'next_run' => $this->get_next_run(),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Start a sync now.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function run_sync() {
+		$security_check = $this->validate_admin_access();
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		$state = $this->start_sync( 'manual' );
+		if ( is_wp_error( $state ) ) {
+			return $state;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Sync started in background.', 'wpmudev-plugin-test' ),
+				'state'   => $this->get_public_state(),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Resolve a conflict by keeping one side.
+	 *
+	 * Runs right away rather than waiting for the next sync.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function resolve_conflict( WP_REST_Request $request ) {
+		$security_check = $this->validate_admin_access();
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		$state = $this->get_state();
+		if ( ! empty( $state['running'] ) ) {
+			return new WP_Error(
+				'sync_running',
+				__( 'Wait for the running sync to finish before resolving conflicts.', 'wpmudev-plugin-test' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		$conflicts = $this->get_conflicts();
+		$path      = (string) $request->get_param( 'path' );
+		$keep      = sanitize_key( (string) $request->get_param( 'keep' ) );
+
+		if ( ! isset( $conflicts[ $path ] ) ) {
+			return new WP_Error(
+				'conflict_not_found',
+				__( 'Conflict not found.', 'wpmudev-plugin-test' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( ! in_array( $keep, array( 'drive', 'local' ), true ) ) {
+			return new WP_Error(
+				'invalid_keep',
+				__( 'Choose whether to keep the Drive or the local copy.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$conflict = $conflicts[ $path ];
+		$settings = $this->get_settings();
+		$index    = $this->get_index();
+
+		if ( 'drive' === $keep ) {
+			$operation = null === $conflict['item']
+				? array( 'type' => 'delete_local', 'file_id' => $conflict['file_id'], 'path' => $path )
+				: array( 'type' => 'download', 'file_id' => $conflict['file_id'], 'path' => $path, 'item' => $conflict['item'] );
+		} else {
+			// The Drive file is gone when it was deleted there, so upload a new one.
+			$operation = array(
+				'type'    => 'upload',
+				'file_id' => null === $conflict['item'] ? '' : $conflict['file_id'],
+				'path'    => $path,
+			);
+
+			if ( null === $conflict['item'] ) {
+				unset( $index['items'][ $conflict['file_id'] ] );
+			}
+		}
+
+		Drive_API::instance()->use_account( 0 );
+		$result = $this->apply_operation( $operation, $settings, $index );
+		Drive_API::instance()->use_account( null );
+
+		if ( is_wp_error( $result ) ) {
+			$this->add_log( 'error', $path, $result->get_error_message() );
+
+			return $result;
+		}
+
+		update_option( $this->index_option, $index, false );
+		unset( $conflicts[ $path ] );
+		update_option( $this->conflicts_option, $conflicts, false );
+
+		$this->add_log( 'resolve', $path, 'drive' === $keep ? __( 'Kept the Drive copy.', 'wpmudev-plugin-test' ) : __( 'Kept the local copy.', 'wpmudev-plugin-test' ) );
+
+		return new WP_REST_Response(
+			array(
+				'success'   => true,
+				'message'   => __( 'Conflict resolved.', 'wpmudev-plugin-test' ),
+				'conflicts' => array_values( $conflicts ),
+				'log'       => $this->get_log(),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Recurring action callback.
+	 *
+	 * @return void
+	 */
+	public function run_scheduled_sync() {
+		// A sync that is still running covers this slot.
+		$this->start_sync( 'scheduled' );
+	}
+
+	/**
+	 * Set up the state for a new sync and queue its first step.
+	 *
+	 * Without a saved changes token the folder is walked from the top;
+	 * otherwise only the changes since the last run are read.
+	 *
+	 * @param string $trigger "manual" or "scheduled".
+	 *
+	 * @return array|WP_Error New state.
+	 */
+	private function start_sync( $trigger ) {
+		if ( ! function_exists( 'as_schedule_single_action' ) ) {
+			return new WP_Error(
+				'action_scheduler_missing',
+				__( 'Action Scheduler is required to run the folder sync.', 'wpmudev-plugin-test' ),
+				array( 'status' => 501 )
+			);
+		}
+
+		$settings = $this->get_settings();
+		if ( '' === $settings['folder']['id'] ) {
+			return new WP_Error(
+				'sync_not_configured',
+				__( 'Choose a Drive folder to sync first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$state = $this->get_state();
+
+		if ( ! empty( $state['running'] ) ) {
+			return new WP_Error(
+				'sync_running',
+				__( 'A sync is already running.', 'wpmudev-plugin-test' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		$index = $this->get_index();
+
+		// Folder IDs by local path, so changes can be placed in the tree.
+		$folders = array( $settings['folder']['id'] => '' );
+		foreach ( $index['items'] as $file_id => $entry ) {
+			if ( $entry['is_folder'] ) {
+				$folders[ $file_id ] = $entry['path'];
+			}
+		}
+
+		$full_scan = '' === $index['start_token'];
+
+		$state = array(
+			'running'          => true,
+			'trigger'          => $trigger,
+			'step'             => $full_scan ? 'scan' : 'changes',
+			'direction'        => $settings['direction'],
+			'folders_to_scan'  => $full_scan ? array( array( 'id' => $settings['folder']['id'], 'path' => '' ) ) : array(),
+			'page_token'       => $full_scan ? '' : $index['start_token'],
+			'next_start_token' => '',
+			'folders'          => $folders,
+			'planned'          => array(),
+			'paths'            => array(),
+			'queue'            => array(),
+			'total_operations' => 0,
+			'counts'           => $this->empty_counts(),
+			'error'            => '',
+			'started_at'       => time(),
+			'updated_at'       => time(),
+			'finished_at'      => 0,
+		);
+
+		$this->save_state( $state );
+		$this->schedule_step();
+
+		return $state;
+	}
+
+	/**
+	 * Run the next step of the current sync.
+	 *
+	 * @return void
+	 */
+	public function process_step() {
+		$state = $this->get_state();
+
+		if ( empty( $state['running'] ) ) {
+			return;
+		}
+
+		Drive_API::instance()->use_account( 0 );
+
+		switch ( $state['step'] ) {
+			case 'scan':
+				$state = $this->scan_next_page( $state );
+				break;
+			case 'changes':
+				$state = $this->read_next_changes( $state );
+				break;
+			case 'local':
+				$state = $this->plan_local_changes( $state, $this->get_settings(), $this->get_index() );
+				break;
+			default:
+				$state = $this->apply_next_batch( $state );
+		}
+
+		Drive_API::instance()->use_account( null );
+
+		if ( is_wp_error( $state ) ) {
+			$this->fail_sync( $state );
+			return;
+		}
+
+		$state['updated_at'] = time();
+		$this->save_state( $state );
+
+		if ( ! empty( $state['running'] ) ) {
+			$this->schedule_step();
+		}
+	}
+
+	/**
+	 * Walk one page of the next folder on a full scan.
+	 *
+	 * The changes token is taken before the walk starts, so anything that
+	 * changes during it is picked up by the next run.
+	 *
+	 * @param array $state Sync state.
+	 *
+	 * @return array|WP_Error Updated state.
+	 */
+	private function scan_next_page( array $state ) {
+		if ( '' === $state['next_start_token'] ) {
+			$token = Drive_API::instance()->get_changes_start_token();
+			if ( is_wp_error( $token ) ) {
+				return $token;
+			}
+			$state['next_start_token'] = $token;
+		}
+
+		if ( empty( $state['folders_to_scan'] ) ) {
+			return $this->finish_planning( $state );
+		}
+
+		$folder = $state['folders_to_scan'][0];
+		$page   = Drive_API::instance()->list_folder_items( $folder['id'], $state['page_token'] );
+		if ( is_wp_error( $page ) ) {
+			return $page;
+		}
+
+		$index = $this->get_index();
+
+		foreach ( $page['files'] as $item ) {
+			$state = $this->plan_remote_item( $state, $index, $item, $folder['path'] );
+
+			if ( $item['isFolder'] && isset( $state['folders'][ $item['id'] ] ) ) {
+				$state['folders_to_scan'][] = array(
+					'id'   => $item['id'],
+					'path' => $state['folders'][ $item['id'] ],
+				);
+			}
+		}
+
+		if ( '' !== $page['next_page_token'] ) {
+			$state['page_token'] = $page['next_page_token'];
+		} else {
+			array_shift( $state['folders_to_scan'] );
+			$state['page_token'] = '';
+		}
+
+		if ( empty( $state['folders_to_scan'] ) ) {
+			return $this->finish_planning( $state );
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Read one page of the Drive changes feed.
+	 *
+	 * @param array $state Sync state.
+	 *
+	 * @return array|WP_Error Updated state.
+	 */
+	private function read_next_changes( array $state ) {
+		$page = Drive_API::instance()->list_changes( $state['page_token'] );
+		if ( is_wp_error( $page ) ) {
+			return $page;
+		}
+
+		$state = $this->plan_changes( $state, $this->get_settings(), $this->get_index(), $page['changes'] );
+		if ( is_wp_error( $state ) ) {
+			return $state;
+		}
+
+		if ( '' !== $page['next_page_token'] ) {
+			$state['page_token'] = $page['next_page_token'];
+
+			return $state;
+		}
+
+		$state['next_start_token'] = $page['new_start_page_token'];
+
+		return $this->finish_planning( $state );
+	}
+
+	/**
+	 * Plan the operations for a page of changes.
+	 *
+	 * Folders are placed first, so files created in a new folder on the
+	 * same page can find it.
+	 *
+	 * @param array $state    Sync state.
+	 * @param array $settings Sync settings.
+	 * @param array $index    Sync index.
+	 * @param array $changes  Changes from Drive_API::list_changes().
+	 *
+	 * @return array|WP_Error Updated state.
+	 */
+	private function plan_changes( array $state, array $settings, array $index, array $changes ) {
+		usort(
+			$changes,
+			function ( $a, $b ) {
+				return (int) ! empty( $b['file']['isFolder'] ) - (int) ! empty( $a['file']['isFolder'] );
+			}
+		);
+
+		foreach ( $changes as $change ) {
+			$file_id = $change['file_id'];
+			$item    = $change['file'];
+
+			$gone    = $change['removed'] || null === $item || $item['trashed'];
+
+			if ( $file_id === $settings['folder']['id'] && $gone ) {
+				return new WP_Error(
+					'sync_folder_removed',
+					__( 'The synced Drive folder was deleted. Choose another folder.', 'wpmudev-plugin-test' )
+				);
+			}
+
+			$parent_path = null;
+			if ( ! $gone ) {
+				foreach ( $item['parents'] as $parent_id ) {
+					if ( isset( $state['folders'][ $parent_id ] ) ) {
+						$parent_path = $state['folders'][ $parent_id ];
+						break;
+					}
+				}
+			}
+
+			if ( null !== $parent_path ) {
+				$state = $this->plan_remote_item( $state, $index, $item, $parent_path );
+			} elseif ( isset( $index['items'][ $file_id ] ) ) {
+				// Deleted, trashed or moved out of the synced folder.
+				$state = $this->plan_remote_removal( $state, $index, $file_id );
+			}
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Plan bringing one Drive item over to the local directory.
+	 *
+	 * @param array  $state       Sync state.
+	 * @param array  $index       Sync index.
+	 * @param array  $item        Item from Drive_API, see format_sync_item().
+	 * @param string $parent_path Local path of its folder, relative to the sync directory.
+	 *
+	 * @return array Updated state.
+	 */
+	private function plan_remote_item( array $state, array $index, array $item, $parent_path ) {
+		$file_id = $item['id'];
+
+		// The feed can list the same file more than once; the first entry is already its latest state.
+		if ( isset( $state['planned'][ $file_id ] ) ) {
+			return $state;
+		}
+		$state['planned'][ $file_id ] = true;
+
+		$name = sanitize_file_name( $item['name'] );
+		if ( '' === $name ) {
+			return $this->skip( $state, $item['name'], __( 'The name can\'t be used for a local file.', 'wpmudev-plugin-test' ) );
+		}
+
+		$path  = '' === $parent_path ? $name : $parent_path . '/' . $name;
+		$entry = isset( $index['items'][ $file_id ] ) ? $index['items'][ $file_id ] : null;
+
+		// Drive allows two files with the same name in a folder; a directory doesn't.
+		if ( isset( $state['paths'][ $path ] ) ) {
+			return $this->skip( $state, $path, __( 'Another item in Drive has the same name.', 'wpmudev-plugin-test' ) );
+		}
+		$state['paths'][ $path ] = $file_id;
+
+		if ( $item['isFolder'] ) {
+			$state['folders'][ $file_id ] = $path;
+
+			if ( null === $entry ) {
+				$state['queue'][] = array( 'type' => 'mkdir_local', 'file_id' => $file_id, 'path' => $path, 'item' => $item );
+			} elseif ( $entry['path'] !== $path ) {
+				$state['queue'][] = array( 'type' => 'move_local', 'file_id' => $file_id, 'from' => $entry['path'], 'path' => $path, 'item' => $item );
+			}
+
+			return $state;
+		}
+
+		// Google Docs, Sheets and the like have no file content to mirror.
+		if ( '' === $item['md5Checksum'] ) {
+			return $this->skip( $state, $path, __( 'Google Workspace files can\'t be synced.', 'wpmudev-plugin-test' ) );
+		}
+
+		// The directory is publicly reachable, so only types WordPress would accept as uploads.
+		$filetype = wp_check_filetype( $name );
+		if ( empty( $filetype['ext'] ) ) {
+			return $this->skip( $state, $path, __( 'This file type is not allowed in the uploads folder.', 'wpmudev-plugin-test' ) );
+		}
+
+		$local_file = $this->get_local_base( $this->get_settings() ) . '/' . $path;
+
+		if ( null !== $entry ) {
+			if ( $entry['path'] !== $path ) {
+				$state['queue'][] = array( 'type' => 'move_local', 'file_id' => $file_id, 'from' => $entry['path'], 'path' => $path, 'item' => $item );
+			}
+
+			if ( $entry['md5'] === $item['md5Checksum'] ) {
+				return $state;
+			}
+
+			if ( 'two-way' === $state['direction'] && $this->local_changed( $local_file, $entry ) ) {
+				return $this->add_conflict( $state, $path, $file_id, $item, __( 'Changed in Drive and locally.', 'wpmudev-plugin-test' ) );
+			}
+		} elseif ( 'two-way' === $state['direction'] && file_exists( $local_file ) && md5_file( $local_file ) !== $item['md5Checksum'] ) {
+			return $this->add_conflict( $state, $path, $file_id, $item, __( 'A different local file has the same name.', 'wpmudev-plugin-test' ) );
+		}
+
+		$state['queue'][] = array( 'type' => 'download', 'file_id' => $file_id, 'path' => $path, 'item' => $item );
+
+		return $state;
+	}
+
+	/**
+	 * Plan removing the local copy of an item that left the synced folder.
+	 *
+	 * @param array  $state   Sync state.
+	 * @param array  $index   Sync index.
+	 * @param string $file_id Drive file ID.
+	 *
+	 * @return array Updated state.
+	 */
+	private function plan_remote_removal( array $state, array $index, $file_id ) {
+		if ( isset( $state['planned'][ $file_id ] ) ) {
+			return $state;
+		}
+		$state['planned'][ $file_id ] = true;
+
+		$entry = $index['items'][ $file_id ];
+		unset( $state['folders'][ $file_id ] );
+
+		$local_file = $this->get_local_base( $this->get_settings() ) . '/' . $entry['path'];
+
+		if ( ! $entry['is_folder'] && 'two-way' === $state['direction'] && file_exists( $local_file ) && $this->local_changed( $local_file, $entry ) ) {
+			return $this->add_conflict( $state, $entry['path'], $file_id, null, __( 'Deleted in Drive, changed locally.', 'wpmudev-plugin-test' ) );
+		}
+
+		$state['queue'][] = array( 'type' => 'delete_local', 'file_id' => $file_id, 'path' => $entry['path'] );
+
+		return $state;
+	}
+
+	/**
+	 * Move on from reading Drive to the local directory, or straight to applying.
+	 *
+	 * @param array $state Sync state.
+	 *
+	 * @return array Updated state.
+	 */
+	private function finish_planning( array $state ) {
+		$state['step']       = 'two-way' === $state['direction'] ? 'local' : 'apply';
+		$state['page_token'] = '';
+
+		if ( 'apply' === $state['step'] ) {
+			$state['total_operations'] = count( $state['queue'] );
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Plan sending local changes to Drive.
+	 *
+	 * New files and folders are uploaded, edited files replace their Drive
+	 * copy and files deleted locally go to the Drive trash. Items Drive
+	 * changed in this run were planned already and are left out.
+	 *
+	 * @param array $state    Sync state.
+	 * @param array $settings Sync settings.
+	 * @param array $index    Sync index.
+	 *
+	 * @return array Updated state.
+	 */
+	private function plan_local_changes( array $state, array $settings, array $index ) {
+		$base       = $this->get_local_base( $settings );
+		$by_path    = array();
+		$conflicts  = $this->get_conflicts();
+		$seen_paths = array();
+
+		foreach ( $index['items'] as $file_id => $entry ) {
+			$by_path[ $entry['path'] ] = $file_id;
+		}
+
+		// Paths Drive is about to change, which local edits must not race.
+		$planned_paths = array();
+		foreach ( $state['queue'] as $operation ) {
+			$planned_paths[ $operation['path'] ] = true;
+		}
+
+		if ( is_dir( $base ) ) {
+			$iterator = new \RecursiveIteratorIterator(
+				new \RecursiveDirectoryIterator( $base, \FilesystemIterator::SKIP_DOTS ),
+				\RecursiveIteratorIterator::SELF_FIRST
+			);
+
+			foreach ( $iterator as $file ) {
+				$path = ltrim( str_replace( '\\', '/', substr( $file->getPathname(), strlen( $base ) ) ), '/' );
+
+				$seen_paths[ $path ] = true;
+
+				if ( isset( $planned_paths[ $path ] ) || isset( $conflicts[ $path ] ) ) {
+					continue;
+				}
+
+				$file_id = isset( $by_path[ $path ] ) ? $by_path[ $path ] : '';
+
+				if ( $file->isDir() ) {
+					if ( '' === $file_id ) {
+						$state['queue'][] = array( 'type' => 'mkdir_drive', 'path' => $path );
+					}
+					continue;
+				}
+
+				if ( '' === $file_id ) {
+					$state['queue'][] = array( 'type' => 'upload', 'file_id' => '', 'path' => $path );
+				} elseif ( $this->local_changed( $file->getPathname(), $index['items'][ $file_id ] ) ) {
+					$state['queue'][] = array( 'type' => 'upload', 'file_id' => $file_id, 'path' => $path );
+				}
+			}
+		}
+
+		foreach ( $index['items'] as $file_id => $entry ) {
+			if ( isset( $seen_paths[ $entry['path'] ] ) || isset( $state['planned'][ $file_id ] ) || isset( $conflicts[ $entry['path'] ] ) ) {
+				continue;
+			}
+
+			// A deleted folder takes its contents along; trashing the folder covers them.
+			$parent = dirname( $entry['path'] );
+			if ( '.' !== $parent && ! isset( $seen_paths[ $parent ] ) && isset( $by_path[ $parent ] ) ) {
+				continue;
+			}
+
+			$state['queue'][] = array( 'type' => 'trash_drive', 'file_id' => $file_id, 'path' => $entry['path'] );
+		}
+
+		$state['step']             = 'apply';
+		$state['total_operations'] = count( $state['queue'] );
+
+		return $state;
+	}
+
+	/**
+	 * Apply the next batch of planned operations.
+	 *
+	 * An operation that fails is logged and skipped; the rest go ahead.
+	 * Once the queue is empty the changes token is saved for the next run.
+	 *
+	 * @param array $state Sync state.
+	 *
+	 * @return array Updated state.
+	 */
+	private function apply_next_batch( array $state ) {
+		$settings = $this->get_settings();
+		$index    = $this->get_index();
+
+		foreach ( array_splice( $state['queue'], 0, $this->batch_size ) as $operation ) {
+			$result = $this->apply_operation( $operation, $settings, $index );
+
+			if ( is_wp_error( $result ) ) {
+				++$state['counts']['failed'];
+				$this->add_log( 'error', $operation['path'], $result->get_error_message() );
+				continue;
+			}
+
+			++$state['counts'][ $result ];
+			$this->add_log( $operation['type'], $operation['path'], '' );
+		}
+
+		if ( empty( $state['queue'] ) ) {
+			$index['start_token'] = $state['next_start_token'];
+
+			$state['running']     = false;
+			$state['step']        = 'done';
+			$state['planned']     = array();
+			$state['paths']       = array();
+			$state['folders']     = array();
+			$state['finished_at'] = time();
+		}
+
+		update_option( $this->index_option, $index, false );
+
+		return $state;
+	}
+
+	/**
+	 * Apply one operation and update the index.
+	 *
+	 * @param array $operation Planned operation.
+	 * @param array $settings  Sync settings.
+	 * @param array $index     Sync index, updated in place.
+	 *
+	 * @return string|WP_Error Counter to bump: "downloaded", "uploaded", "moved" or "deleted".
+	 */
+	private function apply_operation( array $operation, array $settings, array &$index ) {
+		$base   = $this->get_local_base( $settings );
+		$target = $base . '/' . $operation['path'];
+
+		switch ( $operation['type'] ) {
+			case 'mkdir_local':
+				if ( ! wp_mkdir_p( $target ) ) {
+					return new WP_Error( 'mkdir_failed', __( 'Could not create the local folder.', 'wpmudev-plugin-test' ) );
+				}
+
+				$index['items'][ $operation['file_id'] ] = $this->index_entry( $operation['path'], $operation['item'], '' );
+
+				return 'downloaded';
+
+			case 'download':
+				$item = $operation['item'];
+
+				if ( ! wp_mkdir_p( dirname( $target ) ) ) {
+					return new WP_Error( 'mkdir_failed', __( 'Could not create the local folder.', 'wpmudev-plugin-test' ) );
+				}
+
+				// Already there, for example from before the first sync.
+				if ( ! file_exists( $target ) || md5_file( $target ) !== $item['md5Checksum'] ) {
+					$temp_file = wp_tempnam( $item['name'] );
+					$result    = Drive_API::instance()->download_to_file( $operation['file_id'], $temp_file );
+
+					if ( is_wp_error( $result ) ) {
+						return $result;
+					}
+
+					if ( md5_file( $temp_file ) !== $item['md5Checksum'] || ! $this->move_file( $temp_file, $target ) ) {
+						wp_delete_file( $temp_file );
+
+						return new WP_Error( 'download_failed', __( 'The downloaded file did not match the one in Drive.', 'wpmudev-plugin-test' ) );
+					}
+				}
+
+				$index['items'][ $operation['file_id'] ] = $this->index_entry( $operation['path'], $item, $target );
+
+				return 'downloaded';
+
+			case 'move_local':
+				$source = $base . '/' . $operation['from'];
+
+				if ( ! file_exists( $source ) || ! wp_mkdir_p( dirname( $target ) ) || ! $this->move_file( $source, $target ) ) {
+					return new WP_Error( 'move_failed', __( 'Could not move the local copy.', 'wpmudev-plugin-test' ) );
+				}
+
+				$this->rename_index_path( $index, $operation['from'], $operation['path'] );
+
+				return 'moved';
+
+			case 'delete_local':
+				$this->delete_local( $base, $index, $operation['path'] );
+
+				return 'deleted';
+
+			case 'mkdir_drive':
+				$parent_id = $this->find_folder_id( $settings, $index, dirname( $operation['path'] ) );
+				if ( '' === $parent_id ) {
+					return new WP_Error( 'parent_missing', __( 'The parent folder is not in Drive yet.', 'wpmudev-plugin-test' ) );
+				}
+
+				$folder = Drive_API::instance()->create_drive_folder( basename( $operation['path'] ), $parent_id );
+				if ( is_wp_error( $folder ) ) {
+					return $folder;
+				}
+
+				$index['items'][ $folder['id'] ] = $this->index_entry( $operation['path'], $folder, '' );
+
+				return 'uploaded';
+
+			case 'upload':
+				$parent_id = $this->find_folder_id( $settings, $index, dirname( $operation['path'] ) );
+				if ( '' === $parent_id ) {
+					return new WP_Error( 'parent_missing', __( 'The parent folder is not in Drive yet.', 'wpmudev-plugin-test' ) );
+				}
+
+				$name     = basename( $operation['path'] );
+				$filetype = wp_check_filetype( $name );
+				$file     = Drive_API::instance()->upload_local_file(
+					$target,
+					$name,
+					! empty( $filetype['type'] ) ? $filetype['type'] : 'application/octet-stream',
+					$parent_id,
+					$operation['file_id']
+				);
+
+				if ( is_wp_error( $file ) ) {
+					return $file;
+				}
+
+				$index['items'][ $file->getId() ] = $this->index_entry(
+					$operation['path'],
+					array(
+						'isFolder'     => false,
+						'md5Checksum'  => (string) $file->getMd5Checksum(),
+						'modifiedTime' => (string) $file->getModifiedTime(),
+					),
+					$target
+				);
+
+				return 'uploaded';
+
+			case 'trash_drive':
+				$result = Drive_API::instance()->trash_drive_file( $operation['file_id'] );
+				if ( is_wp_error( $result ) ) {
+					return $result;
+				}
+
+				$this->remove_index_path( $index, $operation['path'] );
+
+				return 'deleted';
+		}
+
+		return new WP_Error( 'unknown_operation', __( 'Unknown sync operation.', 'wpmudev-plugin-test' ) );
+	}
+
+	/**
+	 * Remove a local file or folder that was removed from Drive.
+	 *
+	 * Only files the sync put there are deleted; a folder that still holds
+	 * anything else is kept.
+	 *
+	 * @param string $base  Local sync directory.
+	 * @param array  $index Sync index, updated in place.
+	 * @param string $path  Path to remove.
+	 *
+	 * @return void
+	 */
+	private function delete_local( $base, array &$index, $path ) {
+		$entries = array();
+		foreach ( $index['items'] as $entry ) {
+			if ( $entry['path'] === $path || 0 === strpos( $entry['path'], $path . '/' ) ) {
+				$entries[] = $entry;
+			}
+		}
+
+		// Deepest first, so folders are empty by the time they come up.
+		usort(
+			$entries,
+			function ( $a, $b ) {
+				return strlen( $b['path'] ) - strlen( $a['path'] );
+			}
+		);
+
+		foreach ( $entries as $entry ) {
+			$file = $base . '/' . $entry['path'];
+
+			if ( $entry['is_folder'] ) {
+				if ( is_dir( $file ) && 2 === count( (array) scandir( $file ) ) ) {
+					rmdir( $file ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir
+				}
+			} elseif ( file_exists( $file ) ) {
+				wp_delete_file( $file );
+			}
+		}
+
+		$this->remove_index_path( $index, $path );
+	}
+
+	/**
+	 * Whether a local file differs from when it was last synced.
+	 *
+	 * Size and modification time are checked first so unchanged files
+	 * don't have to be hashed.
+	 *
+	 * @param string $file  Local file.
+	 * @param array  $entry Index entry.
+	 *
+	 * @return bool
+	 */
+	private function local_changed( $file, array $entry ) {
+		if ( ! file_exists( $file ) ) {
+			return true;
+		}
+
+		if ( filemtime( $file ) === $entry['local_mtime'] && filesize( $file ) === $entry['local_size'] ) {
+			return false;
+		}
+
+		return md5_file( $file ) !== $entry['local_md5'];
+	}
+
+	/**
+	 * Build an index entry.
+	 *
+	 * @param string $path       Path relative to the sync directory.
+	 * @param array  $item       Drive item, see Drive_API::format_sync_item().
+	 * @param string $local_file Local copy, empty for folders.
+	 *
+	 * @return array
+	 */
+	private function index_entry( $path, array $item, $local_file ) {
+		clearstatcache( true, $local_file );
+
+		$has_file = '' !== $local_file && file_exists( $local_file );
+
+		return array(
+			'path'        => $path,
+			'is_folder'   => ! empty( $item['isFolder'] ),
+			'md5'         => $item['md5Checksum'],
+			'modified'    => $item['modifiedTime'],
+			'local_md5'   => $has_file ? md5_file( $local_file ) : '',
+			'local_mtime' => $has_file ? filemtime( $local_file ) : 0,
+			'local_size'  => $has_file ? filesize( $local_file ) : 0,
+		);
+	}
+
+	/**
+	 * Point index entries at a new path after a move.
+	 *
+	 * @param array  $index Sync index, updated in place.
+	 * @param string $from  Old path.
+	 * @param string $to    New path.
+	 *
+	 * @return void
+	 */
+	private function rename_index_path( array &$index, $from, $to ) {
+		foreach ( $index['items'] as $file_id => $entry ) {
+			if ( $entry['path'] === $from ) {
+				$index['items'][ $file_id ]['path'] = $to;
+			} elseif ( 0 === strpos( $entry['path'], $from . '/' ) ) {
+				$index['items'][ $file_id ]['path'] = $to . substr( $entry['path'], strlen( $from ) );
+			}
+		}
+	}
+
+	/**
+	 * Drop a path and everything below it from the index.
+	 *
+	 * @param array  $index Sync index, updated in place.
+	 * @param string $path  Path.
+	 *
+	 * @return void
+	 */
+	private function remove_index_path( array &$index, $path ) {
+		foreach ( $index['items'] as $file_id => $entry ) {
+			if ( $entry['path'] === $path || 0 === strpos( $entry['path'], $path . '/' ) ) {
+				unset( $index['items'][ $file_id ] );
+			}
+		}
+	}
+
+	/**
+	 * Find the Drive folder for a local directory.
+	 *
+	 * @param array  $settings Sync settings.
+	 * @param array  $index    Sync index.
+	 * @param string $path     Directory path, "." or empty for the top.
+	 *
+	 * @return string Folder ID, empty if it isn't in Drive yet.
+	 */
+	private function find_folder_id( array $settings, array $index, $path ) {
+		if ( '.' === $path || '' === $path ) {
+			return $settings['folder']['id'];
+		}
+
+		foreach ( $index['items'] as $file_id => $entry ) {
+			if ( $entry['is_folder'] && $entry['path'] === $path ) {
+				return $file_id;
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Move a file, falling back to copying across file systems.
+	 *
+	 * @param string $source Source path.
+	 * @param string $target Target path.
+	 *
+	 * @return bool
+	 */
+	private function move_file( $source, $target ) {
+		if ( @rename( $source, $target ) ) { // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged, WordPress.WP.AlternativeFunctions.rename_rename
+			return true;
+		}
+
+		if ( is_file( $source ) && copy( $source, $target ) ) {
+			wp_delete_file( $source );
+			return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Record a skipped item.
+	 *
+	 * @param array  $state   Sync state.
+	 * @param string $path    Item path or name.
+	 * @param string $message Why it was skipped.
+	 *
+	 * @return array Updated state.
+	 */
+	private function skip( array $state, $path, $message ) {
+		++$state['counts']['skipped'];
+		$this->add_log( 'skip', $path, $message );
+
+		return $state;
+	}
+
+	/**
+	 * Record a conflict for manual resolution.
+	 *
+	 * @param array      $state   Sync state.
+	 * @param string     $path    Local path.
+	 * @param string     $file_id Drive file ID.
+	 * @param array|null $item    Drive item, null when it was deleted in Drive.
+	 * @param string     $reason  What happened.
+	 *
+	 * @return array Updated state.
+	 */
+	private function add_conflict( array $state, $path, $file_id, $item, $reason ) {
+		$conflicts = $this->get_conflicts();
+
+		$conflicts[ $path ] = array(
+			'path'        => $path,
+			'file_id'     => $file_id,
+			'item'        => $item,
+			'reason'      => $reason,
+			'detected_at' => time(),
+		);
+
+		update_option( $this->conflicts_option, $conflicts, false );
+
+		++$state['counts']['conflicts'];
+		$this->add_log( 'conflict', $path, $reason );
+
+		return $state;
+	}
+
+	/**
+	 * Add an entry to the sync log.
+	 *
+	 * @param string $action  Operation type, "skip", "conflict", "resolve" or "error".
+	 * @param string $path    Path the entry is about.
+	 * @param string $message Details.
+	 *
+	 * @return void
+	 */
+	private function add_log( $action, $path, $message ) {
+		$log = $this->get_log();
+
+		array_unshift(
+			$log,
+			array(
+				'time'    => time(),
+				'action'  => $action,
+				'path'    => $path,
+				'message' => $message,
+			)
+		);
+
+		update_option( $this->log_option, array_slice( $log, 0, $this->max_log_entries ), false );
+	}
+
+	/**
+	 * Stop the sync after a failed step.
+	 *
+	 * The changes token isn't moved on, so the next run covers the same
+	 * changes again.
+	 *
+	 * @param WP_Error $error Failure.
+	 *
+	 * @return void
+	 */
+	private function fail_sync( WP_Error $error ) {
+		$state = $this->get_state();
+
+		$state['running']     = false;
+		$state['queue']       = array();
+		$state['planned']     = array();
+		$state['paths']       = array();
+		$state['folders']     = array();
+		$state['error']       = $error->get_error_message();
+		$state['updated_at']  = time();
+		$state['finished_at'] = time();
+
+		$this->save_state( $state );
+		$this->add_log( 'error', '', $state['error'] );
+	}
+
+	/**
+	 * Queue the next sync step.
+	 *
+	 * @param int $delay Seconds to wait before running it.
+	 *
+	 * @return void
+	 */
+	private function schedule_step( $delay = 0 ) {
+		as_schedule_single_action( time() + $delay, $this->step_hook, array(), $this->action_group );
+		$this->trigger_queue_runner();
+	}
+
+	/**
+	 * Start the Action Scheduler queue runner now rather than waiting for WP-Cron.
+	 *
+	 * @return void
+	 */
+	private function trigger_queue_runner() {
+		if ( class_exists( 'ActionScheduler_AsyncRequest_QueueRunner' ) ) {
+			$async_runner = new \ActionScheduler_AsyncRequest_QueueRunner(
+				\ActionScheduler::store()
+			);
+			$async_runner->maybe_dispatch();
+		}
+	}
+
+	/**
+	 * Replace the recurring sync action for a new frequency.
+	 *
+	 * @param string $frequency Frequency key or "off".
+	 *
+	 * @return void
+	 */
+	private function reschedule( $frequency ) {
+		if ( ! function_exists( 'as_schedule_recurring_action' ) ) {
+			return;
+		}
+
+		as_unschedule_all_actions( $this->schedule_hook, array(), $this->action_group );
+
+		if ( isset( $this->frequencies[ $frequency ] ) ) {
+			$interval = $this->frequencies[ $frequency ];
+			as_schedule_recurring_action( time() + $interval, $interval, $this->schedule_hook, array(), $this->action_group );
+		}
+	}
+
+	/**
+	 * Timestamp of the next scheduled sync.
+	 *
+	 * @return int 0 when none is scheduled.
+	 */
+	private function get_next_run() {
+		if ( ! function_exists( 'as_next_scheduled_action' ) ) {
+			return 0;
+		}
+
+		return (int) as_next_scheduled_action( $this->schedule_hook, array(), $this->action_group );
+	}
+
+	/**
+	 * Clean up the uploads subdirectory to sync into.
+	 *
+	 * @param mixed $raw_dir Raw directory, relative to the uploads folder.
+	 *
+	 * @return string Relative directory, empty if nothing usable is left.
+	 */
+	private function sanitize_local_dir( $raw_dir ) {
+		$segments = array();
+
+		foreach ( explode( '/', str_replace( '\\', '/', (string) $raw_dir ) ) as $segment ) {
+			$segment = sanitize_file_name( $segment );
+
+			// sanitize_file_name() leaves dots alone, so ".." has to go here.
+			if ( '' !== trim( $segment, '.' ) ) {
+				$segments[] = $segment;
+			}
+		}
+
+		return implode( '/', $segments );
+	}
+
+	/**
+	 * Absolute path of the local sync directory.
+	 *
+	 * @param array $settings Sync settings.
+	 *
+	 * @return string
+	 */
+	private function get_local_base( array $settings ) {
+		$uploads = wp_upload_dir( null, false );
+
+		return untrailingslashit( $uploads['basedir'] ) . '/' . $settings['local_dir'];
+	}
+
+	/**
+	 * Clean up a folder path picked in the settings.
+	 *
+	 * @param mixed $raw_path Array of { id, name } entries.
+	 *
+	 * @return array { @type string $id Last folder ID. @type array $path Folder path. }
+	 */
+	private function sanitize_folder_path( $raw_path ) {
+		$path = array();
+
+		foreach ( is_array( $raw_path ) ? $raw_path : array() as $folder ) {
+			if ( ! is_array( $folder ) || empty( $folder['id'] ) ) {
+				continue;
+			}
+
+			$path[] = array(
+				'id'   => sanitize_text_field( $folder['id'] ),
+				'name' => isset( $folder['name'] ) ? sanitize_text_field( $folder['name'] ) : '',
+			);
+		}
+
+		return array(
+			'id'   => '',
+			'path' => $path,
+		);
+	}
+
+	/**
+	 * Counters for a new run.
+	 *
+	 * @return array
+	 */
+	private function empty_counts() {
+		return array(
+			'downloaded' => 0,
+			'uploaded'   => 0,
+			'moved'      => 0,
+			'deleted'    => 0,
+			'skipped'    => 0,
+			'conflicts'  => 0,
+			'failed'     => 0,
+		);
+	}
+
+	/**
+	 * Get sync settings.
+	 *
+	 * @return array
+	 */
+	private function get_settings() {
+		$default = array(
+			'frequency' => 'off',
+			'direction' => 'download',
+			'folder'    => array(
+				'id'   => '',
+				'path' => array(),
+			),
+			'local_dir' => 'drive-sync',
+		);
+
+		return wp_parse_args( get_option( $this->settings_option, array() ), $default );
+	}
+
+	/**
+	 * Get the sync index.
+	 *
+	 * @return array {
+	 *     @type string $start_token Changes token to read from next, empty before the first full run.
+	 *     @type array  $items       Synced items by Drive file ID.
+	 * }
+	 */
+	private function get_index() {
+		$default = array(
+			'start_token' => '',
+			'items'       => array(),
+		);
+
+		return wp_parse_args( get_option( $this->index_option, array() ), $default );
+	}
+
+	/**
+	 * Get unresolved conflicts, by path.
+	 *
+	 * @return array
+	 */
+	private function get_conflicts() {
+		$conflicts = get_option( $this->conflicts_option, array() );
+
+		return is_array( $conflicts ) ? $conflicts : array();
+	}
+
+	/**
+	 * Get the sync log, newest first.
+	 *
+	 * @return array
+	 */
+	private function get_log() {
+		$log = get_option( $this->log_option, array() );
+
+		return is_array( $log ) ? $log : array();
+	}
+
+	/**
+	 * Get sync state.
+	 *
+	 * @return array
+	 */
+	private function get_state() {
+		$default = array(
+			'running'          => false,
+			'trigger'          => '',
+			'step'             => '',
+			'direction'        => 'download',
+			'folders_to_scan'  => array(),
+			'page_token'       => '',
+			'next_start_token' => '',
+			'folders'          => array(),
+			'planned'          => array(),
+			'paths'            => array(),
+			'queue'            => array(),
+			'total_operations' => 0,
+			'counts'           => $this->empty_counts(),
+			'error'            => '',
+			'started_at'       => 0,
+			'updated_at'       => 0,
+			'finished_at'      => 0,
+		);
+
+		return wp_parse_args( get_option( $this->state_option, array() ), $default );
+	}
+
+	/**
+	 * Get the sync state for the Drive page, without the working data.
+	 *
+	 * @return array
+	 */
+	private function get_public_state() {
+		$state = $this->get_state();
+
+		$state['remaining'] = count( $state['queue'] );
+		unset( $state['folders_to_scan'], $state['page_token'], $state['next_start_token'], $state['folders'], $state['planned'], $state['paths'], $state['queue'] );
+
+		return $state;
+	}
+
+	/**
+	 * Save sync state.
+	 *
+	 * @param array $state State.
+	 *
+	 * @return void
+	 */
+	private function save_state( $state ) {
+		update_option( $this->state_option, $state, false );
+	}
+}
@@ -24,7 +24,9 @@ namespace WPMUDEV\PluginTest\Endpoints\V1;
 // Abort if called directly.
 defined( 'WPINC' ) || die;
 
+use WPMUDEV\PluginTest\Audit_Log;
 use WPMUDEV\PluginTest\Base;
+use WPMUDEV\PluginTest\Rate_Limits;
 use WP_REST_Request;
 use WP_REST_Response;
 use WP_Error;
@@ -58,13 +60,202 @@ class Drive_API extends Base {
 	/**
 	 * Google Drive API scopes.
 	 *
+	 * The full Drive scope is needed to rename, move, trash, share and sync
+	 * files the plugin didn't create; drive.file only covers its own uploads.
+	 * Accounts connected with the old, narrower scopes fail the scopes check
+	 * in the connection health test until they reconnect.
+	 *
 	 * @var array
 	 */
 	private $scopes = array(
-		Google_Service_Drive::DRIVE_FILE,
-		Google_Service_Drive::DRIVE_READONLY,
+		Google_Service_Drive::DRIVE,
+	);
+
+	/**
+	 * Service account settings when the site authenticates as one.
+	 *
+	 * @var array|null {
+	 *     @type array  $key       Decoded JSON key (client_email, private_key, token_uri).
+	 *     @type string $folder_id Shared drive or folder used as the root.
+	 *     @type string $subject   User to impersonate with domain-wide delegation.
+	 * }
+	 */
+	private $service_account = null;
+
+	/**
+	 * Scopes requested for service accounts. They only see what is shared
+	 * with them, so the full Drive scope is needed to work in those folders.
+	 *
+	 * @var array
+	 */
+	private $service_account_scopes = array(
+		Google_Service_Drive::DRIVE,
+	);
+
+	/**
+	 * Token endpoint used when a service account key doesn't name one.
+	 *
+	 * @var string
+	 */
+	private $service_account_token_uri = 'https://oauth2.googleapis.com/token';
+
+	/**
+	 * Transient caching the service account's access token.
+	 *
+	 * @var string
+	 */
+	private $service_account_token_transient = 'wpmudev_drive_service_account_token';
+
+	/**
+	 * MIME type clauses for each file category the listing can be filtered by.
+	 *
+	 * @var array
+	 */
+	private $mime_categories = array(
+		'folder' => "mimeType = 'application/vnd.google-apps.folder'",
+		'image'  => "mimeType contains 'image/'",
+		'doc'    => "(mimeType = 'application/vnd.google-apps.document' or mimeType = 'application/msword' or mimeType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' or mimeType = 'text/plain')",
+		'pdf'    => "mimeType = 'application/pdf'",
+		'video'  => "mimeType contains 'video/'",
+	);
+
+	/**
+	 * Formats Google Workspace files can be exported to, keyed by source MIME type.
+	 *
+	 * Native Docs/Sheets/Slides have no binary content of their own, so they
+	 * have to go through the export endpoint instead of alt=media.
+	 *
+	 * @var array
+	 */
+	private $export_formats = array(
+		'application/vnd.google-apps.document'     => array( 'pdf', 'docx' ),
+		'application/vnd.google-apps.spreadsheet'  => array( 'pdf', 'xlsx', 'csv' ),
+		'application/vnd.google-apps.presentation' => array( 'pdf' ),
+		'application/vnd.google-apps.drawing'      => array( 'pdf' ),
+	);
+
+	/**
+	 * MIME types for each export format.
+	 *
+	 * @var array
+	 */
+	private $export_mime_types = array(
+		'pdf'  => 'application/pdf',
+		'docx' => 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+		'xlsx' => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+		'csv'  => 'text/csv',
 	);
 
+	/**
+	 * How long a signed download link stays valid, in seconds.
+	 *
+	 * @var int
+	 */
+	private $download_link_ttl = 300;
+
+	/**
+	 * Resumable upload chunks must be a multiple of this size (256 KiB),
+	 * except for the final chunk.
+	 *
+	 * @var int
+	 */
+	private $upload_chunk_granularity = 262144;
+
+	/**
+	 * How long a resumable upload session is kept, in seconds. Google keeps
+	 * the session itself alive for a week.
+	 *
+	 * @var int
+	 */
+	private $upload_session_ttl = DAY_IN_SECONDS;
+
+	/**
+	 * MIME types that are safe to show inline from our own origin.
+	 *
+	 * SVG and HTML are deliberately missing - they can carry script.
+	 *
+	 * @var array
+	 */
+	private $inline_image_types = array( 'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp' );
+
+	/**
+	 * Text types previewed as plain text.
+	 *
+	 * @var array
+	 */
+	private $inline_text_types = array( 'text/plain', 'text/csv', 'text/markdown', 'application/json' );
+
+	/**
+	 * Largest text file that is previewed, in bytes.
+	 *
+	 * @var int
+	 */
+	private $text_preview_max_bytes = 5242880;
+
+	/**
+	 * Chunk size for uploading files from the server to Drive, a multiple of 256 KiB.
+	 *
+	 * @var int
+	 */
+	private $local_upload_chunk_size = 8388608;
+
+	/**
+	 * User meta key for a user's own Drive connection.
+	 *
+	 * @var string
+	 */
+	private $connection_meta_key = 'wpmudev_drive_connection';
+
+	/**
+	 * Option name for the shared site account connection.
+	 *
+	 * @var string
+	 */
+	private $site_connection_option = 'wpmudev_drive_site_connection';
+
+	/**
+	 * Account requests run as: a user ID, 0 for the site account, or null
+	 * for whoever is logged in.
+	 *
+	 * @var int|null
+	 */
+	private $account_id = null;
+
+	/**
+	 * User meta key for a user's connection diagnostics.
+	 *
+	 * @var string
+	 */
+	private $diagnostics_meta_key = 'wpmudev_drive_diagnostics';
+
+	/**
+	 * Option name for the site account's (or service account's) diagnostics.
+	 *
+	 * @var string
+	 */
+	private $site_diagnostics_option = 'wpmudev_drive_site_diagnostics';
+
+	/**
+	 * How many recent API errors the health panel keeps.
+	 *
+	 * @var int
+	 */
+	private $max_recorded_errors = 10;
+
+	/**
+	 * How long details of embedded files and folders are cached, in seconds.
+	 *
+	 * @var int
+	 */
+	private $embed_cache_ttl = 15 * MINUTE_IN_SECONDS;
+
+	/**
+	 * File fields the folder sync needs, see format_sync_item().
+	 *
+	 * @var string
+	 */
+	private $sync_item_fields = 'id,name,mimeType,md5Checksum,modifiedTime,size,parents,trashed';
+
 	/**
 	 * Initialize the class.
 	 */
@@ -73,6 +264,8 @@ class Drive_API extends Base {
 		$this->setup_google_client();
 
 		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+
+		$this->migrate_legacy_token();
 	}
 
 	/**
@@ -80,7 +273,17 @@ class Drive_API extends Base {
 	 */
 	private function setup_google_client() {
 		$auth_creds = get_option( 'wpmudev_plugin_tests_auth', array() );
-		
+
+		$this->client          = null;
+		$this->drive_service   = null;
+		$this->service_account = null;
+
+		// Headless sites authenticate with a service account key instead of OAuth.
+		if ( isset( $auth_creds['type'] ) && 'service_account' === $auth_creds['type'] ) {
+			$this->setup_service_account( $auth_creds );
+			return;
+		}
+
 		if ( empty( $auth_creds['client_id'] ) || empty( $auth_creds['client_secret'] ) ) {
 			return;
 		}
@@ -97,15 +300,82 @@ class Drive_API extends Base {
 		$this->client->setAccessType( 'offline' );
 		$this->client->setPrompt( 'consent' );
 
-		// Set access token if available.
-		$access_token = get_option( 'wpmudev_drive_access_token', '' );
-		if ( ! empty( $access_token ) ) {
-			$this->client->setAccessToken( $access_token );
+		// Tokens are per account, so ensure_valid_token() sets one before each use.
+		$this->drive_service = new Google_Service_Drive( $this->client );
+	}
+
+	/**
+	 * Setup Google Client for a service account.
+	 *
+	 * The client gets no credentials of its own; ensure_valid_token() signs
+	 * the JWT grant and hands it the resulting access token.
+	 *
+	 * @param array $auth_creds Stored credentials.
+	 * @return void
+	 */
+	private function setup_service_account( array $auth_creds ) {
+		$key = json_decode( (string) $this->decrypt_credential( isset( $auth_creds['service_account'] ) ? $auth_creds['service_account'] : '' ), true );
+
+		if ( ! is_array( $key ) || empty( $key['client_email'] ) || empty( $key['private_key'] ) ) {
+			return;
 		}
 
+		$this->service_account = array(
+			'key'       => $key,
+			'folder_id' => isset( $auth_creds['folder_id'] ) ? $auth_creds['folder_id'] : '',
+			'subject'   => isset( $auth_creds['subject'] ) ? $auth_creds['subject'] : '',
+		);
+
+		$this->client = new Google_Client();
+		$this->client->setScopes( $this->service_account_scopes );
+
 		$this->drive_service = new Google_Service_Drive( $this->client );
 	}
 
+	/**
+	 * How the site authenticates with Google.
+	 *
+	 * @return string "service_account" or "oauth".
+	 */
+	public function get_auth_mode() {
+		return null !== $this->service_account ? 'service_account' : 'oauth';
+	}
+
+	/**
+	 * Drive service for the account requests run as.
+	 *
+	 * Call ensure_valid_token() first so it carries a usable token.
+	 *
+	 * @return Google_Service_Drive|null Null when no credentials are saved.
+	 */
+	public function get_drive_service() {
+		return $this->drive_service;
+	}
+
+	/**
+	 * HTTP client that signs requests with the current account's token.
+	 *
+	 * Used to fetch file content straight to disk. Call ensure_valid_token()
+	 * first.
+	 *
+	 * @return \GuzzleHttp\ClientInterface
+	 */
+	public function get_authorized_http() {
+		return $this->client->authorize();
+	}
+
+	/**
+	 * Folder that stands in for My Drive.
+	 *
+	 * A service account's own Drive has no storage, so it works inside the
+	 * shared drive or folder it was given.
+	 *
+	 * @return string Folder ID, or empty for My Drive.
+	 */
+	private function get_root_folder_id() {
+		return ! empty( $this->service_account['folder_id'] ) ? $this->service_account['folder_id'] : '';
+	}
+
 	/**
 	 * Register REST API routes.
 	 */
@@ -114,7 +384,16 @@ class Drive_API extends Base {
 		register_rest_route( 'wpmudev/v1/drive', '/save-credentials', array(
 			'methods'             => 'POST',
 			'callback'            => array( $this, 'save_credentials' ),
-			'permission_callback' => array( $this, 'check_permissions' ),
+			'permission_callback' => array( $this, 'check_manage_permissions' ),
+			'audit'               => 'drive.save_credentials',
+		) );
+
+		// Save service account key endpoint.
+		register_rest_route( 'wpmudev/v1/drive', '/save-service-account', array(
+			'methods'             => 'POST',
+			'callback'            => array( $this, 'save_service_account' ),
+			'permission_callback' => array( $this, 'check_manage_permissions' ),
+			'audit'               => 'drive.save_service_account',
 		) );
 
 		// Authentication endpoint.
@@ -122,9 +401,11 @@ class Drive_API extends Base {
 			'methods'             => 'POST',
 			'callback'            => array( $this, 'start_auth' ),
 			'permission_callback' => array( $this, 'check_permissions' ),
+			'audit'               => 'drive.auth',
 		) );
 
-		// OAuth callback.
+		// OAuth callback. Redirects instead of returning, so handle_callback()
+		// records the connection itself.
 		register_rest_route( 'wpmudev/v1/drive', '/callback', array(
 			'methods'             => 'GET',
 			'callback'            => array( $this, 'handle_callback' ),
@@ -136,67 +417,200 @@ class Drive_API extends Base {
 			'methods'             => 'GET',
 			'callback'            => array( $this, 'list_files' ),
 			'permission_callback' => array( $this, 'check_permissions' ),
+			'audit'               => 'drive.list',
+		) );
+
+		// List the Shared Drives the account is a member of.
+		register_rest_route( 'wpmudev/v1/drive', '/drives', array(
+			'methods'             => 'GET',
+			'callback'            => array( $this, 'list_drives' ),
+			'permission_callback' => array( $this, 'check_permissions' ),
+			'audit'               => 'drive.list_drives',
 		) );
 
 		// Upload file.
 		register_rest_route( 'wpmudev/v1/drive', '/upload', array(
 			'methods'             => 'POST',
 			'callback'            => array( $this, 'upload_file' ),
+			'permission_callback' => array( $this, 'check_upload_permissions' ),
+			'audit'               => 'drive.upload',
+		) );
+
+		// Resumable upload sessions: start, check progress, cancel.
+		register_rest_route( 'wpmudev/v1/drive', '/upload-session', array(
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'create_upload_session' ),
+				'permission_callback' => array( $this, 'check_upload_permissions' ),
+				'audit'               => 'drive.upload_start',
+			),
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_upload_session' ),
+				'permission_callback' => array( $this, 'check_upload_permissions' ),
+			),
+			array(
+				'methods'             => 'DELETE',
+				'callback'            => array( $this, 'cancel_upload_session' ),
+				'permission_callback' => array( $this, 'check_upload_permissions' ),
+				'audit'               => 'drive.upload_cancel',
+			),
+		) );
+
+		// Remaining upload allowance for the current user. Not audited, like
+		// the other routes the UI polls or calls once per chunk or image.
+		register_rest_route( 'wpmudev/v1/drive', '/upload-quota', array(
+			'methods'             => 'GET',
+			'callback'            => array( $this, 'get_upload_quota' ),
+			'permission_callback' => array( $this, 'check_upload_permissions' ),
+		) );
+
+		// Current user's standing against every rate limit, for the usage
+		// indicator.
+		register_rest_route( 'wpmudev/v1/drive', '/rate-limits', array(
+			'methods'             => 'GET',
+			'callback'            => array( $this, 'get_rate_limits' ),
 			'permission_callback' => array( $this, 'check_permissions' ),
 		) );
 
+		// Relay one chunk of a resumable upload.
+		register_rest_route( 'wpmudev/v1/drive', '/upload-chunk', array(
+			'methods'             => 'PUT',
+			'callback'            => array( $this, 'upload_chunk' ),
+			'permission_callback' => array( $this, 'check_upload_permissions' ),
+		) );
+
 		// Download file.
 		register_rest_route( 'wpmudev/v1/drive', '/download', array(
 			'methods'             => 'GET',
 			'callback'            => array( $this, 'download_file' ),
 			'permission_callback' => array( $this, 'check_permissions' ),
+			'audit'               => 'drive.download',
+		) );
+
+		// Stream file bytes. Authorised by the signed token from /download
+		// instead of a nonce, so a plain link can use it. The download was
+		// audited when /download issued the token.
+		register_rest_route( 'wpmudev/v1/drive', '/stream', array(
+			'methods'             => 'GET',
+			'callback'            => array( $this, 'stream_file' ),
+			'permission_callback' => array( $this, 'check_download_token' ),
+		) );
+
+		// Thumbnail proxy - Drive's thumbnail links need the account's token.
+		// Signed like /stream so the grid can use it as an image source.
+		register_rest_route( 'wpmudev/v1/drive', '/thumbnail', array(
+			'methods'             => 'GET',
+			'callback'            => array( $this, 'stream_thumbnail' ),
+			'permission_callback' => array( $this, 'check_download_token' ),
+		) );
+
+		// Serve files embedded with the Drive block or shortcode. Signed per
+		// post, and only readable by visitors who can read that post. Not
+		// audited: these are page views rather than user actions.
+		register_rest_route( 'wpmudev/v1/drive', '/embed', array(
+			'methods'             => 'GET',
+			'callback'            => array( $this, 'stream_file' ),
+			'permission_callback' => array( $this, 'check_embed_token' ),
+		) );
+
+		// Issue an inline preview link for a file.
+		register_rest_route( 'wpmudev/v1/drive', '/preview', array(
+			'methods'             => 'GET',
+			'callback'            => array( $this, 'preview_file' ),
+			'permission_callback' => array( $this, 'check_permissions' ),
+			'audit'               => 'drive.preview',
 		) );
 
 		// Create folder.
 		register_rest_route( 'wpmudev/v1/drive', '/create-folder', array(
 			'methods'             => 'POST',
 			'callback'            => array( $this, 'create_folder' ),
-			'permission_callback' => array( $this, 'check_permissions' ),
+			'permission_callback' => array( $this, 'check_upload_permissions' ),
+			'audit'               => 'drive.create_folder',
 		) );
 
+		// Manage existing items. Each action takes a `file_id`.
+		$item_actions = array(
+			'rename'  => 'rename_item',
+			'move'    => 'move_item',
+			'copy'    => 'copy_item',
+			'trash'   => 'trash_item',
+			'restore' => 'restore_item',
+			'delete'  => 'delete_item',
+		);
+
+		foreach ( $item_actions as $route => $callback ) {
+			register_rest_route( 'wpmudev/v1/drive', '/' . $route, array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, $callback ),
+				'permission_callback' => array( $this, 'check_manage_permissions' ),
+				'audit'               => 'drive.' . $route,
+			) );
+		}
+
 		// Disconnect / revoke tokens.
 		register_rest_route( 'wpmudev/v1/drive', '/disconnect', array(
 			'methods'             => 'POST',
 			'callback'            => array( $this, 'disconnect' ),
 			'permission_callback' => array( $this, 'check_permissions' ),
+			'audit'               => 'drive.disconnect',
 		) );
 	}
 
 	/**
 	 * Check if user has permission to access endpoints.
 	 *
-	 * This is an admin-only plugin, so we need to ensure only users with
-	 * manage_options capability can access these endpoints. I'm also adding
-	 * additional security checks to prevent unauthorized access.
+	 * Browsing Drive needs the wpmudev_drive_view capability; uploading and
+	 * managing have their own callbacks below. Roles get these capabilities
+	 * on the Roles screen, administrators always have them.
 	 *
 	 * Security layers implemented:
 	 * 1. User authentication check
-	 * 2. Admin capability verification (manage_options)
+	 * 2. Plugin capability verification
 	 * 3. WordPress REST API nonce verification (automatic)
 	 *
 	 * @return bool
 	 */
 	public function check_permissions() {
+		return $this->user_has_capability( 'wpmudev_drive_view' );
+	}
+
+	/**
+	 * Permission callback for routes that add files to Drive.
+	 *
+	 * @return bool
+	 */
+	public function check_upload_permissions() {
+		return $this->user_has_capability( 'wpmudev_drive_upload' );
+	}
+
+	/**
+	 * Permission callback for routes that change or remove existing items,
+	 * the credentials or the site account.
+	 *
+	 * @return bool
+	 */
+	public function check_manage_permissions() {
+		return $this->user_has_capability( 'wpmudev_drive_manage' );
+	}
+
+	/**
+	 * Check the current user is logged in and holds a capability.
+	 *
+	 * @param string $capability Capability.
+	 * @return bool
+	 */
+	private function user_has_capability( $capability ) {
 		// First check: User must be logged in
 		if ( ! is_user_logged_in() ) {
 			return false;
 		}
 
-		// Second check: User must have admin capabilities
-		// manage_options = Administrator role in WordPress
-		if ( ! current_user_can( 'manage_options' ) ) {
-			return false;
-		}
-
+		// Second check: User must hold the capability for this kind of action.
 		// Third layer: WordPress REST API handles nonce verification automatically
 		// for authenticated requests, providing CSRF protection
-		
-		return true;
+		return current_user_can( $capability );
 	}
 
 	/**
@@ -206,9 +620,10 @@ class Drive_API extends Base {
 	 * like credential storage and file operations. Includes basic rate limiting.
 	 *
 	 * @param string $action_type Type of action for rate limiting.
+	 * @param string $capability  Capability the action needs.
 	 * @return WP_Error|true Returns true if valid, WP_Error if not.
 	 */
-	private function validate_admin_access( $action_type = 'general' ) {
+	public function validate_admin_access( $action_type = 'general', $capability = 'wpmudev_drive_manage' ) {
 		if ( ! is_user_logged_in() ) {
 			return new WP_Error(
 				'not_authenticated',
@@ -217,7 +632,7 @@ class Drive_API extends Base {
 			);
 		}
 
-		if ( ! current_user_can( 'manage_options' ) ) {
+		if ( ! current_user_can( $capability ) ) {
 			return new WP_Error(
 				'insufficient_permissions',
 				__( 'You do not have permission to perform this action.', 'wpmudev-plugin-test' ),
@@ -235,72 +650,125 @@ class Drive_API extends Base {
 	}
 
 	/**
-	 * Basic rate limiting for API endpoints.
+	 * Keep the shared site account to users who can manage Drive.
 	 *
-	 * Implements simple rate limiting to prevent abuse of sensitive endpoints.
+	 * Routes that default to the user's own connection take `account=site`
+	 * to work with the site account instead.
 	 *
-	 * @param string $action_type Type of action.
-	 * @return WP_Error|true Returns true if within limits, WP_Error if exceeded.
+	 * @param WP_REST_Request $request REST request object.
+	 * @return true|WP_Error
 	 */
-	private function check_rate_limit( $action_type ) {
-		$user_id = get_current_user_id();
-		$transient_key = "wpmudev_rate_limit_{$action_type}_{$user_id}";
-		
-		// Define rate limits per action type
-		$limits = array(
-			'upload'      => array( 'requests' => 10, 'window' => 300 ), // 10 uploads per 5 minutes
-			'auth'        => array( 'requests' => 5, 'window' => 900 ),  // 5 auth attempts per 15 minutes
-			'credentials' => array( 'requests' => 3, 'window' => 600 ),  // 3 credential saves per 10 minutes
-			'general'     => array( 'requests' => 50, 'window' => 300 ), // 50 general requests per 5 minutes
-		);
-
-		$limit = isset( $limits[ $action_type ] ) ? $limits[ $action_type ] : $limits['general'];
-		
-		$current_count = get_transient( $transient_key );
-		if ( false === $current_count ) {
-			$current_count = 0;
-		}
-
-		if ( $current_count >= $limit['requests'] ) {
+	public function check_site_account_access( WP_REST_Request $request ) {
+		if ( 'site' === $request->get_param( 'account' ) && ! current_user_can( 'wpmudev_drive_manage' ) ) {
 			return new WP_Error(
-				'rate_limit_exceeded',
-				sprintf(
-					__( 'Rate limit exceeded. Please wait %d minutes before trying again.', 'wpmudev-plugin-test' ),
-					ceil( $limit['window'] / 60 )
-				),
-				array( 'status' => 429 )
+				'insufficient_permissions',
+				__( 'You do not have permission to use the site account.', 'wpmudev-plugin-test' ),
+				array( 'status' => 403 )
 			);
 		}
 
-		// Increment counter
-		set_transient( $transient_key, $current_count + 1, $limit['window'] );
-
 		return true;
 	}
 
 	/**
-	 * Save Google OAuth credentials.
+	 * Count a request against the current user's rate limit for an action.
 	 *
-	 * This is a critical security endpoint that stores encrypted Google credentials.
-	 * I'm adding extra validation beyond the permission callback to ensure maximum security.
+	 * Limits are configured on the Roles screen; see Rate_Limits.
 	 *
-	 * @param WP_REST_Request $request REST request object.
-	 * @return WP_REST_Response|WP_Error
+	 * @param string $action_type Type of action.
+	 * @return WP_Error|true Returns true if within limits, WP_Error if exceeded.
 	 */
-	public function save_credentials( WP_REST_Request $request ) {
-		// Extra security validation for this critical endpoint with rate limiting
-		$security_check = $this->validate_admin_access( 'credentials' );
-		if ( is_wp_error( $security_check ) ) {
-			return $security_check;
-		}
-
-		// Get raw parameters first (before any processing)
-		$raw_client_id     = $request->get_param( 'client_id' );
-		$raw_client_secret = $request->get_param( 'client_secret' );
+	private function check_rate_limit( $action_type ) {
+		return Rate_Limits::instance()->check( $action_type );
+	}
 
-		// Validate required fields (check raw values first)
-		if ( empty( $raw_client_id ) || empty( $raw_client_secret ) ) {
-			return new WP_Error(
+	/**
+	 * Report the current user's upload allowance.
+	 *
+	 * The upload queue uses this to hold files back once the allowance is used
+	 * up, instead of firing requests that would only come back as 429s.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_upload_quota() {
+		if ( ! current_user_can( 'wpmudev_drive_upload' ) ) {
+			return new WP_Error(
+				'insufficient_permissions',
+				__( 'You do not have permission to perform this action.', 'wpmudev-plugin-test' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'quota'   => Rate_Limits::instance()->get_status( 'upload' ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Report where the current user stands against each rate limit.
+	 *
+	 * Only the actions the user can take are listed. Upload chunks are left
+	 * out; they belong to uploads that were already counted.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_rate_limits() {
+		$actions = array( 'auth', 'general' );
+		if ( current_user_can( 'wpmudev_drive_upload' ) ) {
+			array_unshift( $actions, 'upload' );
+		}
+		if ( current_user_can( 'wpmudev_drive_manage' ) ) {
+			$actions[] = 'credentials';
+		}
+
+		$labels = Rate_Limits::instance()->get_actions();
+		$limits = array();
+		foreach ( $actions as $action ) {
+			$limits[] = array_merge(
+				array(
+					'action' => $action,
+					'label'  => $labels[ $action ]['label'],
+				),
+				Rate_Limits::instance()->get_status( $action )
+			);
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'limits'  => $limits,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Save Google OAuth credentials.
+	 *
+	 * This is a critical security endpoint that stores encrypted Google credentials.
+	 * I'm adding extra validation beyond the permission callback to ensure maximum security.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function save_credentials( WP_REST_Request $request ) {
+		// Extra security validation for this critical endpoint with rate limiting
+		$security_check = $this->validate_admin_access( 'credentials', 'wpmudev_drive_manage' );
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		// Get raw parameters first (before any processing)
+		$raw_client_id     = $request->get_param( 'client_id' );
+		$raw_client_secret = $request->get_param( 'client_secret' );
+
+		// Validate required fields (check raw values first)
+		if ( empty( $raw_client_id ) || empty( $raw_client_secret ) ) {
+			return new WP_Error(
 				'missing_credentials',
 				__( 'Client ID and Client Secret are required.', 'wpmudev-plugin-test' ),
 				array( 'status' => 400 )
@@ -370,6 +838,299 @@ class Drive_API extends Base {
 		);
 	}
 
+	/**
+	 * Save a service account key.
+	 *
+	 * The key is checked by fetching a token with it before anything is
+	 * stored, so a saved key is known to work. The target folder, if given,
+	 * must be reachable by the account.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function save_service_account( WP_REST_Request $request ) {
+		$security_check = $this->validate_admin_access( 'general', 'wpmudev_drive_manage' );
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		$key = $this->parse_service_account_key( $request->get_param( 'key' ) );
+		if ( is_wp_error( $key ) ) {
+			return $key;
+		}
+
+		$subject = trim( (string) $request->get_param( 'subject' ) );
+		if ( '' !== $subject && ! is_email( $subject ) ) {
+			return new WP_Error(
+				'invalid_subject',
+				__( 'The user to impersonate must be an email address.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$raw_folder_id = $request->get_param( 'folder_id' );
+		$folder_id     = $this->sanitize_drive_id( $raw_folder_id );
+		if ( ! empty( $raw_folder_id ) && empty( $folder_id ) ) {
+			return new WP_Error(
+				'invalid_folder_id',
+				__( 'Invalid shared drive or folder ID.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$service_account = array(
+			'key'       => $key,
+			'folder_id' => $folder_id,
+			'subject'   => $subject,
+		);
+
+		$token = $this->fetch_service_account_token( $service_account );
+		if ( is_wp_error( $token ) ) {
+			return $token;
+		}
+
+		if ( '' !== $folder_id ) {
+			$client = new Google_Client();
+			$client->setAccessToken( $token );
+			$drive = new Google_Service_Drive( $client );
+
+			try {
+				$folder = $drive->files->get( $folder_id, array(
+					'fields'            => 'id,mimeType',
+					'supportsAllDrives' => true,
+				) );
+			} catch ( \Exception $e ) {
+				return new WP_Error(
+					'folder_not_found',
+					sprintf( __( 'The service account cannot open that shared drive or folder: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
+					array( 'status' => 400 )
+				);
+			}
+
+			if ( 'application/vnd.google-apps.folder' !== $folder->getMimeType() ) {
+				return new WP_Error(
+					'folder_not_found',
+					__( 'The target must be a shared drive or a folder.', 'wpmudev-plugin-test' ),
+					array( 'status' => 400 )
+				);
+			}
+		}
+
+		update_option(
+			'wpmudev_plugin_tests_auth',
+			array(
+				'type'            => 'service_account',
+				'service_account' => $this->encrypt_credential( wp_json_encode( $key ) ),
+				'folder_id'       => $folder_id,
+				'subject'         => $subject,
+			)
+		);
+
+		$this->cache_service_account_token( $token );
+		$this->setup_google_client();
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Service account saved.', 'wpmudev-plugin-test' ),
+				'email'   => $key['client_email'],
+			),
+			200
+		);
+	}
+
+	/**
+	 * Validate a service account JSON key.
+	 *
+	 * Only the fields needed to sign token requests are kept.
+	 *
+	 * @param mixed $raw_key JSON key as downloaded from Google Cloud.
+	 * @return array|WP_Error { client_email, private_key, token_uri }
+	 */
+	private function parse_service_account_key( $raw_key ) {
+		$error = new WP_Error(
+			'invalid_service_account_key',
+			__( 'This is not a valid service account JSON key.', 'wpmudev-plugin-test' ),
+			array( 'status' => 400 )
+		);
+
+		$key = is_string( $raw_key ) ? json_decode( $raw_key, true ) : null;
+
+		if ( ! is_array( $key ) || ! isset( $key['type'] ) || 'service_account' !== $key['type'] ) {
+			return $error;
+		}
+
+		if ( empty( $key['client_email'] ) || ! is_email( $key['client_email'] ) || empty( $key['private_key'] ) || ! is_string( $key['private_key'] ) ) {
+			return $error;
+		}
+
+		if ( function_exists( 'openssl_pkey_get_private' ) && false === openssl_pkey_get_private( $key['private_key'] ) ) {
+			return new WP_Error(
+				'invalid_service_account_key',
+				__( 'The private key in the service account key could not be read.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$token_uri = ! empty( $key['token_uri'] ) ? (string) $key['token_uri'] : $this->service_account_token_uri;
+		$scheme    = wp_parse_url( $token_uri, PHP_URL_SCHEME );
+		$host      = wp_parse_url( $token_uri, PHP_URL_HOST );
+
+		// Plain HTTP is only allowed for a token endpoint stub on this machine.
+		if ( ! $host || ! ( 'https' === $scheme || ( 'http' === $scheme && in_array( $host, array( 'localhost', '127.0.0.1', '::1', '[::1]' ), true ) ) ) ) {
+			return new WP_Error(
+				'invalid_service_account_key',
+				__( 'The token URI in the service account key must use HTTPS.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return array(
+			'client_email' => $key['client_email'],
+			'private_key'  => $key['private_key'],
+			'token_uri'    => $token_uri,
+		);
+	}
+
+	/**
+	 * Get an access token for a service account with a signed JWT grant.
+	 *
+	 * The request goes to the key's token_uri, so tests and CI can point a
+	 * key at a local stub of the token endpoint.
+	 *
+	 * @param array $service_account Service account settings.
+	 * @return array|WP_Error OAuth token.
+	 */
+	private function fetch_service_account_token( array $service_account ) {
+		$key    = $service_account['key'];
+		$now    = time();
+		$claims = array(
+			'iss'   => $key['client_email'],
+			'scope' => implode( ' ', $this->service_account_scopes ),
+			'aud'   => $key['token_uri'],
+			'iat'   => $now,
+			'exp'   => $now + HOUR_IN_SECONDS,
+		);
+
+		// Domain-wide delegation: act as this user instead of the account itself.
+		if ( ! empty( $service_account['subject'] ) ) {
+			$claims['sub'] = $service_account['subject'];
+		}
+
+		$segments = array(
+			$this->base64url_encode( wp_json_encode( array( 'alg' => 'RS256', 'typ' => 'JWT' ) ) ),
+			$this->base64url_encode( wp_json_encode( $claims ) ),
+		);
+
+		$signature = '';
+		if ( ! function_exists( 'openssl_sign' ) || ! openssl_sign( implode( '.', $segments ), $signature, $key['private_key'], OPENSSL_ALGO_SHA256 ) ) {
+			return new WP_Error(
+				'service_account_sign_failed',
+				__( 'Could not sign the token request with the service account key.', 'wpmudev-plugin-test' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		$segments[] = $this->base64url_encode( $signature );
+
+		$response = wp_remote_post(
+			$key['token_uri'],
+			array(
+				'timeout' => 15,
+				'body'    => array(
+					'grant_type' => 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+					'assertion'  => implode( '.', $segments ),
+				),
+			)
+		);
+
+		if ( is_wp_error( $response ) ) {
+			return new WP_Error(
+				'service_account_token_failed',
+				sprintf( __( 'Could not reach the token endpoint: %s', 'wpmudev-plugin-test' ), $response->get_error_message() ),
+				array( 'status' => 502 )
+			);
+		}
+
+		$body = json_decode( wp_remote_retrieve_body( $response ), true );
+
+		if ( 200 !== (int) wp_remote_retrieve_response_code( $response ) || empty( $body['access_token'] ) ) {
+			$reason = __( 'unexpected response', 'wpmudev-plugin-test' );
+			if ( ! empty( $body['error_description'] ) ) {
+				$reason = $body['error_description'];
+			} elseif ( ! empty( $body['error'] ) ) {
+				$reason = $body['error'];
+			}
+
+			return new WP_Error(
+				'service_account_token_failed',
+				sprintf( __( 'Google refused the service account: %s', 'wpmudev-plugin-test' ), $reason ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return array(
+			'access_token' => $body['access_token'],
+			'token_type'   => 'Bearer',
+			'expires_in'   => ! empty( $body['expires_in'] ) ? (int) $body['expires_in'] : HOUR_IN_SECONDS,
+			'scope'        => ! empty( $body['scope'] ) ? (string) $body['scope'] : implode( ' ', $this->service_account_scopes ),
+			'created'      => time(),
+		);
+	}
+
+	/**
+	 * Keep a service account token until shortly before it expires.
+	 *
+	 * @param array $token OAuth token.
+	 * @return void
+	 */
+	private function cache_service_account_token( array $token ) {
+		set_transient(
+			$this->service_account_token_transient,
+			$this->encrypt_credential( wp_json_encode( $token ) ),
+			max( MINUTE_IN_SECONDS, $token['expires_in'] - MINUTE_IN_SECONDS )
+		);
+	}
+
+	/**
+	 * Make sure the client has a live service account token.
+	 *
+	 * @return bool
+	 */
+	private function ensure_service_account_token() {
+		if ( $this->client->getAccessToken() && ! $this->client->isAccessTokenExpired() ) {
+			return true;
+		}
+
+		$cached = get_transient( $this->service_account_token_transient );
+		$token  = $cached ? json_decode( (string) $this->decrypt_credential( $cached ), true ) : null;
+
+		if ( ! is_array( $token ) || empty( $token['access_token'] ) ) {
+			$token = $this->fetch_service_account_token( $this->service_account );
+			if ( is_wp_error( $token ) ) {
+				$this->record_refresh( false, $token->get_error_message() );
+				return false;
+			}
+
+			$this->cache_service_account_token( $token );
+			$this->record_refresh( true );
+		}
+
+		$this->client->setAccessToken( $token );
+
+		return true;
+	}
+
+	/**
+	 * Base64url-encode a string, as JWTs expect.
+	 *
+	 * @param string $value Raw value.
+	 * @return string
+	 */
+	private function base64url_encode( $value ) {
+		return rtrim( strtr( base64_encode( $value ), '+/', '-_' ), '=' ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode
+	}
+
 	/**
 	 * Encrypt credential value using AES-256-CBC
 	 *
@@ -455,75 +1216,474 @@ class Drive_API extends Base {
 	}
 
 	/**
-	 * Start Google OAuth flow.
+	 * Run Drive requests as a given account until told otherwise.
 	 *
-	 * @param WP_REST_Request $request REST request object.
-	 * @return WP_REST_Response|WP_Error
+	 * Requests without a logged-in user (cron, Action Scheduler) already use
+	 * the site account; this is for work done on someone's behalf later.
+	 *
+	 * @param int|null $account_id User ID, 0 for the site account, or null for the current user.
+	 * @return void
 	 */
-	public function start_auth( WP_REST_Request $request ) {
-		if ( ! $this->client ) {
-			return new WP_Error(
-				'missing_credentials',
-				__( 'Google OAuth credentials not configured. Please save your credentials first.', 'wpmudev-plugin-test' ),
-				array( 'status' => 400 )
-			);
+	public function use_account( $account_id ) {
+		$this->account_id = null === $account_id ? null : absint( $account_id );
+	}
+
+	/**
+	 * Account requests currently run as.
+	 *
+	 * @return int User ID, or 0 for the site account.
+	 */
+	public function get_account_id() {
+		return null === $this->account_id ? get_current_user_id() : $this->account_id;
+	}
+
+	/**
+	 * Get a stored Drive connection.
+	 *
+	 * @param int $account_id User ID, or 0 for the site account.
+	 * @return array Empty if not connected, otherwise {
+	 *     @type array $token      Decrypted OAuth token.
+	 *     @type int   $expires_at When the access token expires.
+	 *     @type array $account    Google account { name, email }.
+	 * }
+	 */
+	private function get_connection( $account_id ) {
+		$connection = $account_id
+			? get_user_meta( $account_id, $this->connection_meta_key, true )
+			: get_option( $this->site_connection_option, array() );
+
+		if ( ! is_array( $connection ) || empty( $connection['token'] ) ) {
+			return array();
 		}
 
-		// Generate state token for CSRF protection.
-		// Store by state token (not user ID) so callback works even if session context changes.
-		$state = wp_create_nonce( 'wpmudev_drive_auth_' . wp_generate_uuid4() );
-		set_transient( 'wpmudev_drive_auth_state_' . $state, get_current_user_id(), 600 ); // 10 minutes.
+		$token = json_decode( (string) $this->decrypt_credential( $connection['token'] ), true );
+		if ( ! is_array( $token ) || empty( $token['access_token'] ) ) {
+			return array();
+		}
 
-		// Generate authorization URL.
-		$this->client->setState( $state );
-		$auth_url = $this->client->createAuthUrl();
+		$connection['token'] = $token;
 
-		return new WP_REST_Response(
-			array(
-				'success'  => true,
-				'auth_url' => $auth_url,
-			),
-			200
-		);
+		return $connection;
 	}
 
 	/**
-	 * Handle OAuth callback.
+	 * Store a Drive connection, encrypting the token.
 	 *
-	 * @param WP_REST_Request $request REST request object.
+	 * Refreshed tokens usually come without a refresh token, so the stored
+	 * one is kept, as are the account details when none are given.
+	 *
+	 * @param int        $account_id User ID, or 0 for the site account.
+	 * @param array      $token      OAuth token.
+	 * @param array|null $account    Google account { name, email }.
 	 * @return void
 	 */
-	public function handle_callback( WP_REST_Request $request ) {
-		$code  = $request->get_param( 'code' );
-		$state = $request->get_param( 'state' );
-		$error = $request->get_param( 'error' );
+	private function save_connection( $account_id, array $token, $account = null ) {
+		$existing = $this->get_connection( $account_id );
 
-		// Check for OAuth errors.
-		if ( ! empty( $error ) ) {
-			wp_redirect( admin_url( 'admin.php?page=wpmudev_plugintest_drive&auth=error&message=' . urlencode( $error ) ) );
-			exit;
+		if ( empty( $token['refresh_token'] ) && ! empty( $existing['token']['refresh_token'] ) ) {
+			$token['refresh_token'] = $existing['token']['refresh_token'];
 		}
 
-		if ( empty( $code ) ) {
-			wp_redirect( admin_url( 'admin.php?page=wpmudev_plugintest_drive&auth=error&message=' . urlencode( __( 'Authorization code not received.', 'wpmudev-plugin-test' ) ) ) );
-			exit;
+		$created    = isset( $token['created'] ) ? (int) $token['created'] : time();
+		$connection = array(
+			'token'      => $this->encrypt_credential( wp_json_encode( $token ) ),
+			'expires_at' => $created + ( isset( $token['expires_in'] ) ? (int) $token['expires_in'] : 3600 ),
+			'account'    => null !== $account ? $account : ( isset( $existing['account'] ) ? $existing['account'] : array() ),
+		);
+
+		if ( $account_id ) {
+			update_user_meta( $account_id, $this->connection_meta_key, $connection );
+		} else {
+			update_option( $this->site_connection_option, $connection, false );
 		}
+	}
 
-		// Verify state token for CSRF protection.
-		$transient_key = 'wpmudev_drive_auth_state_' . $state;
+	/**
+	 * Remove a stored Drive connection.
+	 *
+	 * @param int $account_id User ID, or 0 for the site account.
+	 * @return void
+	 */
+	private function delete_connection( $account_id ) {
+		if ( $account_id ) {
+			delete_user_meta( $account_id, $this->connection_meta_key );
+		} else {
+			delete_option( $this->site_connection_option );
+		}
+	}
+
+	/**
+	 * Describe a Drive connection for the admin page.
+	 *
+	 * With a service account every user and the site share that account.
+	 *
+	 * @param int $account_id User ID, or 0 for the site account.
+	 * @return array {
+	 *     @type bool     $connected      Whether the account is connected.
+	 *     @type string   $name           Google account name.
+	 *     @type string   $email          Google account email.
+	 *     @type string[] $missing_scopes Required scopes the connection wasn't granted,
+	 *                                    so it has to be reconnected.
+	 * }
+	 */
+	public function get_connection_status( $account_id ) {
+		if ( null !== $this->service_account ) {
+			return array(
+				'connected'      => true,
+				'name'           => __( 'Service account', 'wpmudev-plugin-test' ),
+				'email'          => $this->service_account['key']['client_email'],
+				'missing_scopes' => array(),
+			);
+		}
+
+		$connection = $this->get_connection( $account_id );
+
+		// An expired access token is fine as long as it can be refreshed.
+		$connected = ! empty( $connection ) && ( ! empty( $connection['token']['refresh_token'] ) || time() < $connection['expires_at'] );
+
+		return array(
+			'connected'      => $connected,
+			'name'           => $connected && ! empty( $connection['account']['name'] ) ? $connection['account']['name'] : '',
+			'email'          => $connected && ! empty( $connection['account']['email'] ) ? $connection['account']['email'] : '',
+			'missing_scopes' => $connected ? $this->get_missing_scopes( $connection['token'], $this->scopes ) : array(),
+		);
+	}
+
+	/**
+	 * Required scopes a token wasn't granted.
+	 *
+	 * Connections made before the plugin asked for full Drive access keep
+	 * their narrower token, and Google refuses changes to files the plugin
+	 * didn't create until the account is reconnected.
+	 *
+	 * @param array    $token    OAuth token.
+	 * @param string[] $required Scopes the connection needs.
+	 * @return string[] Empty when all are granted, or when Google didn't say.
+	 */
+	private function get_missing_scopes( array $token, array $required ) {
+		if ( empty( $token['scope'] ) ) {
+			return array();
+		}
+
+		return array_values( array_diff( $required, explode( ' ', $token['scope'] ) ) );
+	}
+
+	/**
+	 * Required scopes the current account's token wasn't granted.
+	 *
+	 * Call ensure_valid_token() first, so this looks at the token in use.
+	 *
+	 * @return string[]|null Missing scopes, or null when Google didn't report any.
+	 */
+	public function get_missing_token_scopes() {
+		$token = (array) $this->client->getAccessToken();
+
+		if ( empty( $token['scope'] ) ) {
+			return null;
+		}
+
+		return $this->get_missing_scopes( $token, null !== $this->service_account ? $this->service_account_scopes : $this->scopes );
+	}
+
+	/**
+	 * Look up the Google account a new token belongs to.
+	 *
+	 * @param array $token OAuth token.
+	 * @return array { name, email }, empty strings if the lookup fails.
+	 */
+	private function fetch_account_details( array $token ) {
+		$account = array(
+			'name'  => '',
+			'email' => '',
+		);
+
+		try {
+			$this->client->setAccessToken( $token );
+			$about = $this->drive_service->about->get( array( 'fields' => 'user(displayName,emailAddress)' ) );
+
+			if ( $about->getUser() ) {
+				$account['name']  = (string) $about->getUser()->getDisplayName();
+				$account['email'] = (string) $about->getUser()->getEmailAddress();
+			}
+		} catch ( \Exception $e ) {
+			// The connection works without the details; the header just can't name the account.
+		}
+
+		return $account;
+	}
+
+	/**
+	 * Account whose diagnostics are being recorded or read.
+	 *
+	 * A service account serves everyone, so its diagnostics live with the site.
+	 *
+	 * @param int $account_id User ID, or 0 for the site account.
+	 * @return int
+	 */
+	private function get_diagnostics_account_id( $account_id ) {
+		return null !== $this->service_account ? 0 : (int) $account_id;
+	}
+
+	/**
+	 * Get the stored diagnostics for an account.
+	 *
+	 * @param int $account_id User ID, or 0 for the site account.
+	 * @return array {
+	 *     @type array|null $last_refresh Last token refresh { time, success, message }.
+	 *     @type array      $errors       Recent API errors, newest first { time, code, reason, message }.
+	 * }
+	 */
+	public function get_diagnostics( $account_id ) {
+		$account_id  = $this->get_diagnostics_account_id( $account_id );
+		$diagnostics = $account_id
+			? get_user_meta( $account_id, $this->diagnostics_meta_key, true )
+			: get_option( $this->site_diagnostics_option, array() );
+
+		return wp_parse_args(
+			is_array( $diagnostics ) ? $diagnostics : array(),
+			array(
+				'last_refresh' => null,
+				'errors'       => array(),
+			)
+		);
+	}
+
+	/**
+	 * Store the diagnostics for an account.
+	 *
+	 * @param int   $account_id  User ID, or 0 for the site account.
+	 * @param array $diagnostics Diagnostics.
+	 * @return void
+	 */
+	private function save_diagnostics( $account_id, array $diagnostics ) {
+		$account_id = $this->get_diagnostics_account_id( $account_id );
+
+		if ( $account_id ) {
+			update_user_meta( $account_id, $this->diagnostics_meta_key, $diagnostics );
+		} else {
+			update_option( $this->site_diagnostics_option, $diagnostics, false );
+		}
+	}
+
+	/**
+	 * Remember how the last token refresh went for the current account.
+	 *
+	 * @param bool   $success Whether a new access token was issued.
+	 * @param string $message Why it failed.
+	 * @return void
+	 */
+	private function record_refresh( $success, $message = '' ) {
+		$account_id  = $this->get_account_id();
+		$diagnostics = $this->get_diagnostics( $account_id );
+
+		$diagnostics['last_refresh'] = array(
+			'time'    => time(),
+			'success' => (bool) $success,
+			'message' => sanitize_text_field( $message ),
+		);
+
+		$this->save_diagnostics( $account_id, $diagnostics );
+	}
+
+	/**
+	 * Keep a failed Drive API call in the current account's recent errors.
+	 *
+	 * @param int    $code    HTTP status code.
+	 * @param string $reason  Google reason code, e.g. "storageQuotaExceeded".
+	 * @param string $message Error message from Google.
+	 * @return void
+	 */
+	private function record_api_error( $code, $reason, $message ) {
+		$account_id  = $this->get_account_id();
+		$diagnostics = $this->get_diagnostics( $account_id );
+
+		array_unshift(
+			$diagnostics['errors'],
+			array(
+				'time'    => time(),
+				'code'    => (int) $code,
+				'reason'  => sanitize_key( $reason ),
+				'message' => substr( sanitize_text_field( $message ), 0, 300 ),
+			)
+		);
+
+		$diagnostics['errors'] = array_slice( $diagnostics['errors'], 0, $this->max_recorded_errors );
+
+		$this->save_diagnostics( $account_id, $diagnostics );
+	}
+
+	/**
+	 * Describe an account's connection from stored data, without calling Google.
+	 *
+	 * @param int $account_id User ID, or 0 for the site account.
+	 * @return array {
+	 *     @type string     $mode         'oauth' or 'service_account'.
+	 *     @type bool       $configured   Whether credentials are saved.
+	 *     @type bool       $connected    Whether the account is connected.
+	 *     @type string     $email        Google account email.
+	 *     @type array      $scopes       Scopes granted to the token.
+	 *     @type int        $expires_at   When the access token expires, 0 if unknown.
+	 *     @type array|null $last_refresh Last token refresh { time, success, message }.
+	 *     @type array      $errors       Recent API errors, newest first.
+	 * }
+	 */
+	public function get_connection_health( $account_id ) {
+		$diagnostics = $this->get_diagnostics( $account_id );
+		$status      = $this->get_connection_status( $account_id );
+		$token       = array();
+		$expires_at  = 0;
+
+		if ( null !== $this->service_account ) {
+			$cached = get_transient( $this->service_account_token_transient );
+			$token  = $cached ? json_decode( (string) $this->decrypt_credential( $cached ), true ) : array();
+
+			if ( ! empty( $token['created'] ) ) {
+				$expires_at = (int) $token['created'] + (int) $token['expires_in'];
+			}
+		} else {
+			$connection = $this->get_connection( $account_id );
+
+			if ( ! empty( $connection ) ) {
+				$token      = $connection['token'];
+				$expires_at = (int) $connection['expires_at'];
+			}
+		}
+
+		return array(
+			'mode'         => $this->get_auth_mode(),
+			'configured'   => null !== $this->client,
+			'connected'    => $status['connected'],
+			'email'        => $status['email'],
+			'scopes'       => ! empty( $token['scope'] ) ? array_values( array_filter( explode( ' ', $token['scope'] ) ) ) : array(),
+			'expires_at'   => $expires_at,
+			'last_refresh' => $diagnostics['last_refresh'],
+			'errors'       => $diagnostics['errors'],
+		);
+	}
+
+	/**
+	 * Move the token from the old single-token options to the site account.
+	 *
+	 * Before per-user connections there was one token for the whole site,
+	 * so it keeps serving background jobs until someone reconnects it.
+	 *
+	 * @return void
+	 */
+	private function migrate_legacy_token() {
+		$access_token = get_option( 'wpmudev_drive_access_token', '' );
+
+		if ( empty( $access_token ) ) {
+			return;
+		}
+
+		$refresh_token = get_option( 'wpmudev_drive_refresh_token', '' );
+
+		if ( is_array( $access_token ) && empty( $this->get_connection( 0 ) ) ) {
+			if ( empty( $access_token['refresh_token'] ) && ! empty( $refresh_token ) ) {
+				$access_token['refresh_token'] = $refresh_token;
+			}
+
+			$this->save_connection( 0, $access_token, array() );
+		}
+
+		delete_option( 'wpmudev_drive_access_token' );
+		delete_option( 'wpmudev_drive_refresh_token' );
+		delete_option( 'wpmudev_drive_token_expires' );
+	}
+
+	/**
+	 * Start Google OAuth flow.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function start_auth( WP_REST_Request $request ) {
+		$site_access = $this->check_site_account_access( $request );
+		if ( is_wp_error( $site_access ) ) {
+			return $site_access;
+		}
+
+		if ( null !== $this->service_account ) {
+			return new WP_Error(
+				'service_account_mode',
+				__( 'The site uses a service account, so there is no Google sign-in.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( ! $this->client ) {
+			return new WP_Error(
+				'missing_credentials',
+				__( 'Google OAuth credentials not configured. Please save your credentials first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$rate_limit_check = $this->check_rate_limit( 'auth' );
+		if ( is_wp_error( $rate_limit_check ) ) {
+			return $rate_limit_check;
+		}
+
+		// Generate state token for CSRF protection.
+		// Store by state token (not user ID) so callback works even if session context changes.
+		$state = wp_create_nonce( 'wpmudev_drive_auth_' . wp_generate_uuid4() );
+		set_transient(
+			'wpmudev_drive_auth_state_' . $state,
+			array(
+				'user_id' => get_current_user_id(),
+				'site'    => 'site' === $request->get_param( 'account' ),
+			),
+			600 // 10 minutes.
+		);
+
+		// Generate authorization URL.
+		$this->client->setState( $state );
+		$auth_url = $this->client->createAuthUrl();
+
+		return new WP_REST_Response(
+			array(
+				'success'  => true,
+				'auth_url' => $auth_url,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Handle OAuth callback.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return void
+	 */
+	public function handle_callback( WP_REST_Request $request ) {
+		$code  = $request->get_param( 'code' );
+		$state = $request->get_param( 'state' );
+		$error = $request->get_param( 'error' );
+
+		// Check for OAuth errors.
+		if ( ! empty( $error ) ) {
+			$this->finish_auth( 'error', $error, 'oauth_' . sanitize_key( $error ) );
+		}
+
+		if ( empty( $code ) ) {
+			$this->finish_auth( 'error', __( 'Authorization code not received.', 'wpmudev-plugin-test' ), 'missing_code' );
+		}
+
+		// Verify state token for CSRF protection.
+		$transient_key = 'wpmudev_drive_auth_state_' . $state;
 		$stored_user   = get_transient( $transient_key );
 
-		if ( false === $stored_user ) {
-			wp_redirect( admin_url( 'admin.php?page=wpmudev_plugintest_drive&auth=error&message=' . urlencode( __( 'Invalid state parameter. Please try again.', 'wpmudev-plugin-test' ) ) ) );
-			exit;
+		if ( ! is_array( $stored_user ) ) {
+			$this->finish_auth( 'error', __( 'Invalid state parameter. Please try again.', 'wpmudev-plugin-test' ), 'invalid_state' );
 		}
 
 		// Delete state transient.
 		delete_transient( $transient_key );
 
+		$user_id = absint( $stored_user['user_id'] );
+
 		if ( ! $this->client ) {
-			wp_redirect( admin_url( 'admin.php?page=wpmudev_plugintest_drive&auth=error&message=' . urlencode( __( 'Google OAuth credentials not configured.', 'wpmudev-plugin-test' ) ) ) );
-			exit;
+			$this->finish_auth( 'error', __( 'Google OAuth credentials not configured.', 'wpmudev-plugin-test' ), 'missing_credentials', $user_id );
 		}
 
 		try {
@@ -531,39 +1691,65 @@ class Drive_API extends Base {
 			$access_token = $this->client->fetchAccessTokenWithAuthCode( $code );
 
 			if ( array_key_exists( 'error', $access_token ) ) {
-				wp_redirect( admin_url( 'admin.php?page=wpmudev_plugintest_drive&auth=error&message=' . urlencode( $access_token['error_description'] ?? $access_token['error'] ) ) );
-				exit;
+				$this->finish_auth( 'error', $access_token['error_description'] ?? $access_token['error'], 'oauth_' . sanitize_key( $access_token['error'] ), $user_id );
 			}
 
-			// Store tokens.
-			update_option( 'wpmudev_drive_access_token', $access_token );
-
-			if ( isset( $access_token['refresh_token'] ) ) {
-				update_option( 'wpmudev_drive_refresh_token', $access_token['refresh_token'] );
-			}
-
-			// Calculate expiration time.
-			$expires_at = time() + ( isset( $access_token['expires_in'] ) ? $access_token['expires_in'] : 3600 );
-			update_option( 'wpmudev_drive_token_expires', $expires_at );
+			// Store tokens for the user who started the flow, or for the site account.
+			$this->save_connection(
+				$stored_user['site'] ? 0 : $user_id,
+				$access_token,
+				$this->fetch_account_details( $access_token )
+			);
 
 			// Redirect back to admin page with success.
-			wp_redirect( admin_url( 'admin.php?page=wpmudev_plugintest_drive&auth=success' ) );
-			exit;
+			$this->finish_auth( $stored_user['site'] ? 'site-success' : 'success', '', '', $user_id, $stored_user['site'] ? 'site' : 'user' );
 
 		} catch ( \Exception $e ) {
-			wp_redirect( admin_url( 'admin.php?page=wpmudev_plugintest_drive&auth=error&message=' . urlencode( __( 'Failed to get access token: ', 'wpmudev-plugin-test' ) . $e->getMessage() ) ) );
-			exit;
+			$this->finish_auth( 'error', __( 'Failed to get access token: ', 'wpmudev-plugin-test' ) . $e->getMessage(), 'token_exchange_failed', $user_id );
 		}
 	}
 
+	/**
+	 * Record how the OAuth callback ended and send the user back to the Drive page.
+	 *
+	 * The callback is opened by Google's redirect without a REST nonce, so
+	 * the user comes from the stored state rather than the session.
+	 *
+	 * @param string $auth       Value of the page's `auth` query argument.
+	 * @param string $message    Error message to show, if any.
+	 * @param string $error_code Error code for the audit log, empty on success.
+	 * @param int    $user_id    User who started the flow, 0 if unknown.
+	 * @param string $account    Account that was connected, "user" or "site".
+	 * @return void
+	 */
+	private function finish_auth( $auth, $message = '', $error_code = '', $user_id = 0, $account = '' ) {
+		Audit_Log::instance()->record(
+			'drive.connect',
+			array(
+				'user_id'    => $user_id,
+				'target'     => $account,
+				'error_code' => $error_code,
+			)
+		);
+
+		$url = admin_url( 'admin.php?page=wpmudev_plugintest_drive&auth=' . $auth );
+		if ( '' !== $message ) {
+			$url .= '&message=' . urlencode( $message );
+		}
+
+		wp_redirect( $url );
+		exit;
+	}
+
 	/**
 	 * Format Google API error message for user-friendly display.
 	 *
 	 * @param \Exception $e Exception object.
 	 * @return string Formatted error message.
 	 */
-	private function format_google_api_error( \Exception $e ) {
+	public function format_google_api_error( \Exception $e ) {
 		$error_message = $e->getMessage();
+		$reason        = '';
 		
 		// Check if it's a Google API error with more details
 		if ( method_exists( $e, 'getErrors' ) ) {
@@ -573,8 +1759,14 @@ class Drive_API extends Base {
 				if ( isset( $first_error['message'] ) ) {
 					$error_message = $first_error['message'];
 				}
+				if ( isset( $first_error['reason'] ) ) {
+					$reason = $first_error['reason'];
+				}
 			}
 		}
+
+		// Every failed Drive call passes through here, so this is where the health panel learns about them.
+		$this->record_api_error( (int) $e->getCode(), $reason, $error_message );
 		
 		// Check for specific Google API errors and provide user-friendly messages
 		if ( strpos( $error_message, 'accessNotConfigured' ) !== false || strpos( $error_message, 'SERVICE_DISABLED' ) !== false ) {
@@ -583,6 +1775,8 @@ class Drive_API extends Base {
 			return __( 'Permission denied. Please check your Google Cloud project settings and ensure the Drive API is enabled and your OAuth credentials are correct.', 'wpmudev-plugin-test' );
 		} elseif ( strpos( $error_message, 'invalid_grant' ) !== false ) {
 			return __( 'Authentication token expired or invalid. Please re-authenticate with Google Drive.', 'wpmudev-plugin-test' );
+		} elseif ( strpos( $error_message, 'ACCESS_TOKEN_SCOPE_INSUFFICIENT' ) !== false || strpos( $error_message, 'insufficient authentication scopes' ) !== false ) {
+			return __( 'Your Google Drive connection does not include full Drive access. Disconnect and connect again to allow it.', 'wpmudev-plugin-test' );
 		} elseif ( strpos( $error_message, 'insufficient_permissions' ) !== false ) {
 			return __( 'Insufficient permissions. Please ensure your OAuth credentials have the required Google Drive scopes.', 'wpmudev-plugin-test' );
 		}
@@ -591,358 +1785,2600 @@ class Drive_API extends Base {
 	}
 
 	/**
-	 * Ensure we have a valid access token.
+	 * Sanitize a Google Drive file or folder ID.
 	 *
-	 * @return bool True if token is valid, false otherwise.
+	 * Drive IDs only ever contain letters, digits, dashes and underscores, and
+	 * "root" is accepted as an alias for My Drive. Anything else is rejected
+	 * so the value is safe to embed in a Drive query string.
+	 *
+	 * @param mixed $value Raw ID value.
+	 * @return string Sanitized ID, or an empty string if invalid.
 	 */
-	private function ensure_valid_token() {
-		if ( ! $this->client ) {
-			return false;
+	public function sanitize_drive_id( $value ) {
+		if ( ! is_string( $value ) ) {
+			return '';
 		}
 
-		// Check if token is expired and refresh if needed.
-		if ( $this->client->isAccessTokenExpired() ) {
-			$refresh_token = get_option( 'wpmudev_drive_refresh_token' );
-			
-			if ( empty( $refresh_token ) ) {
-				return false;
-			}
-
-			try {
-				$new_token = $this->client->fetchAccessTokenWithRefreshToken( $refresh_token );
-				
-				if ( array_key_exists( 'error', $new_token ) ) {
-					// Clear invalid tokens.
-					delete_option( 'wpmudev_drive_access_token' );
-					delete_option( 'wpmudev_drive_refresh_token' );
-					delete_option( 'wpmudev_drive_token_expires' );
-					return false;
-				}
+		$value = trim( $value );
 
-				update_option( 'wpmudev_drive_access_token', $new_token );
-				
-				// Calculate new expiration time.
-				$expires_at = time() + ( isset( $new_token['expires_in'] ) ? $new_token['expires_in'] : 3600 );
-				update_option( 'wpmudev_drive_token_expires', $expires_at );
-				
-				return true;
-			} catch ( \Exception $e ) {
-				return false;
-			}
+		if ( ! preg_match( '/^[a-zA-Z0-9_-]{1,200}$/', $value ) ) {
+			return '';
 		}
 
-		return true;
+		return $value;
 	}
 
 	/**
-	 * List files in Google Drive.
+	 * Add the Shared Drives flag to Drive API call parameters.
 	 *
-	 * @param WP_REST_Request $request REST request object.
-	 * @return WP_REST_Response|WP_Error
+	 * Without supportsAllDrives, Drive answers "not found" for anything that
+	 * lives in a Shared Drive. Every files and permissions call goes through
+	 * here; the flag changes nothing for items in My Drive.
+	 *
+	 * @param array $params Drive API optional parameters.
+	 * @return array
 	 */
-	public function list_files( WP_REST_Request $request ) {
-		if ( ! $this->ensure_valid_token() ) {
-			return new WP_Error(
-				'no_access_token',
-				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
-				array( 'status' => 401 )
-			);
-		}
+	public function drive_params( array $params = array() ) {
+		return array_merge( array( 'supportsAllDrives' => true ), $params );
+	}
 
-		try {
-			// Get pagination parameters.
-			$page_size = absint( $request->get_param( 'page_size' ) );
-			if ( empty( $page_size ) || $page_size > 100 ) {
-				$page_size = 20; // Default to 20, max 100.
-			}
+	/**
+	 * Validate the optional Shared Drive a request works in.
+	 *
+	 * @param mixed $raw_drive_id Raw drive ID from the request.
+	 * @return string|WP_Error Shared Drive ID, empty string for My Drive, or WP_Error.
+	 */
+	private function sanitize_shared_drive_id( $raw_drive_id ) {
+		if ( empty( $raw_drive_id ) ) {
+			return '';
+		}
 
-			$page_token = sanitize_text_field( $request->get_param( 'page_token' ) );
-			$query      = sanitize_text_field( $request->get_param( 'query' ) );
-			
-			if ( empty( $query ) ) {
-				$query = 'trashed=false';
-			}
+		$drive_id = $this->sanitize_drive_id( $raw_drive_id );
 
-			$options = array(
-				'pageSize'  => $page_size,
-				'q'         => $query,
-				'fields'    => 'nextPageToken,files(id,name,mimeType,size,modifiedTime,webViewLink)',
-				'orderBy'   => 'modifiedTime desc',
+		if ( empty( $drive_id ) || 'root' === $drive_id ) {
+			return new WP_Error(
+				'invalid_drive_id',
+				__( 'Invalid shared drive ID.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
 			);
+		}
 
-			if ( ! empty( $page_token ) ) {
-				$options['pageToken'] = $page_token;
+		return $drive_id;
+	}
+
+	/**
+	 * Escape a value for use inside a quoted Drive query string.
+	 *
+	 * Drive queries use backslash escaping for single quotes and backslashes.
+	 *
+	 * @param string $value Raw value.
+	 * @return string Escaped value.
+	 */
+	private function escape_query_value( $value ) {
+		return str_replace( array( '\\', "'" ), array( '\\\\', "\\'" ), $value );
+	}
+
+	/**
+	 * Build a Drive `q` clause from structured list filters.
+	 *
+	 * Every value is validated or escaped here, so nothing from the request
+	 * ends up in the query unquoted.
+	 *
+	 * @param array $filters {
+	 *     Raw filter values from the request.
+	 *
+	 *     @type string $drive_id        Validated Shared Drive ID being browsed, if any.
+	 *     @type string $parent_id       Only list children of this folder.
+	 *     @type string $name            Name contains this text.
+	 *     @type string $type            MIME category: folder, image, doc, pdf or video.
+	 *     @type string $modified_after  Date (Y-m-d) or RFC 3339 timestamp, inclusive.
+	 *     @type string $modified_before Date (Y-m-d, whole day included) or RFC 3339 timestamp.
+	 *     @type bool   $owned_by_me     Only files owned by the connected account.
+	 *     @type bool   $starred         Only starred files.
+	 *     @type bool   $trashed         List the trash instead of live items.
+	 * }
+	 * @return string|WP_Error Drive query string or WP_Error on invalid input.
+	 */
+	private function build_files_query( array $filters ) {
+		$trashed = ! empty( $filters['trashed'] ) && rest_sanitize_boolean( $filters['trashed'] );
+		$clauses = array( $trashed ? 'trashed = true' : 'trashed = false' );
+
+		// The trash is flat, so the folder only narrows live listings.
+		if ( ! $trashed && ! empty( $filters['parent_id'] ) ) {
+			$parent_id = $this->sanitize_drive_id( $filters['parent_id'] );
+
+			if ( empty( $parent_id ) ) {
+				return new WP_Error(
+					'invalid_parent_id',
+					__( 'Invalid parent folder ID.', 'wpmudev-plugin-test' ),
+					array( 'status' => 400 )
+				);
 			}
 
-			$results = $this->drive_service->files->listFiles( $options );
-			$files   = $results->getFiles();
+			if ( 'root' === $parent_id && ! empty( $filters['drive_id'] ) ) {
+				// A Shared Drive's top-level folder has the same ID as the drive.
+				$parent_id = $filters['drive_id'];
+			} elseif ( 'root' === $parent_id && '' !== $this->get_root_folder_id() ) {
+				$parent_id = $this->get_root_folder_id();
+			}
 
-			$file_list = array();
-			foreach ( $files as $file ) {
-				$file_data = array(
-					'id'           => $file->getId(),
-					'name'         => $file->getName(),
-					'mimeType'     => $file->getMimeType(),
-					'modifiedTime' => $file->getModifiedTime(),
-					'webViewLink'  => $file->getWebViewLink(),
-					'isFolder'     => $file->getMimeType() === 'application/vnd.google-apps.folder',
+			$clauses[] = sprintf( "'%s' in parents", $parent_id );
+		}
+
+		if ( isset( $filters['name'] ) && '' !== trim( (string) $filters['name'] ) ) {
+			$name = substr( sanitize_text_field( $filters['name'] ), 0, 200 );
+
+			if ( '' !== $name ) {
+				$clauses[] = sprintf( "name contains '%s'", $this->escape_query_value( $name ) );
+			}
+		}
+
+		if ( ! empty( $filters['type'] ) ) {
+			$type = sanitize_key( $filters['type'] );
+
+			if ( ! isset( $this->mime_categories[ $type ] ) ) {
+				return new WP_Error(
+					'invalid_type',
+					__( 'Invalid file type filter.', 'wpmudev-plugin-test' ),
+					array( 'status' => 400 )
 				);
+			}
 
-				// Only include size for files, not folders.
-				if ( ! $file_data['isFolder'] && $file->getSize() ) {
-					$file_data['size'] = absint( $file->getSize() );
-				}
+			$clauses[] = $this->mime_categories[ $type ];
+		}
 
-				$file_list[] = $file_data;
+		foreach ( array( 'modified_after' => '>=', 'modified_before' => '<' ) as $key => $operator ) {
+			if ( empty( $filters[ $key ] ) ) {
+				continue;
 			}
 
-			$response_data = array(
-				'success' => true,
-				'files'   => $file_list,
-			);
+			$raw_date  = trim( (string) $filters[ $key ] );
+			$timestamp = strtotime( $raw_date );
 
-			// Include pagination token if available.
-			$next_page_token = $results->getNextPageToken();
-			if ( ! empty( $next_page_token ) ) {
-				$response_data['next_page_token'] = $next_page_token;
+			if ( false === $timestamp ) {
+				return new WP_Error(
+					'invalid_date',
+					__( 'Invalid modified date filter.', 'wpmudev-plugin-test' ),
+					array( 'status' => 400 )
+				);
 			}
 
-			return new WP_REST_Response( $response_data, 200 );
+			// A plain date as the upper bound should include the whole day.
+			if ( 'modified_before' === $key && preg_match( '/^\d{4}-\d{2}-\d{2}$/', $raw_date ) ) {
+				$timestamp += DAY_IN_SECONDS;
+			}
 
-		} catch ( \Exception $e ) {
-			$error_message = $this->format_google_api_error( $e );
-			
-			return new WP_Error(
-				'api_error',
-				sprintf( __( 'Failed to list files: %s', 'wpmudev-plugin-test' ), $error_message ),
-				array( 'status' => 500 )
-			);
+			$clauses[] = sprintf( "modifiedTime %s '%s'", $operator, gmdate( 'Y-m-d\TH:i:s\Z', $timestamp ) );
+		}
+
+		if ( ! empty( $filters['owned_by_me'] ) && rest_sanitize_boolean( $filters['owned_by_me'] ) ) {
+			$clauses[] = "'me' in owners";
 		}
+
+		if ( ! empty( $filters['starred'] ) && rest_sanitize_boolean( $filters['starred'] ) ) {
+			$clauses[] = 'starred = true';
+		}
+
+		return implode( ' and ', $clauses );
 	}
 
 	/**
-	 * Upload file to Google Drive.
+	 * Resolve and validate an optional destination folder.
 	 *
-	 * @param WP_REST_Request $request REST request object.
-	 * @return WP_REST_Response|WP_Error
+	 * The ID is checked against the Drive API so we fail early with a clear
+	 * message instead of letting Drive reject the create call (or silently
+	 * dropping the item in My Drive root).
+	 *
+	 * @param mixed $raw_parent_id Raw parent ID from the request.
+	 * @param mixed $raw_drive_id  Raw Shared Drive ID from the request; its top
+	 *                             level stands in for My Drive root.
+	 * @return string|WP_Error Folder ID, empty string for My Drive root (or the
+	 *                         service account's folder), or WP_Error.
 	 */
-	public function upload_file( WP_REST_Request $request ) {
-		// Additional security validation for file upload with rate limiting
-		$security_check = $this->validate_admin_access( 'upload' );
-		if ( is_wp_error( $security_check ) ) {
-			return $security_check;
+	public function resolve_parent_folder( $raw_parent_id, $raw_drive_id = '' ) {
+		$drive_id = $this->sanitize_shared_drive_id( $raw_drive_id );
+		if ( is_wp_error( $drive_id ) ) {
+			return $drive_id;
 		}
 
-		if ( ! $this->ensure_valid_token() ) {
-			return new WP_Error(
-				'no_access_token',
-				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
-				array( 'status' => 401 )
-			);
+		// A Shared Drive's top-level folder has the same ID as the drive.
+		if ( '' !== $drive_id && ( empty( $raw_parent_id ) || 'root' === $raw_parent_id ) ) {
+			$raw_parent_id = $drive_id;
 		}
 
-		$files = $request->get_file_params();
-		
-		if ( empty( $files['file'] ) ) {
+		if ( empty( $raw_parent_id ) ) {
+			return $this->get_root_folder_id();
+		}
+
+		$parent_id = $this->sanitize_drive_id( $raw_parent_id );
+
+		if ( empty( $parent_id ) ) {
 			return new WP_Error(
-				'no_file',
-				__( 'No file provided.', 'wpmudev-plugin-test' ),
+				'invalid_parent_id',
+				__( 'Invalid destination folder ID.', 'wpmudev-plugin-test' ),
 				array( 'status' => 400 )
 			);
 		}
 
-		$file = $files['file'];
-
-		// Additional security: Validate file array structure
-		$required_keys = array( 'name', 'type', 'size', 'tmp_name', 'error' );
-		foreach ( $required_keys as $key ) {
-			if ( ! isset( $file[ $key ] ) ) {
-				return new WP_Error(
-					'invalid_file_structure',
-					__( 'Invalid file upload structure.', 'wpmudev-plugin-test' ),
-					array( 'status' => 400 )
-				);
-			}
+		if ( 'root' === $parent_id ) {
+			return $this->get_root_folder_id();
 		}
-		
-		// Validate upload error.
-		if ( $file['error'] !== UPLOAD_ERR_OK ) {
-			$error_messages = array(
-				UPLOAD_ERR_INI_SIZE   => __( 'The uploaded file exceeds the upload_max_filesize directive in php.ini.', 'wpmudev-plugin-test' ),
-				UPLOAD_ERR_FORM_SIZE   => __( 'The uploaded file exceeds the MAX_FILE_SIZE directive that was specified in the HTML form.', 'wpmudev-plugin-test' ),
-				UPLOAD_ERR_PARTIAL     => __( 'The uploaded file was only partially uploaded.', 'wpmudev-plugin-test' ),
-				UPLOAD_ERR_NO_FILE     => __( 'No file was uploaded.', 'wpmudev-plugin-test' ),
-				UPLOAD_ERR_NO_TMP_DIR  => __( 'Missing a temporary folder.', 'wpmudev-plugin-test' ),
-				UPLOAD_ERR_CANT_WRITE  => __( 'Failed to write file to disk.', 'wpmudev-plugin-test' ),
-				UPLOAD_ERR_EXTENSION   => __( 'A PHP extension stopped the file upload.', 'wpmudev-plugin-test' ),
-			);
-
-			$error_message = isset( $error_messages[ $file['error'] ] ) 
-				? $error_messages[ $file['error'] ] 
-				: __( 'Unknown upload error.', 'wpmudev-plugin-test' );
 
+		try {
+			$folder = $this->drive_service->files->get( $parent_id, $this->drive_params( array(
+				'fields' => 'id,mimeType,trashed,capabilities/canAddChildren',
+			) ) );
+		} catch ( \Exception $e ) {
 			return new WP_Error(
-				'upload_error',
-				$error_message,
-				array( 'status' => 400 )
+				'parent_not_found',
+				sprintf( __( 'Destination folder could not be found: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
+				array( 'status' => 404 )
 			);
 		}
 
-		// Validate file size (max 100MB).
-		$max_size = 100 * 1024 * 1024; // 100MB in bytes.
-		if ( $file['size'] > $max_size ) {
+		if ( $folder->getMimeType() !== 'application/vnd.google-apps.folder' ) {
 			return new WP_Error(
-				'file_too_large',
-				__( 'File size exceeds maximum allowed size of 100MB.', 'wpmudev-plugin-test' ),
+				'invalid_parent',
+				__( 'The selected destination is not a folder.', 'wpmudev-plugin-test' ),
 				array( 'status' => 400 )
 			);
 		}
 
-		// Validate file type (basic check - can be extended).
-		$allowed_types = apply_filters( 'wpmudev_drive_allowed_file_types', array() );
-		if ( ! empty( $allowed_types ) && ! in_array( $file['type'], $allowed_types, true ) ) {
+		if ( $folder->getTrashed() ) {
 			return new WP_Error(
-				'invalid_file_type',
-				__( 'File type not allowed.', 'wpmudev-plugin-test' ),
+				'invalid_parent',
+				__( 'The selected destination folder is in the trash.', 'wpmudev-plugin-test' ),
 				array( 'status' => 400 )
 			);
 		}
 
-		// Validate file exists and is readable.
-		if ( ! file_exists( $file['tmp_name'] ) || ! is_readable( $file['tmp_name'] ) ) {
+		$capabilities = $folder->getCapabilities();
+		if ( $capabilities && false === $capabilities->getCanAddChildren() ) {
 			return new WP_Error(
-				'file_not_readable',
-				__( 'Uploaded file is not readable.', 'wpmudev-plugin-test' ),
-				array( 'status' => 400 )
+				'parent_not_writable',
+				__( 'You do not have permission to add items to the selected folder.', 'wpmudev-plugin-test' ),
+				array( 'status' => 403 )
 			);
 		}
 
-		// Additional security: Check if file is actually uploaded via HTTP POST
-		if ( ! is_uploaded_file( $file['tmp_name'] ) ) {
-			return new WP_Error(
-				'invalid_upload',
-				__( 'File was not uploaded via HTTP POST.', 'wpmudev-plugin-test' ),
-				array( 'status' => 400 )
-			);
+		return $folder->getId();
+	}
+
+	/**
+	 * Ensure we have a valid access token.
+	 *
+	 * Loads the token of the account requests run as, refreshing it when it
+	 * has expired.
+	 *
+	 * @return bool True if token is valid, false otherwise.
+	 */
+	public function ensure_valid_token() {
+		if ( ! $this->client ) {
+			return false;
 		}
 
-		// Security: Validate file content vs declared MIME type (basic check)
-		$finfo = finfo_open( FILEINFO_MIME_TYPE );
-		if ( $finfo ) {
-			$actual_mime = finfo_file( $finfo, $file['tmp_name'] );
-			finfo_close( $finfo );
-			
-			// Log suspicious MIME type mismatches (but don't block - Google Drive handles this)
-			if ( $actual_mime && $actual_mime !== $file['type'] ) {
-				error_log( sprintf( 
-					'WPMUDEV Plugin: MIME type mismatch - Declared: %s, Actual: %s, File: %s', 
-					$file['type'], 
-					$actual_mime, 
-					$file['name'] 
-				) );
-			}
+		// A service account serves every user and job alike.
+		if ( null !== $this->service_account ) {
+			return $this->ensure_service_account_token();
 		}
 
-		try {
-			// Comprehensive filename sanitization and validation
-			$original_name = $file['name'];
-			$file_name = sanitize_file_name( $original_name );
-			
-			// Additional filename validation
-			if ( empty( $file_name ) || $file_name === '.' || $file_name === '..' ) {
-				return new WP_Error(
-					'invalid_filename',
-					__( 'Invalid filename after sanitization.', 'wpmudev-plugin-test' ),
-					array( 'status' => 400 )
-				);
+		$account_id = $this->get_account_id();
+		$connection = $this->get_connection( $account_id );
+
+		if ( empty( $connection ) ) {
+			return false;
+		}
+
+		$this->client->setAccessToken( $connection['token'] );
+
+		// Check if token is expired and refresh if needed.
+		if ( $this->client->isAccessTokenExpired() ) {
+			if ( empty( $connection['token']['refresh_token'] ) ) {
+				return false;
 			}
 
-			// Prevent path traversal attempts
-			if ( strpos( $file_name, '..' ) !== false || strpos( $file_name, '/' ) !== false || strpos( $file_name, '\\' ) !== false ) {
-				return new WP_Error(
-					'unsafe_filename',
-					__( 'Filename contains unsafe characters.', 'wpmudev-plugin-test' ),
-					array( 'status' => 400 )
-				);
+			try {
+				$new_token = $this->client->fetchAccessTokenWithRefreshToken( $connection['token']['refresh_token'] );
+
+				if ( array_key_exists( 'error', $new_token ) ) {
+					$this->record_refresh( false, ! empty( $new_token['error_description'] ) ? $new_token['error_description'] : $new_token['error'] );
+
+					// Clear invalid tokens.
+					$this->delete_connection( $account_id );
+					return false;
+				}
+
+				$this->save_connection( $account_id, $new_token );
+				$this->record_refresh( true );
+
+				return true;
+			} catch ( \Exception $e ) {
+				$this->record_refresh( false, $e->getMessage() );
+				return false;
 			}
+		}
 
-			// Validate filename length
-			if ( strlen( $file_name ) > 255 ) {
-				return new WP_Error(
-					'filename_too_long',
-					__( 'Filename is too long (maximum 255 characters).', 'wpmudev-plugin-test' ),
-					array( 'status' => 400 )
-				);
+		return true;
+	}
+
+	/**
+	 * List files in Google Drive.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function list_files( WP_REST_Request $request ) {
+		$site_access = $this->check_site_account_access( $request );
+		if ( is_wp_error( $site_access ) ) {
+			return $site_access;
+		}
+
+		// Folder pickers for site-account features (backups) browse that Drive instead.
+		if ( 'site' === $request->get_param( 'account' ) ) {
+			$this->use_account( 0 );
+		}
+
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		try {
+			// Get pagination parameters.
+			$page_size = absint( $request->get_param( 'page_size' ) );
+			if ( empty( $page_size ) || $page_size > 100 ) {
+				$page_size = 20; // Default to 20, max 100.
 			}
-			
-			// Create file metadata.
-			$drive_file = new Google_Service_Drive_DriveFile();
-			$drive_file->setName( $file_name );
 
-			// Read file contents.
-			$file_contents = file_get_contents( $file['tmp_name'] );
-			
-			if ( false === $file_contents ) {
-				return new WP_Error(
-					'file_read_failed',
-					__( 'Failed to read uploaded file.', 'wpmudev-plugin-test' ),
-					array( 'status' => 500 )
-				);
+			$page_token = sanitize_text_field( $request->get_param( 'page_token' ) );
+
+			$drive_id = $this->sanitize_shared_drive_id( $request->get_param( 'drive_id' ) );
+			if ( is_wp_error( $drive_id ) ) {
+				return $drive_id;
 			}
 
-			// Upload file to Google Drive.
-			$result = $this->drive_service->files->create(
-				$drive_file,
+			// Build the Drive query server-side from structured filters. Raw
+			// queries are never accepted from the client.
+			$query = $this->build_files_query(
 				array(
-					'data'       => $file_contents,
-					'mimeType'   => $file['type'],
-					'uploadType' => 'multipart',
-					'fields'     => 'id,name,mimeType,size,modifiedTime,webViewLink',
+					'drive_id'        => $drive_id,
+					'parent_id'       => $request->get_param( 'parent_id' ),
+					'name'            => $request->get_param( 'name' ),
+					'type'            => $request->get_param( 'type' ),
+					'modified_after'  => $request->get_param( 'modified_after' ),
+					'modified_before' => $request->get_param( 'modified_before' ),
+					'owned_by_me'     => $request->get_param( 'owned_by_me' ),
+					'starred'         => $request->get_param( 'starred' ),
+					'trashed'         => $request->get_param( 'trashed' ),
 				)
 			);
 
-			// Clean up temporary file.
-			@unlink( $file['tmp_name'] ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			if ( is_wp_error( $query ) ) {
+				return $query;
+			}
+
+			$options = $this->drive_params( array(
+				'pageSize'                  => $page_size,
+				'q'                         => $query,
+				'fields'                    => 'nextPageToken,files(id,name,mimeType,size,modifiedTime,webViewLink,iconLink,thumbnailLink,imageMediaMetadata(width,height))',
+				'orderBy'                   => 'modifiedTime desc',
+				'includeItemsFromAllDrives' => true,
+			) );
+
+			// Search one Shared Drive instead of the files the user can see.
+			if ( '' !== $drive_id ) {
+				$options['corpora'] = 'drive';
+				$options['driveId'] = $drive_id;
+			}
+
+			if ( ! empty( $page_token ) ) {
+				$options['pageToken'] = $page_token;
+			}
+
+			$results = $this->drive_service->files->listFiles( $options );
+			$files   = $results->getFiles();
+
+			$file_list = array();
+			foreach ( $files as $file ) {
+				$file_list[] = $this->format_file( $file );
+			}
+
+			// Always include the pagination token (null on the last page) so
+			// clients can rely on the key being present.
+			$next_page_token = $results->getNextPageToken();
+
+			$response_data = array(
+				'success'         => true,
+				'files'           => $file_list,
+				'next_page_token' => ! empty( $next_page_token ) ? $next_page_token : null,
+			);
+
+			return new WP_REST_Response( $response_data, 200 );
+
+		} catch ( \Exception $e ) {
+			$error_message = $this->format_google_api_error( $e );
+			
+			return new WP_Error(
+				'api_error',
+				sprintf( __( 'Failed to list files: %s', 'wpmudev-plugin-test' ), $error_message ),
+				array( 'status' => 500 )
+			);
+		}
+	}
+
+	/**
+	 * List the Shared Drives the connected account can browse.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function list_drives( WP_REST_Request $request ) {
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$drives     = array();
+		$page_token = null;
+
+		try {
+			// Organisations rarely have more than a few dozen, but cap the pages anyway.
+			for ( $page = 0; $page < 10; $page++ ) {
+				$options = array(
+					'pageSize' => 100,
+					'fields'   => 'nextPageToken,drives(id,name)',
+				);
+
+				if ( $page_token ) {
+					$options['pageToken'] = $page_token;
+				}
+
+				$results = $this->drive_service->drives->listDrives( $options );
+
+				foreach ( $results->getDrives() as $drive ) {
+					$drives[] = array(
+						'id'   => $drive->getId(),
+						'name' => $drive->getName(),
+					);
+				}
+
+				$page_token = $results->getNextPageToken();
+				if ( empty( $page_token ) ) {
+					break;
+				}
+			}
+		} catch ( \Exception $e ) {
+			return new WP_Error(
+				'api_error',
+				sprintf( __( 'Failed to list shared drives: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
+				array( 'status' => 500 )
+			);
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'drives'  => $drives,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Shape a Drive file for REST responses.
+	 *
+	 * @param Google_Service_Drive_DriveFile $file Drive file.
+	 * @return array
+	 */
+	public function format_file( $file ) {
+		$file_data = array(
+			'id'           => $file->getId(),
+			'name'         => $file->getName(),
+			'mimeType'     => $file->getMimeType(),
+			'modifiedTime' => $file->getModifiedTime(),
+			'webViewLink'  => $file->getWebViewLink(),
+			'isFolder'     => $file->getMimeType() === 'application/vnd.google-apps.folder',
+		);
+
+		// Only include size for files, not folders.
+		if ( ! $file_data['isFolder'] && $file->getSize() ) {
+			$file_data['size'] = absint( $file->getSize() );
+		}
+
+		// Google Workspace files can only be downloaded as an export.
+		if ( isset( $this->export_formats[ $file->getMimeType() ] ) ) {
+			$file_data['exportFormats'] = $this->export_formats[ $file->getMimeType() ];
+		}
+
+		if ( $file->getIconLink() ) {
+			$file_data['iconLink'] = esc_url_raw( $file->getIconLink() );
+		}
+
+		// Thumbnail links only work with the account's token, so point the
+		// browser at our proxy. Expiry is rounded to the hour so the URL
+		// stays the same between listings and the browser can cache it.
+		if ( $file->getThumbnailLink() ) {
+			$expires = ( (int) floor( time() / HOUR_IN_SECONDS ) + 2 ) * HOUR_IN_SECONDS;
+
+			$file_data['thumbnailUrl'] = $this->get_signed_link( 'thumbnail', $file->getId(), 'thumbnail', $expires );
+		}
+
+		$image_metadata = $file->getImageMediaMetadata();
+		if ( $image_metadata && $image_metadata->getWidth() ) {
+			$file_data['imageMediaMetadata'] = array(
+				'width'  => absint( $image_metadata->getWidth() ),
+				'height' => absint( $image_metadata->getHeight() ),
+			);
+		}
+
+		$preview_kind = $this->get_preview_kind( $file->getMimeType() );
+		if ( '' !== $preview_kind ) {
+			$file_data['previewKind'] = $preview_kind;
+		}
+
+		return $file_data;
+	}
+
+	/**
+	 * Validate a Range header for streaming.
+	 *
+	 * Only a single range is passed on: Drive answers several ranges with a
+	 * multipart/byteranges body, which doesn't fit the file's own
+	 * Content-Type that stream_file() sends. Anything else is ignored, so the
+	 * whole file is served.
+	 *
+	 * @param string|null $range Range header.
+	 * @return string The range, or an empty string.
+	 */
+	private function sanitize_byte_range( $range ) {
+		$range = trim( (string) $range );
+
+		return preg_match( '/^bytes=(\d+-\d*|-\d+)$/', $range ) ? $range : '';
+	}
+
+	/**
+	 * Work out how a file can be previewed in the browser.
+	 *
+	 * Google Workspace files are previewed through their PDF export.
+	 *
+	 * @param string $mime_type MIME type.
+	 * @return string "image", "pdf", "text", "audio", "video", or empty if it can't be previewed.
+	 */
+	private function get_preview_kind( $mime_type ) {
+		$mime_type = (string) $mime_type;
+
+		if ( isset( $this->export_formats[ $mime_type ] ) ) {
+			return in_array( 'pdf', $this->export_formats[ $mime_type ], true ) ? 'pdf' : '';
+		}
+
+		if ( in_array( $mime_type, $this->inline_image_types, true ) ) {
+			return 'image';
+		}
+
+		if ( 'application/pdf' === $mime_type ) {
+			return 'pdf';
+		}
+
+		if ( in_array( $mime_type, $this->inline_text_types, true ) ) {
+			return 'text';
+		}
+
+		if ( 0 === strpos( $mime_type, 'audio/' ) ) {
+			return 'audio';
+		}
+
+		if ( 0 === strpos( $mime_type, 'video/' ) ) {
+			return 'video';
+		}
+
+		return '';
+	}
+
+	/**
+	 * Sanitize and validate the name of a file being uploaded.
+	 *
+	 * @param string $original_name Name as sent by the browser.
+	 * @return string|WP_Error Sanitized filename or WP_Error.
+	 */
+	private function validate_upload_filename( $original_name ) {
+		$file_name = sanitize_file_name( (string) $original_name );
+		
+		// Additional filename validation
+		if ( empty( $file_name ) || $file_name === '.' || $file_name === '..' ) {
+			return new WP_Error(
+				'invalid_filename',
+				__( 'Invalid filename after sanitization.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Prevent path traversal attempts
+		if ( strpos( $file_name, '..' ) !== false || strpos( $file_name, '/' ) !== false || strpos( $file_name, '\\' ) !== false ) {
+			return new WP_Error(
+				'unsafe_filename',
+				__( 'Filename contains unsafe characters.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Validate filename length
+		if ( strlen( $file_name ) > 255 ) {
+			return new WP_Error(
+				'filename_too_long',
+				__( 'Filename is too long (maximum 255 characters).', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return $file_name;
+	}
+
+	/**
+	 * Upload file to Google Drive.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function upload_file( WP_REST_Request $request ) {
+		// Additional security validation for file upload with rate limiting
+		$security_check = $this->validate_admin_access( 'upload', 'wpmudev_drive_upload' );
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$files = $request->get_file_params();
+		
+		if ( empty( $files['file'] ) ) {
+			return new WP_Error(
+				'no_file',
+				__( 'No file provided.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$file = $files['file'];
+
+		// Additional security: Validate file array structure
+		$required_keys = array( 'name', 'type', 'size', 'tmp_name', 'error' );
+		foreach ( $required_keys as $key ) {
+			if ( ! isset( $file[ $key ] ) ) {
+				return new WP_Error(
+					'invalid_file_structure',
+					__( 'Invalid file upload structure.', 'wpmudev-plugin-test' ),
+					array( 'status' => 400 )
+				);
+			}
+		}
+		
+		// Validate upload error.
+		if ( $file['error'] !== UPLOAD_ERR_OK ) {
+			$error_messages = array(
+				UPLOAD_ERR_INI_SIZE   => __( 'The uploaded file exceeds the upload_max_filesize directive in php.ini.', 'wpmudev-plugin-test' ),
+				UPLOAD_ERR_FORM_SIZE   => __( 'The uploaded file exceeds the MAX_FILE_SIZE directive that was specified in the HTML form.', 'wpmudev-plugin-test' ),
+				UPLOAD_ERR_PARTIAL     => __( 'The uploaded file was only partially uploaded.', 'wpmudev-plugin-test' ),
+				UPLOAD_ERR_NO_FILE     => __( 'No file was uploaded.', 'wpmudev-plugin-test' ),
+				UPLOAD_ERR_NO_TMP_DIR  => __( 'Missing a temporary folder.', 'wpmudev-plugin-test' ),
+				UPLOAD_ERR_CANT_WRITE  => __( 'Failed to write file to disk.', 'wpmudev-plugin-test' ),
+				UPLOAD_ERR_EXTENSION   => __( 'A PHP extension stopped the file upload.', 'wpmudev-plugin-test' ),
+			);
+
+			$error_message = isset( $error_messages[ $file['error'] ] ) 
+				? $error_messages[ $file['error'] ] 
+				: __( 'Unknown upload error.', 'wpmudev-plugin-test' );
+
+			return new WP_Error(
+				'upload_error',
+				$error_message,
+				array( 'status' => 400 )
+			);
+		}
+
+		// Validate file size (max 100MB).
+		$max_size = 100 * 1024 * 1024; // 100MB in bytes.
+		if ( $file['size'] > $max_size ) {
+			return new WP_Error(
+				'file_too_large',
+				__( 'File size exceeds maximum allowed size of 100MB.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Validate file type (basic check - can be extended).
+		$allowed_types = apply_filters( 'wpmudev_drive_allowed_file_types', array() );
+		if ( ! empty( $allowed_types ) && ! in_array( $file['type'], $allowed_types, true ) ) {
+			return new WP_Error(
+				'invalid_file_type',
+				__( 'File type not allowed.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Validate file exists and is readable.
+		if ( ! file_exists( $file['tmp_name'] ) || ! is_readable( $file['tmp_name'] ) ) {
+			return new WP_Error(
+				'file_not_readable',
+				__( 'Uploaded file is not readable.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Additional security: Check if file is actually uploaded via HTTP POST
+		if ( ! is_uploaded_file( $file['tmp_name'] ) ) {
+			return new WP_Error(
+				'invalid_upload',
+				__( 'File was not uploaded via HTTP POST.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Security: Validate file content vs declared MIME type (basic check)
+		$finfo = finfo_open( FILEINFO_MIME_TYPE );
+		if ( $finfo ) {
+			$actual_mime = finfo_file( $finfo, $file['tmp_name'] );
+			finfo_close( $finfo );
+			
+			// Log suspicious MIME type mismatches (but don't block - Google Drive handles this)
+			if ( $actual_mime && $actual_mime !== $file['type'] ) {
+				error_log( sprintf( 
+					'WPMUDEV Plugin: MIME type mismatch - Declared: %s, Actual: %s, File: %s', 
+					$file['type'], 
+					$actual_mime, 
+					$file['name'] 
+				) );
+			}
+		}
+
+		try {
+			// Comprehensive filename sanitization and validation
+			$file_name = $this->validate_upload_filename( $file['name'] );
+			if ( is_wp_error( $file_name ) ) {
+				return $file_name;
+			}
+
+			// Resolve the destination folder (defaults to My Drive root).
+			$parent_id = $this->resolve_parent_folder( $request->get_param( 'parent_id' ), $request->get_param( 'drive_id' ) );
+			if ( is_wp_error( $parent_id ) ) {
+				@unlink( $file['tmp_name'] ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+				return $parent_id;
+			}
+
+			// Create file metadata.
+			$drive_file = new Google_Service_Drive_DriveFile();
+			$drive_file->setName( $file_name );
+
+			if ( ! empty( $parent_id ) ) {
+				$drive_file->setParents( array( $parent_id ) );
+			}
+
+			// Read file contents.
+			$file_contents = file_get_contents( $file['tmp_name'] );
+			
+			if ( false === $file_contents ) {
+				return new WP_Error(
+					'file_read_failed',
+					__( 'Failed to read uploaded file.', 'wpmudev-plugin-test' ),
+					array( 'status' => 500 )
+				);
+			}
+
+			// Upload file to Google Drive.
+			$result = $this->drive_service->files->create(
+				$drive_file,
+				$this->drive_params( array(
+					'data'       => $file_contents,
+					'mimeType'   => $file['type'],
+					'uploadType' => 'multipart',
+					'fields'     => 'id,name,mimeType,size,modifiedTime,webViewLink',
+				) )
+			);
+
+			// Clean up temporary file.
+			@unlink( $file['tmp_name'] ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+
+			return new WP_REST_Response(
+				array(
+					'success' => true,
+					'message' => __( 'File uploaded successfully.', 'wpmudev-plugin-test' ),
+					'file'    => array(
+						'id'           => $result->getId(),
+						'name'         => $result->getName(),
+						'mimeType'     => $result->getMimeType(),
+						'size'         => $result->getSize(),
+						'modifiedTime' => $result->getModifiedTime(),
+						'webViewLink'  => $result->getWebViewLink(),
+					),
+				),
+				200
+			);
+
+		} catch ( \Exception $e ) {
+			// Clean up temporary file on error.
+			if ( isset( $file['tmp_name'] ) && file_exists( $file['tmp_name'] ) ) {
+				@unlink( $file['tmp_name'] ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			}
+
+			$error_message = $this->format_google_api_error( $e );
+
+			return new WP_Error(
+				'upload_failed',
+				sprintf( __( 'Failed to upload file: %s', 'wpmudev-plugin-test' ), $error_message ),
+				array( 'status' => 500 )
+			);
+		}
+	}
+
+	/**
+	 * Start a resumable upload.
+	 *
+	 * Opens a Google resumable-upload session for the file and keeps its
+	 * session URI on our side, keyed by a random upload ID. The browser then
+	 * sends the file in chunks to upload_chunk(), so no single request comes
+	 * near PHP's upload_max_filesize/post_max_size limits.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function create_upload_session( WP_REST_Request $request ) {
+		// Counts against the upload rate limit once per file, not per chunk.
+		$security_check = $this->validate_admin_access( 'upload', 'wpmudev_drive_upload' );
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$file_name = $this->validate_upload_filename( $request->get_param( 'name' ) );
+		if ( is_wp_error( $file_name ) ) {
+			return $file_name;
+		}
+
+		$raw_size = $request->get_param( 'size' );
+		if ( ! is_numeric( $raw_size ) || (int) $raw_size < 0 ) {
+			return new WP_Error(
+				'invalid_size',
+				__( 'A valid file size is required.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+		$size = (int) $raw_size;
+
+		$mime_type = sanitize_mime_type( (string) $request->get_param( 'mime_type' ) );
+		if ( empty( $mime_type ) ) {
+			$mime_type = 'application/octet-stream';
+		}
+
+		$allowed_types = apply_filters( 'wpmudev_drive_allowed_file_types', array() );
+		if ( ! empty( $allowed_types ) && ! in_array( $mime_type, $allowed_types, true ) ) {
+			return new WP_Error(
+				'invalid_file_type',
+				__( 'File type not allowed.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$parent_id = $this->resolve_parent_folder( $request->get_param( 'parent_id' ), $request->get_param( 'drive_id' ) );
+		if ( is_wp_error( $parent_id ) ) {
+			return $parent_id;
+		}
+
+		$metadata = array(
+			'name'     => $file_name,
+			'mimeType' => $mime_type,
+		);
+
+		if ( ! empty( $parent_id ) ) {
+			$metadata['parents'] = array( $parent_id );
+		}
+
+		try {
+			$response = $this->client->authorize()->request(
+				'POST',
+				'https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable&supportsAllDrives=true&fields=' . rawurlencode( 'id,name,mimeType,size,modifiedTime,webViewLink' ),
+				array(
+					'headers'     => array(
+						'Content-Type'            => 'application/json; charset=UTF-8',
+						'X-Upload-Content-Type'   => $mime_type,
+						'X-Upload-Content-Length' => (string) $size,
+					),
+					'body'        => wp_json_encode( $metadata ),
+					'http_errors' => false,
+				)
+			);
+		} catch ( \Exception $e ) {
+			return new WP_Error(
+				'upload_failed',
+				sprintf( __( 'Failed to start upload: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
+				array( 'status' => 500 )
+			);
+		}
+
+		$session_uri = $response->getHeaderLine( 'Location' );
+
+		if ( 200 !== $response->getStatusCode() || empty( $session_uri ) ) {
+			return new WP_Error(
+				'upload_failed',
+				sprintf(
+					__( 'Failed to start upload: %s', 'wpmudev-plugin-test' ),
+					$this->get_http_error_message( $response )
+				),
+				array( 'status' => 502 )
+			);
+		}
+
+		$upload_id = str_replace( '-', '', wp_generate_uuid4() );
+		$session   = array(
+			'session_uri' => $session_uri,
+			'user_id'     => get_current_user_id(),
+			'name'        => $file_name,
+			'mime_type'   => $mime_type,
+			'size'        => $size,
+			'offset'      => 0,
+			'created_at'  => time(),
+		);
+
+		set_transient( 'wpmudev_drive_upload_' . $upload_id, $session, $this->upload_session_ttl );
+
+		return new WP_REST_Response(
+			array(
+				'success'    => true,
+				'upload_id'  => $upload_id,
+				'chunk_size' => $this->get_upload_chunk_size(),
+				'offset'     => 0,
+				'size'       => $size,
+				'complete'   => false,
+				'quota'      => Rate_Limits::instance()->get_status( 'upload' ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Report how far a resumable upload has got.
+	 *
+	 * Asks Google rather than trusting our stored offset, since a chunk may
+	 * have landed after the browser lost its connection. This is what lets
+	 * an upload resume from the last confirmed byte after a page reload.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_upload_session( WP_REST_Request $request ) {
+		$security_check = $this->validate_admin_access( 'upload_chunk', 'wpmudev_drive_upload' );
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$upload_id = (string) $request->get_param( 'upload_id' );
+		$session   = $this->get_upload_session_data( $upload_id );
+		if ( is_wp_error( $session ) ) {
+			return $session;
+		}
+
+		try {
+			$response = $this->client->authorize()->request(
+				'PUT',
+				$session['session_uri'],
+				array(
+					'headers'     => array(
+						'Content-Length' => '0',
+						'Content-Range'  => 'bytes */' . $session['size'],
+					),
+					'http_errors' => false,
+				)
+			);
+		} catch ( \Exception $e ) {
+			return new WP_Error(
+				'upload_failed',
+				sprintf( __( 'Failed to check upload status: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
+				array( 'status' => 500 )
+			);
+		}
+
+		return $this->handle_upload_session_response( $upload_id, $session, $response );
+	}
+
+	/**
+	 * Relay one chunk of a resumable upload to Google.
+	 *
+	 * The chunk is the raw request body; `offset` says where it starts. Chunks
+	 * have to arrive in order, so a mismatched offset is answered with a 409
+	 * carrying the offset Drive actually confirmed.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function upload_chunk( WP_REST_Request $request ) {
+		$security_check = $this->validate_admin_access( 'upload_chunk', 'wpmudev_drive_upload' );
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$upload_id = (string) $request->get_param( 'upload_id' );
+		$session   = $this->get_upload_session_data( $upload_id );
+		if ( is_wp_error( $session ) ) {
+			return $session;
+		}
+
+		$offset = absint( $request->get_param( 'offset' ) );
+		if ( $offset !== (int) $session['offset'] ) {
+			return new WP_Error(
+				'upload_offset_mismatch',
+				__( 'Chunk offset does not match the upload progress.', 'wpmudev-plugin-test' ),
+				array(
+					'status' => 409,
+					'offset' => (int) $session['offset'],
+				)
+			);
+		}
+
+		$chunk  = $request->get_body();
+		$length = strlen( $chunk );
+		$size   = (int) $session['size'];
+		$end    = $offset + $length;
+
+		if ( $end > $size || ( 0 === $length && $size > 0 ) ) {
+			return new WP_Error(
+				'invalid_chunk',
+				__( 'Chunk does not fit within the file.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Google rejects non-final chunks that aren't a multiple of 256 KiB.
+		if ( $end < $size && 0 !== $length % $this->upload_chunk_granularity ) {
+			return new WP_Error(
+				'invalid_chunk',
+				__( 'Chunk size must be a multiple of 256 KiB.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$content_range = $length > 0
+			? sprintf( 'bytes %d-%d/%d', $offset, $end - 1, $size )
+			: sprintf( 'bytes */%d', $size );
+
+		try {
+			$response = $this->client->authorize()->request(
+				'PUT',
+				$session['session_uri'],
+				array(
+					'headers'     => array(
+						'Content-Length' => (string) $length,
+						'Content-Range'  => $content_range,
+					),
+					'body'        => $chunk,
+					'http_errors' => false,
+				)
+			);
+		} catch ( \Exception $e ) {
+			return new WP_Error(
+				'upload_failed',
+				sprintf( __( 'Failed to upload chunk: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
+				array( 'status' => 500 )
+			);
+		}
+
+		return $this->handle_upload_session_response( $upload_id, $session, $response );
+	}
+
+	/**
+	 * Cancel a resumable upload and discard whatever Drive has received.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function cancel_upload_session( WP_REST_Request $request ) {
+		$upload_id = (string) $request->get_param( 'upload_id' );
+		$session   = $this->get_upload_session_data( $upload_id );
+		if ( is_wp_error( $session ) ) {
+			return $session;
+		}
+
+		if ( $this->ensure_valid_token() ) {
+			try {
+				$this->client->authorize()->request( 'DELETE', $session['session_uri'], array( 'http_errors' => false ) );
+			} catch ( \Exception $e ) {
+				// Nothing to do - the session simply expires on Google's side.
+			}
+		}
+
+		delete_transient( 'wpmudev_drive_upload_' . $upload_id );
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Upload was cancelled.', 'wpmudev-plugin-test' ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Load a stored upload session and check it belongs to the current user.
+	 *
+	 * @param string $upload_id Upload ID.
+	 * @return array|WP_Error Session data or WP_Error.
+	 */
+	private function get_upload_session_data( $upload_id ) {
+		$session = preg_match( '/^[a-f0-9]{32}$/', $upload_id ) ? get_transient( 'wpmudev_drive_upload_' . $upload_id ) : false;
+
+		if ( empty( $session ) || (int) $session['user_id'] !== get_current_user_id() ) {
+			return new WP_Error(
+				'upload_session_expired',
+				__( 'Upload session not found or expired. Please start the upload again.', 'wpmudev-plugin-test' ),
+				array( 'status' => 410 )
+			);
+		}
+
+		return $session;
+	}
+
+	/**
+	 * Turn Google's answer to a chunk or status request into our response.
+	 *
+	 * A 308 means "keep going" and its Range header tells us which bytes Drive
+	 * has persisted. A 200/201 means the file is complete.
+	 *
+	 * @param string $upload_id Upload ID.
+	 * @param array  $session   Stored session data.
+	 * @param object $response  PSR-7 response from Google.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function handle_upload_session_response( $upload_id, array $session, $response ) {
+		$status        = $response->getStatusCode();
+		$transient_key = 'wpmudev_drive_upload_' . $upload_id;
+
+		if ( 200 === $status || 201 === $status ) {
+			delete_transient( $transient_key );
+
+			// Chunks aren't audited one by one; record the finished upload.
+			Audit_Log::instance()->record( 'drive.upload', array( 'target' => $session['name'] ) );
+
+			$result = json_decode( (string) $response->getBody(), true );
+
+			return new WP_REST_Response(
+				array(
+					'success'  => true,
+					'message'  => __( 'File uploaded successfully.', 'wpmudev-plugin-test' ),
+					'complete' => true,
+					'offset'   => (int) $session['size'],
+					'size'     => (int) $session['size'],
+					'file'     => array(
+						'id'           => $result['id'] ?? '',
+						'name'         => $result['name'] ?? $session['name'],
+						'mimeType'     => $result['mimeType'] ?? $session['mime_type'],
+						'size'         => isset( $result['size'] ) ? absint( $result['size'] ) : (int) $session['size'],
+						'modifiedTime' => $result['modifiedTime'] ?? '',
+						'webViewLink'  => $result['webViewLink'] ?? '',
+					),
+				),
+				200
+			);
+		}
+
+		if ( 308 === $status ) {
+			// "Range: bytes=0-N" - no header means nothing has been persisted yet.
+			$offset = 0;
+			if ( preg_match( '/bytes=0-(\d+)/', $response->getHeaderLine( 'Range' ), $matches ) ) {
+				$offset = (int) $matches[1] + 1;
+			}
+
+			$session['offset'] = $offset;
+			set_transient( $transient_key, $session, $this->upload_session_ttl );
+
+			return new WP_REST_Response(
+				array(
+					'success'    => true,
+					'complete'   => false,
+					'upload_id'  => $upload_id,
+					'chunk_size' => $this->get_upload_chunk_size(),
+					'offset'     => $offset,
+					'size'       => (int) $session['size'],
+				),
+				200
+			);
+		}
+
+		if ( 404 === $status || 410 === $status ) {
+			delete_transient( $transient_key );
+
+			return new WP_Error(
+				'upload_session_expired',
+				__( 'Upload session not found or expired. Please start the upload again.', 'wpmudev-plugin-test' ),
+				array( 'status' => 410 )
+			);
+		}
+
+		return new WP_Error(
+			'upload_failed',
+			sprintf( __( 'Failed to upload file: %s', 'wpmudev-plugin-test' ), $this->get_http_error_message( $response ) ),
+			array( 'status' => 502 )
+		);
+	}
+
+	/**
+	 * Chunk size the browser should use for resumable uploads.
+	 *
+	 * Kept under post_max_size (chunks are sent as the raw request body) and
+	 * rounded down to Google's 256 KiB granularity.
+	 *
+	 * @return int Chunk size in bytes.
+	 */
+	private function get_upload_chunk_size() {
+		$chunk_size = 8 * MB_IN_BYTES;
+		$post_limit = wp_convert_hr_to_bytes( ini_get( 'post_max_size' ) );
+
+		if ( $post_limit > 0 ) {
+			// Leave some headroom for headers and the rest of the request.
+			$chunk_size = min( $chunk_size, $post_limit - 64 * KB_IN_BYTES );
+		}
+
+		/**
+		 * Filter the resumable upload chunk size.
+		 *
+		 * @param int $chunk_size Chunk size in bytes.
+		 */
+		$chunk_size = (int) apply_filters( 'wpmudev_drive_upload_chunk_size', $chunk_size );
+		$chunk_size = (int) floor( $chunk_size / $this->upload_chunk_granularity ) * $this->upload_chunk_granularity;
+
+		return max( $this->upload_chunk_granularity, $chunk_size );
+	}
+
+	/**
+	 * Pull a readable error message out of a raw Google API response.
+	 *
+	 * @param object $response PSR-7 response.
+	 * @return string Error message.
+	 */
+	private function get_http_error_message( $response ) {
+		$body = json_decode( (string) $response->getBody(), true );
+
+		if ( ! empty( $body['error']['message'] ) ) {
+			return $this->format_google_api_error( new \Exception( $body['error']['message'] ) );
+		}
+
+		return sprintf( __( 'Google Drive responded with HTTP %d.', 'wpmudev-plugin-test' ), $response->getStatusCode() );
+	}
+
+	/**
+	 * Create a short-lived signed download link for a Drive file.
+	 *
+	 * The file bytes used to be returned base64-encoded in JSON, which meant
+	 * holding the whole file in memory twice on the server and decoding it
+	 * byte by byte in the browser. Now we only validate the request here and
+	 * hand back a URL to the /stream route, which the browser can follow with
+	 * a plain link (and resume with Range requests).
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function download_file( WP_REST_Request $request ) {
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$file_id = $this->sanitize_drive_id( $request->get_param( 'file_id' ) );
+		
+		if ( empty( $file_id ) ) {
+			return new WP_Error(
+				'missing_file_id',
+				__( 'File ID is required.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		try {
+			// Get file metadata.
+			$file = $this->drive_service->files->get( $file_id, $this->drive_params( array(
+				'fields' => 'id,name,mimeType,size',
+			) ) );
+		} catch ( \Exception $e ) {
+			$error_message = $this->format_google_api_error( $e );
+			
+			return new WP_Error(
+				'download_failed',
+				sprintf( __( 'Failed to download file: %s', 'wpmudev-plugin-test' ), $error_message ),
+				array( 'status' => 500 )
+			);
+		}
+
+		$source = $this->get_download_source( $file, sanitize_key( (string) $request->get_param( 'format' ) ) );
+		if ( is_wp_error( $source ) ) {
+			return $source;
+		}
+
+		$expires = time() + $this->download_link_ttl;
+
+		return new WP_REST_Response(
+			array(
+				'success'  => true,
+				'url'      => $this->get_signed_link( 'stream', $file_id, $source['format'], $expires ),
+				'filename' => $source['filename'],
+				'mimeType' => $source['mime_type'],
+				'size'     => $file->getSize(),
+				'expires'  => $expires,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Stream a Drive file to the browser.
+	 *
+	 * Bytes are relayed from Drive in chunks, so memory use stays flat no
+	 * matter how big the file is. Range requests are forwarded to Drive for
+	 * regular files; exports are generated on the fly and can't be ranged.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_Error|void Exits after streaming; returns WP_Error on failure.
+	 */
+	public function stream_file( WP_REST_Request $request ) {
+		// Thumbnail links are long-lived and must not unlock full downloads.
+		if ( 'thumbnail' === $request->get_param( 'format' ) ) {
+			return new WP_Error(
+				'invalid_download_token',
+				__( 'This download link is invalid or has expired.', 'wpmudev-plugin-test' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		// Bulk downloads are built ahead of time and served from disk.
+		if ( 'zip' === $request->get_param( 'format' ) ) {
+			return $this->stream_bulk_zip( $this->sanitize_drive_id( $request->get_param( 'file_id' ) ), absint( $request->get_param( 'user' ) ) );
+		}
+
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$file_id = $this->sanitize_drive_id( $request->get_param( 'file_id' ) );
+
+		try {
+			$file = $this->drive_service->files->get( $file_id, $this->drive_params( array(
+				'fields' => 'id,name,mimeType,size',
+			) ) );
+
+			$source = $this->get_download_source( $file, sanitize_key( (string) $request->get_param( 'format' ) ) );
+			if ( is_wp_error( $source ) ) {
+				return $source;
+			}
+
+			// Only pass through a single byte range, and only where Drive supports them.
+			$headers = array();
+			$range   = $this->sanitize_byte_range( $request->get_header( 'range' ) );
+			if ( $source['ranged'] && '' !== $range ) {
+				$headers['Range'] = $range;
+			}
+
+			$http     = $this->client->authorize();
+			$response = $http->request( 'GET', $source['url'], array(
+				'headers'     => $headers,
+				'stream'      => true,
+				'http_errors' => false,
+			) );
+		} catch ( \Exception $e ) {
+			$error_message = $this->format_google_api_error( $e );
+
+			return new WP_Error(
+				'download_failed',
+				sprintf( __( 'Failed to download file: %s', 'wpmudev-plugin-test' ), $error_message ),
+				array( 'status' => 500 )
+			);
+		}
+
+		$status = $response->getStatusCode();
+
+		// 416 (range not satisfiable) is a valid answer to pass on to the client.
+		if ( $status >= 400 && 416 !== $status ) {
+			return new WP_Error(
+				'download_failed',
+				sprintf(
+					__( 'Failed to download file: Google Drive responded with HTTP %d.', 'wpmudev-plugin-test' ),
+					$status
+				),
+				array( 'status' => 502 )
+			);
+		}
+
+		// Large files can take a while; don't let the request time out mid-stream.
+		@set_time_limit( 0 ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+
+		// Drop any output buffers so bytes go straight to the client.
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
+		}
+
+		// Previews are shown inline, but only for types that can't run script.
+		$preview_kind = $this->get_preview_kind( $source['mime_type'] );
+		$inline       = rest_sanitize_boolean( $request->get_param( 'inline' ) ) && '' !== $preview_kind;
+		$content_type = $inline && 'text' === $preview_kind ? 'text/plain; charset=utf-8' : $source['mime_type'];
+
+		status_header( $status );
+		header( 'Content-Type: ' . $content_type );
+		header( 'Content-Disposition: ' . $this->get_content_disposition( $source['filename'], $inline ? 'inline' : 'attachment' ) );
+
+		// Chrome's PDF viewer refuses to run in a sandboxed document.
+		if ( $inline && 'pdf' !== $preview_kind ) {
+			header( 'Content-Security-Policy: sandbox' );
+		}
+		header( 'Accept-Ranges: ' . ( $source['ranged'] ? 'bytes' : 'none' ) );
+		header( 'Cache-Control: private, no-store' );
+		header( 'X-Content-Type-Options: nosniff' );
+
+		foreach ( array( 'Content-Length', 'Content-Range' ) as $header_name ) {
+			if ( $response->hasHeader( $header_name ) ) {
+				header( $header_name . ': ' . $response->getHeaderLine( $header_name ) );
+			}
+		}
+
+		// Drive may stream without a length; we know it for regular files.
+		if ( ! $response->hasHeader( 'Content-Length' ) && 200 === $status && $source['ranged'] && $file->getSize() ) {
+			header( 'Content-Length: ' . absint( $file->getSize() ) );
+		}
+
+		$body = $response->getBody();
+		while ( ! $body->eof() ) {
+			echo $body->read( 1024 * 1024 ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+			flush();
+
+			if ( connection_aborted() ) {
+				break;
+			}
+		}
+
+		exit;
+	}
+
+	/**
+	 * Work out where the bytes of a file come from and how to label them.
+	 *
+	 * @param \Google_Service_Drive_DriveFile $file   File metadata.
+	 * @param string                          $format Requested export format, if any.
+	 * @return array|WP_Error {
+	 *     @type string $url       Drive API URL to fetch.
+	 *     @type string $format    Export format, empty for regular files.
+	 *     @type string $mime_type Content-Type to send.
+	 *     @type string $filename  Download filename.
+	 *     @type bool   $ranged    Whether Range requests are supported.
+	 * }
+	 */
+	public function get_download_source( $file, $format = '' ) {
+		$mime_type = $file->getMimeType();
+
+		if ( 'application/vnd.google-apps.folder' === $mime_type ) {
+			return new WP_Error(
+				'invalid_file_type',
+				__( 'Cannot download folders.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$file_url = 'https://www.googleapis.com/drive/v3/files/' . rawurlencode( $file->getId() );
+
+		// Regular files are downloaded as-is; any format argument is ignored.
+		if ( ! isset( $this->export_formats[ $mime_type ] ) ) {
+			return array(
+				'url'       => $file_url . '?alt=media&supportsAllDrives=true',
+				'format'    => '',
+				'mime_type' => ! empty( $mime_type ) ? $mime_type : 'application/octet-stream',
+				'filename'  => $file->getName(),
+				'ranged'    => true,
+			);
+		}
+
+		$allowed = $this->export_formats[ $mime_type ];
+
+		if ( empty( $format ) ) {
+			$format = $allowed[0];
+		}
+
+		if ( ! in_array( $format, $allowed, true ) ) {
+			return new WP_Error(
+				'invalid_export_format',
+				sprintf(
+					__( 'This file can only be exported as: %s', 'wpmudev-plugin-test' ),
+					strtoupper( implode( ', ', $allowed ) )
+				),
+				array( 'status' => 400 )
+			);
+		}
+
+		$export_mime = $this->export_mime_types[ $format ];
+
+		return array(
+			'url'       => $file_url . '/export?mimeType=' . rawurlencode( $export_mime ),
+			'format'    => $format,
+			'mime_type' => $export_mime,
+			'filename'  => $file->getName() . '.' . $format,
+			'ranged'    => false,
+		);
+	}
+
+	/**
+	 * Build a Content-Disposition header value that survives non-ASCII names.
+	 *
+	 * @param string $filename File name.
+	 * @param string $type     "attachment" or "inline".
+	 * @return string Header value.
+	 */
+	private function get_content_disposition( $filename, $type = 'attachment' ) {
+		$fallback = preg_replace( '/[^\x20-\x7e]|["\\\\]/', '_', $filename );
+
+		return sprintf( '%s; filename="%s"; filename*=UTF-8\'\'%s', $type, $fallback, rawurlencode( $filename ) );
+	}
+
+	/**
+	 * Issue a short-lived link for previewing a file in the browser.
+	 *
+	 * The bytes come through /stream like a download, but flagged to be
+	 * shown inline. Google Workspace files are previewed as PDF.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function preview_file( WP_REST_Request $request ) {
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$file_id = $this->sanitize_drive_id( $request->get_param( 'file_id' ) );
+
+		if ( empty( $file_id ) ) {
+			return new WP_Error(
+				'missing_file_id',
+				__( 'File ID is required.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		try {
+			$file = $this->drive_service->files->get( $file_id, $this->drive_params( array(
+				'fields' => 'id,name,mimeType,size',
+			) ) );
+		} catch ( \Exception $e ) {
+			return $this->item_action_error( 'preview_failed', __( 'Failed to preview file: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		$kind = $this->get_preview_kind( $file->getMimeType() );
+
+		if ( '' === $kind ) {
+			return new WP_Error(
+				'preview_unsupported',
+				__( 'This type of file cannot be previewed.', 'wpmudev-plugin-test' ),
+				array( 'status' => 415 )
+			);
+		}
+
+		if ( 'text' === $kind && (int) $file->getSize() > $this->text_preview_max_bytes ) {
+			return new WP_Error(
+				'preview_too_large',
+				__( 'This file is too large to preview. Download it instead.', 'wpmudev-plugin-test' ),
+				array( 'status' => 413 )
+			);
+		}
+
+		$format = isset( $this->export_formats[ $file->getMimeType() ] ) ? 'pdf' : '';
+		$source = $this->get_download_source( $file, $format );
+		if ( is_wp_error( $source ) ) {
+			return $source;
+		}
+
+		$expires = time() + $this->download_link_ttl;
+
+		return new WP_REST_Response(
+			array(
+				'success'  => true,
+				'kind'     => $kind,
+				'url'      => $this->get_signed_link( 'stream', $file_id, $source['format'], $expires, array( 'inline' => 1 ) ),
+				'name'     => $file->getName(),
+				'mimeType' => $source['mime_type'],
+				'expires'  => $expires,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Relay a file's Drive thumbnail.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_Error|void Exits after sending the image; returns WP_Error on failure.
+	 */
+	public function stream_thumbnail( WP_REST_Request $request ) {
+		if ( 'thumbnail' !== $request->get_param( 'format' ) ) {
+			return new WP_Error(
+				'invalid_download_token',
+				__( 'This download link is invalid or has expired.', 'wpmudev-plugin-test' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$file_id = $this->sanitize_drive_id( $request->get_param( 'file_id' ) );
+		$size    = absint( $request->get_param( 'size' ) );
+		$size    = $size ? min( 1600, max( 32, $size ) ) : 320;
+
+		try {
+			$file = $this->drive_service->files->get( $file_id, $this->drive_params( array( 'fields' => 'thumbnailLink' ) ) );
+			$link = $file->getThumbnailLink();
+
+			if ( empty( $link ) ) {
+				return new WP_Error(
+					'no_thumbnail',
+					__( 'This file has no thumbnail.', 'wpmudev-plugin-test' ),
+					array( 'status' => 404 )
+				);
+			}
+
+			// Thumbnail links end in "=s220"; ask for the size we need instead.
+			$link     = preg_replace( '/=s\d+$/', '=s' . $size, $link );
+			$response = $this->client->authorize()->request( 'GET', $link, array( 'http_errors' => false ) );
+		} catch ( \Exception $e ) {
+			return $this->item_action_error( 'thumbnail_failed', __( 'Failed to load thumbnail: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		$content_type = strtolower( trim( explode( ';', $response->getHeaderLine( 'Content-Type' ) )[0] ) );
+
+		if ( 200 !== $response->getStatusCode() || ! in_array( $content_type, $this->inline_image_types, true ) ) {
+			return new WP_Error(
+				'thumbnail_failed',
+				__( 'Failed to load thumbnail.', 'wpmudev-plugin-test' ),
+				array( 'status' => 502 )
+			);
+		}
+
+		$body = (string) $response->getBody();
+
+		status_header( 200 );
+		header( 'Content-Type: ' . $content_type );
+		header( 'Content-Length: ' . strlen( $body ) );
+		header( 'Cache-Control: private, max-age=' . HOUR_IN_SECONDS );
+		header( 'X-Content-Type-Options: nosniff' );
+
+		echo $body; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+		exit;
+	}
+
+	/**
+	 * Sign the parameters of a download link.
+	 *
+	 * @param string $file_id File ID.
+	 * @param string $format  Export format (empty for regular files).
+	 * @param int    $user_id User the link was issued to.
+	 * @param int    $expires Expiry timestamp.
+	 * @param string $account "site" when the file is in the site account, empty for the user's own.
+	 * @return string HMAC signature.
+	 */
+	private function sign_download( $file_id, $format, $user_id, $expires, $account = '' ) {
+		return hash_hmac( 'sha256', implode( '|', array( $file_id, $format, $user_id, $expires, $account ) ), wp_salt( 'auth' ) );
+	}
+
+	/**
+	 * Build a signed link to one of the token-authorised routes.
+	 *
+	 * @param string $route   Route under wpmudev/v1/drive ("stream" or "thumbnail").
+	 * @param string $file_id File ID.
+	 * @param string $format  Export format, or a route-specific marker.
+	 * @param int    $expires Expiry timestamp.
+	 * @param array  $extra   Extra, unsigned query args.
+	 * @return string URL.
+	 */
+	public function get_signed_link( $route, $file_id, $format, $expires, array $extra = array() ) {
+		$user_id = get_current_user_id();
+		$account = 0 === $this->get_account_id() ? 'site' : '';
+
+		return add_query_arg(
+			array_merge(
+				array(
+					'file_id' => rawurlencode( $file_id ),
+					'format'  => $format,
+					'user'    => $user_id,
+					'account' => $account,
+					'expires' => $expires,
+					'token'   => $this->sign_download( $file_id, $format, $user_id, $expires, $account ),
+				),
+				$extra
+			),
+			rest_url( 'wpmudev/v1/drive/' . $route )
+		);
+	}
+
+	/**
+	 * Permission callback for the stream route.
+	 *
+	 * Plain links can't send the REST nonce, so the request is authorised by
+	 * the HMAC token issued by download_file() instead. The link is bound to
+	 * the file, format and user, expires quickly, and the user must still be
+	 * allowed to use the Drive page.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return true|WP_Error
+	 */
+	public function check_download_token( WP_REST_Request $request ) {
+		$file_id = $this->sanitize_drive_id( $request->get_param( 'file_id' ) );
+		$format  = sanitize_key( (string) $request->get_param( 'format' ) );
+		$user_id = absint( $request->get_param( 'user' ) );
+		$account = 'site' === $request->get_param( 'account' ) ? 'site' : '';
+		$expires = absint( $request->get_param( 'expires' ) );
+		$token   = (string) $request->get_param( 'token' );
+
+		$error = new WP_Error(
+			'invalid_download_token',
+			__( 'This download link is invalid or has expired.', 'wpmudev-plugin-test' ),
+			array( 'status' => 403 )
+		);
+
+		if ( empty( $file_id ) || empty( $user_id ) || empty( $token ) || $expires < time() ) {
+			return $error;
+		}
+
+		if ( ! hash_equals( $this->sign_download( $file_id, $format, $user_id, $expires, $account ), $token ) ) {
+			return $error;
+		}
+
+		// Links stop working once the user loses access to that account.
+		if ( ! user_can( $user_id, 'site' === $account ? 'wpmudev_drive_manage' : 'wpmudev_drive_view' ) ) {
+			return $error;
+		}
+
+		// Links don't carry the login cookie's nonce, so pick the account from the link.
+		$this->use_account( 'site' === $account ? 0 : $user_id );
+
+		return true;
+	}
+
+	/**
+	 * Sign the parameters of an embed link.
+	 *
+	 * @param string $file_id File ID.
+	 * @param string $format  Export format (empty for regular files).
+	 * @param int    $post_id Post the file is embedded in.
+	 * @return string HMAC signature.
+	 */
+	private function sign_embed( $file_id, $format, $post_id ) {
+		return hash_hmac( 'sha256', implode( '|', array( 'embed', $file_id, $format, $post_id ) ), wp_salt( 'auth' ) );
+	}
+
+	/**
+	 * Permission callback for the embed route.
+	 *
+	 * Embed links end up in cached pages, so they don't expire. Instead they
+	 * are bound to the post the file is embedded in, and only work for
+	 * visitors who can read that post. Files are always served from the site
+	 * account.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return true|WP_Error
+	 */
+	public function check_embed_token( WP_REST_Request $request ) {
+		$file_id = $this->sanitize_drive_id( $request->get_param( 'file_id' ) );
+		$format  = sanitize_key( (string) $request->get_param( 'format' ) );
+		$post_id = absint( $request->get_param( 'post' ) );
+		$token   = (string) $request->get_param( 'token' );
+
+		$error = new WP_Error(
+			'invalid_embed_token',
+			__( 'This file is not available.', 'wpmudev-plugin-test' ),
+			array( 'status' => 403 )
+		);
+
+		if ( empty( $file_id ) || empty( $post_id ) || empty( $token ) ) {
+			return $error;
+		}
+
+		// Only export formats; "zip" and "thumbnail" mean something else to stream_file().
+		if ( '' !== $format && ! isset( $this->export_mime_types[ $format ] ) ) {
+			return $error;
+		}
+
+		if ( ! hash_equals( $this->sign_embed( $file_id, $format, $post_id ), $token ) ) {
+			return $error;
+		}
+
+		$post = get_post( $post_id );
+		if ( ! $post || ! $this->can_embed_in_post( $post ) ) {
+			return $error;
+		}
+
+		$readable = is_post_publicly_viewable( $post ) && ! post_password_required( $post );
+		if ( ! $readable && ! current_user_can( 'read_post', $post->ID ) ) {
+			return $error;
+		}
+
+		$this->use_account( 0 );
+
+		return true;
+	}
+
+	/**
+	 * Create folder in Google Drive
+	 *
+	 * Fixed an issue where sanitize_text_field() was being too aggressive
+	 * and causing valid folder names like "abc test" to be rejected.
+	 * Now using more targeted character filtering that preserves spaces.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function create_folder( WP_REST_Request $request ) {
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$name = $this->validate_item_name( $request->get_param( 'name' ) );
+		if ( is_wp_error( $name ) ) {
+			return $name;
+		}
+
+		// Resolve the destination folder (defaults to My Drive root).
+		$parent_id = $this->resolve_parent_folder( $request->get_param( 'parent_id' ), $request->get_param( 'drive_id' ) );
+		if ( is_wp_error( $parent_id ) ) {
+			return $parent_id;
+		}
+
+		try {
+			$folder = new Google_Service_Drive_DriveFile();
+			$folder->setName( $name );
+			$folder->setMimeType( 'application/vnd.google-apps.folder' );
+
+			if ( ! empty( $parent_id ) ) {
+				$folder->setParents( array( $parent_id ) );
+			}
+
+			$result = $this->drive_service->files->create( $folder, $this->drive_params( array(
+				'fields' => 'id,name,mimeType,modifiedTime,webViewLink',
+			) ) );
+
+			return new WP_REST_Response(
+				array(
+					'success' => true,
+					'message' => __( 'Folder created successfully.', 'wpmudev-plugin-test' ),
+					'folder'  => array(
+						'id'           => $result->getId(),
+						'name'         => $result->getName(),
+						'mimeType'     => $result->getMimeType(),
+						'modifiedTime' => $result->getModifiedTime(),
+						'webViewLink'  => $result->getWebViewLink(),
+					),
+				),
+				200
+			);
+
+		} catch ( \Exception $e ) {
+			$error_message = $this->format_google_api_error( $e );
+			
+			return new WP_Error(
+				'create_failed',
+				sprintf( __( 'Failed to create folder: %s', 'wpmudev-plugin-test' ), $error_message ),
+				array( 'status' => 500 )
+			);
+		}
+	}
+
+	/**
+	 * Clean and validate a folder or item name.
+	 *
+	 * Google Drive is more permissive than local file systems, so only
+	 * control characters are stripped and whitespace is normalised.
+	 *
+	 * @param mixed $raw_name Raw name from the request.
+	 * @return string|WP_Error Clean name or WP_Error.
+	 */
+	private function validate_item_name( $raw_name ) {
+		if ( ! is_string( $raw_name ) || '' === trim( $raw_name ) ) {
+			return new WP_Error(
+				'missing_name',
+				__( 'Name is required.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$name = preg_replace( '/[\x00-\x1f\x7f]/', '', $raw_name ); // Remove control characters only
+		$name = trim( preg_replace( '/\s+/', ' ', $name ) ); // Normalize multiple spaces to single space
+
+		// Prevent names that are empty after cleaning, or just dots
+		if ( '' === $name || '.' === $name || '..' === $name ) {
+			return new WP_Error(
+				'invalid_name',
+				__( 'Invalid name.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( strlen( $name ) > 255 ) {
+			return new WP_Error(
+				'invalid_name_length',
+				__( 'Name must be 255 characters or less.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return $name;
+	}
+
+	/**
+	 * Common checks for the item management endpoints.
+	 *
+	 * Runs the admin/rate-limit check, makes sure we have a token and pulls
+	 * the target `file_id` from the request.
+	 *
+	 * @param WP_REST_Request $request    REST request object.
+	 * @param string          $capability Capability the action needs.
+	 * @return string|WP_Error File ID or WP_Error.
+	 */
+	public function prepare_item_action( WP_REST_Request $request, $capability = 'wpmudev_drive_manage' ) {
+		$security_check = $this->validate_admin_access( 'general', $capability );
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$file_id = $this->sanitize_drive_id( $request->get_param( 'file_id' ) );
+
+		if ( empty( $file_id ) || 'root' === $file_id ) {
+			return new WP_Error(
+				'missing_file_id',
+				__( 'File ID is required.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return $file_id;
+	}
+
+	/**
+	 * Wrap a Drive API failure from one of the item actions.
+	 *
+	 * @param string     $code    Error code.
+	 * @param string     $message Message with a %s placeholder for the API error.
+	 * @param \Exception $e       Exception thrown by the client.
+	 * @return WP_Error
+	 */
+	public function item_action_error( $code, $message, \Exception $e ) {
+		$status = (int) $e->getCode();
+
+		return new WP_Error(
+			$code,
+			sprintf( $message, $this->format_google_api_error( $e ) ),
+			array( 'status' => in_array( $status, array( 403, 404 ), true ) ? $status : 500 )
+		);
+	}
+
+	/**
+	 * Rename a file or folder.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rename_item( WP_REST_Request $request ) {
+		$file_id = $this->prepare_item_action( $request );
+		if ( is_wp_error( $file_id ) ) {
+			return $file_id;
+		}
+
+		$name = $this->validate_item_name( $request->get_param( 'name' ) );
+		if ( is_wp_error( $name ) ) {
+			return $name;
+		}
+
+		try {
+			$metadata = new Google_Service_Drive_DriveFile();
+			$metadata->setName( $name );
+
+			$result = $this->drive_service->files->update( $file_id, $metadata, $this->drive_params( array(
+				'fields' => 'id,name,mimeType,size,modifiedTime,webViewLink',
+			) ) );
+		} catch ( \Exception $e ) {
+			return $this->item_action_error( 'rename_failed', __( 'Failed to rename item: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Item renamed.', 'wpmudev-plugin-test' ),
+				'file'    => $this->format_file( $result ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Move a file or folder into another folder.
+	 *
+	 * Drive items can have several parents; moving replaces all of them with
+	 * the destination, which matches what "Move" does in the Drive UI.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function move_item( WP_REST_Request $request ) {
+		$file_id = $this->prepare_item_action( $request );
+		if ( is_wp_error( $file_id ) ) {
+			return $file_id;
+		}
+
+		$parent_id = $this->resolve_parent_folder( $request->get_param( 'parent_id' ), $request->get_param( 'drive_id' ) );
+		if ( is_wp_error( $parent_id ) ) {
+			return $parent_id;
+		}
+
+		if ( empty( $parent_id ) ) {
+			$parent_id = 'root';
+		}
+
+		if ( $parent_id === $file_id ) {
+			return new WP_Error(
+				'invalid_parent',
+				__( 'A folder cannot be moved into itself.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		try {
+			$current = $this->drive_service->files->get( $file_id, $this->drive_params( array( 'fields' => 'parents' ) ) );
+			$parents = (array) $current->getParents();
+
+			$result = $this->drive_service->files->update( $file_id, new Google_Service_Drive_DriveFile(), $this->drive_params( array(
+				'addParents'    => $parent_id,
+				'removeParents' => implode( ',', array_diff( $parents, array( $parent_id ) ) ),
+				'fields'        => 'id,name,mimeType,size,modifiedTime,webViewLink',
+			) ) );
+		} catch ( \Exception $e ) {
+			return $this->item_action_error( 'move_failed', __( 'Failed to move item: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Item moved.', 'wpmudev-plugin-test' ),
+				'file'    => $this->format_file( $result ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Copy a file, optionally under a new name or into another folder.
+	 *
+	 * The Drive API can't copy folders, so those are rejected up front.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function copy_item( WP_REST_Request $request ) {
+		$file_id = $this->prepare_item_action( $request );
+		if ( is_wp_error( $file_id ) ) {
+			return $file_id;
+		}
+
+		$parent_id = $this->resolve_parent_folder( $request->get_param( 'parent_id' ), $request->get_param( 'drive_id' ) );
+		if ( is_wp_error( $parent_id ) ) {
+			return $parent_id;
+		}
+
+		try {
+			$source = $this->drive_service->files->get( $file_id, $this->drive_params( array( 'fields' => 'id,name,mimeType' ) ) );
+		} catch ( \Exception $e ) {
+			return $this->item_action_error( 'copy_failed', __( 'Failed to copy item: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		if ( 'application/vnd.google-apps.folder' === $source->getMimeType() ) {
+			return new WP_Error(
+				'cannot_copy_folder',
+				__( 'Folders cannot be copied.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$raw_name = $request->get_param( 'name' );
+		if ( empty( $raw_name ) ) {
+			/* translators: %s: original file name */
+			$raw_name = sprintf( __( 'Copy of %s', 'wpmudev-plugin-test' ), $source->getName() );
+		}
+
+		$name = $this->validate_item_name( $raw_name );
+		if ( is_wp_error( $name ) ) {
+			return $name;
+		}
+
+		try {
+			$copy = new Google_Service_Drive_DriveFile();
+			$copy->setName( $name );
+
+			if ( ! empty( $parent_id ) ) {
+				$copy->setParents( array( $parent_id ) );
+			}
+
+			$result = $this->drive_service->files->copy( $file_id, $copy, $this->drive_params( array(
+				'fields' => 'id,name,mimeType,size,modifiedTime,webViewLink',
+			) ) );
+		} catch ( \Exception $e ) {
+			return $this->item_action_error( 'copy_failed', __( 'Failed to copy item: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Item copied.', 'wpmudev-plugin-test' ),
+				'file'    => $this->format_file( $result ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Move a file or folder to the trash.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function trash_item( WP_REST_Request $request ) {
+		return $this->set_item_trashed( $request, true );
+	}
+
+	/**
+	 * Restore a file or folder from the trash.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function restore_item( WP_REST_Request $request ) {
+		return $this->set_item_trashed( $request, false );
+	}
+
+	/**
+	 * Shared implementation for trash and restore.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @param bool            $trashed Whether the item should end up in the trash.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function set_item_trashed( WP_REST_Request $request, $trashed ) {
+		$file_id = $this->prepare_item_action( $request );
+		if ( is_wp_error( $file_id ) ) {
+			return $file_id;
+		}
+
+		try {
+			$metadata = new Google_Service_Drive_DriveFile();
+			$metadata->setTrashed( $trashed );
+
+			$result = $this->drive_service->files->update( $file_id, $metadata, $this->drive_params( array(
+				'fields' => 'id,name,mimeType,size,modifiedTime,webViewLink',
+			) ) );
+		} catch ( \Exception $e ) {
+			return $trashed
+				? $this->item_action_error( 'trash_failed', __( 'Failed to move item to trash: %s', 'wpmudev-plugin-test' ), $e )
+				: $this->item_action_error( 'restore_failed', __( 'Failed to restore item: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => $trashed
+					? __( 'Item moved to trash.', 'wpmudev-plugin-test' )
+					: __( 'Item restored.', 'wpmudev-plugin-test' ),
+				'file'    => $this->format_file( $result ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Permanently delete a file or folder, skipping the trash.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function delete_item( WP_REST_Request $request ) {
+		$file_id = $this->prepare_item_action( $request );
+		if ( is_wp_error( $file_id ) ) {
+			return $file_id;
+		}
+
+		try {
+			$this->drive_service->files->delete( $file_id, $this->drive_params() );
+		} catch ( \Exception $e ) {
+			return $this->item_action_error( 'delete_failed', __( 'Failed to delete item: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Item permanently deleted.', 'wpmudev-plugin-test' ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Run one Drive API call per item as batch requests.
+	 *
+	 * The client is in batch mode while the callback runs, so the calls it
+	 * makes on get_drive_service() are deferred instead of sent.
+	 *
+	 * @param array    $file_ids      File IDs.
+	 * @param callable $build_request Receives a file ID and returns the (deferred) API call.
+	 * @return array Map of file ID to the API result or the exception it raised.
+	 */
+	public function run_batch( array $file_ids, callable $build_request ) {
+		$results = array();
+
+		// Drive accepts up to 100 calls per batch.
+		foreach ( array_chunk( $file_ids, 100 ) as $chunk ) {
+			$this->client->setUseBatch( true );
+
+			try {
+				$batch = $this->drive_service->createBatch();
+
+				foreach ( $chunk as $file_id ) {
+					$batch->add( $build_request( $file_id ), $file_id );
+				}
+
+				$responses = $batch->execute();
+			} catch ( \Exception $e ) {
+				foreach ( $chunk as $file_id ) {
+					$results[ $file_id ] = $e;
+				}
+				continue;
+			} finally {
+				$this->client->setUseBatch( false );
+			}
+
+			foreach ( $chunk as $file_id ) {
+				$results[ $file_id ] = isset( $responses[ 'response-' . $file_id ] )
+					? $responses[ 'response-' . $file_id ]
+					: new \Exception( __( 'No response from Google Drive.', 'wpmudev-plugin-test' ) );
+			}
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Send a bulk download zip to the browser, then delete it.
+	 *
+	 * @param string $zip_id  Zip ID from the signed link.
+	 * @param int    $user_id User the link was issued to.
+	 * @return WP_Error|void Exits after streaming; returns WP_Error on failure.
+	 */
+	private function stream_bulk_zip( $zip_id, $user_id ) {
+		$zip = get_transient( 'wpmudev_drive_zip_' . $zip_id );
+
+		if ( empty( $zip ) || (int) $zip['user_id'] !== (int) $user_id || ! is_readable( $zip['path'] ) ) {
+			return new WP_Error(
+				'invalid_download_token',
+				__( 'This download link is invalid or has expired.', 'wpmudev-plugin-test' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		// The link is single use.
+		delete_transient( 'wpmudev_drive_zip_' . $zip_id );
+
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
+		}
+
+		status_header( 200 );
+		header( 'Content-Type: application/zip' );
+		header( 'Content-Disposition: ' . $this->get_content_disposition( $zip['filename'] ) );
+		header( 'Content-Length: ' . filesize( $zip['path'] ) );
+		header( 'Cache-Control: private, no-store' );
+		header( 'X-Content-Type-Options: nosniff' );
+
+		readfile( $zip['path'] ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_readfile
+		wp_delete_file( $zip['path'] );
+
+		exit;
+	}
+
+	/**
+	 * Upload a file from the server's disk to Drive.
+	 *
+	 * The file is sent as a resumable upload in chunks, so memory use stays
+	 * flat however large it is. Given a file ID, the upload replaces that
+	 * file's content instead of creating a new file.
+	 *
+	 * @param string $path      Local file path.
+	 * @param string $name      Name to give the file in Drive.
+	 * @param string $mime_type MIME type.
+	 * @param string $parent_id Destination folder ID, empty for My Drive. Ignored when updating.
+	 * @param string $file_id   Drive file to update, empty to create a new one.
+	 * @return Google_Service_Drive_DriveFile|WP_Error Drive file with id, webViewLink, md5Checksum and modifiedTime.
+	 */
+	public function upload_local_file( $path, $name, $mime_type, $parent_id = '', $file_id = '' ) {
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$handle = is_readable( $path ) ? fopen( $path, 'rb' ) : false; // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		if ( ! $handle ) {
+			return new WP_Error(
+				'file_not_readable',
+				__( 'The file could not be read from the server.', 'wpmudev-plugin-test' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		$metadata = new Google_Service_Drive_DriveFile();
+		$metadata->setName( $name );
+
+		if ( ! empty( $parent_id ) && empty( $file_id ) ) {
+			$metadata->setParents( array( $parent_id ) );
+		}
+
+		@set_time_limit( 0 ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+
+		$result = false;
+		$params = $this->drive_params( array( 'fields' => 'id,name,size,webViewLink,md5Checksum,modifiedTime' ) );
+
+		try {
+			$this->client->setDefer( true );
+			$create = empty( $file_id )
+				? $this->drive_service->files->create( $metadata, $params )
+				: $this->drive_service->files->update( $this->sanitize_drive_id( $file_id ), $metadata, $params );
+
+			$media = new \Google_Http_MediaFileUpload(
+				$this->client,
+				$create,
+				$mime_type ? $mime_type : 'application/octet-stream',
+				null,
+				true,
+				$this->local_upload_chunk_size
+			);
+			$media->setFileSize( filesize( $path ) );
+
+			while ( false === $result && ! feof( $handle ) ) {
+				$result = $media->nextChunk( fread( $handle, $this->local_upload_chunk_size ) ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fread
+			}
+		} catch ( \Exception $e ) {
+			return new WP_Error(
+				'upload_failed',
+				sprintf( __( 'Failed to upload file: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
+				array( 'status' => 500 )
+			);
+		} finally {
+			$this->client->setDefer( false );
+			fclose( $handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		}
+
+		if ( ! $result instanceof Google_Service_Drive_DriveFile ) {
+			return new WP_Error(
+				'upload_failed',
+				__( 'Google Drive did not confirm the upload.', 'wpmudev-plugin-test' ),
+				array( 'status' => 502 )
+			);
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Permanently delete a file from Drive.
+	 *
+	 * A file that is already gone counts as deleted.
+	 *
+	 * @param string $file_id Drive file ID.
+	 * @return true|WP_Error
+	 */
+	public function delete_drive_file( $file_id ) {
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		try {
+			$this->drive_service->files->delete( $this->sanitize_drive_id( $file_id ), $this->drive_params() );
+		} catch ( \Exception $e ) {
+			if ( 404 !== (int) $e->getCode() ) {
+				return $this->item_action_error( 'delete_failed', __( 'Failed to delete item: %s', 'wpmudev-plugin-test' ), $e );
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Move a file or folder to the Drive trash.
+	 *
+	 * A file that is already gone counts as trashed.
+	 *
+	 * @param string $file_id Drive file ID.
+	 * @return true|WP_Error
+	 */
+	public function trash_drive_file( $file_id ) {
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		try {
+			$metadata = new Google_Service_Drive_DriveFile();
+			$metadata->setTrashed( true );
+
+			$this->drive_service->files->update( $this->sanitize_drive_id( $file_id ), $metadata, $this->drive_params( array( 'fields' => 'id' ) ) );
+		} catch ( \Exception $e ) {
+			if ( 404 !== (int) $e->getCode() ) {
+				return $this->item_action_error( 'trash_failed', __( 'Failed to move item to trash: %s', 'wpmudev-plugin-test' ), $e );
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Create a folder in Drive.
+	 *
+	 * @param string $name      Folder name.
+	 * @param string $parent_id Parent folder ID, empty for My Drive.
+	 * @return array|WP_Error Folder, shaped like list_folder_items() entries.
+	 */
+	public function create_drive_folder( $name, $parent_id = '' ) {
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		$name = $this->validate_item_name( $name );
+		if ( is_wp_error( $name ) ) {
+			return $name;
+		}
+
+		try {
+			$folder = new Google_Service_Drive_DriveFile();
+			$folder->setName( $name );
+			$folder->setMimeType( 'application/vnd.google-apps.folder' );
+
+			if ( ! empty( $parent_id ) ) {
+				$folder->setParents( array( $this->sanitize_drive_id( $parent_id ) ) );
+			}
+
+			$result = $this->drive_service->files->create( $folder, $this->drive_params( array(
+				'fields' => $this->sync_item_fields,
+			) ) );
+		} catch ( \Exception $e ) {
+			return new WP_Error(
+				'create_failed',
+				sprintf( __( 'Failed to create folder: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
+				array( 'status' => 500 )
+			);
+		}
+
+		return $this->format_sync_item( $result );
+	}
 
-			return new WP_REST_Response(
-				array(
-					'success' => true,
-					'message' => __( 'File uploaded successfully.', 'wpmudev-plugin-test' ),
-					'file'    => array(
-						'id'           => $result->getId(),
-						'name'         => $result->getName(),
-						'mimeType'     => $result->getMimeType(),
-						'size'         => $result->getSize(),
-						'modifiedTime' => $result->getModifiedTime(),
-						'webViewLink'  => $result->getWebViewLink(),
-					),
-				),
-				200
+	/**
+	 * List one page of the items directly inside a folder, trashed ones left out.
+	 *
+	 * @param string $folder_id  Folder ID.
+	 * @param string $page_token Page token from the previous page, empty for the first.
+	 * @return array|WP_Error {
+	 *     @type array  $files           Items, see format_sync_item().
+	 *     @type string $next_page_token Token for the next page, empty on the last.
+	 * }
+	 */
+	public function list_folder_items( $folder_id, $page_token = '' ) {
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
 			);
+		}
 
-		} catch ( \Exception $e ) {
-			// Clean up temporary file on error.
-			if ( isset( $file['tmp_name'] ) && file_exists( $file['tmp_name'] ) ) {
-				@unlink( $file['tmp_name'] ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
-			}
+		$options = $this->drive_params( array(
+			'q'                         => sprintf( "'%s' in parents and trashed = false", $this->sanitize_drive_id( $folder_id ) ),
+			'fields'                    => 'nextPageToken,files(' . $this->sync_item_fields . ')',
+			'pageSize'                  => 100,
+			'includeItemsFromAllDrives' => true,
+		) );
 
-			$error_message = $this->format_google_api_error( $e );
+		if ( ! empty( $page_token ) ) {
+			$options['pageToken'] = $page_token;
+		}
 
+		try {
+			$results = $this->drive_service->files->listFiles( $options );
+		} catch ( \Exception $e ) {
 			return new WP_Error(
-				'upload_failed',
-				sprintf( __( 'Failed to upload file: %s', 'wpmudev-plugin-test' ), $error_message ),
+				'api_error',
+				sprintf( __( 'Failed to list files: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
 				array( 'status' => 500 )
 			);
 		}
+
+		return array(
+			'files'           => array_map( array( $this, 'format_sync_item' ), $results->getFiles() ),
+			'next_page_token' => (string) $results->getNextPageToken(),
+		);
 	}
 
 	/**
-	 * Download file from Google Drive.
+	 * Get the token that marks "now" in the Drive changes feed.
 	 *
-	 * @param WP_REST_Request $request REST request object.
-	 * @return WP_REST_Response|WP_Error
+	 * @return string|WP_Error
 	 */
-	public function download_file( WP_REST_Request $request ) {
+	public function get_changes_start_token() {
 		if ( ! $this->ensure_valid_token() ) {
 			return new WP_Error(
 				'no_access_token',
@@ -951,72 +4387,190 @@ class Drive_API extends Base {
 			);
 		}
 
-		$file_id = sanitize_text_field( $request->get_param( 'file_id' ) );
-		
-		if ( empty( $file_id ) ) {
+		try {
+			$result = $this->drive_service->changes->getStartPageToken( $this->drive_params() );
+		} catch ( \Exception $e ) {
 			return new WP_Error(
-				'missing_file_id',
-				__( 'File ID is required.', 'wpmudev-plugin-test' ),
-				array( 'status' => 400 )
+				'api_error',
+				sprintf( __( 'Failed to read the Drive changes feed: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
+				array( 'status' => 500 )
+			);
+		}
+
+		return (string) $result->getStartPageToken();
+	}
+
+	/**
+	 * List one page of the Drive changes feed.
+	 *
+	 * The feed covers the whole account; callers pick out the changes to
+	 * items they care about.
+	 *
+	 * @param string $page_token Token from get_changes_start_token() or the previous page.
+	 * @return array|WP_Error {
+	 *     @type array  $changes              Each { file_id, removed, file }, file shaped by
+	 *                                        format_sync_item() or null when removed.
+	 *     @type string $next_page_token      Token for the next page, empty on the last.
+	 *     @type string $new_start_page_token Token to start from next time, set on the last page.
+	 * }
+	 */
+	public function list_changes( $page_token ) {
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
 			);
 		}
 
 		try {
-			// Get file metadata.
-			$file = $this->drive_service->files->get( $file_id, array(
-				'fields' => 'id,name,mimeType,size',
-			) );
+			$results = $this->drive_service->changes->listChanges( (string) $page_token, $this->drive_params( array(
+				'fields'                    => 'nextPageToken,newStartPageToken,changes(fileId,removed,file(' . $this->sync_item_fields . '))',
+				'pageSize'                  => 100,
+				'includeItemsFromAllDrives' => true,
+			) ) );
+		} catch ( \Exception $e ) {
+			return new WP_Error(
+				'api_error',
+				sprintf( __( 'Failed to read the Drive changes feed: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
+				array( 'status' => 500 )
+			);
+		}
 
-			// Check if it's a folder.
-			if ( $file->getMimeType() === 'application/vnd.google-apps.folder' ) {
-				return new WP_Error(
-					'invalid_file_type',
-					__( 'Cannot download folders.', 'wpmudev-plugin-test' ),
-					array( 'status' => 400 )
-				);
-			}
+		$changes = array();
+		foreach ( $results->getChanges() as $change ) {
+			$file = $change->getFile();
 
-			// Download file content.
-			$response = $this->drive_service->files->get( $file_id, array(
-				'alt' => 'media',
-			) );
+			$changes[] = array(
+				'file_id' => (string) $change->getFileId(),
+				'removed' => (bool) $change->getRemoved(),
+				'file'    => $file ? $this->format_sync_item( $file ) : null,
+			);
+		}
+
+		return array(
+			'changes'              => $changes,
+			'next_page_token'      => (string) $results->getNextPageToken(),
+			'new_start_page_token' => (string) $results->getNewStartPageToken(),
+		);
+	}
+
+	/**
+	 * Save the content of a Drive file to the server's disk.
+	 *
+	 * Bytes are written straight to the file rather than held in memory.
+	 * Google Workspace files are saved as an export, in the given format or
+	 * the first one they support.
+	 *
+	 * @param string $file_id Drive file ID.
+	 * @param string $path    Where to write the file.
+	 * @param string $format  Export format for Google Workspace files.
+	 * @return array|WP_Error {
+	 *     @type string $filename  Name the file has in Drive, with the export extension.
+	 *     @type string $mime_type MIME type of the saved content.
+	 *     @type string $format    Export format, empty for regular files.
+	 * }
+	 */
+	public function download_to_file( $file_id, $path, $format = '' ) {
+		if ( ! $this->ensure_valid_token() ) {
+			return new WP_Error(
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
+			);
+		}
 
-			$content = $response->getBody()->getContents();
+		@set_time_limit( 0 ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
 
-			// Return file content as base64 for JSON response.
-			return new WP_REST_Response(
+		try {
+			$file = $this->drive_service->files->get( $this->sanitize_drive_id( $file_id ), $this->drive_params( array(
+				'fields' => 'id,name,mimeType',
+			) ) );
+		} catch ( \Exception $e ) {
+			return $this->item_action_error( 'download_failed', __( 'Failed to download file: %s', 'wpmudev-plugin-test' ), $e );
+		}
+
+		$source = $this->get_download_source( $file, sanitize_key( $format ) );
+		if ( is_wp_error( $source ) ) {
+			return $source;
+		}
+
+		try {
+			$response = $this->client->authorize()->request(
+				'GET',
+				$source['url'],
 				array(
-					'success'  => true,
-					'content'  => base64_encode( $content ), // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode
-					'filename' => $file->getName(),
-					'mimeType' => $file->getMimeType(),
-					'size'     => $file->getSize(),
-				),
-				200
+					'sink'        => $path,
+					'http_errors' => false,
+				)
 			);
-
 		} catch ( \Exception $e ) {
-			$error_message = $this->format_google_api_error( $e );
-			
+			wp_delete_file( $path );
+
 			return new WP_Error(
 				'download_failed',
-				sprintf( __( 'Failed to download file: %s', 'wpmudev-plugin-test' ), $error_message ),
+				sprintf( __( 'Failed to download file: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
 				array( 'status' => 500 )
 			);
 		}
+
+		if ( $response->getStatusCode() >= 400 ) {
+			wp_delete_file( $path );
+
+			return new WP_Error(
+				'download_failed',
+				sprintf(
+					__( 'Failed to download file: Google Drive responded with HTTP %d.', 'wpmudev-plugin-test' ),
+					$response->getStatusCode()
+				),
+				array( 'status' => 502 )
+			);
+		}
+
+		return array(
+			'filename'  => $source['filename'],
+			'mime_type' => $source['mime_type'],
+			'format'    => $source['format'],
+		);
 	}
 
 	/**
-	 * Create folder in Google Drive
+	 * Shape a Drive file for the folder sync.
 	 *
-	 * Fixed an issue where sanitize_text_field() was being too aggressive
-	 * and causing valid folder names like "abc test" to be rejected.
-	 * Now using more targeted character filtering that preserves spaces.
+	 * @param \Google_Service_Drive_DriveFile $file Drive file.
+	 * @return array {
+	 *     @type string $id           File ID.
+	 *     @type string $name         File name.
+	 *     @type string $mimeType     MIME type.
+	 *     @type bool   $isFolder     Whether this is a folder.
+	 *     @type string $md5Checksum  Content checksum, empty for folders and Workspace files.
+	 *     @type string $modifiedTime RFC 3339 modification time.
+	 *     @type int    $size         Size in bytes.
+	 *     @type array  $parents      Parent folder IDs.
+	 *     @type bool   $trashed      Whether the file is in the trash.
+	 * }
+	 */
+	private function format_sync_item( $file ) {
+		return array(
+			'id'           => (string) $file->getId(),
+			'name'         => (string) $file->getName(),
+			'mimeType'     => (string) $file->getMimeType(),
+			'isFolder'     => 'application/vnd.google-apps.folder' === $file->getMimeType(),
+			'md5Checksum'  => (string) $file->getMd5Checksum(),
+			'modifiedTime' => (string) $file->getModifiedTime(),
+			'size'         => absint( $file->getSize() ),
+			'parents'      => (array) $file->getParents(),
+			'trashed'      => (bool) $file->getTrashed(),
+		);
+	}
+
+	/**
+	 * Check a Drive folder ID picked in the plugin's settings.
 	 *
-	 * @param WP_REST_Request $request REST request object.
-	 * @return WP_REST_Response|WP_Error
+	 * @param mixed $raw_folder_id Raw folder ID.
+	 * @return string|WP_Error Folder ID, empty string for My Drive root, or WP_Error.
 	 */
-	public function create_folder( WP_REST_Request $request ) {
+	public function check_folder( $raw_folder_id ) {
 		if ( ! $this->ensure_valid_token() ) {
 			return new WP_Error(
 				'no_access_token',
@@ -1025,86 +4579,207 @@ class Drive_API extends Base {
 			);
 		}
 
-		// Get and clean the folder name - being more careful with sanitization
-		$raw_name = $request->get_param( 'name' );
-		
-		if ( empty( $raw_name ) ) {
+		return $this->resolve_parent_folder( $raw_folder_id );
+	}
+
+	/**
+	 * Create a short-lived download link for a Drive file.
+	 *
+	 * For callers outside the Drive endpoints that already know the file
+	 * is one the user may fetch, such as a backup from the history.
+	 *
+	 * @param string $file_id Drive file ID.
+	 * @return array|WP_Error {
+	 *     @type string $url     Signed link.
+	 *     @type int    $expires Expiry timestamp.
+	 * }
+	 */
+	public function get_download_link( $file_id ) {
+		$file_id = $this->sanitize_drive_id( $file_id );
+		$expires = time() + $this->download_link_ttl;
+
+		if ( empty( $file_id ) ) {
 			return new WP_Error(
-				'missing_name',
-				__( 'Folder name is required.', 'wpmudev-plugin-test' ),
+				'invalid_file_id',
+				__( 'Invalid file ID.', 'wpmudev-plugin-test' ),
 				array( 'status' => 400 )
 			);
 		}
 
-		// Clean the name but preserve spaces and most characters
-		// Google Drive is more permissive than local file systems
-		$name = trim( $raw_name );
-		
-		// Only remove truly dangerous characters (control chars and path separators)
-		$name = preg_replace( '/[\x00-\x1f\x7f]/', '', $name ); // Remove control characters only
-		$name = preg_replace( '/\s+/', ' ', $name ); // Normalize multiple spaces to single space
-		$name = trim( $name );
+		return array(
+			'url'     => $this->get_signed_link( 'stream', $file_id, '', $expires ),
+			'expires' => $expires,
+		);
+	}
+
+	/**
+	 * Get the details of a file or folder to embed in a post.
+	 *
+	 * Folders come with all their files (subfolders are left out). Results are
+	 * cached in a transient, so busy pages don't call Drive on every view;
+	 * failures aren't cached.
+	 *
+	 * @param string $file_id Drive file or folder ID.
+	 * @return array|WP_Error {
+	 *     @type string $id          File ID.
+	 *     @type string $name        File name.
+	 *     @type string $mimeType    MIME type.
+	 *     @type int    $size        Size in bytes, 0 if unknown.
+	 *     @type bool   $isFolder    Whether this is a folder.
+	 *     @type string $previewKind How the file can be shown inline, see get_preview_kind().
+	 *     @type string $format      Export format for Google Workspace files, empty otherwise.
+	 *     @type array  $files       Files in the folder, each shaped like the above.
+	 * }
+	 */
+	public function get_embed_item( $file_id ) {
+		$file_id = $this->sanitize_drive_id( $file_id );
 
-		// Check if name is empty after cleaning
-		if ( empty( $name ) ) {
+		if ( empty( $file_id ) || 'root' === $file_id ) {
 			return new WP_Error(
-				'invalid_name',
-				__( 'Folder name contains only invalid characters.', 'wpmudev-plugin-test' ),
+				'invalid_file_id',
+				__( 'Invalid file ID.', 'wpmudev-plugin-test' ),
 				array( 'status' => 400 )
 			);
 		}
 
-		// Additional validation: prevent names that are just dots or problematic
-		if ( $name === '.' || $name === '..' ) {
-			return new WP_Error(
-				'invalid_name',
-				__( 'Invalid folder name.', 'wpmudev-plugin-test' ),
-				array( 'status' => 400 )
-			);
+		$transient_key = 'wpmudev_drive_embed_' . md5( $file_id );
+		$cached        = get_transient( $transient_key );
+
+		if ( is_array( $cached ) ) {
+			return $cached;
 		}
 
-		// Validate folder name length
-		if ( strlen( $name ) > 255 ) {
+		if ( ! $this->ensure_valid_token() ) {
 			return new WP_Error(
-				'invalid_name_length',
-				__( 'Folder name must be 255 characters or less.', 'wpmudev-plugin-test' ),
-				array( 'status' => 400 )
+				'no_access_token',
+				__( 'Not authenticated with Google Drive. Please authenticate first.', 'wpmudev-plugin-test' ),
+				array( 'status' => 401 )
 			);
 		}
 
 		try {
-			$folder = new Google_Service_Drive_DriveFile();
-			$folder->setName( $name );
-			$folder->setMimeType( 'application/vnd.google-apps.folder' );
+			$file = $this->drive_service->files->get( $file_id, $this->drive_params( array(
+				'fields' => 'id,name,mimeType,size,trashed',
+			) ) );
 
-			$result = $this->drive_service->files->create( $folder, array(
-				'fields' => 'id,name,mimeType,modifiedTime,webViewLink',
-			) );
+			if ( $file->getTrashed() ) {
+				return new WP_Error(
+					'file_not_found',
+					__( 'The file is in the trash.', 'wpmudev-plugin-test' ),
+					array( 'status' => 404 )
+				);
+			}
 
-			return new WP_REST_Response(
-				array(
-					'success' => true,
-					'message' => __( 'Folder created successfully.', 'wpmudev-plugin-test' ),
-					'folder'  => array(
-						'id'           => $result->getId(),
-						'name'         => $result->getName(),
-						'mimeType'     => $result->getMimeType(),
-						'modifiedTime' => $result->getModifiedTime(),
-						'webViewLink'  => $result->getWebViewLink(),
-					),
-				),
-				200
-			);
+			$item = $this->format_embed_item( $file );
+
+			if ( $item['isFolder'] ) {
+				$options = $this->drive_params( array(
+					'q'                         => sprintf( "'%s' in parents and trashed = false and mimeType != 'application/vnd.google-apps.folder'", $file_id ),
+					'fields'                    => 'nextPageToken,files(id,name,mimeType,size)',
+					'orderBy'                   => 'name',
+					'pageSize'                  => 1000,
+					'includeItemsFromAllDrives' => true,
+				) );
+
+				do {
+					$results       = $this->drive_service->files->listFiles( $options );
+					$item['files'] = array_merge( $item['files'], array_map( array( $this, 'format_embed_item' ), $results->getFiles() ) );
 
+					$options['pageToken'] = $results->getNextPageToken();
+				} while ( ! empty( $options['pageToken'] ) );
+			}
 		} catch ( \Exception $e ) {
-			$error_message = $this->format_google_api_error( $e );
-			
 			return new WP_Error(
-				'create_failed',
-				sprintf( __( 'Failed to create folder: %s', 'wpmudev-plugin-test' ), $error_message ),
-				array( 'status' => 500 )
+				'embed_failed',
+				sprintf( __( 'Failed to load the file from Google Drive: %s', 'wpmudev-plugin-test' ), $this->format_google_api_error( $e ) ),
+				array( 'status' => 404 === (int) $e->getCode() ? 404 : 500 )
 			);
 		}
+
+		set_transient( $transient_key, $item, $this->embed_cache_ttl );
+
+		return $item;
+	}
+
+	/**
+	 * Shape a Drive file for embedding.
+	 *
+	 * @param \Google_Service_Drive_DriveFile $file Drive file.
+	 * @return array See get_embed_item().
+	 */
+	private function format_embed_item( $file ) {
+		$mime_type = (string) $file->getMimeType();
+		$format    = '';
+
+		// Workspace files are embedded through their PDF export where there is one.
+		if ( isset( $this->export_formats[ $mime_type ] ) ) {
+			$format = in_array( 'pdf', $this->export_formats[ $mime_type ], true ) ? 'pdf' : $this->export_formats[ $mime_type ][0];
+		}
+
+		return array(
+			'id'          => $file->getId(),
+			'name'        => $file->getName(),
+			'mimeType'    => $mime_type,
+			'size'        => absint( $file->getSize() ),
+			'isFolder'    => 'application/vnd.google-apps.folder' === $mime_type,
+			'previewKind' => $this->get_preview_kind( $mime_type ),
+			'format'      => $format,
+			'files'       => array(),
+		);
+	}
+
+	/**
+	 * Whether Drive files may be embedded in a post.
+	 *
+	 * Embeds are read through the site account, which needs the Manage Drive
+	 * capability everywhere else. Both the post's author and whoever last
+	 * saved it (the `_edit_last` meta) must have it, so neither a view-only
+	 * author nor an editor changing someone else's post can publish files
+	 * from the site account.
+	 *
+	 * @param int|\WP_Post $post Post.
+	 * @return bool
+	 */
+	public function can_embed_in_post( $post ) {
+		$post = get_post( $post );
+		if ( ! $post || ! user_can( (int) $post->post_author, 'wpmudev_drive_manage' ) ) {
+			return false;
+		}
+
+		$editor = (int) get_post_meta( $post->ID, '_edit_last', true );
+
+		return ! $editor || user_can( $editor, 'wpmudev_drive_manage' );
+	}
+
+	/**
+	 * Create a link to a file embedded in a post.
+	 *
+	 * The link works for as long as the post is readable, see
+	 * check_embed_token().
+	 *
+	 * @param string $file_id Drive file ID.
+	 * @param string $format  Export format, empty for regular files.
+	 * @param int    $post_id Post the file is embedded in.
+	 * @param bool   $inline  Show the file in the browser instead of downloading it.
+	 * @return string URL.
+	 */
+	public function get_embed_link( $file_id, $format, $post_id, $inline = false ) {
+		$file_id = $this->sanitize_drive_id( $file_id );
+		$format  = sanitize_key( $format );
+		$post_id = absint( $post_id );
+
+		$args = array(
+			'file_id' => rawurlencode( $file_id ),
+			'format'  => $format,
+			'post'    => $post_id,
+			'token'   => $this->sign_embed( $file_id, $format, $post_id ),
+		);
+
+		if ( $inline ) {
+			$args['inline'] = 1;
+		}
+
+		return add_query_arg( $args, rest_url( 'wpmudev/v1/drive/embed' ) );
 	}
 
 	/**
@@ -1115,25 +4790,36 @@ class Drive_API extends Base {
 	 * 2. Clear all local token storage (failsafe)
 	 *
 	 * Even if the Google revocation fails (network issues, etc.), we still clear
-	 * the local tokens so the user can disconnect cleanly.
+	 * the local tokens so the user can disconnect cleanly. Only the current
+	 * user's connection is removed, unless "account" asks for the site account.
 	 *
 	 * @param WP_REST_Request $request REST request object.
 	 * @return WP_REST_Response|WP_Error
 	 */
 	public function disconnect( WP_REST_Request $request ) {
-		// Get whatever tokens we have stored
-		$access_token  = get_option( 'wpmudev_drive_access_token', '' );
-		$refresh_token = get_option( 'wpmudev_drive_refresh_token', '' );
+		if ( null !== $this->service_account ) {
+			return new WP_Error(
+				'service_account_mode',
+				__( 'The site uses a service account. Save OAuth credentials to stop using it.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$site_access = $this->check_site_account_access( $request );
+		if ( is_wp_error( $site_access ) ) {
+			return $site_access;
+		}
+
+		$account_id = 'site' === $request->get_param( 'account' ) ? 0 : get_current_user_id();
+		$connection = $this->get_connection( $account_id );
 
 		// Try to properly revoke the token with Google first
 		// This is the "polite" way to disconnect - tells Google we're done
-		if ( $this->client && ( ! empty( $access_token ) || ! empty( $refresh_token ) ) ) {
+		if ( $this->client && ! empty( $connection ) ) {
 			try {
 				// Prefer refresh token for revocation as it's more permanent
-				$token_to_revoke = $refresh_token ?: ( is_array( $access_token ) ? ( $access_token['access_token'] ?? '' ) : $access_token );
-				if ( ! empty( $token_to_revoke ) ) {
-					$this->client->revokeToken( $token_to_revoke );
-				}
+				$token_to_revoke = ! empty( $connection['token']['refresh_token'] ) ? $connection['token']['refresh_token'] : $connection['token']['access_token'];
+				$this->client->revokeToken( $token_to_revoke );
 			} catch ( \Exception $e ) {
 				// If Google revocation fails, that's okay - we'll still clean up locally
 				// This could happen if the token is already expired or network issues
@@ -1142,14 +4828,14 @@ class Drive_API extends Base {
 
 		// Always clear our local storage regardless of Google API success
 		// This ensures the user can always disconnect from our side
-		delete_option( 'wpmudev_drive_access_token' );
-		delete_option( 'wpmudev_drive_refresh_token' );
-		delete_option( 'wpmudev_drive_token_expires' );
+		$this->delete_connection( $account_id );
 
 		return new WP_REST_Response(
 			array(
 				'success' => true,
-				'message' => __( 'Successfully disconnected from Google Drive.', 'wpmudev-plugin-test' ),
+				'message' => $account_id
+					? __( 'Successfully disconnected from Google Drive.', 'wpmudev-plugin-test' )
+					: __( 'Site account disconnected from Google Drive.', 'wpmudev-plugin-test' ),
 			),
 			200
 		);
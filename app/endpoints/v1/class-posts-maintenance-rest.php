@@ -51,6 +51,21 @@ class Posts_Maintenance_REST extends Base {
 	 */
 	private $action_group = 'wpmudev-plugin-test';
 
+	/**
+	 * Option name for the minutes a running scan may go without a batch
+	 * reporting in before it is treated as stuck.
+	 *
+	 * @var string
+	 */
+	private $stale_option = 'wpmudev_posts_maintenance_stale_after';
+
+	/**
+	 * Default for the stale option, in minutes.
+	 *
+	 * @var int
+	 */
+	private $default_stale_after = 10;
+
 	/**
 	 * Init hooks.
 	 *
@@ -58,7 +73,7 @@ class Posts_Maintenance_REST extends Base {
 	 */
 	public function init() {
 		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
-		add_action( $this->action_hook, array( $this, 'process_batch' ), 10, 1 );
+		add_action( $this->action_hook, array( $this, 'process_batch' ), 10, 2 );
 	}
 
 	/**
@@ -67,6 +82,7 @@ class Posts_Maintenance_REST extends Base {
 	 * @return void
 	 */
 	public function register_routes() {
+		// Polled while a scan runs, so it isn't audited.
 		register_rest_route(
 			'wpmudev/v1',
 			'/posts-maintenance/status',
@@ -84,6 +100,40 @@ class Posts_Maintenance_REST extends Base {
 				'methods'             => 'POST',
 				'callback'            => array( $this, 'start_scan' ),
 				'permission_callback' => array( $this, 'check_permissions' ),
+				'audit'               => 'maintenance.scan',
+			)
+		);
+
+		register_rest_route(
+			'wpmudev/v1',
+			'/posts-maintenance/pause',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'pause_scan' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+				'audit'               => 'maintenance.pause',
+			)
+		);
+
+		register_rest_route(
+			'wpmudev/v1',
+			'/posts-maintenance/resume',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'resume_scan' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+				'audit'               => 'maintenance.resume',
+			)
+		);
+
+		register_rest_route(
+			'wpmudev/v1',
+			'/posts-maintenance/cancel',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'cancel_scan' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+				'audit'               => 'maintenance.cancel',
 			)
 		);
 	}
@@ -91,9 +141,9 @@ class Posts_Maintenance_REST extends Base {
 	/**
 	 * Permission check for Posts Maintenance endpoints.
 	 *
-	 * Posts maintenance operations can affect all posts on the site, so we need
-	 * to ensure only administrators can access these endpoints. Using the same
-	 * security approach as the Google Drive endpoints.
+	 * Posts maintenance operations can affect all posts on the site, so they
+	 * need the wpmudev_run_maintenance capability. Using the same security
+	 * approach as the Google Drive endpoints.
 	 *
 	 * @return bool
 	 */
@@ -103,8 +153,8 @@ class Posts_Maintenance_REST extends Base {
 			return false;
 		}
 
-		// User must have admin capabilities (manage_options = Administrator role)
-		if ( ! current_user_can( 'manage_options' ) ) {
+		// User must be allowed to run maintenance
+		if ( ! current_user_can( 'wpmudev_run_maintenance' ) ) {
 			return false;
 		}
 
@@ -125,7 +175,7 @@ class Posts_Maintenance_REST extends Base {
 			);
 		}
 
-		if ( ! current_user_can( 'manage_options' ) ) {
+		if ( ! current_user_can( 'wpmudev_run_maintenance' ) ) {
 			return new WP_Error(
 				'insufficient_permissions',
 				__( 'You do not have permission to perform this action.', 'wpmudev-plugin-test' ),
@@ -153,7 +203,7 @@ class Posts_Maintenance_REST extends Base {
 			);
 		}
 
-		$state = $this->get_state();
+		$state = $this->recover_stale_scan();
 		
 		// Check Action Scheduler availability.
 		$action_scheduler_available = function_exists( 'as_schedule_single_action' );
@@ -173,6 +223,7 @@ class Posts_Maintenance_REST extends Base {
 				'state'                    => $state,
 				'action_scheduler_available' => $action_scheduler_available,
 				'pending_actions'          => $pending_actions,
+				'stale_after'              => $this->get_stale_after(),
 			),
 			200
 		);
@@ -192,7 +243,7 @@ class Posts_Maintenance_REST extends Base {
 			return $security_check;
 		}
 
-		$state = $this->get_state();
+		$state = $this->recover_stale_scan();
 
 		if ( ! empty( $state['running'] ) ) {
 			return new WP_REST_Response(
@@ -240,6 +291,19 @@ class Posts_Maintenance_REST extends Base {
 		}
 		update_option( $this->option_name, $post_types );
 
+		$stale_after = $request->get_param( 'stale_after' );
+		if ( null !== $stale_after ) {
+			$stale_after = absint( $stale_after );
+			if ( $stale_after < 1 || $stale_after > 1440 ) {
+				return new WP_Error(
+					'invalid_stale_after',
+					__( 'Recovery time must be between 1 and 1440 minutes.', 'wpmudev-plugin-test' ),
+					array( 'status' => 400 )
+				);
+			}
+			update_option( $this->stale_option, $stale_after );
+		}
+
 		// Count total posts to process.
 		$count_query = new \WP_Query(
 			array(
@@ -262,10 +326,12 @@ class Posts_Maintenance_REST extends Base {
 			'last_scan'   => get_option( 'wpmudev_posts_maintenance_last_scan', '' ),
 			'started_at'  => time(),
 			'updated_at'  => time(),
+			'run'         => wp_generate_password( 12, false ),
 		);
 
+		// Starting over replaces a paused scan.
 		$this->save_state( $new_state );
-		$this->schedule_first_batch();
+		$this->schedule_first_batch( 0, $new_state['run'] );
 
 		return new WP_REST_Response(
 			array(
@@ -277,13 +343,131 @@ class Posts_Maintenance_REST extends Base {
 		);
 	}
 
+	/**
+	 * Pause the running scan.
+	 *
+	 * Pending batches are unscheduled and the cursor stays in the saved
+	 * state, so resuming continues with the next unprocessed post.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function pause_scan() {
+		$security_check = $this->validate_admin_access();
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		$state = $this->get_state();
+		if ( empty( $state['running'] ) ) {
+			return new WP_Error(
+				'scan_not_running',
+				__( 'There is no running scan to pause.', 'wpmudev-plugin-test' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		$this->save_state( $this->pause_state( $state ) );
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Scan paused.', 'wpmudev-plugin-test' ),
+				'state'   => $this->get_state(),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Resume a paused scan from its saved cursor.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function resume_scan() {
+		$security_check = $this->validate_admin_access();
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		$state = $this->get_state();
+		if ( empty( $state['paused'] ) ) {
+			return new WP_Error(
+				'scan_not_paused',
+				__( 'There is no paused scan to resume.', 'wpmudev-plugin-test' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		$state['running']    = true;
+		$state['paused']     = false;
+		$state['paused_at']  = 0;
+		$state['stalled']    = false;
+		$state['updated_at'] = time();
+
+		// A batch from before the pause may still be running; a new run
+		// token stops it from continuing its own chain next to this one.
+		$state['run'] = wp_generate_password( 12, false );
+
+		$this->save_state( $state );
+		$this->schedule_first_batch( (int) floor( $state['offset'] / max( 1, absint( $state['batch_size'] ) ) ), $state['run'] );
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Scan resumed.', 'wpmudev-plugin-test' ),
+				'state'   => $this->get_state(),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Cancel the running or paused scan.
+	 *
+	 * Posts already processed keep their timestamp; the last scan date is
+	 * left alone because the scan didn't finish.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function cancel_scan() {
+		$security_check = $this->validate_admin_access();
+		if ( is_wp_error( $security_check ) ) {
+			return $security_check;
+		}
+
+		$state = $this->get_state();
+		if ( empty( $state['running'] ) && empty( $state['paused'] ) ) {
+			return new WP_Error(
+				'scan_not_running',
+				__( 'There is no scan to cancel.', 'wpmudev-plugin-test' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		$this->unschedule_batches();
+		delete_option( $this->state_option );
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Scan cancelled.', 'wpmudev-plugin-test' ),
+				'state'   => $this->get_state(),
+			),
+			200
+		);
+	}
+
 	/**
 	 * Process a batch of posts using Action Scheduler.
 	 *
-	 * @param int $batch_number Batch number (for tracking).
+	 * Batches scheduled for an earlier run of the scan (before it was
+	 * paused, resumed or restarted) are dropped.
+	 *
+	 * @param int    $batch_number Batch number (for tracking).
+	 * @param string $run          Run token the batch was scheduled for.
 	 * @return void
 	 */
-	public function process_batch( $batch_number = 0 ) {
+	public function process_batch( $batch_number = 0, $run = '' ) {
 		// Check if Action Scheduler is available.
 		if ( ! function_exists( 'as_schedule_single_action' ) ) {
 			return;
@@ -291,7 +475,7 @@ class Posts_Maintenance_REST extends Base {
 
 		$state = $this->get_state();
 
-		if ( empty( $state['running'] ) ) {
+		if ( empty( $state['running'] ) || (string) $run !== (string) $state['run'] ) {
 			return;
 		}
 
@@ -330,6 +514,18 @@ class Posts_Maintenance_REST extends Base {
 
 		$completed = $state['processed'] >= $state['total'] || $processed_batch === 0;
 
+		// The scan may have been paused, cancelled or resumed while this batch ran.
+		$current = $this->get_state();
+		if ( empty( $current['running'] ) || $current['run'] !== $state['run'] ) {
+			if ( ! empty( $current['paused'] ) && $current['run'] === $state['run'] ) {
+				$current['offset']    = $state['offset'];
+				$current['processed'] = $state['processed'];
+				$current['total']     = $state['total'];
+				$this->save_state( $current );
+			}
+			return;
+		}
+
 		if ( $completed ) {
 			$state['running']   = false;
 			$state['last_scan'] = current_time( 'mysql' );
@@ -340,7 +536,7 @@ class Posts_Maintenance_REST extends Base {
 
 		// Schedule next batch if not completed.
 		if ( ! $completed ) {
-			$this->schedule_next_batch( $batch_number + 1 );
+			$this->schedule_next_batch( $batch_number + 1, $state['run'] );
 		}
 	}
 
@@ -350,22 +546,24 @@ class Posts_Maintenance_REST extends Base {
 	 * Uses scheduled actions (not async) to ensure processing continues
 	 * even if the browser tab is closed. WP-Cron will process these actions.
 	 *
+	 * @param int    $batch_number Batch to start from, above 0 when resuming.
+	 * @param string $run          Run token of the scan.
 	 * @return void
 	 */
-	private function schedule_first_batch() {
+	private function schedule_first_batch( $batch_number, $run ) {
 		if ( ! function_exists( 'as_schedule_single_action' ) ) {
 			return;
 		}
 
 		// Cancel any existing actions for this hook to prevent duplicates.
-		as_unschedule_all_actions( $this->action_hook, array(), $this->action_group );
+		$this->unschedule_batches();
 
 		// Schedule the first batch to run immediately (or as soon as WP-Cron runs it).
 		// Using scheduled action ensures it will be processed even if browser closes.
 		as_schedule_single_action(
 			time(),
 			$this->action_hook,
-			array( 0 ), // First batch number.
+			array( $batch_number, $run ),
 			$this->action_group
 		);
 
@@ -379,10 +577,11 @@ class Posts_Maintenance_REST extends Base {
 	 * Uses scheduled actions with minimal delay to ensure processing continues
 	 * even if the browser tab is closed. WP-Cron will process these actions.
 	 *
-	 * @param int $batch_number Next batch number.
+	 * @param int    $batch_number Next batch number.
+	 * @param string $run          Run token of the scan.
 	 * @return void
 	 */
-	private function schedule_next_batch( $batch_number = 1 ) {
+	private function schedule_next_batch( $batch_number, $run ) {
 		if ( ! function_exists( 'as_schedule_single_action' ) ) {
 			return;
 		}
@@ -393,7 +592,7 @@ class Posts_Maintenance_REST extends Base {
 		as_schedule_single_action(
 			time() + 1,
 			$this->action_hook,
-			array( $batch_number ),
+			array( $batch_number, $run ),
 			$this->action_group
 		);
 
@@ -430,6 +629,84 @@ class Posts_Maintenance_REST extends Base {
 		// 3. This ensures processing continues even if the browser is closed
 	}
 
+	/**
+	 * Unschedule pending batches.
+	 *
+	 * @return void
+	 */
+	private function unschedule_batches() {
+		if ( function_exists( 'as_unschedule_all_actions' ) ) {
+			as_unschedule_all_actions( $this->action_hook, array(), $this->action_group );
+		}
+	}
+
+	/**
+	 * Minutes a running scan may go without a batch reporting in.
+	 *
+	 * @return int
+	 */
+	private function get_stale_after() {
+		/**
+		 * Filters the minutes after which a silent scan counts as stuck.
+		 *
+		 * @param int $minutes Minutes, from the Posts Maintenance page.
+		 */
+		return max( 1, absint( apply_filters( 'wpmudev_posts_maintenance_stale_after', (int) get_option( $this->stale_option, $this->default_stale_after ) ) ) );
+	}
+
+	/**
+	 * Pause a scan whose batches stopped reporting in.
+	 *
+	 * A batch that died mid-way (fatal error, killed worker, deleted action)
+	 * would otherwise leave `running` set forever and block new scans. Once
+	 * no batch has reported in for the stale time and none is running or
+	 * waiting to run on time, the scan is paused at its cursor, so it can be
+	 * resumed or replaced.
+	 *
+	 * @return array Current state.
+	 */
+	private function recover_stale_scan() {
+		$state       = $this->get_state();
+		$stale_after = $this->get_stale_after() * MINUTE_IN_SECONDS;
+
+		if ( empty( $state['running'] ) || time() - absint( $state['updated_at'] ) < $stale_after ) {
+			return $state;
+		}
+
+		// A batch that is running, or queued but not yet overdue, means WP-Cron
+		// just hasn't come round on a quiet site; the scan isn't stuck.
+		if ( function_exists( 'as_next_scheduled_action' ) ) {
+			$next = as_next_scheduled_action( $this->action_hook, null, $this->action_group );
+
+			if ( true === $next || ( is_int( $next ) && time() - $next < $stale_after ) ) {
+				return $state;
+			}
+		}
+
+		$state            = $this->pause_state( $state );
+		$state['stalled'] = true;
+		$this->save_state( $state );
+
+		return $state;
+	}
+
+	/**
+	 * Unschedule pending batches and mark a state as paused.
+	 *
+	 * @param array $state State.
+	 *
+	 * @return array
+	 */
+	private function pause_state( $state ) {
+		$this->unschedule_batches();
+
+		$state['running']   = false;
+		$state['paused']    = true;
+		$state['paused_at'] = time();
+
+		return $state;
+	}
+
 	/**
 	 * Get scan state.
 	 *
@@ -446,6 +723,10 @@ class Posts_Maintenance_REST extends Base {
 			'last_scan'  => get_option( 'wpmudev_posts_maintenance_last_scan', '' ),
 			'started_at' => 0,
 			'updated_at' => 0,
+			'paused'     => false,
+			'paused_at'  => 0,
+			'stalled'    => false,
+			'run'        => '',
 		);
 		$state = get_option( $this->state_option, array() );
 
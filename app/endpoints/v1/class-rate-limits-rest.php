@@ -0,0 +1,159 @@
+<?php
+/**
+ * Rate limit settings REST endpoints.
+ *
+ * Reads and saves the limits Rate_Limits enforces on the Drive endpoints.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @package       WPMUDEV\PluginTest
+ */
+
+namespace WPMUDEV\PluginTest\Endpoints\V1;
+
+use WPMUDEV\PluginTest\Base;
+use WPMUDEV\PluginTest\Rate_Limits;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+/**
+ * Class Rate_Limits_REST
+ */
+class Rate_Limits_REST extends Base {
+
+	/**
+	 * Init hooks.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes() {
+		register_rest_route(
+			'wpmudev/v1',
+			'/rate-limits',
+			array(
+				array(
+					'methods'             => 'GET',
+					'callback'            => array( $this, 'get_settings' ),
+					'permission_callback' => array( $this, 'check_permissions' ),
+				),
+				array(
+					'methods'             => 'POST',
+					'callback'            => array( $this, 'save_settings' ),
+					'permission_callback' => array( $this, 'check_permissions' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Permission check for rate limit endpoints.
+	 *
+	 * Limits apply per role, so they are managed alongside roles.
+	 *
+	 * @return bool
+	 */
+	public function check_permissions() {
+		if ( ! is_user_logged_in() ) {
+			return false;
+		}
+
+		return current_user_can( 'manage_options' );
+	}
+
+	/**
+	 * Limits and the actions they apply to.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_settings() {
+		return new WP_REST_Response( $this->get_response_data(), 200 );
+	}
+
+	/**
+	 * Save limits.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function save_settings( WP_REST_Request $request ) {
+		$limits    = $request->get_param( 'limits' );
+		$overrides = $request->get_param( 'overrides' );
+
+		if ( ! is_array( $limits ) || ( null !== $overrides && ! is_array( $overrides ) ) ) {
+			return new WP_Error(
+				'invalid_rate_limits',
+				__( 'Rate limits must be a map of actions to limits.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$saved = Rate_Limits::instance()->save_settings(
+			array(
+				'actions' => $limits,
+				'roles'   => (array) $overrides,
+			)
+		);
+
+		if ( is_wp_error( $saved ) ) {
+			return $saved;
+		}
+
+		return new WP_REST_Response(
+			array_merge(
+				$this->get_response_data(),
+				array( 'message' => __( 'Rate limits saved.', 'wpmudev-plugin-test' ) )
+			),
+			200
+		);
+	}
+
+	/**
+	 * Actions, roles and limits, as the Roles screen shows them. `limits`
+	 * holds each action's default and `overrides` the roles that differ.
+	 *
+	 * @return array
+	 */
+	private function get_response_data() {
+		$actions = array();
+		foreach ( Rate_Limits::instance()->get_actions() as $slug => $action ) {
+			$actions[] = array(
+				'slug'        => $slug,
+				'label'       => $action['label'],
+				'description' => $action['description'],
+			);
+		}
+
+		$roles = array();
+		foreach ( wp_roles()->role_names as $slug => $name ) {
+			$roles[] = array(
+				'slug' => $slug,
+				'name' => translate_user_role( $name ),
+			);
+		}
+
+		$settings = Rate_Limits::instance()->get_settings();
+
+		return array(
+			'success'   => true,
+			'actions'   => $actions,
+			'roles'     => $roles,
+			'limits'    => $settings['actions'],
+			'overrides' => (object) $settings['roles'],
+		);
+	}
+}
@@ -0,0 +1,134 @@
+<?php
+/**
+ * Roles REST endpoints.
+ *
+ * Reads and saves which roles hold the plugin's capabilities. The
+ * capabilities themselves are described in Capabilities.
+ *
+ * @link          https://wpmudev.com/
+ * @since         1.0.0
+ *
+ * @package       WPMUDEV\PluginTest
+ */
+
+namespace WPMUDEV\PluginTest\Endpoints\V1;
+
+use WPMUDEV\PluginTest\Base;
+use WPMUDEV\PluginTest\Capabilities;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+/**
+ * Class Roles_REST
+ */
+class Roles_REST extends Base {
+
+	/**
+	 * Init hooks.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes() {
+		register_rest_route(
+			'wpmudev/v1',
+			'/roles',
+			array(
+				array(
+					'methods'             => 'GET',
+					'callback'            => array( $this, 'get_roles' ),
+					'permission_callback' => array( $this, 'check_permissions' ),
+				),
+				array(
+					'methods'             => 'POST',
+					'callback'            => array( $this, 'save_roles' ),
+					'permission_callback' => array( $this, 'check_permissions' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Permission check for role endpoints.
+	 *
+	 * Handing out capabilities is a site administration task, so it stays
+	 * with manage_options rather than one of the plugin's own capabilities.
+	 *
+	 * @return bool
+	 */
+	public function check_permissions() {
+		if ( ! is_user_logged_in() ) {
+			return false;
+		}
+
+		return current_user_can( 'manage_options' );
+	}
+
+	/**
+	 * List the plugin's capabilities and the roles holding them.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_roles() {
+		return new WP_REST_Response( $this->get_response_data(), 200 );
+	}
+
+	/**
+	 * Save which roles hold which capabilities.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function save_roles( WP_REST_Request $request ) {
+		$roles = $request->get_param( 'roles' );
+
+		if ( ! is_array( $roles ) ) {
+			return new WP_Error(
+				'invalid_roles',
+				__( 'Roles must be a map of role to capabilities.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		Capabilities::instance()->save_role_map( $roles );
+
+		return new WP_REST_Response(
+			array_merge(
+				$this->get_response_data(),
+				array( 'message' => __( 'Role settings saved.', 'wpmudev-plugin-test' ) )
+			),
+			200
+		);
+	}
+
+	/**
+	 * Capabilities and roles, as the Roles screen shows them.
+	 *
+	 * @return array
+	 */
+	private function get_response_data() {
+		$capabilities = array();
+		foreach ( Capabilities::instance()->get_capabilities() as $slug => $capability ) {
+			$capabilities[] = array_merge( array( 'slug' => $slug ), $capability );
+		}
+
+		return array(
+			'success'      => true,
+			'capabilities' => $capabilities,
+			'roles'        => Capabilities::instance()->get_role_map(),
+		);
+	}
+}
@@ -0,0 +1,569 @@
+<?php
+/**
+ * Activity audit log.
+ *
+ * Records who did what through the Drive and Posts Maintenance endpoints:
+ * user, action, target, IP, result and error code, in a table of its own.
+ * Routes opt in by naming their action with an `audit` key when they are
+ * registered; the entry is written once the route has responded, so
+ * refused and failed requests are recorded too. Routes that end the
+ * request themselves record their entry directly.
+ *
+ * @link    https://wpmudev.com/
+ * @since   1.0.0
+ *
+ * @author  WPMUDEV (https://wpmudev.com)
+ * @package WPMUDEV_PluginTest
+ *
+ * @copyright (c) 2025, Incsub (http://incsub.com)
+ */
+
+namespace WPMUDEV\PluginTest;
+
+use WPMUDEV\PluginTest\Base;
+use WP_REST_Request;
+use WP_Error;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+/**
+ * Class Audit_Log
+ *
+ * @package WPMUDEV\PluginTest
+ */
+class Audit_Log extends Base {
+
+	/**
+	 * Table name without the site prefix.
+	 *
+	 * @var string
+	 */
+	private $table = 'wpmudev_audit_log';
+
+	/**
+	 * Option holding the installed table version.
+	 *
+	 * @var string
+	 */
+	private $db_version_option = 'wpmudev_plugintest_audit_db_version';
+
+	/**
+	 * Bump when the table schema changes.
+	 *
+	 * @var int
+	 */
+	private $db_version = 1;
+
+	/**
+	 * Option holding the log settings.
+	 *
+	 * @var string
+	 */
+	private $settings_option = 'wpmudev_plugintest_audit_settings';
+
+	/**
+	 * Daily cron hook that removes expired entries.
+	 *
+	 * @var string
+	 */
+	private $purge_hook = 'wpmudev_audit_log_purge';
+
+	/**
+	 * Request parameters that name what an action was applied to, most
+	 * specific first.
+	 *
+	 * @var array
+	 */
+	private $target_params = array( 'file_id', 'file_ids', 'attachment_ids', 'upload_id', 'name', 'folder_id', 'post_types' );
+
+	/**
+	 * Initialize.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		if ( (int) get_option( $this->db_version_option, 0 ) < $this->db_version ) {
+			$this->install();
+		}
+
+		add_filter( 'rest_request_after_callbacks', array( $this, 'log_rest_request' ), 10, 3 );
+		add_action( $this->purge_hook, array( $this, 'purge' ) );
+
+		if ( ! wp_next_scheduled( $this->purge_hook ) ) {
+			wp_schedule_event( time(), 'daily', $this->purge_hook );
+		}
+	}
+
+	/**
+	 * Full table name.
+	 *
+	 * @return string
+	 */
+	public function get_table() {
+		global $wpdb;
+
+		return $wpdb->prefix . $this->table;
+	}
+
+	/**
+	 * Create or update the table.
+	 *
+	 * @return void
+	 */
+	public function install() {
+		global $wpdb;
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+		$charset_collate = $wpdb->get_charset_collate();
+		$table           = $this->get_table();
+
+		dbDelta(
+			"CREATE TABLE {$table} (
+				id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+				created_at datetime NOT NULL DEFAULT '0000-00-00 00:00:00',
+				user_id bigint(20) unsigned NOT NULL DEFAULT 0,
+				action varchar(64) NOT NULL DEFAULT '',
+				target varchar(255) NOT NULL DEFAULT '',
+				ip varchar(45) NOT NULL DEFAULT '',
+				result varchar(20) NOT NULL DEFAULT '',
+				error_code varchar(100) NOT NULL DEFAULT '',
+				PRIMARY KEY  (id),
+				KEY created_at (created_at),
+				KEY user_id (user_id),
+				KEY action (action)
+			) {$charset_collate};"
+		);
+
+		update_option( $this->db_version_option, $this->db_version );
+	}
+
+	/**
+	 * Describe the actions that are recorded.
+	 *
+	 * @return array Action => label.
+	 */
+	public function get_actions() {
+		return array(
+			'drive.save_credentials'     => __( 'Saved credentials', 'wpmudev-plugin-test' ),
+			'drive.save_service_account' => __( 'Saved service account key', 'wpmudev-plugin-test' ),
+			'drive.auth'                 => __( 'Started connecting', 'wpmudev-plugin-test' ),
+			'drive.connect'              => __( 'Connected', 'wpmudev-plugin-test' ),
+			'drive.disconnect'           => __( 'Disconnected', 'wpmudev-plugin-test' ),
+			'drive.list'                 => __( 'Listed files', 'wpmudev-plugin-test' ),
+			'drive.list_drives'          => __( 'Listed shared drives', 'wpmudev-plugin-test' ),
+			'drive.upload'               => __( 'Uploaded', 'wpmudev-plugin-test' ),
+			'drive.upload_start'         => __( 'Started upload', 'wpmudev-plugin-test' ),
+			'drive.upload_cancel'        => __( 'Cancelled upload', 'wpmudev-plugin-test' ),
+			'drive.download'             => __( 'Downloaded', 'wpmudev-plugin-test' ),
+			'drive.preview'              => __( 'Previewed', 'wpmudev-plugin-test' ),
+			'drive.create_folder'        => __( 'Created folder', 'wpmudev-plugin-test' ),
+			'drive.rename'               => __( 'Renamed', 'wpmudev-plugin-test' ),
+			'drive.move'                 => __( 'Moved', 'wpmudev-plugin-test' ),
+			'drive.copy'                 => __( 'Copied', 'wpmudev-plugin-test' ),
+			'drive.trash'                => __( 'Moved to trash', 'wpmudev-plugin-test' ),
+			'drive.restore'              => __( 'Restored', 'wpmudev-plugin-test' ),
+			'drive.delete'               => __( 'Deleted permanently', 'wpmudev-plugin-test' ),
+			'drive.list_permissions'     => __( 'Viewed sharing', 'wpmudev-plugin-test' ),
+			'drive.share'                => __( 'Shared', 'wpmudev-plugin-test' ),
+			'drive.unshare'              => __( 'Stopped sharing', 'wpmudev-plugin-test' ),
+			'drive.bulk'                 => __( 'Bulk action', 'wpmudev-plugin-test' ),
+			'drive.import_media'         => __( 'Imported to Media Library', 'wpmudev-plugin-test' ),
+			'drive.media_folder'         => __( 'Changed media folder', 'wpmudev-plugin-test' ),
+			'drive.push_media'           => __( 'Sent media to Drive', 'wpmudev-plugin-test' ),
+			'drive.health'               => __( 'Checked connection health', 'wpmudev-plugin-test' ),
+			'drive.health_test'          => __( 'Tested connection', 'wpmudev-plugin-test' ),
+			'maintenance.scan'           => __( 'Started scan', 'wpmudev-plugin-test' ),
+			'maintenance.pause'          => __( 'Paused scan', 'wpmudev-plugin-test' ),
+			'maintenance.resume'         => __( 'Resumed scan', 'wpmudev-plugin-test' ),
+			'maintenance.cancel'         => __( 'Cancelled scan', 'wpmudev-plugin-test' ),
+		);
+	}
+
+	/**
+	 * Log settings.
+	 *
+	 * @return array {
+	 *     @type int $retention_days Days entries are kept, 0 to keep them forever.
+	 * }
+	 */
+	public function get_settings() {
+		$settings = get_option( $this->settings_option, array() );
+
+		return wp_parse_args(
+			is_array( $settings ) ? $settings : array(),
+			array( 'retention_days' => 90 )
+		);
+	}
+
+	/**
+	 * Save log settings.
+	 *
+	 * @param array $settings Settings, see get_settings().
+	 *
+	 * @return array|WP_Error The saved settings.
+	 */
+	public function save_settings( array $settings ) {
+		$retention_days = isset( $settings['retention_days'] ) ? $settings['retention_days'] : null;
+
+		if ( ! is_numeric( $retention_days ) || $retention_days < 0 || $retention_days > 3650 ) {
+			return new WP_Error(
+				'invalid_retention',
+				__( 'Retention must be between 0 and 3650 days.', 'wpmudev-plugin-test' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$settings = array( 'retention_days' => (int) $retention_days );
+		update_option( $this->settings_option, $settings );
+
+		return $settings;
+	}
+
+	/**
+	 * Write an entry.
+	 *
+	 * @param string $action Action, one of get_actions().
+	 * @param array  $args   {
+	 *     Optional. Entry details.
+	 *
+	 *     @type int    $user_id    Acting user. Defaults to the current user.
+	 *     @type string $target     What the action was applied to.
+	 *     @type string $error_code Error code; its presence makes the entry a failure.
+	 * }
+	 *
+	 * @return bool Whether the entry was written.
+	 */
+	public function record( $action, array $args = array() ) {
+		global $wpdb;
+
+		$args = wp_parse_args(
+			$args,
+			array(
+				'user_id'    => get_current_user_id(),
+				'target'     => '',
+				'error_code' => '',
+			)
+		);
+
+		return (bool) $wpdb->insert( // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+			$this->get_table(),
+			array(
+				'created_at' => current_time( 'mysql', true ),
+				'user_id'    => absint( $args['user_id'] ),
+				'action'     => substr( (string) $action, 0, 64 ),
+				'target'     => mb_substr( sanitize_text_field( $args['target'] ), 0, 255 ),
+				'ip'         => $this->get_ip(),
+				'result'     => '' === $args['error_code'] ? 'success' : 'failure',
+				'error_code' => substr( (string) $args['error_code'], 0, 100 ),
+			),
+			array( '%s', '%d', '%s', '%s', '%s', '%s', '%s' )
+		);
+	}
+
+	/**
+	 * Record requests to routes registered with an `audit` action.
+	 *
+	 * Runs after the permission and route callbacks, so it sees refusals as
+	 * well as the callback's own errors.
+	 *
+	 * @param mixed           $response Result of the callbacks.
+	 * @param array           $handler  Route handler, as registered.
+	 * @param WP_REST_Request $request  Request.
+	 *
+	 * @return mixed The response, unchanged.
+	 */
+	public function log_rest_request( $response, $handler, $request ) {
+		if ( empty( $handler['audit'] ) || ! $request instanceof WP_REST_Request ) {
+			return $response;
+		}
+
+		$this->record(
+			$handler['audit'],
+			array(
+				'target'     => $this->get_target( $request ),
+				'error_code' => $this->get_error_code( $response ),
+			)
+		);
+
+		return $response;
+	}
+
+	/**
+	 * Find entries.
+	 *
+	 * @param array $args {
+	 *     Optional. Filters and paging.
+	 *
+	 *     @type int    $page      Page, from 1.
+	 *     @type int    $per_page  Entries per page, up to 100.
+	 *     @type int    $user_id   Acting user.
+	 *     @type string $action    Action.
+	 *     @type string $result    "success" or "failure".
+	 *     @type string $search    Text the target contains.
+	 *     @type string $date_from First day, Y-m-d.
+	 *     @type string $date_to   Last day, Y-m-d.
+	 * }
+	 *
+	 * @return array {
+	 *     @type array $entries Entries, newest first.
+	 *     @type int   $total   Entries matching the filters.
+	 *     @type int   $pages   Pages at this page size.
+	 * }
+	 */
+	public function query( array $args = array() ) {
+		global $wpdb;
+
+		$page     = max( 1, absint( $args['page'] ?? 1 ) );
+		$per_page = min( 100, max( 1, absint( $args['per_page'] ?? 20 ) ) );
+		$table    = $this->get_table();
+		$where    = $this->build_where( $args );
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery
+		$total = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$table} WHERE {$where}" );
+		$rows  = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT * FROM {$table} WHERE {$where} ORDER BY id DESC LIMIT %d OFFSET %d",
+				$per_page,
+				( $page - 1 ) * $per_page
+			),
+			ARRAY_A
+		);
+		// phpcs:enable
+
+		return array(
+			'entries' => array_map( array( $this, 'format_entry' ), (array) $rows ),
+			'total'   => $total,
+			'pages'   => (int) ceil( $total / $per_page ),
+		);
+	}
+
+	/**
+	 * Export every entry matching the filters as CSV.
+	 *
+	 * @param array $args Filters, see query(). Paging is ignored.
+	 *
+	 * @return string CSV with a header row.
+	 */
+	public function to_csv( array $args = array() ) {
+		$handle = fopen( 'php://temp', 'r+' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+
+		fputcsv( $handle, array( 'id', 'date', 'user_id', 'user', 'action', 'target', 'ip', 'result', 'error_code' ) );
+
+		$args['per_page'] = 100;
+		$page             = 1;
+
+		do {
+			$args['page'] = $page;
+			$found        = $this->query( $args );
+
+			foreach ( $found['entries'] as $entry ) {
+				fputcsv(
+					$handle,
+					array(
+						$entry['id'],
+						$entry['created_at'],
+						$entry['user_id'],
+						$this->escape_csv_cell( $entry['user'] ),
+						$entry['action'],
+						$this->escape_csv_cell( $entry['target'] ),
+						$entry['ip'],
+						$entry['result'],
+						$entry['error_code'],
+					)
+				);
+			}
+
+			++$page;
+		} while ( $page <= $found['pages'] );
+
+		rewind( $handle );
+		$csv = stream_get_contents( $handle );
+		fclose( $handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+
+		return $csv;
+	}
+
+	/**
+	 * Remove entries older than the retention period.
+	 *
+	 * @return int Entries removed.
+	 */
+	public function purge() {
+		global $wpdb;
+
+		$days = (int) $this->get_settings()['retention_days'];
+		if ( $days <= 0 ) {
+			return 0;
+		}
+
+		$table = $this->get_table();
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery
+		return (int) $wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM {$table} WHERE created_at < %s",
+				gmdate( 'Y-m-d H:i:s', time() - $days * DAY_IN_SECONDS )
+			)
+		);
+	}
+
+	/**
+	 * Build the WHERE clause for query().
+	 *
+	 * @param array $args Filters, see query().
+	 *
+	 * @return string
+	 */
+	private function build_where( array $args ) {
+		global $wpdb;
+
+		$where = array( '1=1' );
+
+		if ( ! empty( $args['user_id'] ) ) {
+			$where[] = $wpdb->prepare( 'user_id = %d', absint( $args['user_id'] ) );
+		}
+
+		if ( ! empty( $args['action'] ) ) {
+			$where[] = $wpdb->prepare( 'action = %s', $args['action'] );
+		}
+
+		if ( ! empty( $args['result'] ) && in_array( $args['result'], array( 'success', 'failure' ), true ) ) {
+			$where[] = $wpdb->prepare( 'result = %s', $args['result'] );
+		}
+
+		if ( ! empty( $args['search'] ) ) {
+			$where[] = $wpdb->prepare( 'target LIKE %s', '%' . $wpdb->esc_like( $args['search'] ) . '%' );
+		}
+
+		if ( ! empty( $args['date_from'] ) && $this->is_date( $args['date_from'] ) ) {
+			$where[] = $wpdb->prepare( 'created_at >= %s', $args['date_from'] . ' 00:00:00' );
+		}
+
+		if ( ! empty( $args['date_to'] ) && $this->is_date( $args['date_to'] ) ) {
+			$where[] = $wpdb->prepare( 'created_at <= %s', $args['date_to'] . ' 23:59:59' );
+		}
+
+		return implode( ' AND ', $where );
+	}
+
+	/**
+	 * Whether a string is a Y-m-d date.
+	 *
+	 * @param string $date Date.
+	 *
+	 * @return bool
+	 */
+	private function is_date( $date ) {
+		return is_string( $date ) && (bool) preg_match( '/^\d{4}-\d{2}-\d{2}$/', $date );
+	}
+
+	/**
+	 * Shape a row for the REST API and CLI.
+	 *
+	 * @param array $row Table row.
+	 *
+	 * @return array
+	 */
+	private function format_entry( array $row ) {
+		static $users = array();
+
+		$user_id = (int) $row['user_id'];
+		if ( ! isset( $users[ $user_id ] ) ) {
+			$user              = $user_id ? get_userdata( $user_id ) : false;
+			$users[ $user_id ] = $user ? $user->display_name : '';
+		}
+
+		$actions = $this->get_actions();
+
+		return array(
+			'id'           => (int) $row['id'],
+			'created_at'   => mysql_to_rfc3339( $row['created_at'] ),
+			'user_id'      => $user_id,
+			'user'         => $users[ $user_id ],
+			'action'       => $row['action'],
+			'action_label' => $actions[ $row['action'] ] ?? $row['action'],
+			'target'       => $row['target'],
+			'ip'           => $row['ip'],
+			'result'       => $row['result'],
+			'error_code'   => $row['error_code'],
+		);
+	}
+
+	/**
+	 * Describe what a request acted on, from its parameters.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return string
+	 */
+	private function get_target( WP_REST_Request $request ) {
+		$files = $request->get_file_params();
+		if ( ! empty( $files['file']['name'] ) ) {
+			return $files['file']['name'];
+		}
+
+		foreach ( $this->target_params as $param ) {
+			$value = $request->get_param( $param );
+
+			if ( is_array( $value ) ) {
+				$value = implode( ', ', array_filter( array_map( 'strval', array_filter( $value, 'is_scalar' ) ) ) );
+			}
+
+			if ( is_scalar( $value ) && '' !== (string) $value ) {
+				return (string) $value;
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Error code of a failed response, empty on success.
+	 *
+	 * @param mixed $response Result of the callbacks.
+	 *
+	 * @return string
+	 */
+	private function get_error_code( $response ) {
+		if ( is_wp_error( $response ) ) {
+			return (string) $response->get_error_code();
+		}
+
+		$response = rest_ensure_response( $response );
+		if ( is_wp_error( $response ) || $response->get_status() < 400 ) {
+			return '';
+		}
+
+		$data = $response->get_data();
+
+		return is_array( $data ) && ! empty( $data['code'] ) ? (string) $data['code'] : 'http_' . $response->get_status();
+	}
+
+	/**
+	 * The client's IP address.
+	 *
+	 * Only REMOTE_ADDR is used; forwarded headers can be set by anyone.
+	 *
+	 * @return string
+	 */
+	private function get_ip() {
+		$ip = isset( $_SERVER['REMOTE_ADDR'] ) ? sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ) ) : '';
+
+		return filter_var( $ip, FILTER_VALIDATE_IP ) ? $ip : '';
+	}
+
+	/**
+	 * Stop spreadsheets from running a cell as a formula.
+	 *
+	 * Targets are file names and users pick their own display names.
+	 *
+	 * @param string $value Cell value.
+	 *
+	 * @return string
+	 */
+	private function escape_csv_cell( $value ) {
+		return in_array( substr( $value, 0, 1 ), array( '=', '+', '-', '@' ), true ) ? "'" . $value : $value;
+	}
+}
@@ -0,0 +1,197 @@
+<?php
+/**
+ * Plugin capabilities and the roles they are granted to.
+ *
+ * Each area of the plugin is guarded by its own capability instead of
+ * manage_options, so site owners can let editors upload to Drive without
+ * making them administrators. Administrators always hold every capability;
+ * other roles get them from the Roles screen.
+ *
+ * @link    https://wpmudev.com/
+ * @since   1.0.0
+ *
+ * @author  WPMUDEV (https://wpmudev.com)
+ * @package WPMUDEV_PluginTest
+ *
+ * @copyright (c) 2025, Incsub (http://incsub.com)
+ */
+
+namespace WPMUDEV\PluginTest;
+
+use WPMUDEV\PluginTest\Base;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+/**
+ * Class Capabilities
+ *
+ * @package WPMUDEV\PluginTest
+ */
+class Capabilities extends Base {
+
+	/**
+	 * Option holding the version of the default grants last applied.
+	 *
+	 * @var string
+	 */
+	private $version_option = 'wpmudev_plugintest_caps_version';
+
+	/**
+	 * Bump when the default grants change, so existing sites pick them up.
+	 *
+	 * @var int
+	 */
+	private $version = 1;
+
+	/**
+	 * Role that always holds every capability.
+	 *
+	 * @var string
+	 */
+	private $locked_role = 'administrator';
+
+	/**
+	 * Capabilities that only make sense together with browsing Drive.
+	 *
+	 * @var array
+	 */
+	private $drive_capabilities = array( 'wpmudev_drive_upload', 'wpmudev_drive_manage' );
+
+	/**
+	 * Initialize.
+	 *
+	 * Activation grants the defaults on new installs; sites that updated
+	 * without reactivating get them on the first load instead.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		if ( (int) get_option( $this->version_option, 0 ) < $this->version ) {
+			$this->grant_defaults();
+		}
+	}
+
+	/**
+	 * Describe the plugin's capabilities.
+	 *
+	 * @return array Capability => { label, description }.
+	 */
+	public function get_capabilities() {
+		return array(
+			'wpmudev_drive_view'      => array(
+				'label'       => __( 'Browse Drive', 'wpmudev-plugin-test' ),
+				'description' => __( 'Open the Google Drive page, connect their own account, browse, preview and download files.', 'wpmudev-plugin-test' ),
+			),
+			'wpmudev_drive_upload'    => array(
+				'label'       => __( 'Upload to Drive', 'wpmudev-plugin-test' ),
+				'description' => __( 'Upload files, create folders, import Drive files into the Media Library and send media to Drive.', 'wpmudev-plugin-test' ),
+			),
+			'wpmudev_drive_manage'    => array(
+				'label'       => __( 'Manage Drive', 'wpmudev-plugin-test' ),
+				'description' => __( 'Rename, move, share and delete files, change the credentials and use the site account, backups and folder sync.', 'wpmudev-plugin-test' ),
+			),
+			'wpmudev_run_maintenance' => array(
+				'label'       => __( 'Run maintenance', 'wpmudev-plugin-test' ),
+				'description' => __( 'Open the Posts Maintenance page and run scans.', 'wpmudev-plugin-test' ),
+			),
+		);
+	}
+
+	/**
+	 * Grant every capability to administrators.
+	 *
+	 * @return void
+	 */
+	public function grant_defaults() {
+		$role = get_role( $this->locked_role );
+
+		if ( $role ) {
+			foreach ( array_keys( $this->get_capabilities() ) as $capability ) {
+				$role->add_cap( $capability );
+			}
+		}
+
+		update_option( $this->version_option, $this->version );
+	}
+
+	/**
+	 * Which capabilities each role has.
+	 *
+	 * @return array List of { slug, name, locked, capabilities }, capabilities
+	 *               being the plugin capabilities the role holds.
+	 */
+	public function get_role_map() {
+		$roles = array();
+
+		foreach ( wp_roles()->role_objects as $slug => $role ) {
+			$roles[] = array(
+				'slug'         => $slug,
+				'name'         => translate_user_role( wp_roles()->role_names[ $slug ] ),
+				'locked'       => $this->locked_role === $slug,
+				'capabilities' => array_values(
+					array_filter(
+						array_keys( $this->get_capabilities() ),
+						array( $role, 'has_cap' )
+					)
+				),
+			);
+		}
+
+		return $roles;
+	}
+
+	/**
+	 * Grant and revoke capabilities so roles match the given map.
+	 *
+	 * Roles missing from the map keep what they have, and administrators
+	 * can't lose anything. Uploading or managing implies browsing, since
+	 * both happen on the Drive page.
+	 *
+	 * @param array $map Role slug => list of capabilities.
+	 * @return void
+	 */
+	public function save_role_map( array $map ) {
+		$capabilities = array_keys( $this->get_capabilities() );
+
+		foreach ( $map as $slug => $granted ) {
+			$role = get_role( sanitize_key( $slug ) );
+
+			if ( ! $role || $this->locked_role === $role->name ) {
+				continue;
+			}
+
+			$granted = array_intersect( $capabilities, array_map( 'sanitize_key', (array) $granted ) );
+			if ( array_intersect( $this->drive_capabilities, $granted ) ) {
+				$granted[] = 'wpmudev_drive_view';
+			}
+
+			foreach ( $capabilities as $capability ) {
+				if ( in_array( $capability, $granted, true ) ) {
+					$role->add_cap( $capability );
+				} else {
+					$role->remove_cap( $capability );
+				}
+			}
+		}
+	}
+
+	/**
+	 * What the current user may do, for the admin pages' scripts.
+	 *
+	 * @return array {
+	 *     @type bool $view        Browse Drive.
+	 *     @type bool $upload      Upload to Drive.
+	 *     @type bool $manage      Manage Drive.
+	 *     @type bool $maintenance Run maintenance.
+	 * }
+	 */
+	public function get_user_capabilities() {
+		return array(
+			'view'        => current_user_can( 'wpmudev_drive_view' ),
+			'upload'      => current_user_can( 'wpmudev_drive_upload' ),
+			'manage'      => current_user_can( 'wpmudev_drive_manage' ),
+			'maintenance' => current_user_can( 'wpmudev_run_maintenance' ),
+		);
+	}
+}
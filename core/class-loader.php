@@ -92,10 +92,27 @@ final class Loader extends Base {
 	 * @return void
 	 */
 	private function init() {
+		Capabilities::instance()->init();
+		Audit_Log::instance()->init();
+		Rate_Limits::instance()->init();
 		App\Admin_Pages\Google_Drive::instance()->init();
 		App\Admin_Pages\Posts_Maintenance::instance()->init();
+		App\Admin_Pages\Media_Library::instance()->init();
+		App\Admin_Pages\Drive_Backups::instance()->init();
+		App\Admin_Pages\Roles::instance()->init();
+		App\Admin_Pages\Activity_Log::instance()->init();
+		App\Blocks\Drive_Embed::instance()->init();
 		App\CLI\CLI_Loader::instance()->init();
 		Endpoints\V1\Drive_API::instance()->init();
+		Endpoints\V1\Drive_Media_REST::instance()->init();
+		Endpoints\V1\Drive_Share_REST::instance()->init();
+		Endpoints\V1\Drive_Bulk_REST::instance()->init();
+		Endpoints\V1\Drive_Health_REST::instance()->init();
 		Endpoints\V1\Posts_Maintenance_REST::instance()->init();
+		Endpoints\V1\Drive_Backups_REST::instance()->init();
+		Endpoints\V1\Drive_Sync_REST::instance()->init();
+		Endpoints\V1\Roles_REST::instance()->init();
+		Endpoints\V1\Rate_Limits_REST::instance()->init();
+		Endpoints\V1\Audit_Log_REST::instance()->init();
 	}
 }
@@ -0,0 +1,418 @@
+<?php
+/**
+ * Rate limits for the Drive endpoints.
+ *
+ * Each kind of action has a limit of requests per window. Administrators
+ * set the defaults and per-role overrides on the Roles screen, and code can
+ * adjust the result with the `wpmudev_drive_rate_limit` filter. Requests
+ * are counted over a sliding window: every request is remembered for one
+ * window length, so the allowance frees up gradually instead of all at
+ * once.
+ *
+ * @link    https://wpmudev.com/
+ * @since   1.0.0
+ *
+ * @author  WPMUDEV (https://wpmudev.com)
+ * @package WPMUDEV_PluginTest
+ *
+ * @copyright (c) 2025, Incsub (http://incsub.com)
+ */
+
+namespace WPMUDEV\PluginTest;
+
+use WPMUDEV\PluginTest\Base;
+use WP_REST_Response;
+use WP_Error;
+
+// Abort if called directly.
+defined( 'WPINC' ) || die;
+
+/**
+ * Class Rate_Limits
+ *
+ * @package WPMUDEV\PluginTest
+ */
+class Rate_Limits extends Base {
+
+	/**
+	 * Option holding the configured limits.
+	 *
+	 * @var string
+	 */
+	private $option = 'wpmudev_plugintest_rate_limits';
+
+	/**
+	 * Longest window that can be configured, in seconds.
+	 *
+	 * @var int
+	 */
+	private $max_window = DAY_IN_SECONDS;
+
+	/**
+	 * Most requests per window that can be configured. Every request in the
+	 * window is stored, so this also bounds the size of the stored log.
+	 *
+	 * @var int
+	 */
+	private $max_requests = 5000;
+
+	/**
+	 * Status of the last action checked in this request, for the headers.
+	 *
+	 * @var array|null
+	 */
+	private $last_status = null;
+
+	/**
+	 * Initialize.
+	 *
+	 * @return void
+	 */
+	public function init() {
+		add_filter( 'rest_post_dispatch', array( $this, 'add_headers' ) );
+	}
+
+	/**
+	 * Describe the limited actions and their default limits.
+	 *
+	 * @return array Action => { label, description, requests, window }.
+	 */
+	public function get_actions() {
+		return array(
+			'upload'       => array(
+				'label'       => __( 'Uploads', 'wpmudev-plugin-test' ),
+				'description' => __( 'Files uploaded to Drive.', 'wpmudev-plugin-test' ),
+				'requests'    => 10,
+				'window'      => 5 * MINUTE_IN_SECONDS,
+			),
+			'upload_chunk' => array(
+				'label'       => __( 'Upload chunks', 'wpmudev-plugin-test' ),
+				'description' => __( 'Pieces of large uploads that were already counted.', 'wpmudev-plugin-test' ),
+				'requests'    => 600,
+				'window'      => 5 * MINUTE_IN_SECONDS,
+			),
+			'auth'         => array(
+				'label'       => __( 'Connection attempts', 'wpmudev-plugin-test' ),
+				'description' => __( 'Starting to connect a Google account.', 'wpmudev-plugin-test' ),
+				'requests'    => 5,
+				'window'      => 15 * MINUTE_IN_SECONDS,
+			),
+			'credentials'  => array(
+				'label'       => __( 'Credential changes', 'wpmudev-plugin-test' ),
+				'description' => __( 'Saving OAuth credentials.', 'wpmudev-plugin-test' ),
+				'requests'    => 3,
+				'window'      => 10 * MINUTE_IN_SECONDS,
+			),
+			'general'      => array(
+				'label'       => __( 'Other actions', 'wpmudev-plugin-test' ),
+				'description' => __( 'Managing files, bulk actions, Media Library transfers, connection tests and the service account key.', 'wpmudev-plugin-test' ),
+				'requests'    => 50,
+				'window'      => 5 * MINUTE_IN_SECONDS,
+			),
+		);
+	}
+
+	/**
+	 * Configured limits, with defaults filled in.
+	 *
+	 * @return array {
+	 *     @type array $actions Action => { requests, window }. 0 requests means no limit.
+	 *     @type array $roles   Role => ( action => requests ), for roles that differ
+	 *                          from the action's default.
+	 * }
+	 */
+	public function get_settings() {
+		$saved    = get_option( $this->option, array() );
+		$saved    = is_array( $saved ) ? $saved : array();
+		$settings = array(
+			'actions' => array(),
+			'roles'   => isset( $saved['roles'] ) && is_array( $saved['roles'] ) ? $saved['roles'] : array(),
+		);
+
+		foreach ( $this->get_actions() as $action => $defaults ) {
+			$settings['actions'][ $action ] = array(
+				'requests' => (int) ( $saved['actions'][ $action ]['requests'] ?? $defaults['requests'] ),
+				'window'   => (int) ( $saved['actions'][ $action ]['window'] ?? $defaults['window'] ),
+			);
+		}
+
+		return $settings;
+	}
+
+	/**
+	 * Save limits.
+	 *
+	 * @param array $settings Settings, see get_settings(). Role overrides left
+	 *                        empty fall back to the action's default.
+	 *
+	 * @return array|WP_Error The saved settings.
+	 */
+	public function save_settings( array $settings ) {
+		$actions = $this->get_actions();
+		$clean   = array(
+			'actions' => array(),
+			'roles'   => array(),
+		);
+
+		foreach ( $actions as $action => $defaults ) {
+			$limit    = isset( $settings['actions'][ $action ] ) && is_array( $settings['actions'][ $action ] ) ? $settings['actions'][ $action ] : $defaults;
+			$requests = $this->parse_requests( $limit['requests'] ?? null );
+			$window   = isset( $limit['window'] ) && is_numeric( $limit['window'] ) ? (int) $limit['window'] : 0;
+
+			if ( is_wp_error( $requests ) ) {
+				return $requests;
+			}
+
+			if ( $window < 1 || $window > $this->max_window ) {
+				return new WP_Error(
+					'invalid_rate_limit',
+					sprintf(
+						/* translators: 1: action label, 2: longest window in seconds. */
+						__( 'The window for %1$s must be between 1 and %2$d seconds.', 'wpmudev-plugin-test' ),
+						$defaults['label'],
+						$this->max_window
+					),
+					array( 'status' => 400 )
+				);
+			}
+
+			$clean['actions'][ $action ] = array(
+				'requests' => $requests,
+				'window'   => $window,
+			);
+		}
+
+		$roles = isset( $settings['roles'] ) && is_array( $settings['roles'] ) ? $settings['roles'] : array();
+		foreach ( $roles as $role => $overrides ) {
+			$role = sanitize_key( $role );
+			if ( ! get_role( $role ) || ! is_array( $overrides ) ) {
+				continue;
+			}
+
+			foreach ( $overrides as $action => $requests ) {
+				if ( ! isset( $actions[ $action ] ) || '' === $requests || null === $requests ) {
+					continue;
+				}
+
+				$requests = $this->parse_requests( $requests );
+				if ( is_wp_error( $requests ) ) {
+					return $requests;
+				}
+
+				$clean['roles'][ $role ][ $action ] = $requests;
+			}
+		}
+
+		update_option( $this->option, $clean );
+
+		return $this->get_settings();
+	}
+
+	/**
+	 * The limit that applies to a user for an action.
+	 *
+	 * A user with several roles gets the most generous of their roles'
+	 * overrides, and the action's default if none of them has one.
+	 *
+	 * @param string   $action  Action, one of get_actions(). Unknown actions count as "general".
+	 * @param int|null $user_id User, defaults to the current user.
+	 *
+	 * @return array {
+	 *     @type int $requests Requests allowed per window, 0 for no limit.
+	 *     @type int $window   Window length in seconds.
+	 * }
+	 */
+	public function get_limit( $action, $user_id = null ) {
+		$settings = $this->get_settings();
+		$action   = isset( $settings['actions'][ $action ] ) ? $action : 'general';
+		$limit    = $settings['actions'][ $action ];
+		$user     = get_userdata( null === $user_id ? get_current_user_id() : $user_id );
+
+		$overrides = array();
+		foreach ( $user ? (array) $user->roles : array() as $role ) {
+			if ( isset( $settings['roles'][ $role ][ $action ] ) ) {
+				$overrides[] = (int) $settings['roles'][ $role ][ $action ];
+			}
+		}
+
+		if ( $overrides ) {
+			$limit['requests'] = in_array( 0, $overrides, true ) ? 0 : max( $overrides );
+		}
+
+		/**
+		 * Filters the rate limit a user gets for an action.
+		 *
+		 * @param array         $limit  { requests, window }. 0 requests means no limit.
+		 * @param string        $action Action.
+		 * @param \WP_User|bool $user   User, false when logged out.
+		 */
+		$limit = apply_filters( 'wpmudev_drive_rate_limit', $limit, $action, $user );
+
+		return array(
+			'requests' => max( 0, (int) $limit['requests'] ),
+			'window'   => max( 1, (int) $limit['window'] ),
+		);
+	}
+
+	/**
+	 * Where the current user stands against an action's limit.
+	 *
+	 * @param string $action Action.
+	 *
+	 * @return array {
+	 *     @type bool $unlimited Whether the action has no limit for this user.
+	 *     @type int  $limit     Requests allowed per window.
+	 *     @type int  $remaining Requests left right now.
+	 *     @type int  $window    Window length in seconds.
+	 *     @type int  $reset_in  Seconds until the oldest counted request leaves
+	 *                           the window and frees up a request, 0 if none are counted.
+	 * }
+	 */
+	public function get_status( $action ) {
+		$limit = $this->get_limit( $action );
+		$log   = $this->get_log( $action, $limit['window'] );
+
+		return array(
+			'unlimited' => 0 === $limit['requests'],
+			'limit'     => $limit['requests'],
+			'remaining' => 0 === $limit['requests'] ? 0 : max( 0, $limit['requests'] - count( $log ) ),
+			'window'    => $limit['window'],
+			'reset_in'  => $log ? max( 0, min( $log ) + $limit['window'] - time() ) : 0,
+		);
+	}
+
+	/**
+	 * Count a request against the current user's limit.
+	 *
+	 * @param string $action Action.
+	 *
+	 * @return true|WP_Error WP_Error when the limit is used up.
+	 */
+	public function check( $action ) {
+		$status = $this->get_status( $action );
+
+		if ( $status['unlimited'] ) {
+			return true;
+		}
+
+		if ( $status['remaining'] <= 0 ) {
+			$this->last_status = $status;
+
+			return new WP_Error(
+				'rate_limit_exceeded',
+				sprintf(
+					/* translators: %d: minutes to wait. */
+					__( 'Rate limit exceeded. Please wait %d minutes before trying again.', 'wpmudev-plugin-test' ),
+					max( 1, ceil( $status['reset_in'] / 60 ) )
+				),
+				array(
+					'status'      => 429,
+					'limit'       => $status['limit'],
+					'remaining'   => 0,
+					'retry_after' => $status['reset_in'],
+				)
+			);
+		}
+
+		$log   = $this->get_log( $action, $status['window'] );
+		$log[] = time();
+		set_transient( $this->get_key( $action ), $log, $status['window'] );
+
+		$this->last_status = array_merge(
+			$status,
+			array(
+				'remaining' => $status['remaining'] - 1,
+				'reset_in'  => max( 0, min( $log ) + $status['window'] - time() ),
+			)
+		);
+
+		return true;
+	}
+
+	/**
+	 * Add X-RateLimit-* headers to responses of requests that were counted.
+	 *
+	 * X-RateLimit-Reset is the Unix time at which the next request frees up.
+	 *
+	 * @param WP_REST_Response $response Response.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function add_headers( $response ) {
+		if ( null === $this->last_status || ! $response instanceof WP_REST_Response ) {
+			return $response;
+		}
+
+		$response->header( 'X-RateLimit-Limit', (string) $this->last_status['limit'] );
+		$response->header( 'X-RateLimit-Remaining', (string) $this->last_status['remaining'] );
+		$response->header( 'X-RateLimit-Reset', (string) ( time() + $this->last_status['reset_in'] ) );
+
+		if ( 429 === $response->get_status() ) {
+			$response->header( 'Retry-After', (string) max( 1, $this->last_status['reset_in'] ) );
+		}
+
+		$this->last_status = null;
+
+		return $response;
+	}
+
+	/**
+	 * Times of the current user's requests still inside the window.
+	 *
+	 * @param string $action Action.
+	 * @param int    $window Window length in seconds.
+	 *
+	 * @return int[]
+	 */
+	private function get_log( $action, $window ) {
+		$log = get_transient( $this->get_key( $action ) );
+		if ( ! is_array( $log ) ) {
+			return array();
+		}
+
+		$since = time() - $window;
+
+		return array_values(
+			array_filter(
+				array_map( 'intval', $log ),
+				function ( $time ) use ( $since ) {
+					return $time > $since;
+				}
+			)
+		);
+	}
+
+	/**
+	 * Transient key holding the current user's log for an action.
+	 *
+	 * @param string $action Action.
+	 *
+	 * @return string
+	 */
+	private function get_key( $action ) {
+		return 'wpmudev_rate_window_' . $action . '_' . get_current_user_id();
+	}
+
+	/**
+	 * Validate a requests-per-window value.
+	 *
+	 * @param mixed $requests Value.
+	 *
+	 * @return int|WP_Error
+	 */
+	private function parse_requests( $requests ) {
+		if ( ! is_numeric( $requests ) || $requests < 0 || $requests > $this->max_requests ) {
+			return new WP_Error(
+				'invalid_rate_limit',
+				sprintf(
+					/* translators: %d: most requests allowed. */
+					__( 'Limits must be between 0 (no limit) and %d requests.', 'wpmudev-plugin-test' ),
+					$this->max_requests
+				),
+				array( 'status' => 400 )
+			);
+		}
+
+		return (int) $requests;
+	}
+}
@@ -0,0 +1,383 @@
+/**
+ * Activity Log Page - React Component
+ *
+ * Lists the audit log of Drive and maintenance actions, with filters,
+ * paging, CSV export and the retention setting.
+ *
+ * @since 1.0.0
+ */
+
+import { createRoot, render, StrictMode, useEffect, useState } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import { Button, Notice, SelectControl, Spinner, TextControl } from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+
+import './scss/style.scss';
+
+const domElement = document.getElementById( window.wpmudevActivityLog.dom_element_id );
+
+// Configure apiFetch to use plugin nonce and REST root.
+if ( window.wpmudevActivityLog?.nonce ) {
+	apiFetch.use( apiFetch.createNonceMiddleware( window.wpmudevActivityLog.nonce ) );
+}
+
+if ( window.wpmudevActivityLog?.restUrl ) {
+	apiFetch.use( apiFetch.createRootURLMiddleware( window.wpmudevActivityLog.restUrl ) );
+}
+
+const PER_PAGE = 20;
+
+const EMPTY_FILTERS = {
+	action: '',
+	result: '',
+	search: '',
+	date_from: '',
+	date_to: '',
+	user_id: '',
+};
+
+const RETENTION_OPTIONS = [
+	{ label: __( '30 days', 'wpmudev-plugin-test' ), value: '30' },
+	{ label: __( '90 days', 'wpmudev-plugin-test' ), value: '90' },
+	{ label: __( '180 days', 'wpmudev-plugin-test' ), value: '180' },
+	{ label: __( '1 year', 'wpmudev-plugin-test' ), value: '365' },
+	{ label: __( 'Forever', 'wpmudev-plugin-test' ), value: '0' },
+];
+
+const buildPath = ( endpoint, filters, page = 0 ) => {
+	const params = Object.keys( filters )
+		.filter( ( key ) => filters[ key ] !== '' )
+		.map( ( key ) => `${ key }=${ encodeURIComponent( filters[ key ] ) }` );
+
+	if ( page ) {
+		params.push( `page=${ page }`, `per_page=${ PER_PAGE }` );
+	}
+
+	return `/${ endpoint }${ params.length ? '?' + params.join( '&' ) : '' }`;
+};
+
+const WPMUDEV_ActivityLog = () => {
+	const [entries, setEntries] = useState( [] );
+	const [actions, setActions] = useState( [] );
+	const [total, setTotal] = useState( 0 );
+	const [pages, setPages] = useState( 0 );
+	const [page, setPage] = useState( 1 );
+	const [filters, setFilters] = useState( EMPTY_FILTERS );
+	const [search, setSearch] = useState( '' );
+	const [userName, setUserName] = useState( '' );
+	const [retention, setRetention] = useState( '' );
+	const [isLoading, setIsLoading] = useState( true );
+	const [isExporting, setIsExporting] = useState( false );
+	const [isSaving, setIsSaving] = useState( false );
+	const [notice, setNotice] = useState( { message: '', type: 'info' } );
+
+	const showNotice = ( message, type = 'info' ) => {
+		setNotice( { message, type } );
+	};
+
+	const clearNotice = () => setNotice( { message: '', type: 'info' } );
+
+	useEffect( () => {
+		const loadEntries = async () => {
+			setIsLoading( true );
+			try {
+				const response = await apiFetch( {
+					path: buildPath( window.wpmudevActivityLog.restEndpointLog, filters, page ),
+					method: 'GET',
+				} );
+				setEntries( response.entries || [] );
+				setTotal( response.total || 0 );
+				setPages( response.pages || 0 );
+				setActions( response.actions || [] );
+				if ( retention === '' && response.settings ) {
+					setRetention( String( response.settings.retention_days ) );
+				}
+			} catch ( error ) {
+				showNotice( error.message || __( 'Failed to load the activity log.', 'wpmudev-plugin-test' ), 'error' );
+			} finally {
+				setIsLoading( false );
+			}
+		};
+
+		loadEntries();
+	}, [ filters, page ] );
+
+	const updateFilter = ( key, value ) => {
+		setFilters( ( current ) => ( { ...current, [ key ]: value } ) );
+		setPage( 1 );
+	};
+
+	// Wait for a pause in typing before searching
+	useEffect( () => {
+		if ( search === filters.search ) {
+			return undefined;
+		}
+
+		const timer = setTimeout( () => updateFilter( 'search', search ), 400 );
+		return () => clearTimeout( timer );
+	}, [ search ] );
+
+	const filterByUser = ( entry ) => {
+		setUserName( entry.user );
+		updateFilter( 'user_id', String( entry.user_id ) );
+	};
+
+	const resetFilters = () => {
+		setFilters( EMPTY_FILTERS );
+		setSearch( '' );
+		setUserName( '' );
+		setPage( 1 );
+	};
+
+	const exportCsv = async () => {
+		clearNotice();
+		setIsExporting( true );
+		try {
+			const response = await apiFetch( {
+				path: buildPath( window.wpmudevActivityLog.restEndpointExport, filters ),
+				method: 'GET',
+			} );
+
+			const url = URL.createObjectURL( new Blob( [ response.csv ], { type: 'text/csv' } ) );
+			const link = document.createElement( 'a' );
+			link.href = url;
+			link.download = response.filename;
+			link.click();
+			URL.revokeObjectURL( url );
+		} catch ( error ) {
+			showNotice( error.message || __( 'Failed to export the activity log.', 'wpmudev-plugin-test' ), 'error' );
+		} finally {
+			setIsExporting( false );
+		}
+	};
+
+	const saveRetention = async () => {
+		clearNotice();
+		setIsSaving( true );
+		try {
+			const response = await apiFetch( {
+				path: `/${ window.wpmudevActivityLog.restEndpointSettings }`,
+				method: 'POST',
+				data: { retention_days: Number( retention ) },
+			} );
+			showNotice( response.message, 'success' );
+		} catch ( error ) {
+			showNotice( error.message || __( 'Failed to save log settings.', 'wpmudev-plugin-test' ), 'error' );
+		} finally {
+			setIsSaving( false );
+		}
+	};
+
+	return (
+		<>
+			<div className="sui-header">
+				<h1 className="sui-header-title">
+					{ __( 'Activity Log', 'wpmudev-plugin-test' ) }
+				</h1>
+				<p className="sui-description">
+					{ __( 'Who did what with Google Drive and posts maintenance.', 'wpmudev-plugin-test' ) }
+				</p>
+			</div>
+
+			{ notice.message && (
+				<Notice
+					status={ notice.type }
+					isDismissible
+					onRemove={ () => clearNotice() }
+				>
+					{ notice.message }
+				</Notice>
+			) }
+
+			<div className="sui-box">
+				<div className="sui-box-header">
+					<h2 className="sui-box-title">{ __( 'Entries', 'wpmudev-plugin-test' ) }</h2>
+					<div className="sui-actions-right">
+						<Button
+							variant="secondary"
+							onClick={ exportCsv }
+							disabled={ isExporting || total === 0 }
+						>
+							{ isExporting ? <Spinner /> : __( 'Export CSV', 'wpmudev-plugin-test' ) }
+						</Button>
+					</div>
+				</div>
+				<div className="sui-box-body">
+					<div className="activity-log-filters">
+						<SelectControl
+							label={ __( 'Action', 'wpmudev-plugin-test' ) }
+							value={ filters.action }
+							options={ [
+								{ label: __( 'All actions', 'wpmudev-plugin-test' ), value: '' },
+								...actions.map( ( action ) => ( { label: action.label, value: action.slug } ) ),
+							] }
+							onChange={ ( value ) => updateFilter( 'action', value ) }
+						/>
+						<SelectControl
+							label={ __( 'Result', 'wpmudev-plugin-test' ) }
+							value={ filters.result }
+							options={ [
+								{ label: __( 'Any result', 'wpmudev-plugin-test' ), value: '' },
+								{ label: __( 'Succeeded', 'wpmudev-plugin-test' ), value: 'success' },
+								{ label: __( 'Failed', 'wpmudev-plugin-test' ), value: 'failure' },
+							] }
+							onChange={ ( value ) => updateFilter( 'result', value ) }
+						/>
+						<TextControl
+							label={ __( 'Target contains', 'wpmudev-plugin-test' ) }
+							value={ search }
+							onChange={ setSearch }
+						/>
+						<TextControl
+							label={ __( 'From', 'wpmudev-plugin-test' ) }
+							type="date"
+							value={ filters.date_from }
+							onChange={ ( value ) => updateFilter( 'date_from', value ) }
+						/>
+						<TextControl
+							label={ __( 'To', 'wpmudev-plugin-test' ) }
+							type="date"
+							value={ filters.date_to }
+							onChange={ ( value ) => updateFilter( 'date_to', value ) }
+						/>
+						<Button variant="tertiary" onClick={ resetFilters }>
+							{ __( 'Reset filters', 'wpmudev-plugin-test' ) }
+						</Button>
+					</div>
+
+					{ filters.user_id && (
+						<p className="sui-description">
+							{ sprintf(
+								/* translators: %s: user display name. */
+								__( 'Showing activity by %s.', 'wpmudev-plugin-test' ),
+								userName || `#${ filters.user_id }`
+							) }
+							{ ' ' }
+							<Button variant="link" onClick={ () => updateFilter( 'user_id', '' ) }>
+								{ __( 'Show everyone', 'wpmudev-plugin-test' ) }
+							</Button>
+						</p>
+					) }
+
+					{ isLoading ? <Spinner /> : entries.length === 0 ? (
+						<p>{ __( 'No activity matches these filters.', 'wpmudev-plugin-test' ) }</p>
+					) : (
+						<table className="activity-log-table">
+							<thead>
+								<tr>
+									<th>{ __( 'Date', 'wpmudev-plugin-test' ) }</th>
+									<th>{ __( 'User', 'wpmudev-plugin-test' ) }</th>
+									<th>{ __( 'Action', 'wpmudev-plugin-test' ) }</th>
+									<th>{ __( 'Target', 'wpmudev-plugin-test' ) }</th>
+									<th>{ __( 'IP', 'wpmudev-plugin-test' ) }</th>
+									<th>{ __( 'Result', 'wpmudev-plugin-test' ) }</th>
+								</tr>
+							</thead>
+							<tbody>
+								{ entries.map( ( entry ) => (
+									<tr key={ entry.id }>
+										<td>{ new Date( entry.created_at ).toLocaleString() }</td>
+										<td>
+											{ entry.user_id ? (
+												<Button variant="link" onClick={ () => filterByUser( entry ) }>
+													{ entry.user || `#${ entry.user_id }` }
+												</Button>
+											) : __( 'Unknown', 'wpmudev-plugin-test' ) }
+										</td>
+										<td>{ entry.action_label }</td>
+										<td>{ entry.target }</td>
+										<td>{ entry.ip }</td>
+										<td className={ entry.result === 'failure' ? 'activity-log-failure' : '' }>
+											{ entry.result === 'failure'
+												? sprintf(
+													/* translators: %s: error code. */
+													__( 'Failed (%s)', 'wpmudev-plugin-test' ),
+													entry.error_code
+												)
+												: __( 'Succeeded', 'wpmudev-plugin-test' ) }
+										</td>
+									</tr>
+								) ) }
+							</tbody>
+						</table>
+					) }
+
+					{ pages > 1 && (
+						<div className="activity-log-pagination">
+							<Button
+								variant="secondary"
+								onClick={ () => setPage( page - 1 ) }
+								disabled={ isLoading || page <= 1 }
+							>
+								{ __( 'Previous', 'wpmudev-plugin-test' ) }
+							</Button>
+							<span>
+								{ sprintf(
+									/* translators: 1: current page, 2: number of pages, 3: number of entries. */
+									__( 'Page %1$d of %2$d (%3$d entries)', 'wpmudev-plugin-test' ),
+									page,
+									pages,
+									total
+								) }
+							</span>
+							<Button
+								variant="secondary"
+								onClick={ () => setPage( page + 1 ) }
+								disabled={ isLoading || page >= pages }
+							>
+								{ __( 'Next', 'wpmudev-plugin-test' ) }
+							</Button>
+						</div>
+					) }
+				</div>
+			</div>
+
+			<div className="sui-box">
+				<div className="sui-box-header">
+					<h2 className="sui-box-title">{ __( 'Retention', 'wpmudev-plugin-test' ) }</h2>
+				</div>
+				<div className="sui-box-body">
+					<SelectControl
+						label={ __( 'Keep entries for', 'wpmudev-plugin-test' ) }
+						help={ __( 'Older entries are removed once a day.', 'wpmudev-plugin-test' ) }
+						value={ retention }
+						options={ RETENTION_OPTIONS.some( ( option ) => option.value === retention ) || retention === ''
+							? RETENTION_OPTIONS
+							: [ ...RETENTION_OPTIONS, {
+								/* translators: %s: number of days. */
+								label: sprintf( __( '%s days', 'wpmudev-plugin-test' ), retention ),
+								value: retention,
+							} ] }
+						onChange={ setRetention }
+					/>
+				</div>
+				<div className="sui-box-footer">
+					<div className="sui-actions-right">
+						<Button
+							variant="primary"
+							onClick={ saveRetention }
+							disabled={ isSaving || retention === '' }
+						>
+							{ isSaving ? <Spinner /> : __( 'Save Settings', 'wpmudev-plugin-test' ) }
+						</Button>
+					</div>
+				</div>
+			</div>
+		</>
+	);
+};
+
+if ( createRoot ) {
+	createRoot( domElement ).render(
+		<StrictMode>
+			<WPMUDEV_ActivityLog />
+		</StrictMode>
+	);
+} else {
+	render(
+		<StrictMode>
+			<WPMUDEV_ActivityLog />
+		</StrictMode>,
+		domElement
+	);
+}
@@ -0,0 +1,422 @@
+/**
+ * Drive Backups Page - React Component
+ *
+ * Configures scheduled backups to Google Drive, starts one on demand and
+ * lists the backups kept in Drive. Backups run in the background, so the
+ * page polls the status while one is running.
+ *
+ * @since 1.0.0
+ */
+
+import { createRoot, render, StrictMode, useEffect, useState } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import { Button, CheckboxControl, Notice, SelectControl, Spinner, TextControl } from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+
+import FolderPicker from '../googledrive-page/components/folder-picker';
+
+import './scss/style.scss';
+
+const domElement = document.getElementById( window.wpmudevDriveBackups.dom_element_id );
+
+// Configure apiFetch to use plugin nonce and REST root.
+if ( window.wpmudevDriveBackups?.nonce ) {
+	apiFetch.use( apiFetch.createNonceMiddleware( window.wpmudevDriveBackups.nonce ) );
+}
+
+if ( window.wpmudevDriveBackups?.restUrl ) {
+	apiFetch.use( apiFetch.createRootURLMiddleware( window.wpmudevDriveBackups.restUrl ) );
+}
+
+const FREQUENCIES = [
+	{ value: 'off', label: __( 'Off (manual only)', 'wpmudev-plugin-test' ) },
+	{ value: 'daily', label: __( 'Daily', 'wpmudev-plugin-test' ) },
+	{ value: 'weekly', label: __( 'Weekly', 'wpmudev-plugin-test' ) },
+	{ value: 'monthly', label: __( 'Monthly', 'wpmudev-plugin-test' ) },
+];
+
+const formatTimestamp = ( timestamp ) => {
+	if ( ! timestamp ) {
+		return __( 'Never', 'wpmudev-plugin-test' );
+	}
+	return new Date( timestamp * 1000 ).toLocaleString();
+};
+
+const formatSize = ( bytes ) => {
+	if ( bytes >= 1073741824 ) {
+		return `${ ( bytes / 1073741824 ).toFixed( 1 ) } GB`;
+	}
+	if ( bytes >= 1048576 ) {
+		return `${ ( bytes / 1048576 ).toFixed( 1 ) } MB`;
+	}
+	return `${ Math.max( 1, Math.round( bytes / 1024 ) ) } KB`;
+};
+
+const describeStep = ( state ) => {
+	switch ( state.step ) {
+		case 'export':
+			return sprintf(
+				__( 'Exporting %1$s (%2$d of %3$d post types)…', 'wpmudev-plugin-test' ),
+				state.post_types[ state.exported ],
+				state.exported + 1,
+				state.post_types.length
+			);
+		case 'uploads':
+			return state.total_files > 0
+				? sprintf( __( 'Adding uploads: %1$d of %2$d files…', 'wpmudev-plugin-test' ), state.offset, state.total_files )
+				: __( 'Listing uploads…', 'wpmudev-plugin-test' );
+		case 'upload':
+			return __( 'Uploading the backup to Google Drive…', 'wpmudev-plugin-test' );
+		default:
+			return __( 'Removing old backups…', 'wpmudev-plugin-test' );
+	}
+};
+
+const WPMUDEV_DriveBackups = () => {
+	const [settings, setSettings] = useState( null );
+	const [availableTypes, setAvailableTypes] = useState( [] );
+	const [state, setState] = useState( null );
+	const [history, setHistory] = useState( [] );
+	const [nextRun, setNextRun] = useState( 0 );
+	const [schedulerAvailable, setSchedulerAvailable] = useState( true );
+	const [siteConnected, setSiteConnected] = useState( true );
+	const [isLoading, setIsLoading] = useState( true );
+	const [isSaving, setIsSaving] = useState( false );
+	const [isStarting, setIsStarting] = useState( false );
+	const [downloadingId, setDownloadingId] = useState( '' );
+	const [notice, setNotice] = useState( { message: '', type: 'info' } );
+
+	const showNotice = ( message, type = 'info' ) => {
+		setNotice( { message, type } );
+	};
+
+	const clearNotice = () => setNotice( { message: '', type: 'info' } );
+
+	const isRunning = !! state?.running;
+
+	const loadStatus = async ( showLoading = true ) => {
+		if ( showLoading ) {
+			setIsLoading( true );
+		}
+		try {
+			const response = await apiFetch( {
+				path: `/${ window.wpmudevDriveBackups.restEndpointStatus }`,
+				method: 'GET',
+			} );
+			// Keep unsaved edits while polling.
+			if ( showLoading ) {
+				setSettings( response.settings );
+			}
+			setAvailableTypes( response.available_types || [] );
+			setState( response.state );
+			setHistory( response.history || [] );
+			setNextRun( response.next_run || 0 );
+			setSchedulerAvailable( !! response.action_scheduler_available );
+			setSiteConnected( !! response.site_connection?.connected );
+		} catch ( error ) {
+			showNotice( error.message || __( 'Failed to load backups.', 'wpmudev-plugin-test' ), 'error' );
+		} finally {
+			if ( showLoading ) {
+				setIsLoading( false );
+			}
+		}
+	};
+
+	useEffect( () => {
+		loadStatus( true );
+	// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [] );
+
+	useEffect( () => {
+		if ( ! isRunning ) {
+			return undefined;
+		}
+
+		const interval = setInterval( () => {
+			loadStatus( false );
+		}, 4000 );
+
+		return () => clearInterval( interval );
+	// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [ isRunning ] );
+
+	const updateSetting = ( key, value ) => {
+		setSettings( { ...settings, [ key ]: value } );
+	};
+
+	const toggleType = ( slug ) => {
+		const postTypes = settings.post_types.includes( slug )
+			? settings.post_types.filter( ( item ) => item !== slug )
+			: [ ...settings.post_types, slug ];
+		updateSetting( 'post_types', postTypes );
+	};
+
+	const saveSettings = async () => {
+		clearNotice();
+		setIsSaving( true );
+		try {
+			const response = await apiFetch( {
+				path: `/${ window.wpmudevDriveBackups.restEndpointSettings }`,
+				method: 'POST',
+				data: {
+					frequency: settings.frequency,
+					post_types: settings.post_types,
+					include_uploads: settings.include_uploads,
+					keep: settings.keep,
+					folder_path: settings.folder.path,
+				},
+			} );
+			setSettings( response.settings );
+			setNextRun( response.next_run || 0 );
+			showNotice( response.message, 'success' );
+		} catch ( error ) {
+			showNotice( error.message || __( 'Failed to save backup settings.', 'wpmudev-plugin-test' ), 'error' );
+		} finally {
+			setIsSaving( false );
+		}
+	};
+
+	const runBackup = async () => {
+		clearNotice();
+		setIsStarting( true );
+		try {
+			const response = await apiFetch( {
+				path: `/${ window.wpmudevDriveBackups.restEndpointRun }`,
+				method: 'POST',
+			} );
+			setState( response.state );
+			showNotice( response.message, 'success' );
+		} catch ( error ) {
+			showNotice( error.message || __( 'Failed to start the backup.', 'wpmudev-plugin-test' ), 'error' );
+		} finally {
+			setIsStarting( false );
+		}
+	};
+
+	const downloadBackup = async ( backup ) => {
+		clearNotice();
+		setDownloadingId( backup.id );
+		try {
+			const response = await apiFetch( {
+				path: `/${ window.wpmudevDriveBackups.restEndpointDownload }`,
+				method: 'POST',
+				data: { file_id: backup.id },
+			} );
+			window.location.assign( response.url );
+		} catch ( error ) {
+			showNotice( error.message || __( 'Failed to download the backup.', 'wpmudev-plugin-test' ), 'error' );
+		} finally {
+			setDownloadingId( '' );
+		}
+	};
+
+	if ( ! settings ) {
+		return isLoading ? <Spinner /> : (
+			<Notice status="error" isDismissible={ false }>
+				{ notice.message }
+			</Notice>
+		);
+	}
+
+	return (
+		<>
+			<div className="sui-header">
+				<h1 className="sui-header-title">
+					{ __( 'Drive Backups', 'wpmudev-plugin-test' ) }
+				</h1>
+				<p className="sui-description">
+					{ __( 'Back up site content, and optionally the uploads folder, to Google Drive.', 'wpmudev-plugin-test' ) }
+				</p>
+			</div>
+
+			{ notice.message && (
+				<Notice
+					status={ notice.type }
+					isDismissible
+					onRemove={ () => clearNotice() }
+				>
+					{ notice.message }
+				</Notice>
+			) }
+
+			{ ! siteConnected && (
+				<Notice status="warning" isDismissible={ false }>
+					{ __( 'Backups are uploaded with the shared site account, which is not connected. Connect it on the Google Drive page.', 'wpmudev-plugin-test' ) }
+				</Notice>
+			) }
+
+			{ ! schedulerAvailable && (
+				<Notice status="warning" isDismissible={ false }>
+					{ __( 'Action Scheduler is not available, so backups cannot run.', 'wpmudev-plugin-test' ) }
+				</Notice>
+			) }
+
+			<div className="sui-box">
+				<div className="sui-box-header">
+					<h2 className="sui-box-title">{ __( 'Settings', 'wpmudev-plugin-test' ) }</h2>
+				</div>
+				<div className="sui-box-body">
+					<div className="sui-box-settings-row">
+						<SelectControl
+							label={ __( 'Schedule', 'wpmudev-plugin-test' ) }
+							value={ settings.frequency }
+							options={ FREQUENCIES }
+							onChange={ ( value ) => updateSetting( 'frequency', value ) }
+							disabled={ isSaving }
+						/>
+						<p className="sui-description">
+							<strong>{ __( 'Next backup:', 'wpmudev-plugin-test' ) }</strong>
+							{ ' ' }
+							{ nextRun ? formatTimestamp( nextRun ) : __( 'Not scheduled', 'wpmudev-plugin-test' ) }
+						</p>
+					</div>
+
+					<div className="sui-box-settings-row">
+						<p><strong>{ __( 'Post Types to Back Up', 'wpmudev-plugin-test' ) }</strong></p>
+						<div className="post-types-grid">
+							{ availableTypes.map( ( type ) => (
+								<CheckboxControl
+									key={ type.slug }
+									label={ `${ type.label } (${ type.slug })` }
+									checked={ settings.post_types.includes( type.slug ) }
+									onChange={ () => toggleType( type.slug ) }
+									disabled={ isSaving }
+								/>
+							) ) }
+						</div>
+						<CheckboxControl
+							label={ __( 'Include the uploads folder', 'wpmudev-plugin-test' ) }
+							checked={ !! settings.include_uploads }
+							onChange={ ( value ) => updateSetting( 'include_uploads', value ) }
+							disabled={ isSaving }
+						/>
+					</div>
+
+					<div className="sui-box-settings-row">
+						<TextControl
+							label={ __( 'Backups to keep', 'wpmudev-plugin-test' ) }
+							help={ __( 'Older backups are deleted from Google Drive (max 30).', 'wpmudev-plugin-test' ) }
+							type="number"
+							value={ settings.keep }
+							onChange={ ( val ) => updateSetting( 'keep', Math.min( 30, Math.max( 1, parseInt( val || 5, 10 ) ) ) ) }
+							disabled={ isSaving }
+						/>
+						<FolderPicker
+							label={ __( 'Save backups to:', 'wpmudev-plugin-test' ) }
+							value={ settings.folder.path }
+							onChange={ ( path ) => updateSetting( 'folder', { ...settings.folder, path } ) }
+							disabled={ isSaving }
+							filesEndpoint={ window.wpmudevDriveBackups.restEndpointFiles }
+							account="site"
+						/>
+					</div>
+				</div>
+				<div className="sui-box-footer">
+					<div className="sui-actions-right">
+						<Button
+							variant="primary"
+							onClick={ saveSettings }
+							disabled={ isSaving }
+						>
+							{ isSaving ? <Spinner /> : __( 'Save Settings', 'wpmudev-plugin-test' ) }
+						</Button>
+					</div>
+				</div>
+			</div>
+
+			<div className="sui-box">
+				<div className="sui-box-header">
+					<h2 className="sui-box-title">{ __( 'Backup Now', 'wpmudev-plugin-test' ) }</h2>
+					<div className="sui-actions-right">
+						<Button
+							variant="primary"
+							onClick={ runBackup }
+							disabled={ isRunning || isStarting || ! schedulerAvailable }
+						>
+							{ isRunning || isStarting ? <Spinner /> : __( 'Run Backup', 'wpmudev-plugin-test' ) }
+						</Button>
+					</div>
+				</div>
+				<div className="sui-box-body">
+					{ isRunning ? (
+						<p>{ describeStep( state ) }</p>
+					) : state?.error ? (
+						<Notice status="error" isDismissible={ false }>
+							{ sprintf( __( 'The last backup failed: %s', 'wpmudev-plugin-test' ), state.error ) }
+						</Notice>
+					) : (
+						<p className="sui-description">
+							<strong>{ __( 'Last backup:', 'wpmudev-plugin-test' ) }</strong>
+							{ ' ' }
+							{ formatTimestamp( state?.finished_at ) }
+						</p>
+					) }
+				</div>
+			</div>
+
+			<div className="sui-box">
+				<div className="sui-box-header">
+					<h2 className="sui-box-title">{ __( 'Backups in Google Drive', 'wpmudev-plugin-test' ) }</h2>
+				</div>
+				<div className="sui-box-body">
+					{ history.length === 0 ? (
+						<p className="sui-description">{ __( 'No backups yet.', 'wpmudev-plugin-test' ) }</p>
+					) : (
+						<table className="drive-backups-history">
+							<thead>
+								<tr>
+									<th>{ __( 'Date', 'wpmudev-plugin-test' ) }</th>
+									<th>{ __( 'Contents', 'wpmudev-plugin-test' ) }</th>
+									<th>{ __( 'Size', 'wpmudev-plugin-test' ) }</th>
+									<th>{ __( 'Trigger', 'wpmudev-plugin-test' ) }</th>
+									<th></th>
+								</tr>
+							</thead>
+							<tbody>
+								{ history.map( ( backup ) => (
+									<tr key={ backup.id }>
+										<td>{ formatTimestamp( backup.created_at ) }</td>
+										<td>
+											{ backup.post_types.join( ', ' ) }
+											{ backup.include_uploads && `, ${ __( 'uploads', 'wpmudev-plugin-test' ) }` }
+										</td>
+										<td>{ formatSize( backup.size ) }</td>
+										<td>
+											{ backup.trigger === 'scheduled'
+												? __( 'Scheduled', 'wpmudev-plugin-test' )
+												: __( 'Manual', 'wpmudev-plugin-test' ) }
+										</td>
+										<td>
+											<Button
+												variant="secondary"
+												onClick={ () => downloadBackup( backup ) }
+												disabled={ downloadingId !== '' }
+											>
+												{ downloadingId === backup.id ? <Spinner /> : __( 'Download', 'wpmudev-plugin-test' ) }
+											</Button>
+										</td>
+									</tr>
+								) ) }
+							</tbody>
+						</table>
+					) }
+				</div>
+			</div>
+		</>
+	);
+};
+
+if ( createRoot ) {
+	createRoot( domElement ).render(
+		<StrictMode>
+			<WPMUDEV_DriveBackups />
+		</StrictMode>
+	);
+} else {
+	render(
+		<StrictMode>
+			<WPMUDEV_DriveBackups />
+		</StrictMode>,
+		domElement
+	);
+}
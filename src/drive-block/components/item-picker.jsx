@@ -0,0 +1,112 @@
+/**
+ * Drive Item Picker
+ *
+ * Browses the site account's Drive so a file, or the folder being viewed,
+ * can be picked for the Drive block. onChange gets { id, name, isFolder }.
+ *
+ * @since 1.0.0
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Spinner } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+import { formatFolderPath, getPathFolderId } from '../../googledrive-page/components/folder-picker';
+
+const ItemPicker = ({ onChange, onCancel }) => {
+    const [trail, setTrail] = useState([]);
+    const [items, setItems] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const browseTo = async (path) => {
+        setTrail(path);
+        setIsLoading(true);
+        setError('');
+        try {
+            const parentId = getPathFolderId(path) || 'root';
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveBlock.restEndpointFiles}?parent_id=${encodeURIComponent(parentId)}&page_size=100&account=site`,
+                method: 'GET',
+            });
+
+            if (response.success && Array.isArray(response.files)) {
+                // Folders first, like Drive itself
+                setItems([...response.files].sort((a, b) => Number(b.isFolder) - Number(a.isFolder)));
+            } else {
+                setError(response.message || __('Failed to load files.', 'wpmudev-plugin-test'));
+            }
+        } catch (err) {
+            setError(err.message || __('Failed to load files.', 'wpmudev-plugin-test'));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        browseTo([]);
+    }, []);
+
+    const currentFolder = trail.length > 0 ? trail[trail.length - 1] : null;
+
+    return (
+        <div className="drive-item-picker">
+            <div className="drive-item-picker-path">
+                <span>{formatFolderPath(trail)}</span>
+                {trail.length > 0 && (
+                    <Button
+                        variant="link"
+                        onClick={() => browseTo(trail.slice(0, -1))}
+                        disabled={isLoading}
+                    >
+                        {__('Up one level', 'wpmudev-plugin-test')}
+                    </Button>
+                )}
+            </div>
+
+            {isLoading ? (
+                <Spinner />
+            ) : error ? (
+                <p className="drive-item-picker-error">{error}</p>
+            ) : items.length > 0 ? (
+                <ul className="drive-item-picker-list">
+                    {items.map((item) => (
+                        <li key={item.id} className={item.isFolder ? 'is-folder' : 'is-file'}>
+                            <Button
+                                variant="link"
+                                onClick={() => (item.isFolder
+                                    ? browseTo([...trail, { id: item.id, name: item.name }])
+                                    : onChange({ id: item.id, name: item.name, isFolder: false }))}
+                            >
+                                {item.name}
+                            </Button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="drive-item-picker-empty">{__('This folder is empty.', 'wpmudev-plugin-test')}</p>
+            )}
+
+            <div className="drive-item-picker-actions">
+                {onCancel && (
+                    <Button variant="secondary" size="small" onClick={onCancel}>
+                        {__('Cancel', 'wpmudev-plugin-test')}
+                    </Button>
+                )}
+                {currentFolder && (
+                    <Button
+                        variant="primary"
+                        size="small"
+                        onClick={() => onChange({ id: currentFolder.id, name: currentFolder.name, isFolder: true })}
+                        disabled={isLoading}
+                    >
+                        {__('Embed this folder', 'wpmudev-plugin-test')}
+                    </Button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ItemPicker;
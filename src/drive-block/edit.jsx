@@ -0,0 +1,92 @@
+/**
+ * Google Drive Block - Editor
+ *
+ * The file or folder is picked from the site account's Drive in the block
+ * inspector. The preview is rendered by the server, the same way visitors
+ * will see it.
+ *
+ * @since 1.0.0
+ */
+
+import { useState } from '@wordpress/element';
+import { InspectorControls, useBlockProps } from '@wordpress/block-editor';
+import { Button, Notice, PanelBody, Placeholder, SelectControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import ServerSideRender from '@wordpress/server-side-render';
+
+import ItemPicker from './components/item-picker';
+
+const DISPLAY_OPTIONS = [
+    { label: __('Automatic', 'wpmudev-plugin-test'), value: 'auto' },
+    { label: __('Image', 'wpmudev-plugin-test'), value: 'image' },
+    { label: __('PDF viewer', 'wpmudev-plugin-test'), value: 'pdf' },
+    { label: __('Download button', 'wpmudev-plugin-test'), value: 'download' },
+];
+
+const Edit = ({ attributes, setAttributes }) => {
+    const { fileId, fileName, isFolder, display } = attributes;
+    const [isPicking, setIsPicking] = useState(false);
+    const blockProps = useBlockProps();
+    const canBrowse = window.wpmudevDriveBlock?.canBrowse;
+
+    const handlePick = (item) => {
+        setAttributes({ fileId: item.id, fileName: item.name, isFolder: item.isFolder });
+        setIsPicking(false);
+    };
+
+    const picker = canBrowse ? (
+        <ItemPicker onChange={handlePick} onCancel={fileId ? () => setIsPicking(false) : null} />
+    ) : (
+        <Notice status="warning" isDismissible={false}>
+            {__('Only administrators can browse the site\'s Google Drive.', 'wpmudev-plugin-test')}
+        </Notice>
+    );
+
+    return (
+        <div {...blockProps}>
+            <InspectorControls>
+                <PanelBody title={__('Google Drive', 'wpmudev-plugin-test')}>
+                    {fileId && !isPicking ? (
+                        <p>
+                            <strong>{isFolder ? __('Folder:', 'wpmudev-plugin-test') : __('File:', 'wpmudev-plugin-test')}</strong>
+                            {' '}
+                            {fileName || fileId}
+                            {' '}
+                            {canBrowse && (
+                                <Button variant="link" onClick={() => setIsPicking(true)}>
+                                    {__('Change', 'wpmudev-plugin-test')}
+                                </Button>
+                            )}
+                        </p>
+                    ) : (
+                        fileId && picker
+                    )}
+
+                    {fileId && !isFolder && (
+                        <SelectControl
+                            label={__('Display as', 'wpmudev-plugin-test')}
+                            value={display}
+                            options={DISPLAY_OPTIONS}
+                            onChange={(value) => setAttributes({ display: value })}
+                            help={__('Files that can\'t be shown this way get a download button.', 'wpmudev-plugin-test')}
+                        />
+                    )}
+                </PanelBody>
+            </InspectorControls>
+
+            {fileId ? (
+                <ServerSideRender block="wpmudev/drive-embed" attributes={attributes} />
+            ) : (
+                <Placeholder
+                    icon="cloud"
+                    label={__('Google Drive', 'wpmudev-plugin-test')}
+                    instructions={__('Pick a file, or open a folder to embed all of its files.', 'wpmudev-plugin-test')}
+                >
+                    {picker}
+                </Placeholder>
+            )}
+        </div>
+    );
+};
+
+export default Edit;
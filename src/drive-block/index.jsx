@@ -0,0 +1,36 @@
+/**
+ * Google Drive Block
+ *
+ * Embeds a file or folder from the site's Google Drive. The block is
+ * dynamic - the markup comes from Drive_Embed on the server, which the
+ * [wpmudev_drive] shortcode shares.
+ *
+ * @since 1.0.0
+ */
+
+import { registerBlockType } from '@wordpress/blocks';
+import { __ } from '@wordpress/i18n';
+
+import Edit from './edit';
+
+import './scss/style.scss';
+
+registerBlockType('wpmudev/drive-embed', {
+    apiVersion: 2,
+    title: __('Google Drive', 'wpmudev-plugin-test'),
+    description: __('Embed an image, PDF or download from Google Drive, or list the files in a folder.', 'wpmudev-plugin-test'),
+    category: 'embed',
+    icon: 'cloud',
+    keywords: [__('drive', 'wpmudev-plugin-test'), __('file', 'wpmudev-plugin-test'), __('pdf', 'wpmudev-plugin-test')],
+    attributes: {
+        fileId: { type: 'string', default: '' },
+        fileName: { type: 'string', default: '' },
+        isFolder: { type: 'boolean', default: false },
+        display: { type: 'string', default: 'auto' },
+    },
+    supports: {
+        html: false,
+    },
+    edit: Edit,
+    save: () => null,
+});
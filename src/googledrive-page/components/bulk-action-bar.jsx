@@ -0,0 +1,232 @@
+/**
+ * Bulk Action Bar
+ *
+ * Shown above the files grid while items are selected. Every action is a
+ * single request to the bulk endpoint, which reports back per item - so
+ * when only some items fail, the failures are listed by name.
+ *
+ * @since 1.0.0
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, CheckboxControl, Modal, RadioControl, SelectControl, Spinner, TextControl } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+import FolderPicker, { getPathFolderId } from './folder-picker';
+import { SHARE_ROLES } from './share-dialog';
+
+const BulkActionBar = ({ selectedFiles, onClear, onDone, showNotice, drive = null, capabilities = {} }) => {
+    const [busyAction, setBusyAction] = useState(null);
+    const [dialog, setDialog] = useState(null); // 'move' | 'share'
+    const [destination, setDestination] = useState([]);
+    const [share, setShare] = useState({ type: 'user', email: '', role: 'reader', notify: true });
+    const [failures, setFailures] = useState([]);
+
+    const count = selectedFiles.length;
+
+    const runBulk = async (action, data = {}) => {
+        setBusyAction(action);
+        setFailures([]);
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointBulk}`,
+                method: 'POST',
+                data: {
+                    action,
+                    file_ids: selectedFiles.map((file) => file.id),
+                    ...data,
+                },
+            });
+
+            const names = Object.fromEntries(selectedFiles.map((file) => [file.id, file.name]));
+            const failed = response.results.filter((result) => !result.success);
+
+            setFailures(failed.map((result) => ({ ...result, name: names[result.id] || result.id })));
+            showNotice(response.message, failed.length > 0 ? 'error' : 'success');
+
+            // Start the zip download straight away
+            if (response.url) {
+                const link = document.createElement('a');
+                link.href = response.url;
+                link.download = response.filename || '';
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+            }
+
+            setDialog(null);
+            onDone(action, response.results.filter((result) => result.success).map((result) => result.id));
+        } catch (error) {
+            showNotice(error.message || __('The bulk action failed.', 'wpmudev-plugin-test'), 'error');
+        } finally {
+            setBusyAction(null);
+        }
+    };
+
+    const handleTrash = () => {
+        if (!window.confirm(sprintf(
+            /* translators: %d: number of items */
+            _n('Move %d item to the trash?', 'Move %d items to the trash?', count, 'wpmudev-plugin-test'),
+            count
+        ))) {
+            return;
+        }
+        runBulk('trash');
+    };
+
+    const handleShareSubmit = (event) => {
+        event.preventDefault();
+        runBulk('share', {
+            share_type: share.type,
+            email: share.type === 'user' ? share.email.trim() : '',
+            role: share.role,
+            notify: share.notify,
+        });
+    };
+
+    const isBusy = busyAction !== null;
+
+    return (
+        <>
+            {count > 0 && (
+                <div className="drive-bulk-bar">
+                    <strong>
+                        {sprintf(
+                            /* translators: %d: number of selected items */
+                            _n('%d selected', '%d selected', count, 'wpmudev-plugin-test'),
+                            count
+                        )}
+                    </strong>
+                    <div className="drive-bulk-actions">
+                        <Button variant="secondary" size="small" onClick={() => runBulk('download')} disabled={isBusy}>
+                            {busyAction === 'download' ? <Spinner /> : __('Download as zip', 'wpmudev-plugin-test')}
+                        </Button>
+                        {capabilities.upload && (
+                            <Button variant="secondary" size="small" onClick={() => runBulk('import')} disabled={isBusy}>
+                                {busyAction === 'import' ? <Spinner /> : __('Import to Media Library', 'wpmudev-plugin-test')}
+                            </Button>
+                        )}
+                        {capabilities.manage && (
+                            <>
+                                <Button variant="secondary" size="small" onClick={() => setDialog('move')} disabled={isBusy}>
+                                    {__('Move', 'wpmudev-plugin-test')}
+                                </Button>
+                                <Button variant="secondary" size="small" onClick={() => setDialog('share')} disabled={isBusy}>
+                                    {__('Share', 'wpmudev-plugin-test')}
+                                </Button>
+                                <Button variant="secondary" size="small" isDestructive onClick={handleTrash} disabled={isBusy}>
+                                    {busyAction === 'trash' ? <Spinner /> : __('Move to trash', 'wpmudev-plugin-test')}
+                                </Button>
+                            </>
+                        )}
+                        <Button variant="link" size="small" onClick={onClear} disabled={isBusy}>
+                            {__('Clear selection', 'wpmudev-plugin-test')}
+                        </Button>
+                    </div>
+                </div>
+            )}
+
+            {failures.length > 0 && (
+                <div className="drive-bulk-failures">
+                    <p>
+                        <strong>
+                            {sprintf(
+                                /* translators: %d: number of items */
+                                _n('%d item could not be processed:', '%d items could not be processed:', failures.length, 'wpmudev-plugin-test'),
+                                failures.length
+                            )}
+                        </strong>
+                    </p>
+                    <ul>
+                        {failures.map((failure) => (
+                            <li key={failure.id}>
+                                <strong>{failure.name}</strong>
+                                {' - '}
+                                {failure.message}
+                            </li>
+                        ))}
+                    </ul>
+                    <Button variant="link" size="small" onClick={() => setFailures([])}>
+                        {__('Dismiss', 'wpmudev-plugin-test')}
+                    </Button>
+                </div>
+            )}
+
+            {dialog === 'move' && (
+                <Modal title={__('Move selected items', 'wpmudev-plugin-test')} onRequestClose={() => setDialog(null)} className="drive-item-modal">
+                    <FolderPicker
+                        label={__('Move to:', 'wpmudev-plugin-test')}
+                        value={destination}
+                        onChange={setDestination}
+                        disabled={isBusy}
+                        drive={drive}
+                    />
+                    <div className="drive-item-modal-actions">
+                        <Button variant="tertiary" onClick={() => setDialog(null)} disabled={isBusy}>
+                            {__('Cancel', 'wpmudev-plugin-test')}
+                        </Button>
+                        <Button
+                            variant="primary"
+                            onClick={() => runBulk('move', { parent_id: getPathFolderId(destination), ...(drive ? { drive_id: drive.id } : {}) })}
+                            disabled={isBusy}
+                        >
+                            {isBusy ? <Spinner /> : __('Move', 'wpmudev-plugin-test')}
+                        </Button>
+                    </div>
+                </Modal>
+            )}
+
+            {dialog === 'share' && (
+                <Modal title={__('Share selected items', 'wpmudev-plugin-test')} onRequestClose={() => setDialog(null)} className="drive-item-modal">
+                    <form onSubmit={handleShareSubmit}>
+                        <RadioControl
+                            label={__('Share with', 'wpmudev-plugin-test')}
+                            selected={share.type}
+                            options={[
+                                { label: __('A person', 'wpmudev-plugin-test'), value: 'user' },
+                                { label: __('Anyone with the link', 'wpmudev-plugin-test'), value: 'anyone' },
+                            ]}
+                            onChange={(type) => setShare({ ...share, type })}
+                        />
+                        {share.type === 'user' && (
+                            <TextControl
+                                label={__('Email address', 'wpmudev-plugin-test')}
+                                type="email"
+                                value={share.email}
+                                onChange={(email) => setShare({ ...share, email })}
+                            />
+                        )}
+                        <SelectControl
+                            label={__('Role', 'wpmudev-plugin-test')}
+                            value={share.role}
+                            options={SHARE_ROLES}
+                            onChange={(role) => setShare({ ...share, role })}
+                        />
+                        {share.type === 'user' && (
+                            <CheckboxControl
+                                label={__('Send an email notification', 'wpmudev-plugin-test')}
+                                checked={share.notify}
+                                onChange={(notify) => setShare({ ...share, notify })}
+                            />
+                        )}
+                        <div className="drive-item-modal-actions">
+                            <Button variant="tertiary" onClick={() => setDialog(null)} disabled={isBusy}>
+                                {__('Cancel', 'wpmudev-plugin-test')}
+                            </Button>
+                            <Button
+                                type="submit"
+                                variant="primary"
+                                disabled={isBusy || (share.type === 'user' && !share.email.trim())}
+                            >
+                                {isBusy ? <Spinner /> : __('Share', 'wpmudev-plugin-test')}
+                            </Button>
+                        </div>
+                    </form>
+                </Modal>
+            )}
+        </>
+    );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,187 @@
+/**
+ * Connection Health Panel
+ *
+ * Shows what the plugin knows about the Drive connection - account,
+ * granted scopes, token expiry, the last token refresh and recent API
+ * errors with Google's reason codes. "Test connection" checks it all
+ * against Google and adds the storage quota.
+ *
+ * @since 1.0.0
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+const formatTimestamp = (timestamp) => {
+    if (!timestamp) {
+        return __('Unknown', 'wpmudev-plugin-test');
+    }
+    return new Date(timestamp * 1000).toLocaleString();
+};
+
+const formatSize = (bytes) => {
+    if (bytes >= 1024 * 1024 * 1024) {
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.round(bytes / 1024)} KB`;
+};
+
+const STATUS_LABELS = {
+    good: __('OK', 'wpmudev-plugin-test'),
+    recommended: __('Warning', 'wpmudev-plugin-test'),
+    critical: __('Failed', 'wpmudev-plugin-test'),
+};
+
+const ConnectionHealth = ({ showNotice }) => {
+    const [health, setHealth] = useState(null);
+    const [test, setTest] = useState(null);
+    const [isTesting, setIsTesting] = useState(false);
+
+    useEffect(() => {
+        apiFetch({
+            path: `/${window.wpmudevDriveTest.restEndpointHealth}`,
+            method: 'GET',
+        })
+            .then((response) => setHealth(response.health))
+            .catch((error) => showNotice(error.message || __('Failed to load the connection status.', 'wpmudev-plugin-test'), 'error'));
+    }, []);
+
+    const handleTest = async () => {
+        setIsTesting(true);
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointHealthTest}`,
+                method: 'POST',
+            });
+            setTest(response.test);
+            setHealth(response.health);
+        } catch (error) {
+            showNotice(error.message || __('The connection test failed to run.', 'wpmudev-plugin-test'), 'error');
+        } finally {
+            setIsTesting(false);
+        }
+    };
+
+    if (!health) {
+        return <Spinner />;
+    }
+
+    const lastRefresh = health.last_refresh;
+
+    return (
+        <div className="drive-connection-health">
+            <table className="drive-health-details">
+                <tbody>
+                    <tr>
+                        <th scope="row">{__('Account', 'wpmudev-plugin-test')}</th>
+                        <td>{health.connected ? health.email || __('Unknown', 'wpmudev-plugin-test') : __('Not connected', 'wpmudev-plugin-test')}</td>
+                    </tr>
+                    <tr>
+                        <th scope="row">{__('Granted scopes', 'wpmudev-plugin-test')}</th>
+                        <td>
+                            {health.scopes.length > 0 ? (
+                                <ul>
+                                    {health.scopes.map((scope) => <li key={scope}><code>{scope}</code></li>)}
+                                </ul>
+                            ) : __('Unknown', 'wpmudev-plugin-test')}
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row">{__('Token expires', 'wpmudev-plugin-test')}</th>
+                        <td>{formatTimestamp(health.expires_at)}</td>
+                    </tr>
+                    <tr>
+                        <th scope="row">{__('Last refresh', 'wpmudev-plugin-test')}</th>
+                        <td>
+                            {lastRefresh ? (
+                                <>
+                                    {formatTimestamp(lastRefresh.time)}
+                                    {' - '}
+                                    {lastRefresh.success
+                                        ? __('succeeded', 'wpmudev-plugin-test')
+                                        : sprintf(
+                                            /* translators: %s: error message from Google */
+                                            __('failed: %s', 'wpmudev-plugin-test'),
+                                            lastRefresh.message
+                                        )}
+                                </>
+                            ) : __('Not refreshed yet', 'wpmudev-plugin-test')}
+                        </td>
+                    </tr>
+                    {test?.quota && (
+                        <tr>
+                            <th scope="row">{__('Storage', 'wpmudev-plugin-test')}</th>
+                            <td>
+                                {test.quota.total
+                                    ? sprintf(
+                                        /* translators: 1: storage used, 2: storage total */
+                                        __('%1$s of %2$s used', 'wpmudev-plugin-test'),
+                                        formatSize(test.quota.used),
+                                        formatSize(test.quota.total)
+                                    )
+                                    : sprintf(
+                                        /* translators: %s: storage used */
+                                        __('%s used (no limit)', 'wpmudev-plugin-test'),
+                                        formatSize(test.quota.used)
+                                    )}
+                            </td>
+                        </tr>
+                    )}
+                </tbody>
+            </table>
+
+            {test && (
+                <ul className="drive-health-checks">
+                    {test.checks.map((check) => (
+                        <li key={check.id} className={`is-${check.status}`}>
+                            <strong>{check.label}:</strong>
+                            {' '}
+                            <span className="drive-health-status">{STATUS_LABELS[check.status]}</span>
+                            {' - '}
+                            {check.message}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <h3>{__('Recent API errors', 'wpmudev-plugin-test')}</h3>
+            {health.errors.length > 0 ? (
+                <table className="widefat striped drive-health-errors">
+                    <thead>
+                        <tr>
+                            <th>{__('Time', 'wpmudev-plugin-test')}</th>
+                            <th>{__('Status', 'wpmudev-plugin-test')}</th>
+                            <th>{__('Reason', 'wpmudev-plugin-test')}</th>
+                            <th>{__('Message', 'wpmudev-plugin-test')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {health.errors.map((error, index) => (
+                            <tr key={index}>
+                                <td>{formatTimestamp(error.time)}</td>
+                                <td>{error.code || '-'}</td>
+                                <td>{error.reason ? <code>{error.reason}</code> : '-'}</td>
+                                <td>{error.message}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ) : (
+                <p>{__('No errors recorded.', 'wpmudev-plugin-test')}</p>
+            )}
+
+            <p>
+                <Button variant="secondary" onClick={handleTest} disabled={isTesting}>
+                    {isTesting ? <Spinner /> : __('Test connection', 'wpmudev-plugin-test')}
+                </Button>
+            </p>
+        </div>
+    );
+};
+
+export default ConnectionHealth;
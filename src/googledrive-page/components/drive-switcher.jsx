@@ -0,0 +1,53 @@
+/**
+ * Shared Drive Switcher
+ *
+ * Picks which drive the page works in - My Drive or one of the Shared
+ * Drives the account is a member of. The value is { id, name } for a
+ * Shared Drive, or null for My Drive.
+ *
+ * @since 1.0.0
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { SelectControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+const DriveSwitcher = ({ value = null, onChange, disabled = false }) => {
+    const [drives, setDrives] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        apiFetch({
+            path: `/${window.wpmudevDriveTest.restEndpointDrives}`,
+            method: 'GET',
+        })
+            .then((response) => setDrives(response.drives || []))
+            .catch((err) => setError(err.message || __('Failed to load shared drives.', 'wpmudev-plugin-test')))
+            .finally(() => setIsLoading(false));
+    }, []);
+
+    // Without any Shared Drives there is nothing to switch to
+    if (!isLoading && !error && drives.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="drive-switcher">
+            <SelectControl
+                label={__('Drive', 'wpmudev-plugin-test')}
+                value={value ? value.id : ''}
+                options={[
+                    { label: __('My Drive', 'wpmudev-plugin-test'), value: '' },
+                    ...drives.map((drive) => ({ label: drive.name, value: drive.id })),
+                ]}
+                onChange={(id) => onChange(drives.find((drive) => drive.id === id) || null)}
+                disabled={disabled || isLoading}
+                help={error || (isLoading ? __('Loading shared drives...', 'wpmudev-plugin-test') : '')}
+            />
+        </div>
+    );
+};
+
+export default DriveSwitcher;
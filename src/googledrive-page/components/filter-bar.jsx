@@ -0,0 +1,122 @@
+/**
+ * Drive Files Filter Bar
+ *
+ * Structured search and filter controls for the files grid. The values are
+ * sent to the files endpoint as individual parameters - the server builds
+ * and escapes the actual Drive query, so nothing here is passed through raw.
+ *
+ * @since 1.0.0
+ */
+
+import { Button, CheckboxControl, SelectControl, TextControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+export const DEFAULT_FILTERS = {
+    name: '',
+    type: '',
+    modifiedAfter: '',
+    modifiedBefore: '',
+    ownedByMe: false,
+    starred: false,
+};
+
+export const hasActiveFilters = (filters) => {
+    return Object.keys(DEFAULT_FILTERS).some((key) => filters[key] !== DEFAULT_FILTERS[key]);
+};
+
+// Map the filter state onto the REST parameter names
+export const filtersToParams = (filters) => {
+    const params = [];
+    const add = (key, value) => params.push(`${key}=${encodeURIComponent(value)}`);
+
+    if (filters.name.trim()) {
+        add('name', filters.name.trim());
+    }
+    if (filters.type) {
+        add('type', filters.type);
+    }
+    if (filters.modifiedAfter) {
+        add('modified_after', filters.modifiedAfter);
+    }
+    if (filters.modifiedBefore) {
+        add('modified_before', filters.modifiedBefore);
+    }
+    if (filters.ownedByMe) {
+        add('owned_by_me', 1);
+    }
+    if (filters.starred) {
+        add('starred', 1);
+    }
+
+    return params;
+};
+
+const FilterBar = ({ filters, onChange, disabled = false }) => {
+    const update = (key) => (value) => onChange({ ...filters, [key]: value });
+
+    return (
+        <div className="drive-filter-bar">
+            <div className="drive-filter-field drive-filter-name">
+                <TextControl
+                    label={__('Name contains', 'wpmudev-plugin-test')}
+                    value={filters.name}
+                    onChange={update('name')}
+                    placeholder={__('Search files', 'wpmudev-plugin-test')}
+                    type="search"
+                />
+            </div>
+            <div className="drive-filter-field">
+                <SelectControl
+                    label={__('Type', 'wpmudev-plugin-test')}
+                    value={filters.type}
+                    onChange={update('type')}
+                    options={[
+                        { label: __('Any type', 'wpmudev-plugin-test'), value: '' },
+                        { label: __('Folders', 'wpmudev-plugin-test'), value: 'folder' },
+                        { label: __('Images', 'wpmudev-plugin-test'), value: 'image' },
+                        { label: __('Documents', 'wpmudev-plugin-test'), value: 'doc' },
+                        { label: __('PDFs', 'wpmudev-plugin-test'), value: 'pdf' },
+                        { label: __('Videos', 'wpmudev-plugin-test'), value: 'video' },
+                    ]}
+                />
+            </div>
+            <div className="drive-filter-field">
+                <TextControl
+                    label={__('Modified after', 'wpmudev-plugin-test')}
+                    type="date"
+                    value={filters.modifiedAfter}
+                    onChange={update('modifiedAfter')}
+                />
+            </div>
+            <div className="drive-filter-field">
+                <TextControl
+                    label={__('Modified before', 'wpmudev-plugin-test')}
+                    type="date"
+                    value={filters.modifiedBefore}
+                    onChange={update('modifiedBefore')}
+                />
+            </div>
+            <div className="drive-filter-field drive-filter-toggles">
+                <CheckboxControl
+                    label={__('Owned by me', 'wpmudev-plugin-test')}
+                    checked={filters.ownedByMe}
+                    onChange={update('ownedByMe')}
+                />
+                <CheckboxControl
+                    label={__('Starred', 'wpmudev-plugin-test')}
+                    checked={filters.starred}
+                    onChange={update('starred')}
+                />
+            </div>
+            {hasActiveFilters(filters) && (
+                <div className="drive-filter-field drive-filter-clear">
+                    <Button variant="link" onClick={() => onChange(DEFAULT_FILTERS)} disabled={disabled}>
+                        {__('Clear filters', 'wpmudev-plugin-test')}
+                    </Button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FilterBar;
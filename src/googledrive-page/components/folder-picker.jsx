@@ -0,0 +1,148 @@
+/**
+ * Destination Folder Picker
+ *
+ * Lets users browse their Drive folder tree and choose where new uploads
+ * and folders should go. The value is the folder path as an array of
+ * { id, name } entries - an empty array means My Drive root, or the top of
+ * the Shared Drive passed as `drive`. Pages other than the Drive page pass
+ * their own files endpoint, and account="site" browses the shared site
+ * account instead of the user's own Drive.
+ *
+ * @since 1.0.0
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, Spinner } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+export const formatFolderPath = (path, drive = null) => {
+    const rootName = drive ? drive.name : __('My Drive', 'wpmudev-plugin-test');
+    return [rootName, ...path.map((folder) => folder.name)].join(' / ');
+};
+
+export const getPathFolderId = (path) => {
+    return path.length > 0 ? path[path.length - 1].id : '';
+};
+
+const FolderPicker = ({
+    label,
+    value = [],
+    onChange,
+    disabled = false,
+    filesEndpoint = window.wpmudevDriveTest?.restEndpointFiles,
+    account = '',
+    drive = null,
+}) => {
+    const [isBrowsing, setIsBrowsing] = useState(false);
+    const [trail, setTrail] = useState([]);
+    const [folders, setFolders] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadFolders = async (path) => {
+        setIsLoading(true);
+        setError('');
+        try {
+            const parentId = getPathFolderId(path) || 'root';
+            const accountQuery = account ? `&account=${encodeURIComponent(account)}` : '';
+            const driveQuery = drive ? `&drive_id=${encodeURIComponent(drive.id)}` : '';
+            const response = await apiFetch({
+                path: `/${filesEndpoint}?parent_id=${encodeURIComponent(parentId)}&page_size=100&type=folder${accountQuery}${driveQuery}`,
+                method: 'GET',
+            });
+
+            if (response.success && Array.isArray(response.files)) {
+                setFolders(response.files.filter((file) => file.isFolder));
+            } else {
+                setError(response.message || __('Failed to load folders.', 'wpmudev-plugin-test'));
+            }
+        } catch (err) {
+            setError(err.message || __('Failed to load folders.', 'wpmudev-plugin-test'));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const browseTo = (path) => {
+        setTrail(path);
+        loadFolders(path);
+    };
+
+    const handleChoose = () => {
+        onChange(trail);
+        setIsBrowsing(false);
+    };
+
+    return (
+        <div className="drive-folder-picker">
+            <p className="drive-folder-picker-current">
+                <strong>{label}</strong>
+                {' '}
+                <span>{formatFolderPath(value, drive)}</span>
+                {' '}
+                {!isBrowsing && (
+                    <Button
+                        variant="link"
+                        onClick={() => {
+                            setIsBrowsing(true);
+                            browseTo(value);
+                        }}
+                        disabled={disabled}
+                    >
+                        {__('Change', 'wpmudev-plugin-test')}
+                    </Button>
+                )}
+            </p>
+
+            {isBrowsing && (
+                <div className="drive-folder-picker-browser">
+                    <div className="drive-folder-picker-path">
+                        <span>{formatFolderPath(trail, drive)}</span>
+                        {trail.length > 0 && (
+                            <Button
+                                variant="link"
+                                onClick={() => browseTo(trail.slice(0, -1))}
+                                disabled={isLoading}
+                            >
+                                {__('Up one level', 'wpmudev-plugin-test')}
+                            </Button>
+                        )}
+                    </div>
+
+                    {isLoading ? (
+                        <Spinner />
+                    ) : error ? (
+                        <p className="drive-folder-picker-error">{error}</p>
+                    ) : folders.length > 0 ? (
+                        <ul className="drive-folder-picker-list">
+                            {folders.map((folder) => (
+                                <li key={folder.id}>
+                                    <Button
+                                        variant="link"
+                                        onClick={() => browseTo([...trail, { id: folder.id, name: folder.name }])}
+                                    >
+                                        {folder.name}
+                                    </Button>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className="drive-folder-picker-empty">{__('No subfolders here.', 'wpmudev-plugin-test')}</p>
+                    )}
+
+                    <div className="drive-folder-picker-actions">
+                        <Button variant="secondary" size="small" onClick={() => setIsBrowsing(false)}>
+                            {__('Cancel', 'wpmudev-plugin-test')}
+                        </Button>
+                        <Button variant="primary" size="small" onClick={handleChoose} disabled={isLoading}>
+                            {__('Select this folder', 'wpmudev-plugin-test')}
+                        </Button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FolderPicker;
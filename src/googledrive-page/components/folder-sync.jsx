@@ -0,0 +1,334 @@
+/**
+ * Folder Sync Panel
+ *
+ * Configures the sync of a site account Drive folder into the uploads
+ * folder, starts runs, lists conflicts to resolve and shows the sync log.
+ * Runs happen in the background, so the panel polls while one is going.
+ *
+ * @since 1.0.0
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, SelectControl, Spinner, TextControl } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+import FolderPicker from './folder-picker';
+
+const FREQUENCIES = [
+    { value: 'off', label: __('Off (manual only)', 'wpmudev-plugin-test') },
+    { value: 'hourly', label: __('Hourly', 'wpmudev-plugin-test') },
+    { value: 'twicedaily', label: __('Twice daily', 'wpmudev-plugin-test') },
+    { value: 'daily', label: __('Daily', 'wpmudev-plugin-test') },
+];
+
+const DIRECTIONS = [
+    { value: 'download', label: __('Drive to site only', 'wpmudev-plugin-test') },
+    { value: 'two-way', label: __('Two-way', 'wpmudev-plugin-test') },
+];
+
+const LOG_ACTIONS = {
+    mkdir_local: __('Folder created locally', 'wpmudev-plugin-test'),
+    download: __('Downloaded', 'wpmudev-plugin-test'),
+    move_local: __('Moved locally', 'wpmudev-plugin-test'),
+    delete_local: __('Deleted locally', 'wpmudev-plugin-test'),
+    mkdir_drive: __('Folder created in Drive', 'wpmudev-plugin-test'),
+    upload: __('Uploaded', 'wpmudev-plugin-test'),
+    trash_drive: __('Moved to Drive trash', 'wpmudev-plugin-test'),
+    skip: __('Skipped', 'wpmudev-plugin-test'),
+    conflict: __('Conflict', 'wpmudev-plugin-test'),
+    resolve: __('Resolved', 'wpmudev-plugin-test'),
+    error: __('Error', 'wpmudev-plugin-test'),
+};
+
+const formatTimestamp = (timestamp) => {
+    if (!timestamp) {
+        return __('Never', 'wpmudev-plugin-test');
+    }
+    return new Date(timestamp * 1000).toLocaleString();
+};
+
+const describeStep = (state) => {
+    switch (state.step) {
+        case 'scan':
+            return __('Reading the Drive folder...', 'wpmudev-plugin-test');
+        case 'changes':
+            return __('Reading changes from Drive...', 'wpmudev-plugin-test');
+        case 'local':
+            return __('Comparing local files...', 'wpmudev-plugin-test');
+        default:
+            return sprintf(
+                /* translators: 1: operations done, 2: operations planned */
+                __('Applying changes: %1$d of %2$d...', 'wpmudev-plugin-test'),
+                state.total_operations - state.remaining,
+                state.total_operations
+            );
+    }
+};
+
+const FolderSync = ({ showNotice }) => {
+    const [settings, setSettings] = useState(null);
+    const [status, setStatus] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [isStarting, setIsStarting] = useState(false);
+    const [resolvingPath, setResolvingPath] = useState('');
+
+    const isRunning = !!status?.state.running;
+
+    const loadStatus = async (withSettings = true) => {
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointSyncStatus}`,
+                method: 'GET',
+            });
+            // Keep unsaved edits while polling
+            if (withSettings) {
+                setSettings(response.settings);
+            }
+            setStatus(response);
+        } catch (error) {
+            showNotice(error.message || __('Failed to load the folder sync.', 'wpmudev-plugin-test'), 'error');
+        }
+    };
+
+    useEffect(() => {
+        loadStatus(true);
+    }, []);
+
+    useEffect(() => {
+        if (!isRunning) {
+            return undefined;
+        }
+
+        const interval = setInterval(() => loadStatus(false), 4000);
+
+        return () => clearInterval(interval);
+    }, [isRunning]);
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointSyncSettings}`,
+                method: 'POST',
+                data: {
+                    frequency: settings.frequency,
+                    direction: settings.direction,
+                    local_dir: settings.local_dir,
+                    folder_path: settings.folder.path,
+                },
+            });
+            showNotice(response.message, 'success');
+            await loadStatus(true);
+        } catch (error) {
+            showNotice(error.message || __('Failed to save the sync settings.', 'wpmudev-plugin-test'), 'error');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleRun = async () => {
+        setIsStarting(true);
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointSyncRun}`,
+                method: 'POST',
+            });
+            showNotice(response.message, 'success');
+            await loadStatus(false);
+        } catch (error) {
+            showNotice(error.message || __('Failed to start the sync.', 'wpmudev-plugin-test'), 'error');
+        } finally {
+            setIsStarting(false);
+        }
+    };
+
+    const handleResolve = async (path, keep) => {
+        setResolvingPath(path);
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointSyncResolve}`,
+                method: 'POST',
+                data: { path, keep },
+            });
+            showNotice(response.message, 'success');
+            setStatus({ ...status, conflicts: response.conflicts, log: response.log });
+        } catch (error) {
+            showNotice(error.message || __('Failed to resolve the conflict.', 'wpmudev-plugin-test'), 'error');
+        } finally {
+            setResolvingPath('');
+        }
+    };
+
+    if (!settings || !status) {
+        return <Spinner />;
+    }
+
+    const { state } = status;
+    const counts = state.counts;
+
+    return (
+        <div className="drive-folder-sync">
+            {!status.site_connection?.connected && (
+                <p className="drive-folder-sync-warning">
+                    {__('The sync uses the shared site account. Connect it before syncing.', 'wpmudev-plugin-test')}
+                </p>
+            )}
+            {!status.action_scheduler_available && (
+                <p className="drive-folder-sync-warning">
+                    {__('Action Scheduler is not available, so the sync can\'t run.', 'wpmudev-plugin-test')}
+                </p>
+            )}
+
+            <FolderPicker
+                label={__('Drive folder:', 'wpmudev-plugin-test')}
+                value={settings.folder.path}
+                onChange={(path) => setSettings({ ...settings, folder: { ...settings.folder, path } })}
+                account="site"
+                disabled={isRunning || isSaving}
+            />
+            <TextControl
+                label={__('Local directory (inside uploads)', 'wpmudev-plugin-test')}
+                value={settings.local_dir}
+                onChange={(value) => setSettings({ ...settings, local_dir: value })}
+                help={status.local_path}
+                disabled={isRunning || isSaving}
+            />
+            <SelectControl
+                label={__('Direction', 'wpmudev-plugin-test')}
+                value={settings.direction}
+                options={DIRECTIONS}
+                onChange={(value) => setSettings({ ...settings, direction: value })}
+                help={settings.direction === 'two-way'
+                    ? __('Local changes are sent back to Drive; deleted local files go to the Drive trash.', 'wpmudev-plugin-test')
+                    : __('The local directory mirrors Drive; local changes are overwritten.', 'wpmudev-plugin-test')}
+                disabled={isRunning || isSaving}
+            />
+            <SelectControl
+                label={__('Run automatically', 'wpmudev-plugin-test')}
+                value={settings.frequency}
+                options={FREQUENCIES}
+                onChange={(value) => setSettings({ ...settings, frequency: value })}
+                disabled={isRunning || isSaving}
+            />
+
+            <p className="drive-folder-sync-actions">
+                <Button variant="secondary" onClick={handleSave} disabled={isRunning || isSaving}>
+                    {isSaving ? <Spinner /> : __('Save Sync Settings', 'wpmudev-plugin-test')}
+                </Button>
+                {' '}
+                <Button
+                    variant="primary"
+                    onClick={handleRun}
+                    disabled={isRunning || isStarting || !status.settings.folder.id}
+                >
+                    {isStarting ? <Spinner /> : __('Sync Now', 'wpmudev-plugin-test')}
+                </Button>
+            </p>
+
+            <p className="drive-folder-sync-state">
+                {isRunning ? (
+                    <>
+                        <Spinner />
+                        {describeStep(state)}
+                    </>
+                ) : state.error ? (
+                    sprintf(
+                        /* translators: %s: error message */
+                        __('The last sync failed: %s', 'wpmudev-plugin-test'),
+                        state.error
+                    )
+                ) : (
+                    sprintf(
+                        /* translators: 1: finish time, 2: downloaded, 3: uploaded, 4: deleted, 5: conflicts */
+                        __('Last sync: %1$s - %2$d downloaded, %3$d uploaded, %4$d deleted, %5$d conflicts.', 'wpmudev-plugin-test'),
+                        formatTimestamp(state.finished_at),
+                        counts.downloaded,
+                        counts.uploaded,
+                        counts.deleted,
+                        counts.conflicts
+                    )
+                )}
+                {status.next_run > 0 && !isRunning && (
+                    <>
+                        {' '}
+                        {sprintf(
+                            /* translators: %s: next run time */
+                            __('Next run: %s.', 'wpmudev-plugin-test'),
+                            formatTimestamp(status.next_run)
+                        )}
+                    </>
+                )}
+            </p>
+
+            {status.conflicts.length > 0 && (
+                <>
+                    <h3>{__('Conflicts', 'wpmudev-plugin-test')}</h3>
+                    <table className="widefat striped drive-folder-sync-conflicts">
+                        <thead>
+                            <tr>
+                                <th>{__('File', 'wpmudev-plugin-test')}</th>
+                                <th>{__('What happened', 'wpmudev-plugin-test')}</th>
+                                <th>{__('Keep', 'wpmudev-plugin-test')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {status.conflicts.map((conflict) => (
+                                <tr key={conflict.path}>
+                                    <td><code>{conflict.path}</code></td>
+                                    <td>{conflict.reason}</td>
+                                    <td>
+                                        <Button
+                                            variant="link"
+                                            onClick={() => handleResolve(conflict.path, 'drive')}
+                                            disabled={isRunning || resolvingPath !== ''}
+                                        >
+                                            {conflict.item ? __('Drive copy', 'wpmudev-plugin-test') : __('Delete locally', 'wpmudev-plugin-test')}
+                                        </Button>
+                                        {' | '}
+                                        <Button
+                                            variant="link"
+                                            onClick={() => handleResolve(conflict.path, 'local')}
+                                            disabled={isRunning || resolvingPath !== ''}
+                                        >
+                                            {__('Local copy', 'wpmudev-plugin-test')}
+                                        </Button>
+                                        {resolvingPath === conflict.path && <Spinner />}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+
+            <h3>{__('Sync log', 'wpmudev-plugin-test')}</h3>
+            {status.log.length > 0 ? (
+                <table className="widefat striped drive-folder-sync-log">
+                    <thead>
+                        <tr>
+                            <th>{__('Time', 'wpmudev-plugin-test')}</th>
+                            <th>{__('Action', 'wpmudev-plugin-test')}</th>
+                            <th>{__('Path', 'wpmudev-plugin-test')}</th>
+                            <th>{__('Details', 'wpmudev-plugin-test')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {status.log.map((entry, index) => (
+                            <tr key={index} className={`is-${entry.action}`}>
+                                <td>{formatTimestamp(entry.time)}</td>
+                                <td>{LOG_ACTIONS[entry.action] || entry.action}</td>
+                                <td>{entry.path ? <code>{entry.path}</code> : '-'}</td>
+                                <td>{entry.message || '-'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ) : (
+                <p>{__('Nothing synced yet.', 'wpmudev-plugin-test')}</p>
+            )}
+        </div>
+    );
+};
+
+export default FolderSync;
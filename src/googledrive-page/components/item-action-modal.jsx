@@ -0,0 +1,108 @@
+/**
+ * Drive Item Action Dialog
+ *
+ * One modal for the file-card actions that need input or confirmation:
+ * rename, move, copy and permanent delete. Trash and restore are reversible
+ * and run straight from the card, so they don't come through here.
+ *
+ * @since 1.0.0
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, Modal, Spinner, TextControl } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+import FolderPicker, { getPathFolderId } from './folder-picker';
+
+const getTitle = (action) => {
+    switch (action) {
+        case 'rename':
+            return __('Rename', 'wpmudev-plugin-test');
+        case 'move':
+            return __('Move to folder', 'wpmudev-plugin-test');
+        case 'copy':
+            return __('Make a copy', 'wpmudev-plugin-test');
+        default:
+            return __('Delete permanently', 'wpmudev-plugin-test');
+    }
+};
+
+const ItemActionModal = ({ action, file, onConfirm, onClose, isBusy = false, drive = null }) => {
+    const [name, setName] = useState(
+        action === 'copy'
+            /* translators: %s: original file name */
+            ? sprintf(__('Copy of %s', 'wpmudev-plugin-test'), file.name)
+            : file.name
+    );
+    const [destination, setDestination] = useState([]);
+
+    const needsName = action === 'rename' || action === 'copy';
+    const needsFolder = action === 'move' || action === 'copy';
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+
+        const data = {};
+        if (needsName) {
+            data.name = name.trim();
+        }
+        if (needsFolder) {
+            data.parent_id = getPathFolderId(destination);
+            if (drive) {
+                data.drive_id = drive.id;
+            }
+        }
+        onConfirm(data);
+    };
+
+    return (
+        <Modal title={getTitle(action)} onRequestClose={onClose} className="drive-item-modal">
+            <form onSubmit={handleSubmit}>
+                {action === 'delete' && (
+                    <p>
+                        {sprintf(
+                            /* translators: %s: file or folder name */
+                            __('"%s" will be deleted forever. This cannot be undone.', 'wpmudev-plugin-test'),
+                            file.name
+                        )}
+                    </p>
+                )}
+
+                {needsName && (
+                    <TextControl
+                        label={__('Name', 'wpmudev-plugin-test')}
+                        value={name}
+                        onChange={setName}
+                        disabled={isBusy}
+                    />
+                )}
+
+                {needsFolder && (
+                    <FolderPicker
+                        label={action === 'move' ? __('Move to:', 'wpmudev-plugin-test') : __('Copy to:', 'wpmudev-plugin-test')}
+                        value={destination}
+                        onChange={setDestination}
+                        disabled={isBusy}
+                        drive={drive}
+                    />
+                )}
+
+                <div className="drive-item-modal-actions">
+                    <Button variant="tertiary" onClick={onClose} disabled={isBusy}>
+                        {__('Cancel', 'wpmudev-plugin-test')}
+                    </Button>
+                    <Button
+                        type="submit"
+                        variant="primary"
+                        isDestructive={action === 'delete'}
+                        disabled={isBusy || (needsName && !name.trim())}
+                    >
+                        {isBusy ? <Spinner /> : getTitle(action)}
+                    </Button>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default ItemActionModal;
@@ -0,0 +1,55 @@
+/**
+ * Media Library Folder Setting
+ *
+ * Chooses the Drive folder that "Send to Google Drive" in the Media
+ * Library uploads to. The choice is saved as soon as a folder is picked.
+ *
+ * @since 1.0.0
+ */
+
+import { useState } from '@wordpress/element';
+import { Spinner } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+import FolderPicker from './folder-picker';
+
+const MediaFolderSetting = ({ showNotice }) => {
+    const [path, setPath] = useState(window.wpmudevDriveTest.mediaFolder || []);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleChange = async (nextPath) => {
+        const previousPath = path;
+
+        setPath(nextPath);
+        setIsSaving(true);
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointMediaFolder}`,
+                method: 'POST',
+                data: { path: nextPath },
+            });
+            showNotice(response.message, 'success');
+        } catch (error) {
+            setPath(previousPath);
+            showNotice(error.message || __('Failed to save the Media Library folder.', 'wpmudev-plugin-test'), 'error');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="drive-media-folder-setting">
+            <p>{__('Files sent from the Media Library are uploaded to this folder.', 'wpmudev-plugin-test')}</p>
+            <FolderPicker
+                label={__('Send to:', 'wpmudev-plugin-test')}
+                value={path}
+                onChange={handleChange}
+                disabled={isSaving}
+            />
+            {isSaving && <Spinner />}
+        </div>
+    );
+};
+
+export default MediaFolderSetting;
@@ -0,0 +1,90 @@
+/**
+ * Drive File Preview
+ *
+ * Shows images, PDFs, plain text, audio and video in a modal without
+ * downloading them. The server hands out a short-lived signed link that
+ * streams the file inline; Google Docs and friends arrive as PDF.
+ *
+ * @since 1.0.0
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Modal, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+const PreviewModal = ({ file, onClose, onDownload }) => {
+    const [preview, setPreview] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+
+        apiFetch({
+            path: `/${window.wpmudevDriveTest.restEndpointPreview}?file_id=${encodeURIComponent(file.id)}`,
+            method: 'GET',
+        })
+            .then((response) => {
+                if (!cancelled) {
+                    setPreview(response);
+                }
+            })
+            .catch((err) => {
+                if (!cancelled) {
+                    setError(err.message || __('Failed to preview file.', 'wpmudev-plugin-test'));
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [file.id]);
+
+    const renderPreview = () => {
+        switch (preview.kind) {
+            case 'image':
+                return <img src={preview.url} alt={file.name} className="drive-preview-image" />;
+            case 'audio':
+                return <audio src={preview.url} controls className="drive-preview-media" />;
+            case 'video':
+                return <video src={preview.url} controls className="drive-preview-media" />;
+            default:
+                // PDFs and plain text render natively in a frame
+                return <iframe src={preview.url} title={file.name} className="drive-preview-frame" />;
+        }
+    };
+
+    return (
+        <Modal
+            title={file.name}
+            onRequestClose={onClose}
+            className="drive-preview-modal"
+            isFullScreen
+        >
+            <div className="drive-preview-body">
+                {error ? (
+                    <p className="drive-preview-error">{error}</p>
+                ) : preview ? (
+                    renderPreview()
+                ) : (
+                    <Spinner />
+                )}
+            </div>
+            {!file.isFolder && onDownload && (
+                <div className="drive-item-modal-actions">
+                    <Button variant="secondary" onClick={() => onDownload(file.id)}>
+                        {file.exportFormats
+                            ? sprintf(
+                                /* translators: %s: export format, e.g. PDF */
+                                __('Export %s', 'wpmudev-plugin-test'),
+                                file.exportFormats[0].toUpperCase()
+                            )
+                            : __('Download', 'wpmudev-plugin-test')}
+                    </Button>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+export default PreviewModal;
@@ -0,0 +1,90 @@
+/**
+ * Rate Limit Usage
+ *
+ * Shows how many requests the user has left for each rate-limited action,
+ * and when the next one frees up, so they can pace bulk work instead of
+ * finding out from an error. Reloads whenever `refreshKey` changes.
+ *
+ * @since 1.0.0
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+import { formatCountdown } from '../utils/countdown';
+
+const RateLimitUsage = ({ refreshKey }) => {
+    const [limits, setLimits] = useState([]);
+    const [loadedAt, setLoadedAt] = useState(Date.now());
+    const [now, setNow] = useState(Date.now());
+
+    const loadLimits = async () => {
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointRateLimits}`,
+                method: 'GET',
+            });
+            setLimits(response.limits || []);
+            setLoadedAt(Date.now());
+        } catch (error) {
+            // The indicator is a hint - the actions themselves still report 429s
+        }
+    };
+
+    useEffect(() => {
+        loadLimits();
+    }, [refreshKey]);
+
+    const resetAt = (limit) => loadedAt + limit.reset_in * 1000;
+
+    // Tick while a countdown is showing, and reload once a request frees up
+    const counting = limits.filter((limit) => !limit.unlimited && limit.reset_in > 0 && limit.remaining < limit.limit);
+
+    useEffect(() => {
+        if (counting.length === 0) {
+            return undefined;
+        }
+
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [counting.length]);
+
+    useEffect(() => {
+        if (counting.some((limit) => resetAt(limit) <= now)) {
+            loadLimits();
+        }
+    }, [now]);
+
+    const limited = limits.filter((limit) => !limit.unlimited);
+    if (limited.length === 0) {
+        return null;
+    }
+
+    return (
+        <ul className="drive-rate-limits">
+            {limited.map((limit) => (
+                <li key={limit.action} className={limit.remaining <= 0 ? 'is-exhausted' : ''}>
+                    {sprintf(
+                        /* translators: 1: action, 2: requests left, 3: requests allowed */
+                        __('%1$s: %2$d of %3$d left', 'wpmudev-plugin-test'),
+                        limit.label,
+                        limit.remaining,
+                        limit.limit
+                    )}
+                    {limit.remaining < limit.limit && limit.reset_in > 0 && (
+                        <span className="drive-rate-limits-reset">
+                            {sprintf(
+                                /* translators: %s: countdown (m:ss) */
+                                __('next in %s', 'wpmudev-plugin-test'),
+                                formatCountdown((resetAt(limit) - now) / 1000)
+                            )}
+                        </span>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default RateLimitUsage;
@@ -0,0 +1,65 @@
+/**
+ * Service Account Credential Fields
+ *
+ * Headless sites (staging, CI) can't complete the OAuth sign-in, so they
+ * authenticate with a service account JSON key instead. The key can be
+ * pasted or loaded from the downloaded file.
+ *
+ * @since 1.0.0
+ */
+
+import { TextControl, TextareaControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+export const EMPTY_SERVICE_ACCOUNT = { key: '', folderId: '', subject: '' };
+
+const ServiceAccountFields = ({ value, onChange }) => {
+    const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+    const handleKeyFile = (event) => {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => update('key', String(reader.result));
+        reader.readAsText(file);
+    };
+
+    return (
+        <>
+            <div className="sui-box-settings-row">
+                <TextareaControl
+                    label={__('Service account JSON key', 'wpmudev-plugin-test')}
+                    help={__('Create a key for the service account in Google Cloud Console and paste it here, or load the downloaded file. It is stored encrypted.', 'wpmudev-plugin-test')}
+                    value={value.key}
+                    onChange={(keyValue) => update('key', keyValue)}
+                    rows={6}
+                />
+                <input type="file" accept=".json,application/json" onChange={handleKeyFile} />
+            </div>
+
+            <div className="sui-box-settings-row">
+                <TextControl
+                    label={__('Shared drive or folder ID', 'wpmudev-plugin-test')}
+                    help={__('Service accounts have no storage of their own. Share a shared drive or folder with the service account and enter its ID; it is used in place of My Drive.', 'wpmudev-plugin-test')}
+                    value={value.folderId}
+                    onChange={(folderId) => update('folderId', folderId)}
+                />
+            </div>
+
+            <div className="sui-box-settings-row">
+                <TextControl
+                    label={__('Impersonate user (optional)', 'wpmudev-plugin-test')}
+                    help={__('With domain-wide delegation, the email of the Google Workspace user to act as.', 'wpmudev-plugin-test')}
+                    type="email"
+                    value={value.subject}
+                    onChange={(subject) => update('subject', subject)}
+                />
+            </div>
+        </>
+    );
+};
+
+export default ServiceAccountFields;
@@ -0,0 +1,244 @@
+/**
+ * Drive Share Dialog
+ *
+ * Lists who a file is shared with, grants new access (a person, a group,
+ * a whole domain or anyone with the link), revokes access and copies the
+ * share link - all through the plugin's permissions endpoints.
+ *
+ * @since 1.0.0
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, CheckboxControl, Modal, SelectControl, Spinner, TextControl } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+export const SHARE_ROLES = [
+    { label: __('Viewer', 'wpmudev-plugin-test'), value: 'reader' },
+    { label: __('Commenter', 'wpmudev-plugin-test'), value: 'commenter' },
+    { label: __('Editor', 'wpmudev-plugin-test'), value: 'writer' },
+];
+
+const SHARE_TYPES = [
+    { label: __('A person', 'wpmudev-plugin-test'), value: 'user' },
+    { label: __('A group', 'wpmudev-plugin-test'), value: 'group' },
+    { label: __('Everyone in a domain', 'wpmudev-plugin-test'), value: 'domain' },
+    { label: __('Anyone with the link', 'wpmudev-plugin-test'), value: 'anyone' },
+];
+
+const ROLE_LABELS = {
+    owner: __('Owner', 'wpmudev-plugin-test'),
+    organizer: __('Manager', 'wpmudev-plugin-test'),
+    fileOrganizer: __('Content manager', 'wpmudev-plugin-test'),
+    writer: __('Editor', 'wpmudev-plugin-test'),
+    commenter: __('Commenter', 'wpmudev-plugin-test'),
+    reader: __('Viewer', 'wpmudev-plugin-test'),
+};
+
+const describePermission = (permission) => {
+    switch (permission.type) {
+        case 'anyone':
+            return __('Anyone with the link', 'wpmudev-plugin-test');
+        case 'domain':
+            return sprintf(
+                /* translators: %s: domain name */
+                __('Everyone at %s', 'wpmudev-plugin-test'),
+                permission.domain
+            );
+        default:
+            return permission.displayName
+                ? `${permission.displayName} (${permission.emailAddress})`
+                : permission.emailAddress;
+    }
+};
+
+const ShareDialog = ({ file, onClose, showNotice }) => {
+    const [permissions, setPermissions] = useState([]);
+    const [shareLink, setShareLink] = useState(file.webViewLink || '');
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [revokingId, setRevokingId] = useState(null);
+    const [error, setError] = useState('');
+    const [form, setForm] = useState({ type: 'user', email: '', domain: '', role: 'reader', notify: true });
+
+    const endpoint = `/${window.wpmudevDriveTest.restEndpointPermissions}`;
+
+    const loadPermissions = async () => {
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await apiFetch({
+                path: `${endpoint}?file_id=${encodeURIComponent(file.id)}`,
+                method: 'GET',
+            });
+            setPermissions(response.permissions || []);
+            setShareLink(response.webViewLink || file.webViewLink || '');
+        } catch (err) {
+            setError(err.message || __('Failed to load sharing settings.', 'wpmudev-plugin-test'));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadPermissions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [file.id]);
+
+    const handleShare = async (event) => {
+        event.preventDefault();
+        setIsSaving(true);
+        try {
+            const response = await apiFetch({
+                path: endpoint,
+                method: 'POST',
+                data: {
+                    file_id: file.id,
+                    share_type: form.type,
+                    role: form.role,
+                    email: form.email.trim(),
+                    domain: form.domain.trim(),
+                    notify: form.notify,
+                },
+            });
+            showNotice(response.message, 'success');
+            setForm({ ...form, email: '', domain: '' });
+            if (response.webViewLink) {
+                setShareLink(response.webViewLink);
+            }
+            await loadPermissions();
+        } catch (err) {
+            showNotice(err.message || __('Failed to share item.', 'wpmudev-plugin-test'), 'error');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleRevoke = async (permission) => {
+        if (!window.confirm(sprintf(
+            /* translators: %s: who loses access */
+            __('Remove access for %s?', 'wpmudev-plugin-test'),
+            describePermission(permission)
+        ))) {
+            return;
+        }
+
+        setRevokingId(permission.id);
+        try {
+            const response = await apiFetch({
+                path: `${endpoint}?file_id=${encodeURIComponent(file.id)}&permission_id=${encodeURIComponent(permission.id)}`,
+                method: 'DELETE',
+            });
+            showNotice(response.message, 'success');
+            setPermissions((previous) => previous.filter((item) => item.id !== permission.id));
+        } catch (err) {
+            showNotice(err.message || __('Failed to remove access.', 'wpmudev-plugin-test'), 'error');
+        } finally {
+            setRevokingId(null);
+        }
+    };
+
+    const handleCopyLink = async () => {
+        try {
+            await window.navigator.clipboard.writeText(shareLink);
+            showNotice(__('Link copied to clipboard.', 'wpmudev-plugin-test'), 'success');
+        } catch (err) {
+            // Clipboard access can be blocked - fall back to a prompt the user can copy from
+            window.prompt(__('Copy the share link:', 'wpmudev-plugin-test'), shareLink);
+        }
+    };
+
+    const needsEmail = form.type === 'user' || form.type === 'group';
+    const canSubmit = needsEmail
+        ? form.email.trim() !== ''
+        : form.type !== 'domain' || form.domain.trim() !== '';
+
+    return (
+        <Modal
+            title={sprintf(
+                /* translators: %s: file name */
+                __('Share "%s"', 'wpmudev-plugin-test'),
+                file.name
+            )}
+            onRequestClose={onClose}
+            className="drive-item-modal drive-share-dialog"
+        >
+            <h3>{__('People with access', 'wpmudev-plugin-test')}</h3>
+            {isLoading ? (
+                <Spinner />
+            ) : error ? (
+                <p className="drive-share-error">{error}</p>
+            ) : (
+                <ul className="drive-share-list">
+                    {permissions.map((permission) => (
+                        <li key={permission.id}>
+                            <span className="drive-share-who">{describePermission(permission)}</span>
+                            <span className="drive-share-role">{ROLE_LABELS[permission.role] || permission.role}</span>
+                            {permission.role !== 'owner' && (
+                                <Button
+                                    variant="link"
+                                    isDestructive
+                                    onClick={() => handleRevoke(permission)}
+                                    disabled={revokingId === permission.id}
+                                >
+                                    {revokingId === permission.id ? <Spinner /> : __('Remove', 'wpmudev-plugin-test')}
+                                </Button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={handleShare} className="drive-share-form">
+                <h3>{__('Add access', 'wpmudev-plugin-test')}</h3>
+                <SelectControl
+                    label={__('Share with', 'wpmudev-plugin-test')}
+                    value={form.type}
+                    options={SHARE_TYPES}
+                    onChange={(type) => setForm({ ...form, type })}
+                />
+                {needsEmail && (
+                    <TextControl
+                        label={form.type === 'group' ? __('Group email', 'wpmudev-plugin-test') : __('Email address', 'wpmudev-plugin-test')}
+                        type="email"
+                        value={form.email}
+                        onChange={(email) => setForm({ ...form, email })}
+                    />
+                )}
+                {form.type === 'domain' && (
+                    <TextControl
+                        label={__('Domain', 'wpmudev-plugin-test')}
+                        value={form.domain}
+                        onChange={(domain) => setForm({ ...form, domain })}
+                        placeholder="example.com"
+                    />
+                )}
+                <SelectControl
+                    label={__('Role', 'wpmudev-plugin-test')}
+                    value={form.role}
+                    options={SHARE_ROLES}
+                    onChange={(role) => setForm({ ...form, role })}
+                />
+                {needsEmail && (
+                    <CheckboxControl
+                        label={__('Send an email notification', 'wpmudev-plugin-test')}
+                        checked={form.notify}
+                        onChange={(notify) => setForm({ ...form, notify })}
+                    />
+                )}
+                <div className="drive-item-modal-actions">
+                    {shareLink && (
+                        <Button variant="secondary" onClick={handleCopyLink}>
+                            {__('Copy link', 'wpmudev-plugin-test')}
+                        </Button>
+                    )}
+                    <Button type="submit" variant="primary" disabled={isSaving || !canSubmit}>
+                        {isSaving ? <Spinner /> : __('Share', 'wpmudev-plugin-test')}
+                    </Button>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default ShareDialog;
@@ -0,0 +1,102 @@
+/**
+ * Shared Site Account
+ *
+ * Each admin browses their own Drive. The site account is a separate,
+ * optional connection used by jobs that run without anyone logged in,
+ * like cron and scheduled backups.
+ *
+ * @since 1.0.0
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+export const describeAccount = (connection) => {
+    if (connection.name && connection.email) {
+        return `${connection.name} (${connection.email})`;
+    }
+    return connection.email || connection.name || __('an unknown Google account', 'wpmudev-plugin-test');
+};
+
+const SiteAccountSetting = ({ showNotice }) => {
+    const [connection, setConnection] = useState(window.wpmudevDriveTest.siteConnection || { connected: false });
+    const [isBusy, setIsBusy] = useState(false);
+
+    const handleConnect = async () => {
+        setIsBusy(true);
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointAuth}`,
+                method: 'POST',
+                data: { account: 'site' },
+            });
+            window.location.href = response.auth_url;
+        } catch (error) {
+            showNotice(error.message || __('Failed to start authentication.', 'wpmudev-plugin-test'), 'error');
+            setIsBusy(false);
+        }
+    };
+
+    const handleDisconnect = async () => {
+        if (!window.confirm(__('Disconnect the site account? Background jobs such as scheduled backups will stop working until it is connected again.', 'wpmudev-plugin-test'))) {
+            return;
+        }
+
+        setIsBusy(true);
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointDisconnect}`,
+                method: 'POST',
+                data: { account: 'site' },
+            });
+            setConnection({ connected: false });
+            showNotice(response.message, 'success');
+        } catch (error) {
+            showNotice(error.message || __('Failed to disconnect the site account.', 'wpmudev-plugin-test'), 'error');
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    return (
+        <div className="drive-site-account-setting">
+            <p>{__('Background jobs, such as scheduled backups and cron tasks, run without a logged-in user and use this shared account.', 'wpmudev-plugin-test')}</p>
+            <p>
+                <strong>{__('Site account:', 'wpmudev-plugin-test')}</strong>
+                {' '}
+                {connection.connected
+                    ? sprintf(
+                        /* translators: %s: Google account name and email */
+                        __('Connected as %s', 'wpmudev-plugin-test'),
+                        describeAccount(connection)
+                    )
+                    : __('Not connected', 'wpmudev-plugin-test')}
+                {' '}
+                {isBusy ? (
+                    <Spinner />
+                ) : connection.connected ? (
+                    <Button variant="link" isDestructive onClick={handleDisconnect}>
+                        {__('Disconnect', 'wpmudev-plugin-test')}
+                    </Button>
+                ) : (
+                    <Button variant="link" onClick={handleConnect}>
+                        {__('Connect site account', 'wpmudev-plugin-test')}
+                    </Button>
+                )}
+            </p>
+            {connection.connected && (connection.missing_scopes || []).length > 0 && (
+                <p className="drive-reconnect-warning">
+                    {__('The site account was connected without full Google Drive access, so background jobs cannot change files the plugin did not create.', 'wpmudev-plugin-test')}
+                    {' '}
+                    <Button variant="link" onClick={handleConnect} disabled={isBusy}>
+                        {__('Reconnect site account', 'wpmudev-plugin-test')}
+                    </Button>
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default SiteAccountSetting;
@@ -0,0 +1,508 @@
+/**
+ * Drive Upload Queue
+ *
+ * Drop zone and queue for uploading many files, or a whole folder, at once.
+ * Files upload a few at a time through the resumable chunk endpoints, each
+ * with its own progress, cancel and retry. Dropped folders are recreated in
+ * Drive under the chosen destination.
+ *
+ * The server allows a limited number of uploads per window, so the queue
+ * tracks that allowance and holds files back until it resets, rather than
+ * letting them fail with 429s partway through a batch.
+ *
+ * @since 1.0.0
+ */
+
+import { useState, useEffect, useRef } from '@wordpress/element';
+import { Button } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+import { uploadResumable, cancelResumable } from '../utils/resumable-upload';
+import { formatCountdown } from '../utils/countdown';
+
+// How many files upload side by side
+const CONCURRENCY = 2;
+
+let nextItemId = 1;
+
+const formatSize = (bytes) => {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+// Read every entry of a dropped directory - readEntries() returns them in batches
+const readDirectory = (directory) => {
+    const reader = directory.createReader();
+    const entries = [];
+
+    return new Promise((resolve, reject) => {
+        const readBatch = () => {
+            reader.readEntries((batch) => {
+                if (batch.length === 0) {
+                    resolve(entries);
+                    return;
+                }
+                entries.push(...batch);
+                readBatch();
+            }, reject);
+        };
+        readBatch();
+    });
+};
+
+// Flatten a dropped file or directory into { file, path } pairs
+const collectEntry = async (entry, path = []) => {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        return [{ file, path }];
+    }
+
+    if (entry.isDirectory) {
+        const children = await readDirectory(entry);
+        const nested = await Promise.all(children.map((child) => collectEntry(child, [...path, entry.name])));
+        return nested.flat();
+    }
+
+    return [];
+};
+
+const getItemLabel = (item) => [...item.path, item.file.name].join('/');
+
+const UploadQueue = ({ destinationId = '', onComplete }) => {
+    const [items, setItems] = useState([]);
+    const [quota, setQuota] = useState(null);
+    const [now, setNow] = useState(Date.now());
+    const [isDragging, setIsDragging] = useState(false);
+    const [summary, setSummary] = useState(null);
+
+    // The queue is driven from async callbacks, so the source of truth lives in refs
+    const itemsRef = useRef([]);
+    const quotaRef = useRef(null);
+    const controllersRef = useRef({});
+    const foldersRef = useRef({}); // "parentId/path" => Promise<folderId>
+    const quotaTimerRef = useRef(null);
+    const fileInputRef = useRef(null);
+    const folderInputRef = useRef(null);
+
+    const commit = () => setItems([...itemsRef.current]);
+
+    const updateItem = (id, changes) => {
+        itemsRef.current = itemsRef.current.map((item) => (item.id === id ? { ...item, ...changes } : item));
+        commit();
+    };
+
+    const isWaitingForQuota = () => {
+        return quotaRef.current !== null && quotaRef.current.remaining <= 0 && quotaRef.current.resetAt > Date.now();
+    };
+
+    const applyQuota = (status) => {
+        // No limit for this user - nothing to hold files back for
+        if (status.unlimited) {
+            quotaRef.current = null;
+            setQuota(null);
+            return;
+        }
+
+        quotaRef.current = {
+            limit: status.limit,
+            remaining: status.remaining,
+            resetAt: Date.now() + status.reset_in * 1000,
+        };
+        setQuota({ ...quotaRef.current });
+
+        if (status.remaining <= 0) {
+            scheduleQuotaRefresh(status.reset_in);
+        }
+    };
+
+    const fetchQuota = async () => {
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointUploadQuota}`,
+                method: 'GET',
+            });
+            if (response.success) {
+                applyQuota(response.quota);
+            }
+        } catch (error) {
+            // Without the allowance we fall back to reacting to 429s
+        }
+    };
+
+    const scheduleQuotaRefresh = (seconds) => {
+        clearTimeout(quotaTimerRef.current);
+        quotaTimerRef.current = setTimeout(async () => {
+            await fetchQuota();
+            pump();
+        }, (seconds + 1) * 1000);
+    };
+
+    // Create (or reuse) the Drive folders for a dropped file's relative path
+    const ensureFolderPath = (parentId, path) => {
+        let current = Promise.resolve(parentId);
+
+        path.forEach((name, index) => {
+            const key = `${parentId}/${path.slice(0, index + 1).join('/')}`;
+
+            if (!foldersRef.current[key]) {
+                foldersRef.current[key] = current.then(async (folderParentId) => {
+                    const response = await apiFetch({
+                        path: `/${window.wpmudevDriveTest.restEndpointCreate}`,
+                        method: 'POST',
+                        data: { name, parent_id: folderParentId },
+                    });
+                    return response.folder.id;
+                });
+                // Let a later file try again if creation failed
+                foldersRef.current[key].catch(() => delete foldersRef.current[key]);
+            }
+
+            current = foldersRef.current[key];
+        });
+
+        return current;
+    };
+
+    const startItem = async (item) => {
+        const controller = new AbortController();
+        controllersRef.current[item.id] = controller;
+        updateItem(item.id, { status: 'uploading', loaded: 0, error: '' });
+
+        try {
+            const parentId = await ensureFolderPath(item.parentId, item.path);
+            updateItem(item.id, { targetId: parentId });
+
+            await uploadResumable(item.file, {
+                parentId,
+                signal: controller.signal,
+                onProgress: (loaded) => updateItem(item.id, { loaded }),
+                onQuota: applyQuota,
+            });
+
+            updateItem(item.id, { status: 'done', loaded: item.file.size });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                updateItem(item.id, { status: 'cancelled', loaded: 0 });
+            } else if (error?.code === 'rate_limit_exceeded') {
+                // Put it back in line and wait for the window to reset
+                updateItem(item.id, { status: 'queued', loaded: 0 });
+                applyQuota({
+                    limit: error.data?.limit ?? quotaRef.current?.limit ?? 0,
+                    remaining: 0,
+                    reset_in: error.data?.retry_after ?? 60,
+                });
+            } else {
+                updateItem(item.id, {
+                    status: 'failed',
+                    error: error?.message || __('Failed to upload file.', 'wpmudev-plugin-test'),
+                });
+            }
+        } finally {
+            delete controllersRef.current[item.id];
+            pump();
+        }
+    };
+
+    // Start queued files while there are free slots and upload allowance left
+    const pump = () => {
+        let active = itemsRef.current.filter((item) => item.status === 'uploading').length;
+
+        for (const item of itemsRef.current) {
+            if (active >= CONCURRENCY || isWaitingForQuota()) {
+                break;
+            }
+            if (item.status !== 'queued') {
+                continue;
+            }
+
+            if (quotaRef.current) {
+                // Optimistic - corrected by the server once the upload session starts
+                quotaRef.current.remaining -= 1;
+            }
+
+            active += 1;
+            startItem(item);
+        }
+    };
+
+    const enqueue = async (entries) => {
+        if (entries.length === 0) {
+            return;
+        }
+
+        setSummary(null);
+        itemsRef.current = [
+            ...itemsRef.current,
+            ...entries.map(({ file, path }) => ({
+                id: nextItemId++,
+                file,
+                path,
+                parentId: destinationId,
+                targetId: null,
+                status: 'queued',
+                loaded: 0,
+                error: '',
+            })),
+        ];
+        commit();
+
+        await fetchQuota();
+        pump();
+    };
+
+    const handleCancel = (item) => {
+        if (item.status === 'uploading') {
+            controllersRef.current[item.id]?.abort();
+            if (item.targetId !== null) {
+                cancelResumable(item.file, item.targetId);
+            }
+        } else {
+            updateItem(item.id, { status: 'cancelled' });
+        }
+    };
+
+    const handleRetry = (item) => {
+        setSummary(null);
+        updateItem(item.id, { status: 'queued', loaded: 0, error: '' });
+        pump();
+    };
+
+    const handleCancelAll = () => {
+        itemsRef.current.filter((item) => ['queued', 'uploading'].includes(item.status)).forEach(handleCancel);
+    };
+
+    const handleClearFinished = () => {
+        itemsRef.current = itemsRef.current.filter((item) => ['queued', 'uploading'].includes(item.status));
+        commit();
+        setSummary(null);
+    };
+
+    const handleDrop = async (event) => {
+        event.preventDefault();
+        setIsDragging(false);
+
+        const dropped = Array.from(event.dataTransfer.items || [])
+            .filter((entry) => entry.kind === 'file')
+            .map((entry) => (entry.webkitGetAsEntry ? entry.webkitGetAsEntry() : null));
+
+        // Browsers without the entries API only give us plain files
+        if (dropped.length === 0 || dropped.some((entry) => !entry)) {
+            enqueue(Array.from(event.dataTransfer.files).map((file) => ({ file, path: [] })));
+            return;
+        }
+
+        const collected = await Promise.all(dropped.map((entry) => collectEntry(entry)));
+        enqueue(collected.flat());
+    };
+
+    const handleInputChange = (event) => {
+        const files = Array.from(event.target.files || []);
+        enqueue(files.map((file) => ({
+            file,
+            // Folder picks carry "folder/sub/file.txt" - keep the directories
+            path: file.webkitRelativePath ? file.webkitRelativePath.split('/').slice(0, -1) : [],
+        })));
+        event.target.value = '';
+    };
+
+    const isRunning = items.some((item) => ['queued', 'uploading'].includes(item.status));
+    const wasRunningRef = useRef(false);
+
+    // Wrap up once the last file settles
+    useEffect(() => {
+        if (wasRunningRef.current && !isRunning) {
+            const done = itemsRef.current.filter((item) => item.status === 'done').length;
+            const failed = itemsRef.current.filter((item) => item.status === 'failed').length;
+            const cancelled = itemsRef.current.filter((item) => item.status === 'cancelled').length;
+
+            setSummary({ done, failed, cancelled });
+            foldersRef.current = {};
+
+            if (onComplete && done > 0) {
+                onComplete();
+            }
+        }
+        wasRunningRef.current = isRunning;
+    }, [isRunning]);
+
+    const waiting = isRunning && quota !== null && quota.remaining <= 0 && quota.resetAt > now;
+
+    // Tick the countdown while the queue waits for the allowance to reset
+    useEffect(() => {
+        if (!waiting) {
+            return undefined;
+        }
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [waiting]);
+
+    useEffect(() => {
+        return () => {
+            clearTimeout(quotaTimerRef.current);
+            Object.values(controllersRef.current).forEach((controller) => controller.abort());
+        };
+    }, []);
+
+    const queuedCount = items.filter((item) => item.status === 'queued').length;
+
+    const renderStatus = (item) => {
+        switch (item.status) {
+            case 'queued':
+                return waiting
+                    ? __('Waiting for upload limit', 'wpmudev-plugin-test')
+                    : __('Queued', 'wpmudev-plugin-test');
+            case 'uploading':
+                return item.file.size > 0
+                    ? `${Math.floor((item.loaded / item.file.size) * 100)}%`
+                    : __('Uploading...', 'wpmudev-plugin-test');
+            case 'done':
+                return __('Uploaded', 'wpmudev-plugin-test');
+            case 'cancelled':
+                return __('Cancelled', 'wpmudev-plugin-test');
+            default:
+                return item.error;
+        }
+    };
+
+    return (
+        <div className="drive-upload-queue">
+            <div
+                className={`drive-drop-zone ${isDragging ? 'is-dragging' : ''}`}
+                onDragOver={(event) => {
+                    event.preventDefault();
+                    setIsDragging(true);
+                }}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+            >
+                <p>{__('Drop files or folders here', 'wpmudev-plugin-test')}</p>
+                <div className="drive-drop-zone-actions">
+                    <Button variant="secondary" onClick={() => fileInputRef.current?.click()}>
+                        {__('Choose Files', 'wpmudev-plugin-test')}
+                    </Button>
+                    <Button variant="secondary" onClick={() => folderInputRef.current?.click()}>
+                        {__('Choose Folder', 'wpmudev-plugin-test')}
+                    </Button>
+                </div>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    onChange={handleInputChange}
+                    className="drive-file-input"
+                    hidden
+                />
+                <input
+                    ref={folderInputRef}
+                    type="file"
+                    webkitdirectory=""
+                    onChange={handleInputChange}
+                    className="drive-file-input"
+                    hidden
+                />
+            </div>
+
+            {quota && (
+                <p className={`drive-upload-quota ${waiting ? 'is-waiting' : ''}`}>
+                    {waiting
+                        ? sprintf(
+                            /* translators: 1: number of queued files, 2: countdown (m:ss) */
+                            _n(
+                                'Upload limit reached. %1$d queued file will start automatically in %2$s.',
+                                'Upload limit reached. %1$d queued files will start automatically in %2$s.',
+                                queuedCount,
+                                'wpmudev-plugin-test'
+                            ),
+                            queuedCount,
+                            formatCountdown((quota.resetAt - now) / 1000)
+                        )
+                        : sprintf(
+                            /* translators: 1: uploads left, 2: uploads allowed */
+                            __('%1$d of %2$d uploads left in the current window.', 'wpmudev-plugin-test'),
+                            Math.max(0, quota.remaining),
+                            quota.limit
+                        )}
+                </p>
+            )}
+
+            {items.length > 0 && (
+                <ul className="drive-upload-queue-list">
+                    {items.map((item) => {
+                        const percent = item.status === 'done'
+                            ? 100
+                            : item.file.size > 0 ? Math.floor((item.loaded / item.file.size) * 100) : 0;
+
+                        return (
+                            <li key={item.id} className={`upload-progress-container drive-upload-item is-${item.status}`}>
+                                <div className="upload-progress-label">
+                                    <strong title={getItemLabel(item)}>{getItemLabel(item)}</strong>
+                                    <span className="drive-upload-item-size">{formatSize(item.file.size)}</span>
+                                </div>
+                                <div className="upload-progress-bar">
+                                    <div
+                                        className={`upload-progress-fill ${item.status === 'done' ? 'complete' : ''}`}
+                                        style={{ width: `${percent}%` }}
+                                    />
+                                </div>
+                                <div className="upload-progress-actions">
+                                    <p className="upload-progress-text">{renderStatus(item)}</p>
+                                    {['queued', 'uploading'].includes(item.status) && (
+                                        <Button variant="link" onClick={() => handleCancel(item)}>
+                                            {__('Cancel', 'wpmudev-plugin-test')}
+                                        </Button>
+                                    )}
+                                    {['failed', 'cancelled'].includes(item.status) && (
+                                        <Button variant="link" className="drive-upload-retry" onClick={() => handleRetry(item)}>
+                                            {__('Retry', 'wpmudev-plugin-test')}
+                                        </Button>
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {summary && (
+                <p className={`drive-upload-summary ${summary.failed > 0 ? 'has-failures' : ''}`}>
+                    {[
+                        sprintf(
+                            /* translators: %d: number of files */
+                            _n('%d file uploaded', '%d files uploaded', summary.done, 'wpmudev-plugin-test'),
+                            summary.done
+                        ),
+                        summary.failed > 0 && sprintf(
+                            /* translators: %d: number of files */
+                            _n('%d failed', '%d failed', summary.failed, 'wpmudev-plugin-test'),
+                            summary.failed
+                        ),
+                        summary.cancelled > 0 && sprintf(
+                            /* translators: %d: number of files */
+                            _n('%d cancelled', '%d cancelled', summary.cancelled, 'wpmudev-plugin-test'),
+                            summary.cancelled
+                        ),
+                    ].filter(Boolean).join(', ')}
+                </p>
+            )}
+
+            {items.length > 0 && (
+                <div className="drive-upload-queue-actions">
+                    {isRunning ? (
+                        <Button variant="secondary" isDestructive onClick={handleCancelAll}>
+                            {__('Cancel All', 'wpmudev-plugin-test')}
+                        </Button>
+                    ) : (
+                        <Button variant="secondary" onClick={handleClearFinished}>
+                            {__('Clear List', 'wpmudev-plugin-test')}
+                        </Button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default UploadQueue;
@@ -8,13 +8,53 @@
  * @since 1.0.0
  */
 
-import { createRoot, render, StrictMode, useState, useEffect, createInterpolateElement } from '@wordpress/element';
-import { Button, TextControl, Spinner, Notice } from '@wordpress/components';
+import { createRoot, render, StrictMode, useState, useEffect, useRef, createInterpolateElement } from '@wordpress/element';
+import { Button, TextControl, Spinner, Notice, RadioControl } from '@wordpress/components';
 import { __, _x, _n, sprintf } from '@wordpress/i18n';
 import apiFetch from '@wordpress/api-fetch';
 
+import FolderPicker, { getPathFolderId } from './components/folder-picker';
+import DriveSwitcher from './components/drive-switcher';
+import FilterBar, { DEFAULT_FILTERS, filtersToParams, hasActiveFilters } from './components/filter-bar';
+import UploadQueue from './components/upload-queue';
+import ItemActionModal from './components/item-action-modal';
+import BulkActionBar from './components/bulk-action-bar';
+import ShareDialog from './components/share-dialog';
+import PreviewModal from './components/preview-modal';
+import MediaFolderSetting from './components/media-folder-setting';
+import SiteAccountSetting, { describeAccount } from './components/site-account-setting';
+import ConnectionHealth from './components/connection-health';
+import RateLimitUsage from './components/rate-limit-usage';
+import FolderSync from './components/folder-sync';
+import ServiceAccountFields, { EMPTY_SERVICE_ACCOUNT } from './components/service-account-fields';
+
 import "./scss/style.scss"
 
+// Localized endpoint key for each file-card action
+const ITEM_ACTION_ENDPOINTS = {
+    rename: 'restEndpointRename',
+    move: 'restEndpointMove',
+    copy: 'restEndpointCopy',
+    trash: 'restEndpointTrash',
+    restore: 'restEndpointRestore',
+    delete: 'restEndpointDelete',
+    import: 'restEndpointImportMedia',
+};
+
+// What the current user's role allows: view, upload, manage
+const CAN = window.wpmudevDriveTest.capabilities || {};
+
+// Remembers whether the files show as a grid of cards or a list
+const LAYOUT_STORAGE_KEY = 'wpmudevDriveLayout';
+
+const getStoredLayout = () => {
+    try {
+        return window.localStorage.getItem(LAYOUT_STORAGE_KEY) === 'list' ? 'list' : 'grid';
+    } catch (error) {
+        return 'grid';
+    }
+};
+
 // Get the DOM element where we'll mount our React app
 const domElement = document.getElementById( window.wpmudevDriveTest.dom_element_id );
 
@@ -22,20 +62,50 @@ const WPMUDEV_DriveTest = () => {
     // Authentication and credential state management
     // I'm using the initial values from the localized script to maintain state across page loads
     const [isAuthenticated, setIsAuthenticated] = useState(window.wpmudevDriveTest.authStatus || false);
+    // Each admin connects their own Drive; this is the Google account behind the current user's connection
+    const [connection, setConnection] = useState(window.wpmudevDriveTest.connection || { connected: false });
     const [hasCredentials, setHasCredentials] = useState(window.wpmudevDriveTest.hasCredentials || false);
     const [showCredentials, setShowCredentials] = useState(!window.wpmudevDriveTest.hasCredentials);
+    // 'oauth' or 'service_account' - a service account is always connected and has no per-user sign-in
+    const [authMode, setAuthMode] = useState(window.wpmudevDriveTest.authMode || 'oauth');
+    const [credentialType, setCredentialType] = useState(window.wpmudevDriveTest.authMode || 'oauth');
+    const [serviceAccount, setServiceAccount] = useState(EMPTY_SERVICE_ACCOUNT);
     
     // UI state management
     const [isLoading, setIsLoading] = useState(false);
     const [files, setFiles] = useState([]);
-    const [uploadFile, setUploadFile] = useState(null);
+    // Folder navigation - each entry is { id, name }, an empty stack means My Drive root
+    const [folderStack, setFolderStack] = useState([]);
+    // Pagination - Drive hands back an opaque token for the next page, null on the last one
+    const [nextPageToken, setNextPageToken] = useState(null);
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    const listRequestRef = useRef(0); // Bumped on every fresh listing so stale "load more" pages are dropped
+    // Which listing is shown - the live Drive tree or the trash
+    const [view, setView] = useState('drive');
+    // Shared Drive being worked in as { id, name }, or null for My Drive
+    const [drive, setDrive] = useState(null);
+    // File-card actions - the dialog being shown and the item currently being worked on
+    const [pendingAction, setPendingAction] = useState(null);
+    const [actionBusyId, setActionBusyId] = useState(null);
+    const [sharingFile, setSharingFile] = useState(null);
+    const [previewFile, setPreviewFile] = useState(null);
+    const [layout, setLayout] = useState(getStoredLayout);
+    // Bulk selection - IDs of checked items, plus the last one clicked as the anchor for shift-click ranges
+    const [selectedIds, setSelectedIds] = useState([]);
+    const selectionAnchorRef = useRef(null);
+    const loadMoreRef = useRef(null); // Sentinel element for infinite scrolling
+    // Search and filters - edits land in `filters`, the listing uses the debounced `appliedFilters`
+    const [filters, setFilters] = useState(DEFAULT_FILTERS);
+    const [appliedFilters, setAppliedFilters] = useState(DEFAULT_FILTERS);
+    const filtersMountedRef = useRef(false);
+    // Destination folders for uploads and new folders - same { id, name } path shape as folderStack
+    const [uploadDestination, setUploadDestination] = useState([]);
+    const [folderDestination, setFolderDestination] = useState([]);
     const [folderName, setFolderName] = useState('');
     
-    // Upload progress tracking - this gives users real-time feedback
-    const [uploadProgress, setUploadProgress] = useState(0);
-    const [isUploading, setIsUploading] = useState(false);
-    const [uploadXhr, setUploadXhr] = useState(null); // Store XHR reference for cancellation
-    
+    // Download in progress - tracked per file so the grid stays visible
+    const [downloadingId, setDownloadingId] = useState(null);
+
     // Folder creation loading state - separate from global loading
     const [isCreatingFolder, setIsCreatingFolder] = useState(false);
     
@@ -62,6 +132,10 @@ const WPMUDEV_DriveTest = () => {
             showNotice(__('Successfully authenticated with Google Drive!', 'wpmudev-plugin-test'), 'success');
             // Clean URL.
             window.history.replaceState({}, document.title, window.location.pathname);
+        } else if (authStatus === 'site-success') {
+            showNotice(__('Site account connected to Google Drive.', 'wpmudev-plugin-test'), 'success');
+            // Clean URL.
+            window.history.replaceState({}, document.title, window.location.pathname);
         } else if (authStatus === 'error') {
             const errorMessage = urlParams.get('message') || __('Authentication failed.', 'wpmudev-plugin-test');
             showNotice(errorMessage, 'error');
@@ -70,6 +144,30 @@ const WPMUDEV_DriveTest = () => {
         }
     }, [isAuthenticated]);
 
+    // Debounce filter edits so typing in the search box doesn't fire a request per keystroke
+    useEffect(() => {
+        const timer = setTimeout(() => setAppliedFilters(filters), 400);
+        return () => clearTimeout(timer);
+    }, [filters]);
+
+    // Reload the listing when the applied filters change (the initial load is handled above)
+    useEffect(() => {
+        if (!filtersMountedRef.current) {
+            filtersMountedRef.current = true;
+            return;
+        }
+        if (isAuthenticated) {
+            loadFiles();
+        }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [appliedFilters, drive]);
+
+    // Default both destinations to whatever folder is being browsed
+    useEffect(() => {
+        setUploadDestination(folderStack);
+        setFolderDestination(folderStack);
+    }, [folderStack]);
+
     const showNotice = (message, type = 'success') => {
         setNotice({ message, type });
         setTimeout(() => setNotice({ message: '', type: '' }), 5000);
@@ -95,6 +193,12 @@ const WPMUDEV_DriveTest = () => {
             if (response.success) {
                 setHasCredentials(true);
                 setShowCredentials(false);
+                if (authMode === 'service_account') {
+                    // Switching back to OAuth - every admin has to sign in again
+                    setAuthMode('oauth');
+                    setIsAuthenticated(false);
+                    setConnection({ connected: false });
+                }
                 showNotice(response.message || __('Credentials saved successfully!', 'wpmudev-plugin-test'), 'success');
             } else {
                 showNotice(response.message || __('Failed to save credentials.', 'wpmudev-plugin-test'), 'error');
@@ -109,6 +213,42 @@ const WPMUDEV_DriveTest = () => {
         }
     };
 
+    const handleSaveServiceAccount = async () => {
+        if (!serviceAccount.key.trim() || !serviceAccount.folderId.trim()) {
+            showNotice(__('Please enter the service account key and the shared drive or folder ID.', 'wpmudev-plugin-test'), 'error');
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointSaveServiceAccount}`,
+                method: 'POST',
+                data: {
+                    key: serviceAccount.key,
+                    folder_id: serviceAccount.folderId.trim(),
+                    subject: serviceAccount.subject.trim(),
+                },
+            });
+
+            setHasCredentials(true);
+            setShowCredentials(false);
+            setAuthMode('service_account');
+            setConnection({ connected: true, name: __('Service account', 'wpmudev-plugin-test'), email: response.email });
+            setServiceAccount(EMPTY_SERVICE_ACCOUNT);
+            setFolderStack([]);
+            setIsAuthenticated(true);
+            showNotice(response.message || __('Service account saved successfully!', 'wpmudev-plugin-test'), 'success');
+        } catch (error) {
+            showNotice(
+                error.message || __('An error occurred while saving the service account.', 'wpmudev-plugin-test'),
+                'error'
+            );
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
     const handleAuth = async () => {
         setIsLoading(true);
         try {
@@ -136,16 +276,46 @@ const WPMUDEV_DriveTest = () => {
         }
     };
 
-    const loadFiles = async () => {
+    // The folder currently being browsed, or null for My Drive root
+    const currentFolder = folderStack.length > 0 ? folderStack[folderStack.length - 1] : null;
+    const rootName = drive ? drive.name : __('My Drive', 'wpmudev-plugin-test');
+
+    const buildFilesPath = (parentId, pageToken = '', inTrash = view === 'trash') => {
+        const params = filtersToParams(appliedFilters);
+        if (inTrash) {
+            // The trash is flat - trashed items are listed regardless of their old folder
+            params.push('trashed=1');
+        } else if (parentId) {
+            params.push(`parent_id=${encodeURIComponent(parentId)}`);
+        }
+        if (drive) {
+            params.push(`drive_id=${encodeURIComponent(drive.id)}`);
+        }
+        if (pageToken) {
+            params.push(`page_token=${encodeURIComponent(pageToken)}`);
+        }
+        return `/${window.wpmudevDriveTest.restEndpointFiles}${params.length ? '?' + params.join('&') : ''}`;
+    };
+
+    const loadFiles = async (parentId = currentFolder ? currentFolder.id : '', inTrash = view === 'trash') => {
+        const requestId = ++listRequestRef.current;
         setIsLoading(true);
+        setNextPageToken(null);
+        setSelectedIds([]);
+        selectionAnchorRef.current = null;
         try {
             const response = await apiFetch({
-                path: `/${window.wpmudevDriveTest.restEndpointFiles}`,
+                path: buildFilesPath(parentId, '', inTrash),
                 method: 'GET',
             });
 
+            if (requestId !== listRequestRef.current) {
+                return; // A newer listing has started (e.g. user navigated away)
+            }
+
             if (response.success && Array.isArray(response.files)) {
                 setFiles(response.files);
+                setNextPageToken(response.next_page_token || null);
             } else {
                 showNotice(
                     response.message || __('Failed to load files.', 'wpmudev-plugin-test'),
@@ -162,123 +332,177 @@ const WPMUDEV_DriveTest = () => {
         }
     };
 
-    const handleUpload = async () => {
-        if (!uploadFile) {
-            showNotice(__('Please select a file to upload.', 'wpmudev-plugin-test'), 'error');
+    // Append the next page to the current listing, keeping what is already shown
+    const loadMoreFiles = async () => {
+        if (!nextPageToken || isLoadingMore || isLoading) {
             return;
         }
 
-        // Reset progress and start upload
-        setUploadProgress(0);
-        setIsUploading(true);
-        
-        // Using FormData for multipart upload - this is the standard way to handle file uploads
-        // in modern browsers. The REST API expects this format.
-        const formData = new FormData();
-        formData.append('file', uploadFile);
-
-        // Construct URL properly to avoid double slashes
-        const restBase = (window.wpmudevDriveTest.restUrl || window.location.origin + '/wp-json').replace(/\/$/, '');
-        const endpoint = window.wpmudevDriveTest.restEndpointUpload.replace(/^\//, '');
-        const uploadUrl = `${restBase}/${endpoint}`;
-
-        // Using XMLHttpRequest instead of fetch to get upload progress
-        // This is the only way to track upload progress in browsers currently
-        const xhr = new XMLHttpRequest();
-
-        // Store XHR reference for potential cancellation
-        setUploadXhr(xhr);
-
-        return new Promise((resolve, reject) => {
-            // Track upload progress
-            xhr.upload.addEventListener('progress', (event) => {
-                if (event.lengthComputable) {
-                    const percentComplete = Math.round((event.loaded / event.total) * 100);
-                    setUploadProgress(percentComplete);
-                }
+        const requestId = listRequestRef.current;
+        setIsLoadingMore(true);
+        try {
+            const response = await apiFetch({
+                path: buildFilesPath(currentFolder ? currentFolder.id : '', nextPageToken),
+                method: 'GET',
             });
 
-            // Handle completion
-            xhr.addEventListener('load', async () => {
-                setUploadXhr(null); // Clear XHR reference
-                setIsUploading(false);
-                
-                try {
-                    const data = JSON.parse(xhr.responseText);
-
-                    if (xhr.status === 200 && data.success) {
-                        setUploadProgress(100);
-                        showNotice(
-                            data.message || __('File uploaded successfully!', 'wpmudev-plugin-test'),
-                            'success'
-                        );
-                        setUploadFile(null);
-                        
-                        // Reset file input
-                        const fileInput = document.querySelector('.drive-file-input');
-                        if (fileInput) {
-                            fileInput.value = '';
-                        }
-                        
-                        // Reset progress after a short delay to show completion
-                        setTimeout(() => setUploadProgress(0), 2000);
-                        
-                        // Refresh file list
-                        await loadFiles();
-                        resolve(data);
-                    } else {
-                        showNotice(
-                            data.message || __('Failed to upload file.', 'wpmudev-plugin-test'),
-                            'error'
-                        );
-                        setUploadProgress(0);
-                        reject(new Error(data.message || 'Upload failed'));
-                    }
-                } catch (error) {
-                    showNotice(
-                        __('Invalid response from server.', 'wpmudev-plugin-test'),
-                        'error'
-                    );
-                    setUploadProgress(0);
-                    reject(error);
-                }
-            });
+            if (requestId !== listRequestRef.current) {
+                return;
+            }
 
-            // Handle errors
-            xhr.addEventListener('error', () => {
-                setUploadXhr(null);
-                setIsUploading(false);
-                setUploadProgress(0);
+            if (response.success && Array.isArray(response.files)) {
+                setFiles((previous) => {
+                    const seen = new Set(previous.map((file) => file.id));
+                    return [...previous, ...response.files.filter((file) => !seen.has(file.id))];
+                });
+                setNextPageToken(response.next_page_token || null);
+            } else {
                 showNotice(
-                    __('Network error occurred during upload.', 'wpmudev-plugin-test'),
+                    response.message || __('Failed to load more files.', 'wpmudev-plugin-test'),
                     'error'
                 );
-                reject(new Error('Network error'));
-            });
+            }
+        } catch (error) {
+            showNotice(
+                error.message || __('An error occurred while loading more files.', 'wpmudev-plugin-test'),
+                'error'
+            );
+        } finally {
+            setIsLoadingMore(false);
+        }
+    };
 
-            // Handle abort
-            xhr.addEventListener('abort', () => {
-                setUploadXhr(null);
-                setIsUploading(false);
-                setUploadProgress(0);
-                showNotice(
-                    __('Upload was cancelled.', 'wpmudev-plugin-test'),
-                    'info'
-                );
-                reject(new Error('Upload cancelled'));
+    // Infinite scrolling - load the next page once the sentinel below the grid scrolls into view
+    useEffect(() => {
+        const sentinel = loadMoreRef.current;
+        if (!sentinel || !nextPageToken || typeof window.IntersectionObserver === 'undefined') {
+            return;
+        }
+
+        const observer = new window.IntersectionObserver((entries) => {
+            if (entries.some((entry) => entry.isIntersecting)) {
+                loadMoreFiles();
+            }
+        }, { rootMargin: '200px' });
+
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [nextPageToken, isLoadingMore, isLoading]);
+
+    // Step into a folder and show only its children
+    const openFolder = (folder) => {
+        setFolderStack([...folderStack, { id: folder.id, name: folder.name }]);
+        loadFiles(folder.id);
+    };
+
+    // Jump back to a breadcrumb - index -1 is My Drive root
+    const navigateToCrumb = (index) => {
+        const nextStack = folderStack.slice(0, index + 1);
+        setFolderStack(nextStack);
+        loadFiles(nextStack.length > 0 ? nextStack[nextStack.length - 1].id : '');
+    };
+
+    // Check or uncheck an item - shift-click applies the same state to the whole range from the anchor
+    const handleSelect = (file, index, event) => {
+        const checked = !selectedIds.includes(file.id);
+        const anchor = selectionAnchorRef.current;
+        let ids = [file.id];
+
+        if (event.shiftKey && anchor !== null) {
+            const anchorIndex = files.findIndex((item) => item.id === anchor);
+            if (anchorIndex !== -1) {
+                const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+                ids = files.slice(from, to + 1).map((item) => item.id);
+            }
+        }
+
+        setSelectedIds((previous) => (checked
+            ? [...new Set([...previous, ...ids])]
+            : previous.filter((id) => !ids.includes(id))
+        ));
+        selectionAnchorRef.current = file.id;
+    };
+
+    const allSelected = files.length > 0 && files.every((file) => selectedIds.includes(file.id));
+
+    const handleSelectAll = () => {
+        setSelectedIds(allSelected ? [] : files.map((file) => file.id));
+        selectionAnchorRef.current = null;
+    };
+
+    // Drop items the bulk action handled from the selection (and from the grid if they left this folder)
+    const handleBulkDone = (action, succeededIds) => {
+        setSelectedIds((previous) => previous.filter((id) => !succeededIds.includes(id)));
+        if (action === 'move' || action === 'trash') {
+            setFiles((previous) => previous.filter((file) => !succeededIds.includes(file.id)));
+        }
+    };
+
+    const changeLayout = (nextLayout) => {
+        setLayout(nextLayout);
+        try {
+            window.localStorage.setItem(LAYOUT_STORAGE_KEY, nextLayout);
+        } catch (error) {
+            // Not persisted - the choice still applies for this visit
+        }
+    };
+
+    // Switch between My Drive and the trash, starting again from the top
+    const switchView = (nextView) => {
+        setView(nextView);
+        setFolderStack([]);
+        loadFiles('', nextView === 'trash');
+    };
+
+    // Work in another drive - the listing reloads once the new drive is in state
+    const switchDrive = (nextDrive) => {
+        setDrive(nextDrive);
+        setView('drive');
+        setFolderStack([]);
+        setUploadDestination([]);
+        setFolderDestination([]);
+    };
+
+    // Run a file-card action against the REST API and reflect the result in the grid
+    const runItemAction = async (action, file, data = {}) => {
+        setActionBusyId(file.id);
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest[ITEM_ACTION_ENDPOINTS[action]]}`,
+                method: 'POST',
+                data: { file_id: file.id, ...data },
             });
 
-            // Start the upload
-            xhr.open('POST', uploadUrl);
-            xhr.setRequestHeader('X-WP-Nonce', window.wpmudevDriveTest.nonce);
-            xhr.send(formData);
-        });
+            if (!response.success) {
+                showNotice(response.message || __('The action failed.', 'wpmudev-plugin-test'), 'error');
+                return false;
+            }
+
+            showNotice(response.message, 'success');
+
+            if (action === 'rename') {
+                setFiles((previous) => previous.map((item) => (item.id === file.id ? { ...item, ...response.file } : item)));
+            } else if (action === 'copy') {
+                await loadFiles();
+            } else if (action !== 'import') {
+                // Moved, trashed, restored or deleted - it no longer belongs in this listing
+                setFiles((previous) => previous.filter((item) => item.id !== file.id));
+            }
+
+            return true;
+        } catch (error) {
+            showNotice(error.message || __('The action failed.', 'wpmudev-plugin-test'), 'error');
+            return false;
+        } finally {
+            setActionBusyId(null);
+        }
     };
 
-    // Cancel upload function - gives users control over long uploads
-    const handleCancelUpload = () => {
-        if (uploadXhr && isUploading) {
-            uploadXhr.abort(); // This will trigger the 'abort' event listener
+    const handleConfirmAction = async (data) => {
+        const { action, file } = pendingAction;
+        if (await runItemAction(action, file, data)) {
+            setPendingAction(null);
         }
     };
 
@@ -298,7 +522,11 @@ const WPMUDEV_DriveTest = () => {
             if (response.success) {
                 // Reset all authentication-related state
                 setIsAuthenticated(false);
+                setConnection({ connected: false });
                 setFiles([]);
+                setFolderStack([]);
+                setDrive(null);
+                setFilters(DEFAULT_FILTERS);
                 setShowCredentials(false); // Keep credentials form hidden since we still have them saved
                 showNotice(response.message || __('Successfully disconnected from Google Drive.', 'wpmudev-plugin-test'), 'success');
             } else {
@@ -317,34 +545,26 @@ const WPMUDEV_DriveTest = () => {
         }
     };
 
-    const handleDownload = async (fileId, fileName) => {
-        setIsLoading(true);
+    // Downloads go through a short-lived signed link to the streaming route,
+    // so the browser handles the bytes natively instead of us decoding base64 in memory
+    const handleDownload = async (fileId, format = '') => {
+        setDownloadingId(fileId);
         try {
+            const formatQuery = format ? `&format=${encodeURIComponent(format)}` : '';
             const response = await apiFetch({
-                path: `/${window.wpmudevDriveTest.restEndpointDownload}?file_id=${encodeURIComponent(fileId)}`,
+                path: `/${window.wpmudevDriveTest.restEndpointDownload}?file_id=${encodeURIComponent(fileId)}${formatQuery}`,
                 method: 'GET',
             });
 
-            if (response.success && response.content) {
-                // Decode base64 content.
-                const binaryString = atob(response.content);
-                const bytes = new Uint8Array(binaryString.length);
-                for (let i = 0; i < binaryString.length; i++) {
-                    bytes[i] = binaryString.charCodeAt(i);
-                }
-                
-                // Create blob and download.
-                const blob = new Blob([bytes], { type: response.mimeType || 'application/octet-stream' });
-                const url = window.URL.createObjectURL(blob);
+            if (response.success && response.url) {
                 const link = document.createElement('a');
-                link.href = url;
-                link.download = fileName || response.filename || 'download';
+                link.href = response.url;
+                link.rel = 'noopener';
                 document.body.appendChild(link);
                 link.click();
                 document.body.removeChild(link);
-                window.URL.revokeObjectURL(url);
-                
-                showNotice(__('File downloaded successfully!', 'wpmudev-plugin-test'), 'success');
+
+                showNotice(__('Download started.', 'wpmudev-plugin-test'), 'success');
             } else {
                 showNotice(
                     response.message || __('Failed to download file.', 'wpmudev-plugin-test'),
@@ -357,7 +577,7 @@ const WPMUDEV_DriveTest = () => {
                 'error'
             );
         } finally {
-            setIsLoading(false);
+            setDownloadingId(null);
         }
     };
 
@@ -374,6 +594,8 @@ const WPMUDEV_DriveTest = () => {
                 method: 'POST',
                 data: {
                     name: folderName.trim(),
+                    parent_id: getPathFolderId(folderDestination),
+                    ...(drive ? { drive_id: drive.id } : {}),
                 },
             });
 
@@ -413,14 +635,34 @@ const WPMUDEV_DriveTest = () => {
                 {/* Add disconnect button in header when authenticated for better visibility */}
                 {isAuthenticated && (
                     <div className="sui-actions-right" style={{ marginTop: '10px' }}>
-                        <Button
-                            variant="ghost"
-                            onClick={handleDisconnect}
-                            disabled={isLoading}
-                            style={{ color: '#d63638' }}
-                        >
-                            {isLoading ? <Spinner /> : __('Disconnect from Google Drive', 'wpmudev-plugin-test')}
-                        </Button>
+                        {connection.connected && (
+                            <span className="drive-connected-account">
+                                {sprintf(
+                                    /* translators: %s: Google account name and email */
+                                    __('Connected as %s', 'wpmudev-plugin-test'),
+                                    describeAccount(connection)
+                                )}
+                            </span>
+                        )}
+                        {authMode === 'service_account' ? (
+                            CAN.manage && (
+                                <Button
+                                    variant="secondary"
+                                    onClick={() => setShowCredentials(true)}
+                                >
+                                    {__('Change Credentials', 'wpmudev-plugin-test')}
+                                </Button>
+                            )
+                        ) : (
+                            <Button
+                                variant="ghost"
+                                onClick={handleDisconnect}
+                                disabled={isLoading}
+                                style={{ color: '#d63638' }}
+                            >
+                                {isLoading ? <Spinner /> : __('Disconnect from Google Drive', 'wpmudev-plugin-test')}
+                            </Button>
+                        )}
                     </div>
                 )}
             </div>
@@ -431,12 +673,48 @@ const WPMUDEV_DriveTest = () => {
                 </Notice>
             )}
 
-            {showCredentials ? (
+            {connection.connected && (connection.missing_scopes || []).length > 0 && (
+                <Notice status="warning" isDismissible={false}>
+                    <p>
+                        {__('Your Google account was connected before this plugin asked for full Google Drive access. Until you reconnect, Google refuses to rename, move, trash, share or sync files the plugin did not create.', 'wpmudev-plugin-test')}
+                    </p>
+                    <Button variant="primary" onClick={handleAuth} disabled={isLoading}>
+                        {isLoading ? <Spinner /> : __('Reconnect Google Drive', 'wpmudev-plugin-test')}
+                    </Button>
+                </Notice>
+            )}
+
+            {showCredentials && !CAN.manage ? (
+                <div className="sui-box">
+                    <div className="sui-box-header">
+                        <h2 className="sui-box-title">{ __('Google Drive Is Not Set Up', 'wpmudev-plugin-test')}</h2>
+                    </div>
+                    <div className="sui-box-body">
+                        <p>{ __('Ask an administrator to save the Google Drive credentials.', 'wpmudev-plugin-test') }</p>
+                    </div>
+                </div>
+            ) : showCredentials ? (
                 <div className="sui-box">
                     <div className="sui-box-header">
                         <h2 className="sui-box-title">{ __('Set Google Drive Credentials', 'wpmudev-plugin-test')}</h2>
                     </div>
                     <div className="sui-box-body">
+                        <div className="sui-box-settings-row">
+                            <RadioControl
+                                label={__('Authentication method', 'wpmudev-plugin-test')}
+                                selected={credentialType}
+                                options={[
+                                    { label: __('OAuth client - each admin signs in with their Google account', 'wpmudev-plugin-test'), value: 'oauth' },
+                                    { label: __('Service account - for headless sites such as staging and CI', 'wpmudev-plugin-test'), value: 'service_account' },
+                                ]}
+                                onChange={setCredentialType}
+                            />
+                        </div>
+
+                        {credentialType === 'service_account' ? (
+                            <ServiceAccountFields value={serviceAccount} onChange={setServiceAccount} />
+                        ) : (
+                        <>
                         <div className="sui-box-settings-row">
                             <TextControl
                                 help={ createInterpolateElement(
@@ -496,16 +774,20 @@ const WPMUDEV_DriveTest = () => {
                         <div className="sui-box-settings-row">
                             <p><strong>{ __("Required scopes for Google Drive API:", 'wpmudev-plugin-test') }</strong></p>
                             <ul>
-                                <li>https://www.googleapis.com/auth/drive.file</li>
-                                <li>https://www.googleapis.com/auth/drive.readonly</li>
+                                <li>https://www.googleapis.com/auth/drive</li>
                             </ul>
+                            <p className="sui-description">
+                                {__('This scope gives the plugin read and write access to every file in the connected Google Drive. It is needed to rename, move, trash, share and sync files the plugin did not upload itself. Accounts connected with narrower scopes are asked to reconnect.', 'wpmudev-plugin-test')}
+                            </p>
                         </div>
+                        </>
+                        )}
                     </div>
                     <div className="sui-box-footer">
                         <div className="sui-actions-right">
                             <Button
                                 variant="primary"
-                                onClick={handleSaveCredentials}
+                                onClick={credentialType === 'service_account' ? handleSaveServiceAccount : handleSaveCredentials}
                                 disabled={isLoading}
                             >
                                 {isLoading ? <Spinner /> : __('Save Credentials', 'wpmudev-plugin-test')}
@@ -530,14 +812,16 @@ const WPMUDEV_DriveTest = () => {
                         </div>
                     </div>
                     <div className="sui-box-footer">
-                        <div className="sui-actions-left">
-                            <Button
-                                variant="secondary"
-                                onClick={() => setShowCredentials(true)}
-                            >
-                                {__('Change Credentials', 'wpmudev-plugin-test')}
-                            </Button>
-                        </div>
+                        {CAN.manage && (
+                            <div className="sui-actions-left">
+                                <Button
+                                    variant="secondary"
+                                    onClick={() => setShowCredentials(true)}
+                                >
+                                    {__('Change Credentials', 'wpmudev-plugin-test')}
+                                </Button>
+                            </div>
+                        )}
                         <div className="sui-actions-right">
                             <Button
                                 variant="primary"
@@ -551,189 +835,324 @@ const WPMUDEV_DriveTest = () => {
                 </div>
             ) : (
                 <>
-                    {/* File Upload Section */}
-                    <div className="sui-box">
-                        <div className="sui-box-header">
-                            <h2 className="sui-box-title">{ __("Upload File to Drive", 'wpmudev-plugin-test') }</h2>
-                        </div>
-                        <div className="sui-box-body">
-                            <div className="sui-box-settings-row">
-                                <input
-                                    type="file"
-                                    onChange={(e) => setUploadFile(e.target.files[0])}
-                                    className="drive-file-input"
-                                    disabled={isUploading}
-                                />
-                                {uploadFile && (
-                                    <p>
-                                        {
-                                            createInterpolateElement(
-                                                sprintf(
-                                                    __('<strong>Selected file:</strong> %s (%s KB)', 'wpmudev-plugin-test'),
-                                                    uploadFile.name,
-                                                    Math.round(uploadFile.size / 1024)
-                                                ),
-                                                {
-                                                    strong: <strong/>,
-                                                }
-                                            )
-                                        }
-                                    </p>
-                                )}
+                    {CAN.upload && (
+                        <>
+                        {/* File Upload Section */}
+                        <div className="sui-box">
+                            <div className="sui-box-header">
+                                <h2 className="sui-box-title">{ __("Upload Files to Drive", 'wpmudev-plugin-test') }</h2>
                             </div>
-                            
-                            {/* Upload Progress Bar - shows real-time upload progress */}
-                            {(isUploading || uploadProgress > 0) && (
+                            <div className="sui-box-body">
                                 <div className="sui-box-settings-row">
-                                    <div className="upload-progress-container">
-                                        <div className="upload-progress-label">
-                                            <strong>
-                                                {isUploading 
-                                                    ? __('Uploading...', 'wpmudev-plugin-test')
-                                                    : uploadProgress === 100 
-                                                        ? __('Upload Complete!', 'wpmudev-plugin-test')
-                                                        : __('Upload Progress', 'wpmudev-plugin-test')
-                                                }
-                                            </strong>
-                                            <span className="upload-progress-percent">{uploadProgress}%</span>
-                                        </div>
-                                        <div className="upload-progress-bar">
-                                            <div 
-                                                className={`upload-progress-fill ${uploadProgress === 100 ? 'complete' : ''}`}
-                                                style={{ 
-                                                    width: `${uploadProgress}%`,
-                                                    backgroundColor: uploadProgress === 100 ? '#28a745' : '#007cba',
-                                                    height: '8px',
-                                                    borderRadius: '4px',
-                                                    transition: 'width 0.3s ease, background-color 0.3s ease'
-                                                }}
-                                            />
-                                        </div>
-                                        {isUploading && (
-                                            <div className="upload-progress-actions">
-                                                <p className="upload-progress-text">
-                                                    {sprintf(
-                                                        __('Uploading %s... Please don\'t close this page.', 'wpmudev-plugin-test'),
-                                                        uploadFile?.name || __('file', 'wpmudev-plugin-test')
-                                                    )}
-                                                </p>
-                                                <Button
-                                                    variant="link"
-                                                    onClick={handleCancelUpload}
-                                                    style={{ 
-                                                        color: '#d63638', 
-                                                        fontSize: '12px',
-                                                        textDecoration: 'none',
-                                                        padding: '0',
-                                                        height: 'auto'
-                                                    }}
-                                                >
-                                                    {__('Cancel Upload', 'wpmudev-plugin-test')}
-                                                </Button>
-                                            </div>
-                                        )}
-                                    </div>
+                                    <FolderPicker
+                                        label={__('Upload to:', 'wpmudev-plugin-test')}
+                                        value={uploadDestination}
+                                        onChange={setUploadDestination}
+                                        drive={drive}
+                                    />
+                                </div>
+                                <div className="sui-box-settings-row">
+                                    {/* A Shared Drive's top-level folder has the same ID as the drive */}
+                                    <UploadQueue
+                                        destinationId={getPathFolderId(uploadDestination) || (drive ? drive.id : '')}
+                                        onComplete={() => loadFiles()}
+                                    />
                                 </div>
-                            )}
-                        </div>
-                        <div className="sui-box-footer">
-                            <div className="sui-actions-right">
-                                <Button
-                                    variant="primary"
-                                    onClick={handleUpload}
-                                    disabled={isUploading || !uploadFile}
-                                >
-                                    {isUploading ? <Spinner /> : __('Upload to Drive', 'wpmudev-plugin-test')}
-                                </Button>
                             </div>
                         </div>
-                    </div>
 
-                    {/* Create Folder Section */}
-                    <div className="sui-box">
-                        <div className="sui-box-header">
-                            <h2 className="sui-box-title">{ __('Create New Folder', 'wpmudev-plugin-test') }</h2>
-                        </div>
-                        <div className="sui-box-body">
-                            <div className="sui-box-settings-row">
-                                <TextControl
-                                    label={__("Folder Name", 'wpmudev-plugin-test')}
-                                    value={folderName}
-                                    onChange={setFolderName}
-                                    placeholder={ __("Enter folder name", 'wpmudev-plugin-test') }
-                                />
+                        {/* Create Folder Section */}
+                        <div className="sui-box">
+                            <div className="sui-box-header">
+                                <h2 className="sui-box-title">{ __('Create New Folder', 'wpmudev-plugin-test') }</h2>
+                            </div>
+                            <div className="sui-box-body">
+                                <div className="sui-box-settings-row">
+                                    <TextControl
+                                        label={__("Folder Name", 'wpmudev-plugin-test')}
+                                        value={folderName}
+                                        onChange={setFolderName}
+                                        placeholder={ __("Enter folder name", 'wpmudev-plugin-test') }
+                                    />
+                                    <FolderPicker
+                                        label={__('Create in:', 'wpmudev-plugin-test')}
+                                        value={folderDestination}
+                                        onChange={setFolderDestination}
+                                        disabled={isCreatingFolder}
+                                        drive={drive}
+                                    />
+                                </div>
+                            </div>
+                            <div className="sui-box-footer">
+                                <div className="sui-actions-right">
+                                    <Button
+                                        variant="secondary"
+                                        onClick={handleCreateFolder}
+                                        disabled={isCreatingFolder || !folderName.trim()}
+                                    >
+                                        {isCreatingFolder ? <Spinner /> : __('Create Folder', 'wpmudev-plugin-test')}
+                                    </Button>
+                                </div>
                             </div>
                         </div>
-                        <div className="sui-box-footer">
-                            <div className="sui-actions-right">
-                                <Button
-                                    variant="secondary"
-                                    onClick={handleCreateFolder}
-                                    disabled={isCreatingFolder || !folderName.trim()}
-                                >
-                                    {isCreatingFolder ? <Spinner /> : __('Create Folder', 'wpmudev-plugin-test')}
-                                </Button>
+
+                        {/* Media Library Section */}
+                        <div className="sui-box">
+                            <div className="sui-box-header">
+                                <h2 className="sui-box-title">{ __('Media Library', 'wpmudev-plugin-test') }</h2>
+                            </div>
+                            <div className="sui-box-body">
+                                <div className="sui-box-settings-row">
+                                    <MediaFolderSetting showNotice={showNotice} />
+                                </div>
                             </div>
                         </div>
-                    </div>
+                        </>
+                    )}
 
                     {/* Files List Section */}
                     <div className="sui-box">
                         <div className="sui-box-header">
                             <h2 className="sui-box-title">{ __("Your Drive Files", 'wpmudev-plugin-test')}</h2>
                             <div className="sui-actions-right">
+                                <div className="drive-layout-toggle" role="group" aria-label={__('Layout', 'wpmudev-plugin-test')}>
+                                    <Button
+                                        icon="grid-view"
+                                        label={__('Grid view', 'wpmudev-plugin-test')}
+                                        isPressed={layout === 'grid'}
+                                        onClick={() => changeLayout('grid')}
+                                    />
+                                    <Button
+                                        icon="list-view"
+                                        label={__('List view', 'wpmudev-plugin-test')}
+                                        isPressed={layout === 'list'}
+                                        onClick={() => changeLayout('list')}
+                                    />
+                                </div>
                                 <Button
                                     variant="secondary"
-                                    onClick={loadFiles}
+                                    onClick={() => loadFiles()}
                                     disabled={isLoading}
                                     style={{ marginRight: '8px' }}
                                 >
                                     {isLoading ? <Spinner /> : __('Refresh Files', 'wpmudev-plugin-test')}
                                 </Button>
+                                {authMode === 'oauth' && (
+                                    <Button
+                                        variant="ghost"
+                                        onClick={handleDisconnect}
+                                        disabled={isLoading}
+                                        style={{ color: '#d63638', border: '1px solid #d63638' }}
+                                    >
+                                        {isLoading ? <Spinner /> : __('Disconnect', 'wpmudev-plugin-test')}
+                                    </Button>
+                                )}
+                            </div>
+                        </div>
+                        <div className="sui-box-body">
+                            <DriveSwitcher value={drive} onChange={switchDrive} disabled={isLoading} />
+
+                            {/* Reloads with the file list, which every action refreshes */}
+                            <RateLimitUsage refreshKey={files} />
+
+                            <div className="drive-view-tabs" role="tablist">
+                                <Button
+                                    role="tab"
+                                    aria-selected={view === 'drive'}
+                                    variant={view === 'drive' ? 'primary' : 'tertiary'}
+                                    onClick={() => switchView('drive')}
+                                    disabled={isLoading}
+                                >
+                                    {rootName}
+                                </Button>
                                 <Button
-                                    variant="ghost"
-                                    onClick={handleDisconnect}
+                                    role="tab"
+                                    aria-selected={view === 'trash'}
+                                    variant={view === 'trash' ? 'primary' : 'tertiary'}
+                                    onClick={() => switchView('trash')}
                                     disabled={isLoading}
-                                    style={{ color: '#d63638', border: '1px solid #d63638' }}
                                 >
-                                    {isLoading ? <Spinner /> : __('Disconnect', 'wpmudev-plugin-test')}
+                                    {__('Trash', 'wpmudev-plugin-test')}
                                 </Button>
                             </div>
-                        </div>
-                        <div className="sui-box-body">
+
+                            {/* Breadcrumb trail - lets users walk back up the folder tree */}
+                            {view === 'drive' && (
+                                <nav className="drive-breadcrumbs" aria-label={__('Folder navigation', 'wpmudev-plugin-test')}>
+                                    {currentFolder ? (
+                                        <Button variant="link" onClick={() => navigateToCrumb(-1)} disabled={isLoading}>
+                                            {rootName}
+                                        </Button>
+                                    ) : (
+                                        <span className="drive-breadcrumb-current">{rootName}</span>
+                                    )}
+                                    {folderStack.map((folder, index) => (
+                                        <span key={folder.id} className="drive-breadcrumb">
+                                            <span className="drive-breadcrumb-separator" aria-hidden="true">/</span>
+                                            {index === folderStack.length - 1 ? (
+                                                <span className="drive-breadcrumb-current">{folder.name}</span>
+                                            ) : (
+                                                <Button variant="link" onClick={() => navigateToCrumb(index)} disabled={isLoading}>
+                                                    {folder.name}
+                                                </Button>
+                                            )}
+                                        </span>
+                                    ))}
+                                </nav>
+                            )}
+
+                            <FilterBar filters={filters} onChange={setFilters} disabled={isLoading} />
+
+                            {view === 'drive' && !isLoading && files.length > 0 && (
+                                <div className="drive-select-all">
+                                    <label>
+                                        <input type="checkbox" checked={allSelected} onChange={handleSelectAll} />
+                                        {' '}
+                                        {__('Select all on this page', 'wpmudev-plugin-test')}
+                                    </label>
+                                </div>
+                            )}
+
+                            {view === 'drive' && (
+                                <BulkActionBar
+                                    selectedFiles={files.filter((file) => selectedIds.includes(file.id))}
+                                    onClear={() => setSelectedIds([])}
+                                    onDone={handleBulkDone}
+                                    showNotice={showNotice}
+                                    drive={drive}
+                                    capabilities={CAN}
+                                />
+                            )}
+
                             {isLoading ? (
                                 <div className="drive-loading">
                                     <Spinner />
                                     <p>{ __('Loading files...', 'wpmudev-plugin-test') }</p>
                                 </div>
                             ) : files.length > 0 ? (
-                                <div className="drive-files-grid">
-                                    {files.map((file) => {
+                                <div className={`drive-files-grid is-${layout}`}>
+                                    {files.map((file, index) => {
                                         const isFolder = file.isFolder || file.mimeType === 'application/vnd.google-apps.folder';
                                         const fileSize = file.size ? (file.size < 1024 ? file.size + ' B' : file.size < 1024 * 1024 ? Math.round(file.size / 1024) + ' KB' : Math.round(file.size / (1024 * 1024) * 100) / 100 + ' MB') : '';
                                         const fileType = isFolder ? __('Folder', 'wpmudev-plugin-test') : __('File', 'wpmudev-plugin-test');
                                         
                                         return (
-                                            <div key={file.id} className="drive-file-item">
+                                            <div key={file.id} className={`drive-file-item ${selectedIds.includes(file.id) ? 'is-selected' : ''}`}>
+                                                {view === 'drive' && (
+                                                    <input
+                                                        type="checkbox"
+                                                        className="drive-file-select"
+                                                        checked={selectedIds.includes(file.id)}
+                                                        onChange={(event) => handleSelect(file, index, event.nativeEvent)}
+                                                        aria-label={sprintf(
+                                                            /* translators: %s: file name */
+                                                            __('Select %s', 'wpmudev-plugin-test'),
+                                                            file.name
+                                                        )}
+                                                    />
+                                                )}
+                                                <div className="file-thumbnail">
+                                                    {file.thumbnailUrl ? (
+                                                        <img
+                                                            src={`${file.thumbnailUrl}&size=${layout === 'grid' ? 400 : 96}`}
+                                                            alt=""
+                                                            loading="lazy"
+                                                            onClick={file.previewKind ? () => setPreviewFile(file) : undefined}
+                                                            className={file.previewKind ? 'is-previewable' : ''}
+                                                        />
+                                                    ) : file.iconLink ? (
+                                                        <img src={file.iconLink.replace(/\/16\//, '/64/')} alt="" className="file-icon" />
+                                                    ) : (
+                                                        <span className={`dashicons ${isFolder ? 'dashicons-category' : 'dashicons-media-default'}`} aria-hidden="true" />
+                                                    )}
+                                                </div>
                                                 <div className="file-info">
-                                                    <strong>{file.name}</strong>
+                                                    {isFolder && view === 'drive' ? (
+                                                        <Button
+                                                            variant="link"
+                                                            className="drive-folder-link"
+                                                            onClick={() => openFolder(file)}
+                                                            disabled={isLoading}
+                                                        >
+                                                            <strong>{file.name}</strong>
+                                                        </Button>
+                                                    ) : (
+                                                        <strong>{file.name}</strong>
+                                                    )}
                                                     <small>
                                                         {fileType}
                                                         {fileSize && ` • ${fileSize}`}
+                                                        {file.imageMediaMetadata && ` • ${file.imageMediaMetadata.width}×${file.imageMediaMetadata.height}`}
                                                         {file.modifiedTime && ` • ${new Date(file.modifiedTime).toLocaleDateString()}`}
                                                     </small>
                                                 </div>
                                                 <div className="file-actions">
-                                                    {!isFolder && (
+                                                    {view === 'trash' && CAN.manage && (
+                                                        <>
+                                                            <Button
+                                                                variant="secondary"
+                                                                size="small"
+                                                                onClick={() => runItemAction('restore', file)}
+                                                                disabled={actionBusyId === file.id}
+                                                            >
+                                                                {actionBusyId === file.id ? <Spinner /> : __('Restore', 'wpmudev-plugin-test')}
+                                                            </Button>
+                                                            <Button
+                                                                variant="secondary"
+                                                                size="small"
+                                                                isDestructive
+                                                                onClick={() => setPendingAction({ action: 'delete', file })}
+                                                                disabled={actionBusyId === file.id}
+                                                            >
+                                                                {__('Delete permanently', 'wpmudev-plugin-test')}
+                                                            </Button>
+                                                        </>
+                                                    )}
+                                                    {view === 'drive' && isFolder && (
                                                         <Button
                                                             variant="secondary"
                                                             size="small"
-                                                            onClick={() => handleDownload(file.id, file.name)}
+                                                            onClick={() => openFolder(file)}
                                                             disabled={isLoading}
                                                         >
-                                                            {__("Download", 'wpmudev-plugin-test')}
+                                                            {__("Open", 'wpmudev-plugin-test')}
                                                         </Button>
                                                     )}
+                                                    {view === 'drive' && file.previewKind && (
+                                                        <Button
+                                                            variant="secondary"
+                                                            size="small"
+                                                            onClick={() => setPreviewFile(file)}
+                                                        >
+                                                            {__('Preview', 'wpmudev-plugin-test')}
+                                                        </Button>
+                                                    )}
+                                                    {view === 'drive' && !isFolder && !file.exportFormats && (
+                                                        <Button
+                                                            variant="secondary"
+                                                            size="small"
+                                                            onClick={() => handleDownload(file.id)}
+                                                            disabled={isLoading || downloadingId === file.id}
+                                                        >
+                                                            {downloadingId === file.id ? <Spinner /> : __("Download", 'wpmudev-plugin-test')}
+                                                        </Button>
+                                                    )}
+                                                    {/* Google Docs/Sheets have no binary of their own - offer each export format */}
+                                                    {view === 'drive' && !isFolder && file.exportFormats && file.exportFormats.map((format) => (
+                                                        <Button
+                                                            key={format}
+                                                            variant="secondary"
+                                                            size="small"
+                                                            onClick={() => handleDownload(file.id, format)}
+                                                            disabled={isLoading || downloadingId === file.id}
+                                                        >
+                                                            {sprintf(
+                                                                /* translators: %s: export format, e.g. PDF */
+                                                                __('Export %s', 'wpmudev-plugin-test'),
+                                                                format.toUpperCase()
+                                                            )}
+                                                        </Button>
+                                                    ))}
                                                     {file.webViewLink && (
                                                         <Button
                                                             variant="link"
@@ -746,19 +1165,143 @@ const WPMUDEV_DriveTest = () => {
                                                         </Button>
                                                     )}
                                                 </div>
+                                                {view === 'drive' && (CAN.manage || (CAN.upload && !isFolder)) && (
+                                                    <div className="file-manage-actions">
+                                                        {CAN.manage && (
+                                                            <>
+                                                                <Button variant="link" size="small" onClick={() => setPendingAction({ action: 'rename', file })} disabled={actionBusyId === file.id}>
+                                                                    {__('Rename', 'wpmudev-plugin-test')}
+                                                                </Button>
+                                                                <Button variant="link" size="small" onClick={() => setPendingAction({ action: 'move', file })} disabled={actionBusyId === file.id}>
+                                                                    {__('Move', 'wpmudev-plugin-test')}
+                                                                </Button>
+                                                                <Button variant="link" size="small" onClick={() => setSharingFile(file)}>
+                                                                    {__('Share', 'wpmudev-plugin-test')}
+                                                                </Button>
+                                                            </>
+                                                        )}
+                                                        {CAN.manage && !isFolder && (
+                                                            <Button variant="link" size="small" onClick={() => setPendingAction({ action: 'copy', file })} disabled={actionBusyId === file.id}>
+                                                                {__('Copy', 'wpmudev-plugin-test')}
+                                                            </Button>
+                                                        )}
+                                                        {CAN.upload && !isFolder && (
+                                                            <Button variant="link" size="small" onClick={() => runItemAction('import', file)} disabled={actionBusyId === file.id}>
+                                                                {__('Import to Media Library', 'wpmudev-plugin-test')}
+                                                            </Button>
+                                                        )}
+                                                        {CAN.manage && (
+                                                            <Button variant="link" size="small" isDestructive onClick={() => runItemAction('trash', file)} disabled={actionBusyId === file.id}>
+                                                                {actionBusyId === file.id ? <Spinner /> : __('Move to trash', 'wpmudev-plugin-test')}
+                                                            </Button>
+                                                        )}
+                                                    </div>
+                                                )}
                                             </div>
                                         );
                                     })}
                                 </div>
                             ) : (
                                 <div className="sui-box-settings-row">
-                                    <p>{ __("No files found in your Drive. Upload a file or create a folder to get started.", 'wpmudev-plugin-test') }</p>
+                                    <p>
+                                        {hasActiveFilters(appliedFilters)
+                                            ? __("No files match your filters.", 'wpmudev-plugin-test')
+                                            : view === 'trash'
+                                            ? __("The trash is empty.", 'wpmudev-plugin-test')
+                                            : currentFolder
+                                            ? __("This folder is empty.", 'wpmudev-plugin-test')
+                                            : __("No files found in your Drive. Upload a file or create a folder to get started.", 'wpmudev-plugin-test')
+                                        }
+                                    </p>
+                                </div>
+                            )}
+
+                            {/* Pagination - the sentinel triggers infinite scroll, the button is the fallback */}
+                            {!isLoading && nextPageToken && (
+                                <div className="drive-load-more" ref={loadMoreRef}>
+                                    <Button
+                                        variant="secondary"
+                                        onClick={loadMoreFiles}
+                                        disabled={isLoadingMore}
+                                    >
+                                        {isLoadingMore ? <Spinner /> : __('Load more', 'wpmudev-plugin-test')}
+                                    </Button>
                                 </div>
                             )}
                         </div>
                     </div>
+
+                    {previewFile && (
+                        <PreviewModal
+                            file={previewFile}
+                            onClose={() => setPreviewFile(null)}
+                            onDownload={handleDownload}
+                        />
+                    )}
+
+                    {sharingFile && (
+                        <ShareDialog
+                            file={sharingFile}
+                            onClose={() => setSharingFile(null)}
+                            showNotice={showNotice}
+                        />
+                    )}
+
+                    {pendingAction && (
+                        <ItemActionModal
+                            action={pendingAction.action}
+                            file={pendingAction.file}
+                            onConfirm={handleConfirmAction}
+                            onClose={() => setPendingAction(null)}
+                            isBusy={actionBusyId === pendingAction.file.id}
+                            drive={drive}
+                        />
+                    )}
                 </>
             )}
+
+            {/* Connection Section - diagnostics for when Drive stops working */}
+            {!showCredentials && (
+                <div className="sui-box">
+                    <div className="sui-box-header">
+                        <h2 className="sui-box-title">{ __('Connection', 'wpmudev-plugin-test') }</h2>
+                    </div>
+                    <div className="sui-box-body">
+                        <div className="sui-box-settings-row">
+                            {/* Remount after connecting or disconnecting so the panel reloads */}
+                            <ConnectionHealth key={String(isAuthenticated)} showNotice={showNotice} />
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Site Account Section - separate from each admin's own connection; a service account already serves everyone */}
+            {!showCredentials && CAN.manage && authMode === 'oauth' && (
+                <div className="sui-box">
+                    <div className="sui-box-header">
+                        <h2 className="sui-box-title">{ __('Shared Site Account', 'wpmudev-plugin-test') }</h2>
+                    </div>
+                    <div className="sui-box-body">
+                        <div className="sui-box-settings-row">
+                            <SiteAccountSetting showNotice={showNotice} />
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Folder Sync Section - runs as the site account, like the backups */}
+            {!showCredentials && CAN.manage && (
+                <div className="sui-box">
+                    <div className="sui-box-header">
+                        <h2 className="sui-box-title">{ __('Folder Sync', 'wpmudev-plugin-test') }</h2>
+                    </div>
+                    <div className="sui-box-body">
+                        <div className="sui-box-settings-row">
+                            <FolderSync showNotice={showNotice} />
+                        </div>
+                    </div>
+                </div>
+            )}
         </>
     );
 }
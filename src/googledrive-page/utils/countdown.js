@@ -0,0 +1,13 @@
+/**
+ * Countdown formatting
+ *
+ * Shared by the upload queue and the rate limit indicator.
+ *
+ * @since 1.0.0
+ */
+
+// Seconds as m:ss
+export const formatCountdown = (seconds) => {
+    const safe = Math.max(0, Math.ceil(seconds));
+    return `${Math.floor(safe / 60)}:${String(safe % 60).padStart(2, '0')}`;
+};
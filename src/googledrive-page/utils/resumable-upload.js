@@ -0,0 +1,212 @@
+/**
+ * Resumable Drive Uploads
+ *
+ * Sends a file to Drive in chunks through the plugin's REST API. The server
+ * relays every chunk to a Google resumable-upload session, so a file of any
+ * size fits within PHP's request limits. Session IDs are remembered in
+ * localStorage, which lets an interrupted upload pick up from the last byte
+ * Drive confirmed - even after a page reload.
+ *
+ * @since 1.0.0
+ */
+
+import apiFetch from '@wordpress/api-fetch';
+
+const STORAGE_KEY = 'wpmudevDriveResumableUploads';
+const MAX_RETRIES = 3;
+
+// Identifies "the same file going to the same folder" across page loads
+const getFingerprint = (file, parentId) => {
+    return [file.name, file.size, file.lastModified, parentId || 'root'].join(':');
+};
+
+const readSessions = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+const writeSessions = (sessions) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+    } catch (error) {
+        // Storage may be full or disabled - the upload still works, it just can't resume after a reload
+    }
+};
+
+const storeSession = (fingerprint, uploadId) => {
+    writeSessions({ ...readSessions(), [fingerprint]: { uploadId, savedAt: Date.now() } });
+};
+
+const forgetSession = (fingerprint) => {
+    const sessions = readSessions();
+    delete sessions[fingerprint];
+    writeSessions(sessions);
+};
+
+const sessionPath = (uploadId) => {
+    return `/${window.wpmudevDriveTest.restEndpointUploadSession}?upload_id=${encodeURIComponent(uploadId)}`;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// apiFetch reports an aborted request as a generic fetch error, so check the signal too
+const isAborted = (error, signal) => Boolean(signal?.aborted) || error?.name === 'AbortError';
+
+/**
+ * Return the stored upload ID for a file, if an earlier upload can be resumed.
+ */
+export const getStoredSession = (file, parentId) => {
+    return file ? readSessions()[getFingerprint(file, parentId)]?.uploadId || null : null;
+};
+
+/**
+ * Cancel a resumable upload on the server and forget it locally.
+ */
+export const cancelResumable = async (file, parentId) => {
+    const fingerprint = getFingerprint(file, parentId);
+    const uploadId = readSessions()[fingerprint]?.uploadId;
+    forgetSession(fingerprint);
+
+    if (!uploadId) {
+        return;
+    }
+
+    try {
+        await apiFetch({ path: sessionPath(uploadId), method: 'DELETE' });
+    } catch (error) {
+        // The session expires on its own if this doesn't get through
+    }
+};
+
+/**
+ * Upload a file in chunks, resuming a stored session when there is one.
+ *
+ * @param {File}   file                Browser file.
+ * @param {Object} options
+ * @param {string} options.parentId   Destination folder ID, empty for My Drive.
+ * @param {Function} options.onProgress Called with (uploadedBytes, totalBytes).
+ * @param {Function} options.onQuota  Called with the upload allowance left after a new session starts.
+ * @param {AbortSignal} options.signal Aborts the upload, leaving it resumable.
+ * @return {Promise<Object>} The final REST response, including `file`.
+ */
+export const uploadResumable = async (file, { parentId = '', onProgress = () => {}, onQuota = () => {}, signal } = {}) => {
+    const fingerprint = getFingerprint(file, parentId);
+    let session = null;
+
+    // Ask the server where a previous attempt got to
+    const storedId = getStoredSession(file, parentId);
+    if (storedId) {
+        try {
+            session = await apiFetch({ path: sessionPath(storedId), method: 'GET', signal });
+            if (session.complete) {
+                forgetSession(fingerprint);
+                onProgress(file.size, file.size);
+                return session;
+            }
+        } catch (error) {
+            if (isAborted(error, signal)) {
+                throw error;
+            }
+            // Expired or unknown - start over
+            forgetSession(fingerprint);
+            session = null;
+        }
+    }
+
+    if (!session) {
+        session = await apiFetch({
+            path: `/${window.wpmudevDriveTest.restEndpointUploadSession}`,
+            method: 'POST',
+            data: {
+                name: file.name,
+                size: file.size,
+                mime_type: file.type || 'application/octet-stream',
+                parent_id: parentId,
+            },
+            signal,
+        });
+        storeSession(fingerprint, session.upload_id);
+        if (session.quota) {
+            onQuota(session.quota);
+        }
+    }
+
+    const uploadId = session.upload_id || storedId;
+    const chunkSize = session.chunk_size;
+    let offset = session.offset || 0;
+    let retries = 0;
+
+    onProgress(offset, file.size);
+
+    // An empty file still needs one (empty) request to finalise it
+    while (offset < file.size || file.size === 0) {
+        const chunk = file.slice(offset, Math.min(offset + chunkSize, file.size));
+
+        try {
+            const response = await apiFetch({
+                path: `/${window.wpmudevDriveTest.restEndpointUploadChunk}?upload_id=${encodeURIComponent(uploadId)}&offset=${offset}`,
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: chunk,
+                signal,
+            });
+
+            retries = 0;
+
+            if (response.complete) {
+                forgetSession(fingerprint);
+                onProgress(file.size, file.size);
+                return response;
+            }
+
+            // Trust Drive's confirmed offset over what we think we sent
+            offset = response.offset;
+            onProgress(offset, file.size);
+        } catch (error) {
+            if (isAborted(error, signal)) {
+                throw error;
+            }
+
+            if (error?.code === 'upload_session_expired') {
+                forgetSession(fingerprint);
+                throw error;
+            }
+
+            // Out of step with the server - jump to the offset it reported
+            if (error?.code === 'upload_offset_mismatch' && typeof error.data?.offset === 'number') {
+                offset = error.data.offset;
+                continue;
+            }
+
+            retries += 1;
+            if (retries > MAX_RETRIES) {
+                throw error;
+            }
+
+            await wait(1000 * 2 ** (retries - 1));
+
+            // Resync with Drive before retrying - the chunk may have landed after all
+            try {
+                const status = await apiFetch({ path: sessionPath(uploadId), method: 'GET', signal });
+                if (status.complete) {
+                    forgetSession(fingerprint);
+                    onProgress(file.size, file.size);
+                    return status;
+                }
+                offset = status.offset;
+                onProgress(offset, file.size);
+            } catch (statusError) {
+                if (statusError?.code === 'upload_session_expired') {
+                    forgetSession(fingerprint);
+                    throw statusError;
+                }
+                // Otherwise retry the same chunk
+            }
+        }
+    }
+
+    return session;
+};
@@ -0,0 +1,134 @@
+/**
+ * Media Library - Send to Google Drive
+ *
+ * Wires up the "Send to Google Drive" button in the attachment details
+ * and adds a bulk button to the grid mode select toolbar. List mode uses
+ * the regular row and bulk actions, handled on the server.
+ *
+ * @since 1.0.0
+ */
+
+import { __, _n, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+const pushAttachments = (attachmentIds) => apiFetch({
+    path: `/${window.wpmudevDriveMedia.restEndpointPushMedia}`,
+    method: 'POST',
+    data: { attachment_ids: attachmentIds },
+});
+
+// Refresh the attachment details so the Drive field shows the new state
+const refreshAttachment = (attachmentId) => {
+    if (window.wp && window.wp.media && window.wp.media.attachment) {
+        window.wp.media.attachment(attachmentId).fetch();
+    }
+};
+
+const describeOutcome = (response) => {
+    const failures = response.results.filter((result) => !result.success);
+
+    if (failures.length === 0) {
+        return response.message;
+    }
+
+    return [
+        response.message,
+        ...failures.map((failure) => `#${failure.id}: ${failure.message}`),
+    ].join('\n');
+};
+
+// The button lives in markup the media views re-render, so listen on the document
+document.addEventListener('click', async (event) => {
+    const button = event.target.closest('.wpmudev-drive-push-button');
+    if (!button) {
+        return;
+    }
+
+    event.preventDefault();
+
+    const attachmentId = Number(button.dataset.attachmentId);
+    const status = button.parentNode.querySelector('.wpmudev-drive-push-status');
+
+    button.disabled = true;
+    status.textContent = __('Sending…', 'wpmudev-plugin-test');
+
+    try {
+        const response = await pushAttachments([attachmentId]);
+        const result = response.results[0];
+
+        status.textContent = result ? result.message : response.message;
+
+        if (result && result.success) {
+            if (result.drive.webViewLink) {
+                const link = document.createElement('a');
+                link.href = result.drive.webViewLink;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = __('View in Google Drive', 'wpmudev-plugin-test');
+                button.replaceWith(link);
+            }
+            refreshAttachment(attachmentId);
+        } else {
+            button.disabled = false;
+        }
+    } catch (error) {
+        status.textContent = error.message || __('Failed to send file to Google Drive.', 'wpmudev-plugin-test');
+        button.disabled = false;
+    }
+});
+
+// Grid mode: a bulk button next to "Delete permanently" while selecting
+const Browser = window.wp && window.wp.media && window.wp.media.view && window.wp.media.view.AttachmentsBrowser;
+
+if (Browser) {
+    window.wp.media.view.AttachmentsBrowser = Browser.extend({
+        createToolbar() {
+            Browser.prototype.createToolbar.apply(this, arguments);
+
+            if (!this.controller.isModeActive('grid')) {
+                return;
+            }
+
+            const controller = this.controller;
+            const selection = controller.state().get('selection');
+
+            const button = new window.wp.media.view.Button({
+                text: __('Send to Google Drive', 'wpmudev-plugin-test'),
+                className: 'button media-button button-large wpmudev-drive-push-selected hidden',
+                disabled: true,
+                priority: -70,
+                controller,
+                click: async () => {
+                    const attachmentIds = selection.map((attachment) => attachment.id);
+
+                    button.model.set('disabled', true);
+                    try {
+                        const response = await pushAttachments(attachmentIds);
+                        window.alert(describeOutcome(response));
+                        attachmentIds.forEach(refreshAttachment);
+                        controller.trigger('selection:action:done');
+                    } catch (error) {
+                        window.alert(error.message || __('Failed to send files to Google Drive.', 'wpmudev-plugin-test'));
+                        button.model.set('disabled', selection.length === 0);
+                    }
+                },
+            });
+
+            selection.on('add remove reset', () => {
+                button.model.set('disabled', selection.length === 0);
+                button.model.set('text', selection.length === 0
+                    ? __('Send to Google Drive', 'wpmudev-plugin-test')
+                    : sprintf(
+                        /* translators: %d: number of selected files */
+                        _n('Send %d file to Google Drive', 'Send %d files to Google Drive', selection.length, 'wpmudev-plugin-test'),
+                        selection.length
+                    ));
+            });
+
+            controller.on('select:activate', () => button.$el.removeClass('hidden'));
+            controller.on('select:deactivate', () => button.$el.addClass('hidden'));
+
+            this.toolbar.set('wpmudevDrivePush', button.render());
+        },
+    });
+}
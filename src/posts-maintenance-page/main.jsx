@@ -45,6 +45,9 @@ const WPMUDEV_PostsMaintenance = () => {
 	const [batchSize, setBatchSize] = useState( window.wpmudevPostsMaint.defaultBatch || 50 );
 	const [isLoading, setIsLoading] = useState( true ); // Start with loading to fetch current state
 	const [isScanning, setIsScanning] = useState( false );
+	const [isPaused, setIsPaused] = useState( false );
+	const [isChanging, setIsChanging] = useState( false );
+	const [staleAfter, setStaleAfter] = useState( 10 );
 	const [progress, setProgress] = useState( { processed: 0, total: 0, percentage: 0 } );
 	const [poller, setPoller] = useState( null );
 	const [notice, setNotice] = useState( { message: '', type: 'info' } );
@@ -86,12 +89,16 @@ const WPMUDEV_PostsMaintenance = () => {
 				if ( response.default_batch ) {
 					setBatchSize( response.default_batch );
 				}
+				if ( response.stale_after ) {
+					setStaleAfter( response.stale_after );
+				}
 				// Always sync UI state with server state - reflects current processing status
 				if ( response.state ) {
-					const { processed = 0, total = 0, running = false } = response.state;
+					const { processed = 0, total = 0, running = false, paused = false, stalled = false } = response.state;
 					const percentage = total > 0 ? Math.round( ( processed / total ) * 100 ) : 0;
 					setProgress( { processed, total, percentage } );
 					setIsScanning( !! running );
+					setIsPaused( !! paused );
 					
 					// Show status message based on current server state
 					if ( running ) {
@@ -104,6 +111,17 @@ const WPMUDEV_PostsMaintenance = () => {
 							),
 							'info'
 						);
+					} else if ( paused ) {
+						showNotice(
+							sprintf(
+								stalled
+									? __( 'The scan stopped reporting progress and was paused after %1$s of %2$s posts. Resume it or start a new scan.', 'wpmudev-plugin-test' )
+									: __( 'Scan paused after %1$s of %2$s posts.', 'wpmudev-plugin-test' ),
+								processed,
+								total || __( 'unknown', 'wpmudev-plugin-test' )
+							),
+							stalled ? 'warning' : 'info'
+						);
 					} else if ( processed > 0 && processed >= total ) {
 						// Scan completed
 						showNotice( 
@@ -114,6 +132,7 @@ const WPMUDEV_PostsMaintenance = () => {
 				} else {
 					// No state means no scan is running
 					setIsScanning( false );
+					setIsPaused( false );
 				}
 			} else {
 				showNotice( response.message || __( 'Failed to load status.', 'wpmudev-plugin-test' ), 'error' );
@@ -164,11 +183,13 @@ const WPMUDEV_PostsMaintenance = () => {
 				data: {
 					post_types: selectedTypes,
 					batch_size: batchSize,
+					stale_after: staleAfter,
 				},
 			} );
 			if ( ! response.success ) {
 				throw new Error( response.message || __( 'Failed to start scan.', 'wpmudev-plugin-test' ) );
 			}
+			setIsPaused( false );
 			showNotice( __( 'Scan started in background.', 'wpmudev-plugin-test' ), 'success' );
 			// Status will be picked up by poller.
 		} catch ( error ) {
@@ -177,6 +198,27 @@ const WPMUDEV_PostsMaintenance = () => {
 		}
 	};
 
+	// Pause, resume or cancel the scan, then show where it stands
+	const changeScan = async ( endpoint ) => {
+		setIsChanging( true );
+		try {
+			const response = await apiFetch( {
+				path: `/${ endpoint }`,
+				method: 'POST',
+			} );
+			const { processed = 0, total = 0, running = false, paused = false } = response.state || {};
+			setProgress( { processed, total, percentage: total > 0 ? Math.round( ( processed / total ) * 100 ) : 0 } );
+			setIsScanning( !! running );
+			setIsPaused( !! paused );
+			showNotice( response.message, 'success' );
+		} catch ( error ) {
+			showNotice( error.message || __( 'Failed to update the scan.', 'wpmudev-plugin-test' ), 'error' );
+			loadStatus( false );
+		} finally {
+			setIsChanging( false );
+		}
+	};
+
 	const selectedLabels = useMemo( () => {
 		const map = availableTypes.reduce( ( acc, item ) => {
 			acc[ item.slug ] = item.label;
@@ -246,6 +288,17 @@ const WPMUDEV_PostsMaintenance = () => {
 						/>
 					</div>
 
+					<div className="sui-box-settings-row">
+						<TextControl
+							label={ __( 'Recover stuck scans after (minutes)', 'wpmudev-plugin-test' ) }
+							help={ __( 'A running scan that processes no batch for this long is paused, so it can be resumed or replaced.', 'wpmudev-plugin-test' ) }
+							type="number"
+							value={ staleAfter }
+							onChange={ ( val ) => setStaleAfter( Math.min( 1440, Math.max( 1, parseInt( val || 10, 10 ) ) ) ) }
+							disabled={ isScanning }
+						/>
+					</div>
+
 					<div className="sui-box-settings-row">
 						<p>
 							<strong>{ __( 'Last Scan:', 'wpmudev-plugin-test' ) }</strong>
@@ -261,10 +314,38 @@ const WPMUDEV_PostsMaintenance = () => {
 				</div>
 				<div className="sui-box-footer">
 					<div className="sui-actions-right">
+						{ isScanning && (
+							<Button
+								variant="secondary"
+								onClick={ () => changeScan( window.wpmudevPostsMaint.restEndpointPause ) }
+								disabled={ isChanging }
+							>
+								{ __( 'Pause', 'wpmudev-plugin-test' ) }
+							</Button>
+						) }
+						{ isPaused && (
+							<Button
+								variant="secondary"
+								onClick={ () => changeScan( window.wpmudevPostsMaint.restEndpointResume ) }
+								disabled={ isChanging }
+							>
+								{ __( 'Resume', 'wpmudev-plugin-test' ) }
+							</Button>
+						) }
+						{ ( isScanning || isPaused ) && (
+							<Button
+								variant="secondary"
+								isDestructive
+								onClick={ () => changeScan( window.wpmudevPostsMaint.restEndpointCancel ) }
+								disabled={ isChanging }
+							>
+								{ __( 'Cancel Scan', 'wpmudev-plugin-test' ) }
+							</Button>
+						) }
 						<Button
 							variant="primary"
 							onClick={ startScan }
-							disabled={ isScanning || isLoading }
+							disabled={ isScanning || isLoading || isChanging }
 						>
 							{ isScanning ? <Spinner /> : __( 'Scan Posts', 'wpmudev-plugin-test' ) }
 						</Button>
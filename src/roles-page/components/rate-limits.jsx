@@ -0,0 +1,177 @@
+/**
+ * Rate limits box for the Roles page.
+ *
+ * Each action has a default number of requests per window, and roles can
+ * be given a different number. 0 means no limit.
+ *
+ * @since 1.0.0
+ */
+
+import { useEffect, useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+import { Button, Spinner, TextControl } from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+
+const RateLimits = ( { showNotice } ) => {
+	const [actions, setActions] = useState( [] );
+	const [roles, setRoles] = useState( [] );
+	const [limits, setLimits] = useState( null );
+	const [overrides, setOverrides] = useState( {} );
+	const [isSaving, setIsSaving] = useState( false );
+
+	const applyResponse = ( response ) => {
+		setActions( response.actions || [] );
+		setRoles( response.roles || [] );
+		setLimits( response.limits || {} );
+		setOverrides( response.overrides || {} );
+	};
+
+	useEffect( () => {
+		const loadLimits = async () => {
+			try {
+				applyResponse( await apiFetch( {
+					path: `/${ window.wpmudevRoles.restEndpointRateLimits }`,
+					method: 'GET',
+				} ) );
+			} catch ( error ) {
+				showNotice( error.message || __( 'Failed to load rate limits.', 'wpmudev-plugin-test' ), 'error' );
+			}
+		};
+
+		loadLimits();
+	}, [] );
+
+	const updateLimit = ( action, key, value ) => {
+		setLimits( { ...limits, [ action ]: { ...limits[ action ], [ key ]: value } } );
+	};
+
+	const updateOverride = ( role, action, value ) => {
+		const roleOverrides = { ...( overrides[ role ] || {} ), [ action ]: value };
+		if ( value === '' ) {
+			delete roleOverrides[ action ];
+		}
+		setOverrides( { ...overrides, [ role ]: roleOverrides } );
+	};
+
+	const saveLimits = async () => {
+		setIsSaving( true );
+		try {
+			const response = await apiFetch( {
+				path: `/${ window.wpmudevRoles.restEndpointRateLimits }`,
+				method: 'POST',
+				data: { limits, overrides },
+			} );
+			applyResponse( response );
+			showNotice( response.message, 'success' );
+		} catch ( error ) {
+			showNotice( error.message || __( 'Failed to save rate limits.', 'wpmudev-plugin-test' ), 'error' );
+		} finally {
+			setIsSaving( false );
+		}
+	};
+
+	if ( ! limits ) {
+		return null;
+	}
+
+	return (
+		<div className="sui-box">
+			<div className="sui-box-header">
+				<h2 className="sui-box-title">{ __( 'Rate Limits', 'wpmudev-plugin-test' ) }</h2>
+			</div>
+			<div className="sui-box-body">
+				<p className="sui-description">
+					{ __( 'How many requests each user can make per window. Requests are counted over a sliding window, so the allowance frees up as older requests age out. Use 0 for no limit.', 'wpmudev-plugin-test' ) }
+				</p>
+				<table className="roles-table">
+					<thead>
+						<tr>
+							<th>{ __( 'Action', 'wpmudev-plugin-test' ) }</th>
+							<th>{ __( 'Requests', 'wpmudev-plugin-test' ) }</th>
+							<th>{ __( 'Window (minutes)', 'wpmudev-plugin-test' ) }</th>
+						</tr>
+					</thead>
+					<tbody>
+						{ actions.map( ( action ) => (
+							<tr key={ action.slug }>
+								<td>
+									{ action.label }
+									<p className="sui-description">{ action.description }</p>
+								</td>
+								<td>
+									<TextControl
+										label={ `${ action.label }: ${ __( 'Requests', 'wpmudev-plugin-test' ) }` }
+										hideLabelFromVision
+										type="number"
+										min={ 0 }
+										value={ limits[ action.slug ].requests }
+										onChange={ ( value ) => updateLimit( action.slug, 'requests', value ) }
+									/>
+								</td>
+								<td>
+									<TextControl
+										label={ `${ action.label }: ${ __( 'Window (minutes)', 'wpmudev-plugin-test' ) }` }
+										hideLabelFromVision
+										type="number"
+										min={ 1 }
+										max={ 1440 }
+										value={ Math.round( limits[ action.slug ].window / 60 ) }
+										onChange={ ( value ) => updateLimit( action.slug, 'window', Number( value ) * 60 ) }
+									/>
+								</td>
+							</tr>
+						) ) }
+					</tbody>
+				</table>
+
+				<h3>{ __( 'Per role', 'wpmudev-plugin-test' ) }</h3>
+				<p className="sui-description">
+					{ __( 'Leave a field empty to use the limit above. Users with several roles get the most generous one.', 'wpmudev-plugin-test' ) }
+				</p>
+				<table className="roles-table">
+					<thead>
+						<tr>
+							<th>{ __( 'Role', 'wpmudev-plugin-test' ) }</th>
+							{ actions.map( ( action ) => (
+								<th key={ action.slug }>{ action.label }</th>
+							) ) }
+						</tr>
+					</thead>
+					<tbody>
+						{ roles.map( ( role ) => (
+							<tr key={ role.slug }>
+								<td>{ role.name }</td>
+								{ actions.map( ( action ) => (
+									<td key={ action.slug }>
+										<TextControl
+											label={ `${ role.name }: ${ action.label }` }
+											hideLabelFromVision
+											type="number"
+											min={ 0 }
+											placeholder={ String( limits[ action.slug ].requests ) }
+											value={ overrides[ role.slug ]?.[ action.slug ] ?? '' }
+											onChange={ ( value ) => updateOverride( role.slug, action.slug, value ) }
+										/>
+									</td>
+								) ) }
+							</tr>
+						) ) }
+					</tbody>
+				</table>
+			</div>
+			<div className="sui-box-footer">
+				<div className="sui-actions-right">
+					<Button
+						variant="primary"
+						onClick={ saveLimits }
+						disabled={ isSaving }
+					>
+						{ isSaving ? <Spinner /> : __( 'Save Rate Limits', 'wpmudev-plugin-test' ) }
+					</Button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default RateLimits;
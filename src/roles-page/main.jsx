@@ -0,0 +1,204 @@
+/**
+ * Roles Page - React Component
+ *
+ * Grants the plugin's capabilities to roles and sets the Drive rate
+ * limits. Administrators always hold every capability, so their row
+ * can't be changed.
+ *
+ * @since 1.0.0
+ */
+
+import { createRoot, render, StrictMode, useEffect, useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+import { Button, CheckboxControl, Notice, Spinner } from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+
+import RateLimits from './components/rate-limits';
+
+import './scss/style.scss';
+
+const domElement = document.getElementById( window.wpmudevRoles.dom_element_id );
+
+// Configure apiFetch to use plugin nonce and REST root.
+if ( window.wpmudevRoles?.nonce ) {
+	apiFetch.use( apiFetch.createNonceMiddleware( window.wpmudevRoles.nonce ) );
+}
+
+if ( window.wpmudevRoles?.restUrl ) {
+	apiFetch.use( apiFetch.createRootURLMiddleware( window.wpmudevRoles.restUrl ) );
+}
+
+const WPMUDEV_Roles = () => {
+	const [capabilities, setCapabilities] = useState( [] );
+	const [roles, setRoles] = useState( null );
+	const [isLoading, setIsLoading] = useState( true );
+	const [isSaving, setIsSaving] = useState( false );
+	const [notice, setNotice] = useState( { message: '', type: 'info' } );
+
+	const showNotice = ( message, type = 'info' ) => {
+		setNotice( { message, type } );
+	};
+
+	const clearNotice = () => setNotice( { message: '', type: 'info' } );
+
+	const applyResponse = ( response ) => {
+		setCapabilities( response.capabilities || [] );
+		setRoles( response.roles || [] );
+	};
+
+	useEffect( () => {
+		const loadRoles = async () => {
+			try {
+				applyResponse( await apiFetch( {
+					path: `/${ window.wpmudevRoles.restEndpointRoles }`,
+					method: 'GET',
+				} ) );
+			} catch ( error ) {
+				showNotice( error.message || __( 'Failed to load roles.', 'wpmudev-plugin-test' ), 'error' );
+			} finally {
+				setIsLoading( false );
+			}
+		};
+
+		loadRoles();
+	}, [] );
+
+	const toggleCapability = ( slug, capability ) => {
+		setRoles( roles.map( ( role ) => {
+			if ( role.slug !== slug ) {
+				return role;
+			}
+
+			return {
+				...role,
+				capabilities: role.capabilities.includes( capability )
+					? role.capabilities.filter( ( item ) => item !== capability )
+					: [ ...role.capabilities, capability ],
+			};
+		} ) );
+	};
+
+	const saveRoles = async () => {
+		clearNotice();
+		setIsSaving( true );
+		try {
+			const map = {};
+			roles.filter( ( role ) => ! role.locked ).forEach( ( role ) => {
+				map[ role.slug ] = role.capabilities;
+			} );
+
+			const response = await apiFetch( {
+				path: `/${ window.wpmudevRoles.restEndpointRoles }`,
+				method: 'POST',
+				data: { roles: map },
+			} );
+			applyResponse( response );
+			showNotice( response.message, 'success' );
+		} catch ( error ) {
+			showNotice( error.message || __( 'Failed to save role settings.', 'wpmudev-plugin-test' ), 'error' );
+		} finally {
+			setIsSaving( false );
+		}
+	};
+
+	if ( ! roles ) {
+		return isLoading ? <Spinner /> : (
+			<Notice status="error" isDismissible={ false }>
+				{ notice.message }
+			</Notice>
+		);
+	}
+
+	return (
+		<>
+			<div className="sui-header">
+				<h1 className="sui-header-title">
+					{ __( 'Roles', 'wpmudev-plugin-test' ) }
+				</h1>
+				<p className="sui-description">
+					{ __( 'Choose what each role can do with Google Drive and posts maintenance, and how often.', 'wpmudev-plugin-test' ) }
+				</p>
+			</div>
+
+			{ notice.message && (
+				<Notice
+					status={ notice.type }
+					isDismissible
+					onRemove={ () => clearNotice() }
+				>
+					{ notice.message }
+				</Notice>
+			) }
+
+			<div className="sui-box">
+				<div className="sui-box-header">
+					<h2 className="sui-box-title">{ __( 'Capabilities', 'wpmudev-plugin-test' ) }</h2>
+				</div>
+				<div className="sui-box-body">
+					<p className="sui-description">
+						{ __( 'Uploading and managing include browsing. Administrators always have every capability.', 'wpmudev-plugin-test' ) }
+					</p>
+					<table className="roles-table">
+						<thead>
+							<tr>
+								<th>{ __( 'Role', 'wpmudev-plugin-test' ) }</th>
+								{ capabilities.map( ( capability ) => (
+									<th key={ capability.slug }>
+										{ capability.label }
+										<p className="sui-description">{ capability.description }</p>
+									</th>
+								) ) }
+							</tr>
+						</thead>
+						<tbody>
+							{ roles.map( ( role ) => (
+								<tr key={ role.slug }>
+									<td>{ role.name }</td>
+									{ capabilities.map( ( capability ) => (
+										<td key={ capability.slug }>
+											<CheckboxControl
+												label={ `${ role.name }: ${ capability.label }` }
+												hideLabelFromVision
+												checked={ role.locked || role.capabilities.includes( capability.slug ) }
+												onChange={ () => toggleCapability( role.slug, capability.slug ) }
+												disabled={ role.locked || isSaving }
+											/>
+										</td>
+									) ) }
+								</tr>
+							) ) }
+						</tbody>
+					</table>
+				</div>
+				<div className="sui-box-footer">
+					<div className="sui-actions-right">
+						<Button
+							variant="primary"
+							onClick={ saveRoles }
+							disabled={ isSaving }
+						>
+							{ isSaving ? <Spinner /> : __( 'Save Roles', 'wpmudev-plugin-test' ) }
+						</Button>
+					</div>
+				</div>
+			</div>
+
+			<RateLimits showNotice={ showNotice } />
+		</>
+	);
+};
+
+if ( createRoot ) {
+	createRoot( domElement ).render(
+		<StrictMode>
+			<WPMUDEV_Roles />
+		</StrictMode>
+	);
+} else {
+	render(
+		<StrictMode>
+			<WPMUDEV_Roles />
+		</StrictMode>,
+		domElement
+	);
+}
@@ -0,0 +1,163 @@
+<?php
+/**
+ * Unit Tests for the activity audit log
+ *
+ * Routes registered with an `audit` action are recorded after they respond,
+ * including refusals; entries can be filtered, exported and expire after
+ * the retention period.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Audit_Log;
+
+/**
+ * Class Test_Audit_Log
+ *
+ * Tests for Audit_Log.
+ */
+class Test_Audit_Log extends WP_UnitTestCase {
+
+	/**
+	 * Start every test with an empty log.
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		global $wpdb;
+
+		parent::setUp();
+
+		$wpdb->query( 'DELETE FROM ' . Audit_Log::instance()->get_table() ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+		delete_option( 'wpmudev_plugintest_audit_settings' );
+		$_SERVER['REMOTE_ADDR'] = '203.0.113.7';
+	}
+
+	/**
+	 * Drive and maintenance routes name the action they record.
+	 *
+	 * @return void
+	 */
+	public function test_routes_declare_audit_actions() {
+		$routes = rest_get_server()->get_routes();
+
+		$this->assertSame( 'drive.upload', $routes['/wpmudev/v1/drive/upload'][0]['audit'] );
+		$this->assertSame( 'drive.trash', $routes['/wpmudev/v1/drive/trash'][0]['audit'] );
+		$this->assertSame( 'drive.disconnect', $routes['/wpmudev/v1/drive/disconnect'][0]['audit'] );
+		$this->assertSame( 'maintenance.scan', $routes['/wpmudev/v1/posts-maintenance/scan'][0]['audit'] );
+		$this->assertArrayNotHasKey( 'audit', $routes['/wpmudev/v1/posts-maintenance/status'][0] );
+	}
+
+	/**
+	 * Refused requests are recorded as failures with the error code.
+	 *
+	 * @return void
+	 */
+	public function test_refused_request_is_recorded() {
+		$user_id = $this->factory->user->create( array( 'role' => 'subscriber' ) );
+		wp_set_current_user( $user_id );
+
+		$request = new WP_REST_Request( 'POST', '/wpmudev/v1/drive/create-folder' );
+		$request->set_param( 'name', 'Reports' );
+		rest_get_server()->dispatch( $request );
+
+		$entries = Audit_Log::instance()->query()['entries'];
+
+		$this->assertCount( 1, $entries );
+		$this->assertSame( 'drive.create_folder', $entries[0]['action'] );
+		$this->assertSame( $user_id, $entries[0]['user_id'] );
+		$this->assertSame( 'Reports', $entries[0]['target'] );
+		$this->assertSame( '203.0.113.7', $entries[0]['ip'] );
+		$this->assertSame( 'failure', $entries[0]['result'] );
+		$this->assertSame( 'rest_forbidden', $entries[0]['error_code'] );
+	}
+
+	/**
+	 * Routes without an audit action aren't recorded.
+	 *
+	 * @return void
+	 */
+	public function test_unaudited_route_is_not_recorded() {
+		$response = Audit_Log::instance()->log_rest_request(
+			new WP_REST_Response( array(), 200 ),
+			array( 'methods' => 'GET' ),
+			new WP_REST_Request( 'GET', '/wpmudev/v1/posts-maintenance/status' )
+		);
+
+		$this->assertInstanceOf( WP_REST_Response::class, $response );
+		$this->assertSame( 0, Audit_Log::instance()->query()['total'] );
+	}
+
+	/**
+	 * Filters and paging.
+	 *
+	 * @return void
+	 */
+	public function test_query_filters_and_pages() {
+		Audit_Log::instance()->record( 'drive.upload', array( 'target' => 'report.pdf' ) );
+		Audit_Log::instance()->record( 'drive.upload', array( 'target' => 'photo.jpg', 'error_code' => 'upload_failed' ) );
+		Audit_Log::instance()->record( 'maintenance.scan', array( 'target' => 'post, page' ) );
+
+		$this->assertSame( 2, Audit_Log::instance()->query( array( 'action' => 'drive.upload' ) )['total'] );
+		$this->assertSame( 1, Audit_Log::instance()->query( array( 'result' => 'failure' ) )['total'] );
+		$this->assertSame( 'report.pdf', Audit_Log::instance()->query( array( 'search' => 'report' ) )['entries'][0]['target'] );
+
+		$paged = Audit_Log::instance()->query( array( 'per_page' => 2, 'page' => 2 ) );
+		$this->assertSame( 3, $paged['total'] );
+		$this->assertSame( 2, $paged['pages'] );
+		$this->assertCount( 1, $paged['entries'] );
+		$this->assertSame( 'drive.upload', $paged['entries'][0]['action'] );
+	}
+
+	/**
+	 * Targets that look like formulas are defused in the CSV.
+	 *
+	 * @return void
+	 */
+	public function test_csv_export_escapes_formulas() {
+		Audit_Log::instance()->record( 'drive.rename', array( 'target' => '=HYPERLINK("http://example.com")' ) );
+
+		$lines = explode( "\n", trim( Audit_Log::instance()->to_csv() ) );
+
+		$this->assertCount( 2, $lines );
+		$this->assertStringStartsWith( 'id,date,user_id', $lines[0] );
+		$this->assertStringContainsString( "'=HYPERLINK", $lines[1] );
+	}
+
+	/**
+	 * Entries older than the retention period are removed.
+	 *
+	 * @return void
+	 */
+	public function test_purge_respects_retention() {
+		global $wpdb;
+
+		Audit_Log::instance()->save_settings( array( 'retention_days' => 30 ) );
+		Audit_Log::instance()->record( 'drive.download', array( 'target' => 'old' ) );
+		Audit_Log::instance()->record( 'drive.download', array( 'target' => 'new' ) );
+
+		$wpdb->update(
+			Audit_Log::instance()->get_table(),
+			array( 'created_at' => gmdate( 'Y-m-d H:i:s', time() - 31 * DAY_IN_SECONDS ) ),
+			array( 'target' => 'old' )
+		);
+
+		$this->assertSame( 1, Audit_Log::instance()->purge() );
+		$this->assertSame( 'new', Audit_Log::instance()->query()['entries'][0]['target'] );
+
+		Audit_Log::instance()->save_settings( array( 'retention_days' => 0 ) );
+		$this->assertSame( 0, Audit_Log::instance()->purge() );
+	}
+
+	/**
+	 * Retention is limited to a sensible range.
+	 *
+	 * @return void
+	 */
+	public function test_invalid_retention_is_rejected() {
+		$this->assertWPError( Audit_Log::instance()->save_settings( array( 'retention_days' => -1 ) ) );
+		$this->assertWPError( Audit_Log::instance()->save_settings( array( 'retention_days' => 'forever' ) ) );
+		$this->assertSame( 90, Audit_Log::instance()->get_settings()['retention_days'] );
+	}
+}
@@ -0,0 +1,110 @@
+<?php
+/**
+ * Unit Tests for the plugin capabilities
+ *
+ * Administrators hold every capability, other roles get them from the
+ * Roles screen, and the Drive routes check the capability for the action
+ * instead of manage_options.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Capabilities;
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_API;
+use WPMUDEV\PluginTest\Endpoints\V1\Roles_REST;
+
+/**
+ * Class Test_Capabilities
+ *
+ * Tests for Capabilities and the permission callbacks using it.
+ */
+class Test_Capabilities extends WP_UnitTestCase {
+
+	/**
+	 * Start every test with editors holding none of the plugin capabilities.
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		Capabilities::instance()->save_role_map( array( 'editor' => array() ) );
+	}
+
+	/**
+	 * Administrators get every capability.
+	 *
+	 * @return void
+	 */
+	public function test_administrator_has_every_capability() {
+		Capabilities::instance()->grant_defaults();
+
+		$role = get_role( 'administrator' );
+		foreach ( array_keys( Capabilities::instance()->get_capabilities() ) as $capability ) {
+			$this->assertTrue( $role->has_cap( $capability ), $capability );
+		}
+	}
+
+	/**
+	 * Uploading implies browsing.
+	 *
+	 * @return void
+	 */
+	public function test_upload_grants_view() {
+		Capabilities::instance()->save_role_map( array( 'editor' => array( 'wpmudev_drive_upload' ) ) );
+
+		$role = get_role( 'editor' );
+		$this->assertTrue( $role->has_cap( 'wpmudev_drive_upload' ) );
+		$this->assertTrue( $role->has_cap( 'wpmudev_drive_view' ) );
+		$this->assertFalse( $role->has_cap( 'wpmudev_drive_manage' ) );
+	}
+
+	/**
+	 * The administrator row can't be changed and unknown capabilities are ignored.
+	 *
+	 * @return void
+	 */
+	public function test_save_role_map_ignores_administrator_and_unknown_capabilities() {
+		Capabilities::instance()->grant_defaults();
+		Capabilities::instance()->save_role_map(
+			array(
+				'administrator' => array(),
+				'editor'        => array( 'manage_options' ),
+			)
+		);
+
+		$this->assertTrue( get_role( 'administrator' )->has_cap( 'wpmudev_drive_manage' ) );
+		$this->assertFalse( get_role( 'editor' )->has_cap( 'manage_options' ) );
+	}
+
+	/**
+	 * Drive routes check the capability for the action.
+	 *
+	 * @return void
+	 */
+	public function test_drive_permissions_follow_role_map() {
+		Capabilities::instance()->save_role_map( array( 'editor' => array( 'wpmudev_drive_upload' ) ) );
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'editor' ) ) );
+
+		$this->assertTrue( Drive_API::instance()->check_permissions() );
+		$this->assertTrue( Drive_API::instance()->check_upload_permissions() );
+		$this->assertFalse( Drive_API::instance()->check_manage_permissions() );
+	}
+
+	/**
+	 * Only site administrators can change the role map.
+	 *
+	 * @return void
+	 */
+	public function test_roles_endpoint_requires_manage_options() {
+		Capabilities::instance()->save_role_map( array( 'editor' => array( 'wpmudev_drive_manage' ) ) );
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'editor' ) ) );
+
+		$this->assertFalse( Roles_REST::instance()->check_permissions() );
+
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'administrator' ) ) );
+
+		$this->assertTrue( Roles_REST::instance()->check_permissions() );
+	}
+}
@@ -0,0 +1,172 @@
+<?php
+/**
+ * Unit Tests for Drive backups
+ *
+ * Backups are rotated against the history option, and only backups in that
+ * history can be downloaded.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_API;
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_Backups_REST;
+
+/**
+ * Class Test_Drive_Backups
+ *
+ * Tests for Drive_Backups_REST settings, rotation and downloads.
+ */
+class Test_Drive_Backups extends WP_UnitTestCase {
+
+	/**
+	 * Log in as an administrator.
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'administrator' ) ) );
+	}
+
+	/**
+	 * Build a settings request.
+	 *
+	 * @param array $params Request parameters.
+	 * @return WP_REST_Request
+	 */
+	private function settings_request( $params ) {
+		$request = new WP_REST_Request( 'POST', '/wpmudev/v1/drive-backups/settings' );
+		$request->set_body_params(
+			wp_parse_args(
+				$params,
+				array(
+					'frequency'  => 'off',
+					'post_types' => array( 'post' ),
+					'keep'       => 5,
+				)
+			)
+		);
+
+		return $request;
+	}
+
+	/**
+	 * Test that settings need at least one known post type.
+	 *
+	 * @return void
+	 */
+	public function test_settings_require_post_types() {
+		$result = Drive_Backups_REST::instance()->save_settings( $this->settings_request( array( 'post_types' => array( 'not_a_type' ) ) ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'missing_post_types', $result->get_error_code() );
+	}
+
+	/**
+	 * Test that the number of backups to keep is bounded.
+	 *
+	 * @return void
+	 */
+	public function test_settings_reject_keep_out_of_range() {
+		$result = Drive_Backups_REST::instance()->save_settings( $this->settings_request( array( 'keep' => 0 ) ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'invalid_keep', $result->get_error_code() );
+	}
+
+	/**
+	 * Test that valid settings are saved.
+	 *
+	 * @return void
+	 */
+	public function test_settings_are_saved() {
+		$response = Drive_Backups_REST::instance()->save_settings( $this->settings_request( array( 'keep' => 3 ) ) );
+
+		$this->assertSame( 200, $response->get_status() );
+
+		$settings = get_option( 'wpmudev_drive_backup_settings' );
+		$this->assertSame( array( 'post' ), $settings['post_types'] );
+		$this->assertSame( 3, $settings['keep'] );
+	}
+
+	/**
+	 * Test that a backup that can't be deleted from Drive stays in the history.
+	 *
+	 * @return void
+	 */
+	public function test_rotation_keeps_undeleted_backups() {
+		update_option( 'wpmudev_drive_backup_settings', array( 'keep' => 1 ) );
+		update_option(
+			'wpmudev_drive_backup_history',
+			array(
+				array( 'id' => 'new_backup' ),
+				array( 'id' => 'old_backup' ),
+			)
+		);
+
+		$method = new ReflectionMethod( Drive_Backups_REST::class, 'rotate_backups' );
+		$method->setAccessible( true );
+
+		// Not connected to Drive, so the old backup can't be deleted.
+		$state = $method->invoke( Drive_Backups_REST::instance(), array( 'running' => true ) );
+
+		$this->assertFalse( $state['running'] );
+		$this->assertSame( array( 'new_backup', 'old_backup' ), wp_list_pluck( get_option( 'wpmudev_drive_backup_history' ), 'id' ) );
+	}
+
+	/**
+	 * Test that only backups in the history can be downloaded.
+	 *
+	 * @return void
+	 */
+	public function test_download_requires_known_backup() {
+		$request = new WP_REST_Request( 'POST', '/wpmudev/v1/drive-backups/download' );
+		$request->set_param( 'file_id', 'someone_elses_file' );
+
+		$result = Drive_Backups_REST::instance()->download_backup( $request );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'backup_not_found', $result->get_error_code() );
+	}
+
+	/**
+	 * Test that a backup with an unusable Drive ID gives an error, not a link.
+	 *
+	 * @return void
+	 */
+	public function test_download_reports_link_errors() {
+		update_option( 'wpmudev_drive_backup_history', array( array( 'id' => 'not a drive id', 'name' => 'backup.zip' ) ) );
+
+		$request = new WP_REST_Request( 'POST', '/wpmudev/v1/drive-backups/download' );
+		$request->set_param( 'file_id', 'not a drive id' );
+
+		$result = Drive_Backups_REST::instance()->download_backup( $request );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'invalid_file_id', $result->get_error_code() );
+	}
+
+	/**
+	 * Test that a backup step switches back from the site account.
+	 *
+	 * @return void
+	 */
+	public function test_step_restores_account() {
+		update_option(
+			'wpmudev_drive_backup_state',
+			array(
+				'running' => true,
+				'step'    => 'rotate',
+			)
+		);
+
+		Drive_Backups_REST::instance()->process_step();
+
+		$account = new ReflectionProperty( Drive_API::class, 'account_id' );
+		$account->setAccessible( true );
+
+		$this->assertNull( $account->getValue( Drive_API::instance() ) );
+	}
+}
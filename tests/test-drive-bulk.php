@@ -0,0 +1,79 @@
+<?php
+/**
+ * Unit Tests for Drive bulk actions
+ *
+ * Bulk actions report back per item, and bulk downloads pack several Drive
+ * files into one zip. These tests cover the helpers behind both.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_Bulk_REST;
+
+/**
+ * Class Test_Drive_Bulk
+ *
+ * Tests for Drive_Bulk_REST::unique_zip_name() and order_bulk_results().
+ */
+class Test_Drive_Bulk extends WP_UnitTestCase {
+
+	/**
+	 * Get a private Drive_Bulk_REST method.
+	 *
+	 * @param string $name Method name.
+	 * @return ReflectionMethod
+	 */
+	private function method( $name ) {
+		$method = new ReflectionMethod( Drive_Bulk_REST::class, $name );
+		$method->setAccessible( true );
+
+		return $method;
+	}
+
+	/**
+	 * Test that clashing names in a zip get numbered, ignoring case.
+	 *
+	 * @return void
+	 */
+	public function test_zip_names_are_unique() {
+		$method = $this->method( 'unique_zip_name' );
+		$used   = array();
+		$names  = array();
+
+		foreach ( array( 'report.pdf', 'Report.pdf', 'report.pdf', 'notes', 'notes' ) as $filename ) {
+			$args    = array( $filename, &$used );
+			$names[] = $method->invokeArgs( Drive_Bulk_REST::instance(), $args );
+		}
+
+		$this->assertSame( array( 'report.pdf', 'Report (2).pdf', 'report (3).pdf', 'notes', 'notes (2)' ), $names );
+	}
+
+	/**
+	 * Test that path separators can't create folders inside the zip.
+	 *
+	 * @return void
+	 */
+	public function test_zip_names_strip_separators() {
+		$used = array();
+		$args = array( '../etc/passwd', &$used );
+
+		$this->assertSame( '.._etc_passwd', $this->method( 'unique_zip_name' )->invokeArgs( Drive_Bulk_REST::instance(), $args ) );
+	}
+
+	/**
+	 * Test that results come back in the order the items were selected.
+	 *
+	 * @return void
+	 */
+	public function test_results_follow_request_order() {
+		$results = array(
+			'b' => array( 'id' => 'b', 'success' => false ),
+			'a' => array( 'id' => 'a', 'success' => true ),
+		);
+
+		$ordered = $this->method( 'order_bulk_results' )->invoke( Drive_Bulk_REST::instance(), array( 'a', 'b' ), $results );
+
+		$this->assertSame( array( 'a', 'b' ), wp_list_pluck( $ordered, 'id' ) );
+	}
+}
@@ -0,0 +1,137 @@
+<?php
+/**
+ * Unit Tests for per-user Drive connections
+ *
+ * Every admin has their own encrypted token in user meta; the optional site
+ * account lives in an option and serves jobs that run without a user.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_API;
+
+/**
+ * Class Test_Drive_Connections
+ *
+ * Tests for Drive_API connection storage and disconnect().
+ */
+class Test_Drive_Connections extends WP_UnitTestCase {
+
+	/**
+	 * Call a private Drive_API method.
+	 *
+	 * @param string $name Method name.
+	 * @param mixed  ...$args Arguments.
+	 * @return mixed
+	 */
+	private function call( $name, ...$args ) {
+		$method = new ReflectionMethod( Drive_API::class, $name );
+		$method->setAccessible( true );
+
+		return $method->invoke( Drive_API::instance(), ...$args );
+	}
+
+	/**
+	 * A token as Google returns it.
+	 *
+	 * @param string $access_token Access token.
+	 * @return array
+	 */
+	private function token( $access_token ) {
+		return array(
+			'access_token'  => $access_token,
+			'refresh_token' => 'refresh_' . $access_token,
+			'expires_in'    => 3600,
+			'created'       => time(),
+		);
+	}
+
+	/**
+	 * Test that tokens are stored encrypted and read back.
+	 *
+	 * @return void
+	 */
+	public function test_token_is_encrypted_in_user_meta() {
+		$user_id = $this->factory->user->create( array( 'role' => 'administrator' ) );
+
+		$this->call( 'save_connection', $user_id, $this->token( 'secret_token' ), array( 'name' => 'Ann', 'email' => 'ann@example.com' ) );
+
+		$this->assertStringNotContainsString( 'secret_token', maybe_serialize( get_user_meta( $user_id, 'wpmudev_drive_connection', true ) ) );
+		$this->assertSame( 'secret_token', $this->call( 'get_connection', $user_id )['token']['access_token'] );
+	}
+
+	/**
+	 * Test that each user's connection is their own.
+	 *
+	 * @return void
+	 */
+	public function test_connections_are_per_user() {
+		$connected = $this->factory->user->create( array( 'role' => 'administrator' ) );
+		$other     = $this->factory->user->create( array( 'role' => 'administrator' ) );
+
+		$this->call( 'save_connection', $connected, $this->token( 'token_a' ), array( 'name' => 'Ann', 'email' => 'ann@example.com' ) );
+
+		$status = Drive_API::instance()->get_connection_status( $connected );
+		$this->assertTrue( $status['connected'] );
+		$this->assertSame( 'ann@example.com', $status['email'] );
+
+		$this->assertFalse( Drive_API::instance()->get_connection_status( $other )['connected'] );
+		$this->assertFalse( Drive_API::instance()->get_connection_status( 0 )['connected'] );
+	}
+
+	/**
+	 * Test that disconnecting only removes the current user's connection.
+	 *
+	 * @return void
+	 */
+	public function test_disconnect_keeps_site_account() {
+		$user_id = $this->factory->user->create( array( 'role' => 'administrator' ) );
+		wp_set_current_user( $user_id );
+
+		$this->call( 'save_connection', $user_id, $this->token( 'token_a' ), array() );
+		$this->call( 'save_connection', 0, $this->token( 'token_site' ), array() );
+
+		Drive_API::instance()->disconnect( new WP_REST_Request( 'POST', '/wpmudev/v1/drive/disconnect' ) );
+
+		$this->assertFalse( Drive_API::instance()->get_connection_status( $user_id )['connected'] );
+		$this->assertTrue( Drive_API::instance()->get_connection_status( 0 )['connected'] );
+	}
+
+	/**
+	 * Test that the old site-wide token becomes the site account.
+	 *
+	 * @return void
+	 */
+	public function test_legacy_token_moves_to_site_account() {
+		update_option( 'wpmudev_drive_access_token', array( 'access_token' => 'legacy_token', 'expires_in' => 3600, 'created' => time() ) );
+		update_option( 'wpmudev_drive_refresh_token', 'legacy_refresh' );
+
+		$this->call( 'migrate_legacy_token' );
+
+		$connection = $this->call( 'get_connection', 0 );
+		$this->assertSame( 'legacy_token', $connection['token']['access_token'] );
+		$this->assertSame( 'legacy_refresh', $connection['token']['refresh_token'] );
+		$this->assertFalse( get_option( 'wpmudev_drive_access_token' ) );
+	}
+
+	/**
+	 * Test that connections made with the old, narrower scopes ask to reconnect.
+	 *
+	 * @return void
+	 */
+	public function test_narrow_scopes_need_reconnect() {
+		$user_id = $this->factory->user->create( array( 'role' => 'administrator' ) );
+
+		$token          = $this->token( 'token_a' );
+		$token['scope'] = 'https://www.googleapis.com/auth/drive.file https://www.googleapis.com/auth/drive.readonly';
+		$this->call( 'save_connection', $user_id, $token, array() );
+
+		$this->assertSame( array( 'https://www.googleapis.com/auth/drive' ), Drive_API::instance()->get_connection_status( $user_id )['missing_scopes'] );
+
+		$token['scope'] = 'https://www.googleapis.com/auth/drive';
+		$this->call( 'save_connection', $user_id, $token, array() );
+
+		$this->assertSame( array(), Drive_API::instance()->get_connection_status( $user_id )['missing_scopes'] );
+	}
+}
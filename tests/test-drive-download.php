@@ -0,0 +1,176 @@
+<?php
+/**
+ * Unit Tests for signed Drive download links
+ *
+ * The stream route is reached through a plain link without a REST nonce,
+ * so the signed token is the only thing standing between the route and
+ * the Drive account. These tests cover how that token is checked.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_API;
+
+/**
+ * Class Test_Drive_Download
+ *
+ * Tests for Drive_API::check_download_token() and inline previews.
+ */
+class Test_Drive_Download extends WP_UnitTestCase {
+
+	/**
+	 * Administrator user ID.
+	 *
+	 * @var int
+	 */
+	private $admin_id;
+
+	/**
+	 * Set up test environment.
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->admin_id = $this->factory->user->create( array( 'role' => 'administrator' ) );
+	}
+
+	/**
+	 * Build a stream request signed for the given values.
+	 *
+	 * @param int    $user_id User ID.
+	 * @param int    $expires Expiry timestamp.
+	 * @param string $file_id File ID.
+	 * @return WP_REST_Request
+	 */
+	private function signed_request( $user_id, $expires, $file_id = 'file_123' ) {
+		$sign  = new ReflectionMethod( Drive_API::class, 'sign_download' );
+		$sign->setAccessible( true );
+		$token = $sign->invoke( Drive_API::instance(), $file_id, '', $user_id, $expires );
+
+		$request = new WP_REST_Request( 'GET', '/wpmudev/v1/drive/stream' );
+		$request->set_query_params(
+			array(
+				'file_id' => $file_id,
+				'format'  => '',
+				'user'    => $user_id,
+				'expires' => $expires,
+				'token'   => $token,
+			)
+		);
+
+		return $request;
+	}
+
+	/**
+	 * Test that a freshly signed link is accepted.
+	 *
+	 * @return void
+	 */
+	public function test_valid_token_is_accepted() {
+		$request = $this->signed_request( $this->admin_id, time() + 60 );
+
+		$this->assertTrue( Drive_API::instance()->check_download_token( $request ) );
+	}
+
+	/**
+	 * Test that changing any signed parameter invalidates the link.
+	 *
+	 * @return void
+	 */
+	public function test_tampered_token_is_rejected() {
+		$request = $this->signed_request( $this->admin_id, time() + 60 );
+		$request->set_param( 'file_id', 'another_file' );
+
+		$result = Drive_API::instance()->check_download_token( $request );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'invalid_download_token', $result->get_error_code() );
+	}
+
+	/**
+	 * Test that expired links are rejected.
+	 *
+	 * @return void
+	 */
+	public function test_expired_token_is_rejected() {
+		$request = $this->signed_request( $this->admin_id, time() - 1 );
+
+		$this->assertWPError( Drive_API::instance()->check_download_token( $request ) );
+	}
+
+	/**
+	 * Test that links issued to users without access are rejected.
+	 *
+	 * @return void
+	 */
+	public function test_non_admin_token_is_rejected() {
+		$subscriber_id = $this->factory->user->create( array( 'role' => 'subscriber' ) );
+		$request       = $this->signed_request( $subscriber_id, time() + 60 );
+
+		$this->assertWPError( Drive_API::instance()->check_download_token( $request ) );
+	}
+
+	/**
+	 * Test that long-lived thumbnail links can't be replayed against /stream.
+	 *
+	 * @return void
+	 */
+	public function test_thumbnail_token_cannot_stream() {
+		$request = new WP_REST_Request( 'GET', '/wpmudev/v1/drive/stream' );
+		$request->set_query_params(
+			array(
+				'file_id' => 'file_123',
+				'format'  => 'thumbnail',
+			)
+		);
+
+		$result = Drive_API::instance()->stream_file( $request );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'invalid_download_token', $result->get_error_code() );
+	}
+
+	/**
+	 * Test which types are previewed inline, and how.
+	 *
+	 * @return void
+	 */
+	public function test_preview_kinds() {
+		$method = new ReflectionMethod( Drive_API::class, 'get_preview_kind' );
+		$method->setAccessible( true );
+		$api = Drive_API::instance();
+
+		$this->assertSame( 'image', $method->invoke( $api, 'image/png' ) );
+		$this->assertSame( 'pdf', $method->invoke( $api, 'application/vnd.google-apps.document' ) );
+		$this->assertSame( 'text', $method->invoke( $api, 'text/csv' ) );
+		$this->assertSame( 'video', $method->invoke( $api, 'video/mp4' ) );
+
+		// Types that could run script from our origin are never inlined.
+		$this->assertSame( '', $method->invoke( $api, 'image/svg+xml' ) );
+		$this->assertSame( '', $method->invoke( $api, 'text/html' ) );
+	}
+
+	/**
+	 * Test that only a single byte range is passed on to Drive.
+	 *
+	 * @return void
+	 */
+	public function test_byte_ranges() {
+		$method = new ReflectionMethod( Drive_API::class, 'sanitize_byte_range' );
+		$method->setAccessible( true );
+		$api = Drive_API::instance();
+
+		$this->assertSame( 'bytes=0-99', $method->invoke( $api, 'bytes=0-99' ) );
+		$this->assertSame( 'bytes=100-', $method->invoke( $api, 'bytes=100-' ) );
+		$this->assertSame( 'bytes=-500', $method->invoke( $api, 'bytes=-500' ) );
+
+		// Several ranges would come back as multipart/byteranges, so the whole file is served.
+		$this->assertSame( '', $method->invoke( $api, 'bytes=0-99, 200-299' ) );
+		$this->assertSame( '', $method->invoke( $api, 'bytes=-' ) );
+		$this->assertSame( '', $method->invoke( $api, 'items=0-9' ) );
+		$this->assertSame( '', $method->invoke( $api, null ) );
+	}
+}
@@ -0,0 +1,257 @@
+<?php
+/**
+ * Unit Tests for the Google Drive block and shortcode
+ *
+ * Embedded files are served through signed links that only work for
+ * visitors who can read the post the file is embedded in.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\App\Blocks\Drive_Embed;
+use WPMUDEV\PluginTest\Capabilities;
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_API;
+
+/**
+ * Class Test_Drive_Embed
+ *
+ * Tests for Drive_Embed rendering and Drive_API embed links.
+ */
+class Test_Drive_Embed extends WP_UnitTestCase {
+
+	/**
+	 * Author allowed to manage Drive.
+	 *
+	 * @var int
+	 */
+	private $author_id;
+
+	/**
+	 * Posts are written by an administrator unless a test says otherwise.
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		Capabilities::instance()->grant_defaults();
+		$this->author_id = $this->factory->user->create( array( 'role' => 'administrator' ) );
+	}
+
+	/**
+	 * Create a post written by the Drive manager.
+	 *
+	 * @param array $args Post arguments.
+	 * @return int Post ID.
+	 */
+	private function create_post( $args = array() ) {
+		return $this->factory->post->create( array_merge( array( 'post_author' => $this->author_id ), $args ) );
+	}
+
+	/**
+	 * Build an embed request from a link made by Drive_API.
+	 *
+	 * @param string $url Embed link.
+	 * @return WP_REST_Request
+	 */
+	private function request_from_link( $url ) {
+		wp_parse_str( (string) wp_parse_url( $url, PHP_URL_QUERY ), $args );
+
+		$request = new WP_REST_Request( 'GET', '/wpmudev/v1/drive/embed' );
+		foreach ( $args as $key => $value ) {
+			$request->set_param( $key, $value );
+		}
+
+		return $request;
+	}
+
+	/**
+	 * Cache an embed item so rendering doesn't need Drive.
+	 *
+	 * @param string $file_id   File ID.
+	 * @param string $mime_type MIME type.
+	 * @param string $kind      Preview kind.
+	 * @return void
+	 */
+	private function cache_item( $file_id, $mime_type, $kind ) {
+		set_transient(
+			'wpmudev_drive_embed_' . md5( $file_id ),
+			array(
+				'id'          => $file_id,
+				'name'        => 'Report',
+				'mimeType'    => $mime_type,
+				'size'        => 2048,
+				'isFolder'    => false,
+				'previewKind' => $kind,
+				'format'      => '',
+				'files'       => array(),
+			)
+		);
+	}
+
+	/**
+	 * Test that links to files in published posts work for anyone.
+	 *
+	 * @return void
+	 */
+	public function test_embed_link_for_published_post() {
+		$post_id = $this->create_post();
+		$link    = Drive_API::instance()->get_embed_link( 'file123', '', $post_id );
+
+		$this->assertTrue( Drive_API::instance()->check_embed_token( $this->request_from_link( $link ) ) );
+	}
+
+	/**
+	 * Test that a link can't be reused for another file or post.
+	 *
+	 * @return void
+	 */
+	public function test_embed_link_is_bound_to_file_and_post() {
+		$post_id = $this->create_post();
+		$request = $this->request_from_link( Drive_API::instance()->get_embed_link( 'file123', '', $post_id ) );
+
+		$request->set_param( 'file_id', 'file456' );
+		$this->assertWPError( Drive_API::instance()->check_embed_token( $request ) );
+
+		$request->set_param( 'file_id', 'file123' );
+		$request->set_param( 'post', $this->create_post() );
+		$this->assertWPError( Drive_API::instance()->check_embed_token( $request ) );
+	}
+
+	/**
+	 * Test that files in drafts are only served to people who can read them.
+	 *
+	 * @return void
+	 */
+	public function test_embed_link_for_draft_needs_access() {
+		$post_id = $this->create_post( array( 'post_status' => 'draft' ) );
+		$request = $this->request_from_link( Drive_API::instance()->get_embed_link( 'file123', '', $post_id ) );
+
+		$this->assertWPError( Drive_API::instance()->check_embed_token( $request ) );
+
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'editor' ) ) );
+
+		$this->assertTrue( Drive_API::instance()->check_embed_token( $request ) );
+	}
+
+	/**
+	 * Test that embed links can't ask for the special stream formats.
+	 *
+	 * @return void
+	 */
+	public function test_embed_link_rejects_special_formats() {
+		$post_id = $this->create_post();
+		$request = $this->request_from_link( Drive_API::instance()->get_embed_link( 'file123', 'zip', $post_id ) );
+
+		$this->assertWPError( Drive_API::instance()->check_embed_token( $request ) );
+	}
+
+	/**
+	 * Test that the shortcode picks the display from the file type.
+	 *
+	 * @return void
+	 */
+	public function test_shortcode_renders_cached_file() {
+		$this->cache_item( 'image123', 'image/png', 'image' );
+		$this->cache_item( 'archive123', 'application/zip', '' );
+
+		$GLOBALS['post'] = get_post( $this->create_post() );
+
+		$image = do_shortcode( '[wpmudev_drive id="image123"]' );
+		$this->assertStringContainsString( 'is-image', $image );
+		$this->assertStringContainsString( '/wpmudev/v1/drive/embed', $image );
+
+		// A zip can't be shown as an image, so it gets a download button.
+		$download = do_shortcode( '[wpmudev_drive id="archive123" display="image"]' );
+		$this->assertStringContainsString( 'is-download', $download );
+		$this->assertStringContainsString( '2 KB', $download );
+	}
+
+	/**
+	 * Test that problems are only explained to people who can edit the post.
+	 *
+	 * @return void
+	 */
+	public function test_errors_are_hidden_from_visitors() {
+		$post_id = $this->create_post();
+
+		$this->assertSame( '', Drive_Embed::instance()->render( '', 'auto', $post_id ) );
+
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'administrator' ) ) );
+
+		$this->assertStringContainsString( 'wpmudev-drive-embed-error', Drive_Embed::instance()->render( '', 'auto', $post_id ) );
+	}
+
+	/**
+	 * Test that authors without Drive access can't embed files.
+	 *
+	 * @return void
+	 */
+	public function test_embed_refused_for_author_without_drive_access() {
+		$this->cache_item( 'image123', 'image/png', 'image' );
+
+		$contributor = $this->factory->user->create( array( 'role' => 'contributor' ) );
+		$post_id     = $this->factory->post->create(
+			array(
+				'post_author' => $contributor,
+				'post_status' => 'draft',
+			)
+		);
+
+		// Previewing their own draft shows why the file is missing.
+		wp_set_current_user( $contributor );
+		$html = Drive_Embed::instance()->render( 'image123', 'auto', $post_id );
+		$this->assertStringContainsString( 'wpmudev-drive-embed-error', $html );
+		$this->assertStringNotContainsString( '/wpmudev/v1/drive/embed', $html );
+
+		// A correctly signed link is refused too.
+		$request = $this->request_from_link( Drive_API::instance()->get_embed_link( 'image123', '', $post_id ) );
+		$this->assertWPError( Drive_API::instance()->check_embed_token( $request ) );
+	}
+
+	/**
+	 * Test that authors who can only browse Drive can't embed site account files.
+	 *
+	 * @return void
+	 */
+	public function test_embed_refused_for_view_only_author() {
+		Capabilities::instance()->save_role_map( array( 'editor' => array( 'wpmudev_drive_view' ) ) );
+
+		$post_id = $this->factory->post->create( array( 'post_author' => $this->factory->user->create( array( 'role' => 'editor' ) ) ) );
+		$request = $this->request_from_link( Drive_API::instance()->get_embed_link( 'file123', '', $post_id ) );
+
+		$this->assertWPError( Drive_API::instance()->check_embed_token( $request ) );
+	}
+
+	/**
+	 * Test that an editor without Drive access can't add embeds to someone else's post.
+	 *
+	 * @return void
+	 */
+	public function test_embed_refused_after_edit_by_editor_without_drive_access() {
+		$post_id = $this->create_post();
+		$request = $this->request_from_link( Drive_API::instance()->get_embed_link( 'file123', '', $post_id ) );
+
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'editor' ) ) );
+		wp_update_post(
+			array(
+				'ID'           => $post_id,
+				'post_content' => '[wpmudev_drive id="file123"]',
+			)
+		);
+
+		$this->assertWPError( Drive_API::instance()->check_embed_token( $request ) );
+
+		// Once someone who manages Drive saves it, the embed works again.
+		wp_set_current_user( $this->author_id );
+		wp_update_post(
+			array(
+				'ID'           => $post_id,
+				'post_content' => '[wpmudev_drive id="file123"]',
+			)
+		);
+
+		$this->assertTrue( Drive_API::instance()->check_embed_token( $request ) );
+	}
+}
@@ -0,0 +1,112 @@
+<?php
+/**
+ * Unit Tests for the Drive connection health panel
+ *
+ * Failed API calls and token refreshes are recorded per account so the
+ * panel and Site Health can explain what went wrong.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_API;
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_Health_REST;
+
+/**
+ * Class Test_Drive_Health
+ *
+ * Tests for Drive_API diagnostics and the Drive_Health_REST Site Health test.
+ */
+class Test_Drive_Health extends WP_UnitTestCase {
+
+	/**
+	 * Log in as an administrator.
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'administrator' ) ) );
+	}
+
+	/**
+	 * Call a private Drive_API method.
+	 *
+	 * @param string $name Method name.
+	 * @param mixed  ...$args Arguments.
+	 * @return mixed
+	 */
+	private function call( $name, ...$args ) {
+		$method = new ReflectionMethod( Drive_API::class, $name );
+		$method->setAccessible( true );
+
+		return $method->invoke( Drive_API::instance(), ...$args );
+	}
+
+	/**
+	 * Test that formatted API errors are kept, newest first and capped.
+	 *
+	 * @return void
+	 */
+	public function test_api_errors_are_recorded() {
+		for ( $i = 1; $i <= 12; $i++ ) {
+			$this->call( 'format_google_api_error', new Exception( 'Failure ' . $i, 403 ) );
+		}
+
+		$errors = Drive_API::instance()->get_connection_health( get_current_user_id() )['errors'];
+
+		$this->assertCount( 10, $errors );
+		$this->assertSame( 'Failure 12', $errors[0]['message'] );
+		$this->assertSame( 403, $errors[0]['code'] );
+	}
+
+	/**
+	 * Test that the last token refresh is reported.
+	 *
+	 * @return void
+	 */
+	public function test_refresh_result_is_recorded() {
+		$this->call( 'record_refresh', false, 'Token has been expired or revoked.' );
+
+		$last_refresh = Drive_API::instance()->get_connection_health( get_current_user_id() )['last_refresh'];
+
+		$this->assertFalse( $last_refresh['success'] );
+		$this->assertSame( 'Token has been expired or revoked.', $last_refresh['message'] );
+	}
+
+	/**
+	 * Test that diagnostics are kept per account.
+	 *
+	 * @return void
+	 */
+	public function test_diagnostics_are_per_account() {
+		$this->call( 'format_google_api_error', new Exception( 'Mine', 500 ) );
+
+		$this->assertEmpty( Drive_API::instance()->get_connection_health( 0 )['errors'] );
+	}
+
+	/**
+	 * Test that the connection is registered as an async Site Health test.
+	 *
+	 * @return void
+	 */
+	public function test_site_health_test_is_registered() {
+		$tests = apply_filters( 'site_status_tests', array( 'direct' => array(), 'async' => array() ) );
+
+		$this->assertArrayHasKey( 'wpmudev_drive_connection', $tests['async'] );
+		$this->assertTrue( $tests['async']['wpmudev_drive_connection']['has_rest'] );
+	}
+
+	/**
+	 * Test that Site Health recommends setting Drive up when nothing is saved.
+	 *
+	 * @return void
+	 */
+	public function test_site_health_without_credentials() {
+		$result = Drive_Health_REST::instance()->site_health_test();
+
+		$this->assertSame( 'recommended', $result['status'] );
+		$this->assertSame( 'wpmudev_drive_connection', $result['test'] );
+	}
+}
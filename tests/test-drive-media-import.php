@@ -0,0 +1,79 @@
+<?php
+/**
+ * Unit Tests for importing Drive files into the Media Library
+ *
+ * Imports are matched to their Drive file through attachment meta, so the
+ * same file must never end up in the library twice.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_Media_REST;
+
+/**
+ * Class Test_Drive_Media_Import
+ *
+ * Tests for Drive_Media_REST::find_imported_attachment() and Drive_Media_REST::import_file().
+ */
+class Test_Drive_Media_Import extends WP_UnitTestCase {
+
+	/**
+	 * Call a private Drive_Media_REST method.
+	 *
+	 * @param string $name Method name.
+	 * @param mixed  $arg  Argument.
+	 * @return mixed
+	 */
+	private function call( $name, $arg ) {
+		$method = new ReflectionMethod( Drive_Media_REST::class, $name );
+		$method->setAccessible( true );
+
+		return $method->invoke( Drive_Media_REST::instance(), $arg );
+	}
+
+	/**
+	 * Test that an imported file is found by its Drive ID.
+	 *
+	 * @return void
+	 */
+	public function test_finds_imported_attachment() {
+		$attachment_id = $this->factory->attachment->create();
+		update_post_meta( $attachment_id, '_wpmudev_drive_file_id', 'file_123' );
+
+		$this->assertSame( $attachment_id, $this->call( 'find_imported_attachment', 'file_123' ) );
+		$this->assertSame( 0, $this->call( 'find_imported_attachment', 'file_456' ) );
+	}
+
+	/**
+	 * Test that a trashed copy doesn't block importing the file again.
+	 *
+	 * @return void
+	 */
+	public function test_trashed_attachment_is_ignored() {
+		$attachment_id = $this->factory->attachment->create( array( 'post_status' => 'trash' ) );
+		update_post_meta( $attachment_id, '_wpmudev_drive_file_id', 'file_123' );
+
+		$this->assertSame( 0, $this->call( 'find_imported_attachment', 'file_123' ) );
+	}
+
+	/**
+	 * Test that importing a file a second time returns the first copy.
+	 *
+	 * @return void
+	 */
+	public function test_import_is_not_repeated() {
+		$attachment_id = $this->factory->attachment->create();
+		update_post_meta( $attachment_id, '_wpmudev_drive_file_id', 'file_123' );
+
+		$file = new Google_Service_Drive_DriveFile();
+		$file->setId( 'file_123' );
+		$file->setName( 'logo.png' );
+		$file->setMimeType( 'image/png' );
+
+		$result = $this->call( 'import_file', $file );
+
+		$this->assertTrue( $result['existing'] );
+		$this->assertSame( $attachment_id, $result['attachment']['id'] );
+	}
+}
@@ -0,0 +1,91 @@
+<?php
+/**
+ * Unit Tests for sending Media Library attachments to Drive
+ *
+ * The Drive state of an attachment lives in its meta, and drives what the
+ * Media Library shows: a link, a queued notice or a send button.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_Media_REST;
+
+/**
+ * Class Test_Drive_Media_Push
+ *
+ * Tests for Drive_Media_REST::get_attachment_drive_status() and the push queue.
+ */
+class Test_Drive_Media_Push extends WP_UnitTestCase {
+
+	/**
+	 * Call a private Drive_Media_REST method.
+	 *
+	 * @param string $name Method name.
+	 * @param mixed  $arg  Argument.
+	 * @return mixed
+	 */
+	private function call( $name, $arg ) {
+		$method = new ReflectionMethod( Drive_Media_REST::class, $name );
+		$method->setAccessible( true );
+
+		return $method->invoke( Drive_Media_REST::instance(), $arg );
+	}
+
+	/**
+	 * Test an attachment that was never sent.
+	 *
+	 * @return void
+	 */
+	public function test_status_of_new_attachment() {
+		$attachment_id = $this->factory->attachment->create();
+
+		$this->assertSame( '', Drive_Media_REST::instance()->get_attachment_drive_status( $attachment_id )['state'] );
+	}
+
+	/**
+	 * Test that queueing an attachment marks it as queued.
+	 *
+	 * @return void
+	 */
+	public function test_queued_attachment() {
+		$attachment_id = $this->factory->attachment->create();
+
+		$this->call( 'queue_media_push', $attachment_id );
+
+		$this->assertSame( 'queued', Drive_Media_REST::instance()->get_attachment_drive_status( $attachment_id )['state'] );
+	}
+
+	/**
+	 * Test that an attachment already in Drive isn't uploaded again.
+	 *
+	 * @return void
+	 */
+	public function test_sent_attachment_is_not_pushed_again() {
+		$attachment_id = $this->factory->attachment->create();
+		update_post_meta( $attachment_id, '_wpmudev_drive_file_id', 'file_123' );
+		update_post_meta( $attachment_id, '_wpmudev_drive_web_view_link', 'https://drive.google.com/file/d/file_123/view' );
+
+		$result = $this->call( 'push_attachment', $attachment_id );
+
+		$this->assertTrue( $result['existing'] );
+		$this->assertSame( 'file_123', $result['id'] );
+	}
+
+	/**
+	 * Test that a failed background push keeps the reason.
+	 *
+	 * @return void
+	 */
+	public function test_failed_push_is_recorded() {
+		$attachment_id = $this->factory->attachment->create();
+
+		// Not connected to Drive, so the push fails.
+		Drive_Media_REST::instance()->process_media_push( $attachment_id );
+
+		$status = Drive_Media_REST::instance()->get_attachment_drive_status( $attachment_id );
+
+		$this->assertSame( 'failed', $status['state'] );
+		$this->assertNotEmpty( $status['message'] );
+	}
+}
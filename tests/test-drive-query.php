@@ -0,0 +1,166 @@
+<?php
+/**
+ * Unit Tests for the Drive files query builder
+ *
+ * The files endpoint builds the Drive `q` clause from structured filters,
+ * so these tests make sure every filter maps to the right clause and that
+ * user input can't break out of a quoted value.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_API;
+
+/**
+ * Class Test_Drive_Query
+ *
+ * Tests for Drive_API::build_files_query().
+ */
+class Test_Drive_Query extends WP_UnitTestCase {
+
+	/**
+	 * Call the private query builder.
+	 *
+	 * @param array $filters Filters.
+	 * @return string|WP_Error
+	 */
+	private function build( array $filters ) {
+		$method = new ReflectionMethod( Drive_API::class, 'build_files_query' );
+		$method->setAccessible( true );
+
+		return $method->invoke( Drive_API::instance(), $filters );
+	}
+
+	/**
+	 * Test that trashed items are always excluded.
+	 *
+	 * @return void
+	 */
+	public function test_default_query_excludes_trash() {
+		$this->assertSame( 'trashed = false', $this->build( array() ) );
+	}
+
+	/**
+	 * Test that the parent folder becomes an "in parents" clause.
+	 *
+	 * @return void
+	 */
+	public function test_parent_id_clause() {
+		$this->assertSame( "trashed = false and 'abc_123-XYZ' in parents", $this->build( array( 'parent_id' => 'abc_123-XYZ' ) ) );
+	}
+
+	/**
+	 * Test that the top of a Shared Drive is listed through the drive's own ID.
+	 *
+	 * @return void
+	 */
+	public function test_root_maps_to_shared_drive() {
+		$query = $this->build(
+			array(
+				'drive_id'  => 'shared_drive_1',
+				'parent_id' => 'root',
+			)
+		);
+
+		$this->assertSame( "trashed = false and 'shared_drive_1' in parents", $query );
+	}
+
+	/**
+	 * Test that Shared Drive IDs are validated and "root" is not one.
+	 *
+	 * @return void
+	 */
+	public function test_shared_drive_id_validation() {
+		$method = new ReflectionMethod( Drive_API::class, 'sanitize_shared_drive_id' );
+		$method->setAccessible( true );
+
+		$this->assertSame( '', $method->invoke( Drive_API::instance(), '' ) );
+		$this->assertSame( '0AbC_dEf-123', $method->invoke( Drive_API::instance(), '0AbC_dEf-123' ) );
+		$this->assertWPError( $method->invoke( Drive_API::instance(), 'root' ) );
+		$this->assertWPError( $method->invoke( Drive_API::instance(), "x' or '1' = '1" ) );
+	}
+
+	/**
+	 * Test that malformed parent IDs are rejected rather than embedded.
+	 *
+	 * @return void
+	 */
+	public function test_invalid_parent_id_is_rejected() {
+		$result = $this->build( array( 'parent_id' => "x' in parents or '1' = '1" ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'invalid_parent_id', $result->get_error_code() );
+	}
+
+	/**
+	 * Test that quotes and backslashes in the name filter are escaped.
+	 *
+	 * @return void
+	 */
+	public function test_name_is_escaped() {
+		$query = $this->build( array( 'name' => "client's \\ brief" ) );
+
+		$this->assertSame( "trashed = false and name contains 'client\\'s \\\\ brief'", $query );
+	}
+
+	/**
+	 * Test MIME category filters.
+	 *
+	 * @return void
+	 */
+	public function test_type_filter() {
+		$this->assertStringContainsString( "mimeType = 'application/pdf'", $this->build( array( 'type' => 'pdf' ) ) );
+		$this->assertStringContainsString( "mimeType contains 'image/'", $this->build( array( 'type' => 'image' ) ) );
+
+		$result = $this->build( array( 'type' => 'spreadsheet' ) );
+		$this->assertWPError( $result );
+		$this->assertSame( 'invalid_type', $result->get_error_code() );
+	}
+
+	/**
+	 * Test that a plain "before" date includes the whole day.
+	 *
+	 * @return void
+	 */
+	public function test_modified_date_range() {
+		$query = $this->build(
+			array(
+				'modified_after'  => '2024-01-01',
+				'modified_before' => '2024-01-31',
+			)
+		);
+
+		$this->assertStringContainsString( "modifiedTime >= '2024-01-01T00:00:00Z'", $query );
+		$this->assertStringContainsString( "modifiedTime < '2024-02-01T00:00:00Z'", $query );
+
+		$this->assertWPError( $this->build( array( 'modified_after' => 'not a date' ) ) );
+	}
+
+	/**
+	 * Test that the trash view lists trashed items and ignores the folder.
+	 *
+	 * @return void
+	 */
+	public function test_trashed_filter() {
+		$this->assertSame( 'trashed = true', $this->build( array( 'trashed' => '1', 'parent_id' => 'abc' ) ) );
+		$this->assertSame( 'trashed = false', $this->build( array( 'trashed' => '0' ) ) );
+	}
+
+	/**
+	 * Test the boolean ownership and starred filters.
+	 *
+	 * @return void
+	 */
+	public function test_boolean_filters() {
+		$query = $this->build(
+			array(
+				'owned_by_me' => '1',
+				'starred'     => 'false',
+			)
+		);
+
+		$this->assertStringContainsString( "'me' in owners", $query );
+		$this->assertStringNotContainsString( 'starred', $query );
+	}
+}
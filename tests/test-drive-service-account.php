@@ -0,0 +1,173 @@
+<?php
+/**
+ * Unit Tests for service-account authentication
+ *
+ * Headless sites authenticate with a service account JSON key. The token
+ * request is a signed JWT sent to the key's token_uri, which is stubbed here.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_API;
+
+/**
+ * Class Test_Drive_Service_Account
+ *
+ * Tests for Drive_API service account key parsing and token requests.
+ */
+class Test_Drive_Service_Account extends WP_UnitTestCase {
+
+	/**
+	 * Requests sent to the stubbed token endpoint.
+	 *
+	 * @var array
+	 */
+	private $requests = array();
+
+	/**
+	 * Call a private Drive_API method.
+	 *
+	 * @param string $name Method name.
+	 * @param mixed  ...$args Arguments.
+	 * @return mixed
+	 */
+	private function call( $name, ...$args ) {
+		$method = new ReflectionMethod( Drive_API::class, $name );
+		$method->setAccessible( true );
+
+		return $method->invoke( Drive_API::instance(), ...$args );
+	}
+
+	/**
+	 * A service account key with a freshly generated private key.
+	 *
+	 * @param array $overrides Key fields to replace.
+	 * @return array
+	 */
+	private function key( $overrides = array() ) {
+		$private_key = '';
+		openssl_pkey_export( openssl_pkey_new( array( 'private_key_bits' => 2048 ) ), $private_key );
+
+		return array_merge(
+			array(
+				'type'         => 'service_account',
+				'client_email' => 'robot@project.iam.gserviceaccount.com',
+				'private_key'  => $private_key,
+				'token_uri'    => 'https://oauth2.example.test/token',
+			),
+			$overrides
+		);
+	}
+
+	/**
+	 * Answer token requests with the given response and record them.
+	 *
+	 * @param int   $code Response code.
+	 * @param array $body Response body.
+	 * @return void
+	 */
+	private function stub_token_endpoint( $code, $body ) {
+		add_filter(
+			'pre_http_request',
+			function ( $preempt, $args, $url ) use ( $code, $body ) {
+				$this->requests[] = array( 'url' => $url, 'body' => $args['body'] );
+
+				return array(
+					'headers'  => array(),
+					'body'     => wp_json_encode( $body ),
+					'response' => array( 'code' => $code, 'message' => '' ),
+					'cookies'  => array(),
+				);
+			},
+			10,
+			3
+		);
+	}
+
+	/**
+	 * Decode one part of a JWT.
+	 *
+	 * @param string $segment Base64url segment.
+	 * @return array
+	 */
+	private function decode_segment( $segment ) {
+		return json_decode( base64_decode( strtr( $segment, '-_', '+/' ) ), true ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_decode
+	}
+
+	/**
+	 * Test that OAuth client JSON is not accepted as a service account key.
+	 *
+	 * @return void
+	 */
+	public function test_key_must_be_a_service_account() {
+		$result = $this->call( 'parse_service_account_key', wp_json_encode( $this->key( array( 'type' => 'authorized_user' ) ) ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'invalid_service_account_key', $result->get_error_code() );
+	}
+
+	/**
+	 * Test that the token endpoint must use HTTPS unless it is local.
+	 *
+	 * @return void
+	 */
+	public function test_token_uri_must_be_https_or_local() {
+		$remote = $this->call( 'parse_service_account_key', wp_json_encode( $this->key( array( 'token_uri' => 'http://oauth2.example.test/token' ) ) ) );
+		$this->assertWPError( $remote );
+
+		$local = $this->call( 'parse_service_account_key', wp_json_encode( $this->key( array( 'token_uri' => 'http://127.0.0.1:8080/token' ) ) ) );
+		$this->assertSame( 'http://127.0.0.1:8080/token', $local['token_uri'] );
+	}
+
+	/**
+	 * Test that the token request is a signed JWT grant sent to the key's token_uri.
+	 *
+	 * @return void
+	 */
+	public function test_token_request_uses_signed_jwt() {
+		$this->stub_token_endpoint( 200, array( 'access_token' => 'sa_token', 'expires_in' => 3599 ) );
+
+		$key   = $this->key();
+		$token = $this->call(
+			'fetch_service_account_token',
+			array(
+				'key'     => $this->call( 'parse_service_account_key', wp_json_encode( $key ) ),
+				'subject' => 'editor@example.com',
+			)
+		);
+
+		$this->assertSame( 'sa_token', $token['access_token'] );
+		$this->assertCount( 1, $this->requests );
+		$this->assertSame( $key['token_uri'], $this->requests[0]['url'] );
+		$this->assertSame( 'urn:ietf:params:oauth:grant-type:jwt-bearer', $this->requests[0]['body']['grant_type'] );
+
+		list( $header, $claims, $signature ) = explode( '.', $this->requests[0]['body']['assertion'] );
+
+		$this->assertSame( 'RS256', $this->decode_segment( $header )['alg'] );
+
+		$claims = $this->decode_segment( $claims );
+		$this->assertSame( $key['client_email'], $claims['iss'] );
+		$this->assertSame( $key['token_uri'], $claims['aud'] );
+		$this->assertSame( 'editor@example.com', $claims['sub'] );
+		$this->assertNotEmpty( $signature );
+	}
+
+	/**
+	 * Test that a refused token request becomes an error.
+	 *
+	 * @return void
+	 */
+	public function test_refused_token_request_is_an_error() {
+		$this->stub_token_endpoint( 400, array( 'error' => 'invalid_grant', 'error_description' => 'Invalid JWT Signature.' ) );
+
+		$result = $this->call(
+			'fetch_service_account_token',
+			array( 'key' => $this->call( 'parse_service_account_key', wp_json_encode( $this->key() ) ) )
+		);
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'service_account_token_failed', $result->get_error_code() );
+		$this->assertStringContainsString( 'Invalid JWT Signature.', $result->get_error_message() );
+	}
+}
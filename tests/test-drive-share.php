@@ -0,0 +1,137 @@
+<?php
+/**
+ * Unit Tests for Drive sharing permissions
+ *
+ * Sharing hands out access to files outside WordPress, so the permission
+ * built from a share request must match exactly what was asked for.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_Share_REST;
+
+/**
+ * Class Test_Drive_Share
+ *
+ * Tests for Drive_Share_REST::build_share_permission() and should_notify().
+ */
+class Test_Drive_Share extends WP_UnitTestCase {
+
+	/**
+	 * Build a permission from share request parameters.
+	 *
+	 * @param array $params Request parameters.
+	 * @return Google_Service_Drive_Permission|WP_Error
+	 */
+	private function build( array $params ) {
+		$request = new WP_REST_Request( 'POST', '/wpmudev/v1/drive/permissions' );
+		$request->set_body_params( $params );
+
+		return Drive_Share_REST::instance()->build_share_permission( $request );
+	}
+
+	/**
+	 * Test sharing with a person.
+	 *
+	 * @return void
+	 */
+	public function test_user_permission() {
+		$permission = $this->build(
+			array(
+				'share_type' => 'user',
+				'email'      => 'client@example.com',
+				'role'       => 'commenter',
+			)
+		);
+
+		$this->assertSame( 'user', $permission->getType() );
+		$this->assertSame( 'commenter', $permission->getRole() );
+		$this->assertSame( 'client@example.com', $permission->getEmailAddress() );
+	}
+
+	/**
+	 * Test that roles outside reader/commenter/writer are refused.
+	 *
+	 * @return void
+	 */
+	public function test_owner_role_is_rejected() {
+		$result = $this->build(
+			array(
+				'share_type' => 'anyone',
+				'role'       => 'owner',
+			)
+		);
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'invalid_role', $result->get_error_code() );
+	}
+
+	/**
+	 * Test that user and group shares need a valid email.
+	 *
+	 * @return void
+	 */
+	public function test_group_requires_email() {
+		$result = $this->build(
+			array(
+				'share_type' => 'group',
+				'email'      => 'not-an-email',
+				'role'       => 'reader',
+			)
+		);
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'invalid_email', $result->get_error_code() );
+	}
+
+	/**
+	 * Test domain validation.
+	 *
+	 * @return void
+	 */
+	public function test_domain_permission() {
+		$permission = $this->build(
+			array(
+				'share_type' => 'domain',
+				'domain'     => 'Example.COM',
+				'role'       => 'reader',
+			)
+		);
+
+		$this->assertSame( 'example.com', $permission->getDomain() );
+
+		$this->assertWPError(
+			$this->build(
+				array(
+					'share_type' => 'domain',
+					'domain'     => 'example',
+					'role'       => 'reader',
+				)
+			)
+		);
+	}
+
+	/**
+	 * Test that people and groups are emailed unless notify is turned off.
+	 *
+	 * Single and bulk sharing both decide this through should_notify().
+	 *
+	 * @return void
+	 */
+	public function test_notification_email() {
+		$share      = Drive_Share_REST::instance();
+		$permission = new Google_Service_Drive_Permission();
+		$request    = new WP_REST_Request( 'POST', '/wpmudev/v1/drive/bulk' );
+
+		$permission->setType( 'group' );
+		$this->assertTrue( $share->should_notify( $permission, $request ) );
+
+		$request->set_param( 'notify', false );
+		$this->assertFalse( $share->should_notify( $permission, $request ) );
+
+		$permission->setType( 'anyone' );
+		$request->set_param( 'notify', true );
+		$this->assertFalse( $share->should_notify( $permission, $request ) );
+	}
+}
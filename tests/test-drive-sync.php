@@ -0,0 +1,229 @@
+<?php
+/**
+ * Unit Tests for the Drive folder sync
+ *
+ * The planner turns Drive items, the changes feed and the local directory
+ * into operations, and records conflicts instead of overwriting files that
+ * changed on both sides.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_Sync_REST;
+
+/**
+ * Class Test_Drive_Sync
+ *
+ * Tests for Drive_Sync_REST planning.
+ */
+class Test_Drive_Sync extends WP_UnitTestCase {
+
+	/**
+	 * Local sync directory used by the tests.
+	 *
+	 * @var string
+	 */
+	private $base;
+
+	/**
+	 * Point the sync at an empty directory.
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		update_option(
+			'wpmudev_drive_sync_settings',
+			array(
+				'frequency' => 'off',
+				'direction' => 'two-way',
+				'folder'    => array(
+					'id'   => 'root-folder',
+					'path' => array(),
+				),
+				'local_dir' => 'drive-sync-test',
+			)
+		);
+
+		$this->base = wp_upload_dir()['basedir'] . '/drive-sync-test';
+		wp_mkdir_p( $this->base );
+	}
+
+	/**
+	 * Remove the test directory.
+	 *
+	 * @return void
+	 */
+	public function tearDown(): void {
+		foreach ( (array) glob( $this->base . '/*' ) as $file ) {
+			wp_delete_file( $file );
+		}
+		rmdir( $this->base ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Call a private Drive_Sync_REST method.
+	 *
+	 * @param string $name Method name.
+	 * @param mixed  ...$args Arguments.
+	 * @return mixed
+	 */
+	private function call( $name, ...$args ) {
+		$method = new ReflectionMethod( Drive_Sync_REST::class, $name );
+		$method->setAccessible( true );
+
+		return $method->invoke( Drive_Sync_REST::instance(), ...$args );
+	}
+
+	/**
+	 * A fresh two-way state.
+	 *
+	 * @return array
+	 */
+	private function state() {
+		$state              = $this->call( 'get_state' );
+		$state['direction'] = 'two-way';
+		$state['folders']   = array( 'root-folder' => '' );
+
+		return $state;
+	}
+
+	/**
+	 * A Drive item.
+	 *
+	 * @param string $id   File ID.
+	 * @param string $name File name.
+	 * @param string $md5  Content checksum.
+	 * @return array
+	 */
+	private function item( $id, $name, $md5 ) {
+		return array(
+			'id'           => $id,
+			'name'         => $name,
+			'mimeType'     => 'text/plain',
+			'isFolder'     => false,
+			'md5Checksum'  => $md5,
+			'modifiedTime' => '2025-01-01T00:00:00.000Z',
+			'size'         => 5,
+			'parents'      => array( 'root-folder' ),
+			'trashed'      => false,
+		);
+	}
+
+	/**
+	 * An index with one synced file.
+	 *
+	 * @param string $md5 Checksum at the last sync, on both sides.
+	 * @return array
+	 */
+	private function index( $md5 ) {
+		return array(
+			'start_token' => '42',
+			'items'       => array(
+				'file1' => array(
+					'path'        => 'notes.txt',
+					'is_folder'   => false,
+					'md5'         => $md5,
+					'modified'    => '2025-01-01T00:00:00.000Z',
+					'local_md5'   => $md5,
+					'local_mtime' => 0,
+					'local_size'  => 0,
+				),
+			),
+		);
+	}
+
+	/**
+	 * Test that the local directory can't leave the uploads folder.
+	 *
+	 * @return void
+	 */
+	public function test_local_dir_is_kept_inside_uploads() {
+		$this->assertSame( 'wp-config', $this->call( 'sanitize_local_dir', '../../wp-config' ) );
+		$this->assertSame( 'sync/docs', $this->call( 'sanitize_local_dir', '/sync/./docs/' ) );
+		$this->assertSame( '', $this->call( 'sanitize_local_dir', '..' ) );
+	}
+
+	/**
+	 * Test that new Drive files are downloaded and unsupported ones skipped.
+	 *
+	 * @return void
+	 */
+	public function test_new_drive_files_are_planned() {
+		$state = $this->call( 'plan_remote_item', $this->state(), $this->index( 'abc' ), $this->item( 'file2', 'photo.jpg', 'def' ), '' );
+		$this->assertSame( 'download', $state['queue'][0]['type'] );
+		$this->assertSame( 'photo.jpg', $state['queue'][0]['path'] );
+
+		$doc                = $this->item( 'file3', 'Plan', '' );
+		$doc['mimeType']    = 'application/vnd.google-apps.document';
+		$state              = $this->call( 'plan_remote_item', $state, $this->index( 'abc' ), $doc, '' );
+		$state              = $this->call( 'plan_remote_item', $state, $this->index( 'abc' ), $this->item( 'file4', 'shell.php', 'ghi' ), '' );
+
+		$this->assertCount( 1, $state['queue'] );
+		$this->assertSame( 2, $state['counts']['skipped'] );
+	}
+
+	/**
+	 * Test that a file changed on both sides becomes a conflict.
+	 *
+	 * @return void
+	 */
+	public function test_changes_on_both_sides_conflict() {
+		file_put_contents( $this->base . '/notes.txt', 'local edit' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+
+		$state = $this->call( 'plan_remote_item', $this->state(), $this->index( 'abc' ), $this->item( 'file1', 'notes.txt', 'changed' ), '' );
+
+		$this->assertEmpty( $state['queue'] );
+		$this->assertSame( 1, $state['counts']['conflicts'] );
+		$this->assertArrayHasKey( 'notes.txt', get_option( 'wpmudev_drive_sync_conflicts' ) );
+	}
+
+	/**
+	 * Test that files removed from Drive are removed locally, and unrelated changes ignored.
+	 *
+	 * @return void
+	 */
+	public function test_removed_drive_files_are_planned() {
+		file_put_contents( $this->base . '/notes.txt', 'hello' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+
+		$index    = $this->index( md5( 'hello' ) );
+		$settings = $this->call( 'get_settings' );
+		$changes  = array(
+			array(
+				'file_id' => 'file1',
+				'removed' => true,
+				'file'    => null,
+			),
+			array(
+				'file_id' => 'elsewhere',
+				'removed' => false,
+				'file'    => array_merge( $this->item( 'elsewhere', 'other.txt', 'xyz' ), array( 'parents' => array( 'another-folder' ) ) ),
+			),
+		);
+
+		$state = $this->call( 'plan_changes', $this->state(), $settings, $index, $changes );
+
+		$this->assertCount( 1, $state['queue'] );
+		$this->assertSame( 'delete_local', $state['queue'][0]['type'] );
+	}
+
+	/**
+	 * Test that new local files are uploaded and deleted ones trashed in Drive.
+	 *
+	 * @return void
+	 */
+	public function test_local_changes_are_planned() {
+		file_put_contents( $this->base . '/new.txt', 'new' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+
+		$state = $this->call( 'plan_local_changes', $this->state(), $this->call( 'get_settings' ), $this->index( 'abc' ) );
+		$types = wp_list_pluck( $state['queue'], 'type', 'path' );
+
+		$this->assertSame( 'upload', $types['new.txt'] );
+		$this->assertSame( 'trash_drive', $types['notes.txt'] );
+		$this->assertSame( 'apply', $state['step'] );
+	}
+}
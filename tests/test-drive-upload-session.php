@@ -0,0 +1,90 @@
+<?php
+/**
+ * Unit Tests for resumable Drive uploads
+ *
+ * Chunks are relayed to a Google upload session whose URI only the server
+ * knows, so these tests cover how sessions are looked up and how the chunk
+ * size is derived.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Endpoints\V1\Drive_API;
+
+/**
+ * Class Test_Drive_Upload_Session
+ *
+ * Tests for Drive_API::get_upload_session_data() and get_upload_chunk_size().
+ */
+class Test_Drive_Upload_Session extends WP_UnitTestCase {
+
+	/**
+	 * Call a private Drive_API method.
+	 *
+	 * @param string $name Method name.
+	 * @param array  $args Arguments.
+	 * @return mixed
+	 */
+	private function call( $name, array $args = array() ) {
+		$method = new ReflectionMethod( Drive_API::class, $name );
+		$method->setAccessible( true );
+
+		return $method->invokeArgs( Drive_API::instance(), $args );
+	}
+
+	/**
+	 * Test that sessions are only visible to the user who started them.
+	 *
+	 * @return void
+	 */
+	public function test_session_belongs_to_its_user() {
+		$owner_id  = $this->factory->user->create( array( 'role' => 'administrator' ) );
+		$other_id  = $this->factory->user->create( array( 'role' => 'administrator' ) );
+		$upload_id = str_repeat( 'a', 32 );
+
+		set_transient(
+			'wpmudev_drive_upload_' . $upload_id,
+			array(
+				'session_uri' => 'https://www.googleapis.com/upload/drive/v3/files?upload_id=xyz',
+				'user_id'     => $owner_id,
+				'size'        => 1024,
+				'offset'      => 0,
+			),
+			HOUR_IN_SECONDS
+		);
+
+		wp_set_current_user( $owner_id );
+		$this->assertIsArray( $this->call( 'get_upload_session_data', array( $upload_id ) ) );
+
+		wp_set_current_user( $other_id );
+		$result = $this->call( 'get_upload_session_data', array( $upload_id ) );
+		$this->assertWPError( $result );
+		$this->assertSame( 'upload_session_expired', $result->get_error_code() );
+	}
+
+	/**
+	 * Test that malformed upload IDs never reach the options table.
+	 *
+	 * @return void
+	 */
+	public function test_invalid_upload_id_is_rejected() {
+		$this->assertWPError( $this->call( 'get_upload_session_data', array( '../../etc' ) ) );
+	}
+
+	/**
+	 * Test that the chunk size is always a multiple of 256 KiB.
+	 *
+	 * @return void
+	 */
+	public function test_chunk_size_granularity() {
+		$filter = function () {
+			return 1000000;
+		};
+		add_filter( 'wpmudev_drive_upload_chunk_size', $filter );
+
+		$this->assertSame( 786432, $this->call( 'get_upload_chunk_size' ) );
+
+		remove_filter( 'wpmudev_drive_upload_chunk_size', $filter );
+	}
+}
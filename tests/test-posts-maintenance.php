@@ -11,6 +11,9 @@
  * @author  Umesh Ghimire
  */
 
+use WPMUDEV\PluginTest\Capabilities;
+use WPMUDEV\PluginTest\Endpoints\V1\Posts_Maintenance_REST;
+
 /**
  * Class Test_Posts_Maintenance
  *
@@ -81,6 +84,8 @@ class Test_Posts_Maintenance extends WP_UnitTestCase {
 
 		// Clean up options.
 		delete_option( 'wpmudev_posts_maintenance_last_scan' );
+		delete_option( 'wpmudev_posts_maintenance_state' );
+		delete_option( 'wpmudev_posts_maintenance_stale_after' );
 
 		parent::tearDown();
 	}
@@ -362,5 +367,187 @@ class Test_Posts_Maintenance extends WP_UnitTestCase {
 		wp_delete_post( $custom_post_id, true );
 		unregister_post_type( 'test_cpt' );
 	}
-}
 
+	/**
+	 * Send a request to a Posts Maintenance route as an administrator.
+	 *
+	 * @param string $method HTTP method.
+	 * @param string $route  Route below /wpmudev/v1/posts-maintenance.
+	 * @param array  $params Request parameters.
+	 *
+	 * @return WP_REST_Response
+	 */
+	private function dispatch_as_admin( $method, $route, $params = array() ) {
+		Capabilities::instance()->grant_defaults();
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'administrator' ) ) );
+
+		$request = new WP_REST_Request( $method, '/wpmudev/v1/posts-maintenance/' . $route );
+		foreach ( $params as $key => $value ) {
+			$request->set_param( $key, $value );
+		}
+
+		return rest_get_server()->dispatch( $request );
+	}
+
+	/**
+	 * Store a scan that is part-way through.
+	 *
+	 * @param array $state State to merge over a running scan.
+	 *
+	 * @return void
+	 */
+	private function save_scan_state( $state = array() ) {
+		update_option(
+			'wpmudev_posts_maintenance_state',
+			array_merge(
+				array(
+					'running'    => true,
+					'post_types' => array( 'post', 'page' ),
+					'batch_size' => 2,
+					'offset'     => 2,
+					'processed'  => 2,
+					'total'      => 3,
+					'started_at' => time() - 60,
+					'updated_at' => time(),
+					'run'        => 'run1',
+				),
+				$state
+			)
+		);
+	}
+
+	/**
+	 * Test that pausing keeps the cursor and resuming continues from it.
+	 *
+	 * @return void
+	 */
+	public function test_pause_and_resume_keep_cursor() {
+		$this->save_scan_state();
+
+		$paused = $this->dispatch_as_admin( 'POST', 'pause' )->get_data()['state'];
+		$this->assertFalse( $paused['running'] );
+		$this->assertTrue( $paused['paused'] );
+		$this->assertSame( 2, $paused['offset'] );
+
+		$resumed = $this->dispatch_as_admin( 'POST', 'resume' )->get_data()['state'];
+		$this->assertTrue( $resumed['running'] );
+		$this->assertFalse( $resumed['paused'] );
+		$this->assertSame( 2, $resumed['processed'] );
+	}
+
+	/**
+	 * Test that cancelling clears the scan so a new one can start.
+	 *
+	 * @return void
+	 */
+	public function test_cancel_clears_scan() {
+		$this->save_scan_state( array( 'running' => false, 'paused' => true ) );
+
+		$state = $this->dispatch_as_admin( 'POST', 'cancel' )->get_data()['state'];
+		$this->assertFalse( $state['running'] );
+		$this->assertFalse( $state['paused'] );
+		$this->assertSame( 0, $state['processed'] );
+
+		$this->assertSame( 409, $this->dispatch_as_admin( 'POST', 'cancel' )->get_status() );
+	}
+
+	/**
+	 * Test that there must be a scan to pause or resume.
+	 *
+	 * @return void
+	 */
+	public function test_pause_and_resume_need_a_scan() {
+		$response = $this->dispatch_as_admin( 'POST', 'pause' );
+		$this->assertSame( 409, $response->get_status() );
+		$this->assertSame( 'scan_not_running', $response->get_data()['code'] );
+
+		$this->save_scan_state();
+		$this->assertSame( 'scan_not_paused', $this->dispatch_as_admin( 'POST', 'resume' )->get_data()['code'] );
+	}
+
+	/**
+	 * Test that a scan whose batches stopped reporting in is paused.
+	 *
+	 * @return void
+	 */
+	public function test_stale_scan_is_recovered() {
+		update_option( 'wpmudev_posts_maintenance_stale_after', 5 );
+		$this->save_scan_state( array( 'updated_at' => time() - 4 * MINUTE_IN_SECONDS ) );
+
+		$this->assertTrue( $this->dispatch_as_admin( 'GET', 'status' )->get_data()['state']['running'] );
+
+		$this->save_scan_state( array( 'updated_at' => time() - 6 * MINUTE_IN_SECONDS ) );
+
+		$state = $this->dispatch_as_admin( 'GET', 'status' )->get_data()['state'];
+		$this->assertFalse( $state['running'] );
+		$this->assertTrue( $state['paused'] );
+		$this->assertTrue( $state['stalled'] );
+		$this->assertSame( 2, $state['offset'] );
+
+		// The lock no longer blocks a new scan.
+		$state = $this->dispatch_as_admin( 'POST', 'scan', array( 'post_types' => array( 'post' ) ) )->get_data()['state'];
+		$this->assertTrue( $state['running'] );
+		$this->assertSame( 0, $state['offset'] );
+	}
+
+	/**
+	 * Test that the recovery time is validated.
+	 *
+	 * @return void
+	 */
+	public function test_invalid_stale_after_is_rejected() {
+		$response = $this->dispatch_as_admin( 'POST', 'scan', array( 'stale_after' => 0 ) );
+
+		$this->assertSame( 400, $response->get_status() );
+		$this->assertFalse( get_option( 'wpmudev_posts_maintenance_stale_after' ) );
+	}
+
+	/**
+	 * Test that a scan waiting on a queued batch isn't treated as stuck.
+	 *
+	 * On a quiet site WP-Cron may not run for a while; the batch is still
+	 * on its way as long as it isn't overdue.
+	 *
+	 * @return void
+	 */
+	public function test_scan_with_queued_batch_is_not_stale() {
+		if ( ! function_exists( 'as_schedule_single_action' ) ) {
+			$this->markTestSkipped( 'Action Scheduler is not loaded.' );
+		}
+
+		update_option( 'wpmudev_posts_maintenance_stale_after', 5 );
+		$this->save_scan_state( array( 'updated_at' => time() - 6 * MINUTE_IN_SECONDS ) );
+		as_schedule_single_action( time() - MINUTE_IN_SECONDS, 'wpmudev_posts_maintenance_process_batch', array( 1, 'run1' ), 'wpmudev-plugin-test' );
+
+		$this->assertTrue( $this->dispatch_as_admin( 'GET', 'status' )->get_data()['state']['running'] );
+
+		as_unschedule_all_actions( 'wpmudev_posts_maintenance_process_batch', array(), 'wpmudev-plugin-test' );
+		as_schedule_single_action( time() - 6 * MINUTE_IN_SECONDS, 'wpmudev_posts_maintenance_process_batch', array( 1, 'run1' ), 'wpmudev-plugin-test' );
+
+		$this->assertTrue( $this->dispatch_as_admin( 'GET', 'status' )->get_data()['state']['stalled'] );
+	}
+
+	/**
+	 * Test that batches scheduled before a pause and resume are dropped.
+	 *
+	 * @return void
+	 */
+	public function test_batch_from_earlier_run_is_dropped() {
+		if ( ! function_exists( 'as_schedule_single_action' ) ) {
+			$this->markTestSkipped( 'Action Scheduler is not loaded.' );
+		}
+
+		$this->save_scan_state();
+		$this->dispatch_as_admin( 'POST', 'pause' );
+		$run = $this->dispatch_as_admin( 'POST', 'resume' )->get_data()['state']['run'];
+		$this->assertNotSame( 'run1', $run );
+
+		Posts_Maintenance_REST::instance()->process_batch( 1, 'run1' );
+		$this->assertSame( 2, get_option( 'wpmudev_posts_maintenance_state' )['processed'] );
+
+		Posts_Maintenance_REST::instance()->process_batch( 1, $run );
+		$state = get_option( 'wpmudev_posts_maintenance_state' );
+		$this->assertSame( 3, $state['processed'] );
+		$this->assertFalse( $state['running'] );
+	}
+}
@@ -0,0 +1,166 @@
+<?php
+/**
+ * Unit Tests for the Drive rate limits
+ *
+ * Limits are configurable per action and per role, counted over a sliding
+ * window and reported in X-RateLimit-* headers.
+ *
+ * @package WPMUDEV_PluginTest
+ * @since   1.0.0
+ */
+
+use WPMUDEV\PluginTest\Rate_Limits;
+
+/**
+ * Class Test_Rate_Limits
+ *
+ * Tests for Rate_Limits.
+ */
+class Test_Rate_Limits extends WP_UnitTestCase {
+
+	/**
+	 * Editor making the requests.
+	 *
+	 * @var int
+	 */
+	private $user_id;
+
+	/**
+	 * Allow two uploads a minute.
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->user_id = $this->factory->user->create( array( 'role' => 'editor' ) );
+		wp_set_current_user( $this->user_id );
+
+		$this->save_limits(
+			array(
+				'upload' => array(
+					'requests' => 2,
+					'window'   => 60,
+				),
+			)
+		);
+	}
+
+	/**
+	 * Save limits, keeping the defaults for actions not given.
+	 *
+	 * @param array $actions Action => { requests, window }.
+	 * @param array $roles   Role => ( action => requests ).
+	 *
+	 * @return array|WP_Error
+	 */
+	private function save_limits( array $actions, array $roles = array() ) {
+		$settings = Rate_Limits::instance()->get_settings();
+
+		return Rate_Limits::instance()->save_settings(
+			array(
+				'actions' => array_merge( $settings['actions'], $actions ),
+				'roles'   => $roles,
+			)
+		);
+	}
+
+	/**
+	 * Requests past the limit are refused until the oldest one ages out.
+	 *
+	 * @return void
+	 */
+	public function test_sliding_window() {
+		$this->assertTrue( Rate_Limits::instance()->check( 'upload' ) );
+		$this->assertTrue( Rate_Limits::instance()->check( 'upload' ) );
+
+		$refused = Rate_Limits::instance()->check( 'upload' );
+		$this->assertWPError( $refused );
+		$this->assertSame( 429, $refused->get_error_data()['status'] );
+
+		// The first request left the window; the second still counts.
+		set_transient( 'wpmudev_rate_window_upload_' . $this->user_id, array( time() - 61, time() - 10 ), 60 );
+
+		$status = Rate_Limits::instance()->get_status( 'upload' );
+		$this->assertSame( 1, $status['remaining'] );
+		$this->assertSame( 50, $status['reset_in'] );
+		$this->assertTrue( Rate_Limits::instance()->check( 'upload' ) );
+	}
+
+	/**
+	 * Role overrides replace the default, and the most generous role wins.
+	 *
+	 * @return void
+	 */
+	public function test_role_overrides() {
+		$this->save_limits( array(), array( 'editor' => array( 'upload' => 5 ) ) );
+		$this->assertSame( 5, Rate_Limits::instance()->get_limit( 'upload' )['requests'] );
+
+		$user = get_userdata( $this->user_id );
+		$user->add_role( 'author' );
+		$this->save_limits(
+			array(),
+			array(
+				'editor' => array( 'upload' => 5 ),
+				'author' => array( 'upload' => 0 ),
+			)
+		);
+
+		$this->assertTrue( Rate_Limits::instance()->get_status( 'upload' )['unlimited'] );
+		$this->assertSame( 2, Rate_Limits::instance()->get_limit( 'upload', $this->factory->user->create( array( 'role' => 'subscriber' ) ) )['requests'] );
+	}
+
+	/**
+	 * Code can override the configured limit.
+	 *
+	 * @return void
+	 */
+	public function test_filter_overrides_limit() {
+		$filter = function ( $limit, $action ) {
+			return 'upload' === $action ? array( 'requests' => 100, 'window' => 30 ) : $limit;
+		};
+		add_filter( 'wpmudev_drive_rate_limit', $filter, 10, 2 );
+
+		$limit = Rate_Limits::instance()->get_limit( 'upload' );
+
+		remove_filter( 'wpmudev_drive_rate_limit', $filter, 10 );
+
+		$this->assertSame( 100, $limit['requests'] );
+		$this->assertSame( 30, $limit['window'] );
+	}
+
+	/**
+	 * Counted requests get X-RateLimit-* headers, refusals a Retry-After too.
+	 *
+	 * @return void
+	 */
+	public function test_headers() {
+		Rate_Limits::instance()->check( 'upload' );
+		$headers = Rate_Limits::instance()->add_headers( new WP_REST_Response( array(), 200 ) )->get_headers();
+
+		$this->assertSame( '2', $headers['X-RateLimit-Limit'] );
+		$this->assertSame( '1', $headers['X-RateLimit-Remaining'] );
+		$this->assertEqualsWithDelta( time() + 60, (int) $headers['X-RateLimit-Reset'], 2 );
+
+		Rate_Limits::instance()->check( 'upload' );
+		Rate_Limits::instance()->check( 'upload' );
+		$headers = Rate_Limits::instance()->add_headers( new WP_REST_Response( array(), 429 ) )->get_headers();
+
+		$this->assertSame( '0', $headers['X-RateLimit-Remaining'] );
+		$this->assertArrayHasKey( 'Retry-After', $headers );
+
+		// Responses that weren't counted are left alone.
+		$this->assertSame( array(), Rate_Limits::instance()->add_headers( new WP_REST_Response( array(), 200 ) )->get_headers() );
+	}
+
+	/**
+	 * Out-of-range limits are rejected.
+	 *
+	 * @return void
+	 */
+	public function test_invalid_limits_are_rejected() {
+		$this->assertWPError( $this->save_limits( array( 'upload' => array( 'requests' => -1, 'window' => 60 ) ) ) );
+		$this->assertWPError( $this->save_limits( array( 'upload' => array( 'requests' => 10, 'window' => 0 ) ) ) );
+		$this->assertWPError( $this->save_limits( array(), array( 'editor' => array( 'upload' => 'lots' ) ) ) );
+	}
+}
@@ -9,6 +9,11 @@ module.exports = {
 	entry: {
 		'drivetestpage': './src/googledrive-page/main.jsx',
 		'postsmaintenance': './src/posts-maintenance-page/main.jsx',
+		'medialibrary': './src/media-library/main.js',
+		'drivebackups': './src/drive-backups-page/main.jsx',
+		'driveblock': './src/drive-block/index.jsx',
+		'roles': './src/roles-page/main.jsx',
+		'activitylog': './src/activity-log-page/main.jsx',
 	},
 
 	output: {
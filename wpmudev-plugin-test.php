@@ -110,6 +110,15 @@ class WPMUDEV_PluginTest {
 	}
 }
 
+// Give administrators the plugin's capabilities and create the audit log table.
+register_activation_hook(
+	__FILE__,
+	function () {
+		WPMUDEV\PluginTest\Capabilities::instance()->grant_defaults();
+		WPMUDEV\PluginTest\Audit_Log::instance()->install();
+	}
+);
+
 // Init the plugin and load the plugin instance for the first time.
 add_action(
 	'init',